@@ -32,29 +32,363 @@ function throttle(func, limit) {
     };
 }
 
+// User-entered text is rendered through innerHTML templates
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 // ===================================
 // STORAGE MANAGER MODULE
 // ===================================
-class StorageManager {
+/**
+ * Storage backends share one async interface over (store, key) pairs.
+ * Only IndexedDB has real object stores; the key-value backends ignore the
+ * store name because every key already carries the 'bible-planner-' prefix.
+ */
+class IndexedDbBackend {
+    /**
+     * @param {string} dbName
+     * @param {number} version
+     * @param {string[]} stores
+     * @param {{onBlocked?: function(): void, onVersionChange?: function(): void}} [events] -
+     *   an upgrade waiting on other tabs, and this tab's connection closing for
+     *   another tab's upgrade
+     */
+    constructor(dbName, version, stores, events = {}) {
+        this.name = 'IndexedDB';
+        this.dbName = dbName;
+        this.version = version;
+        this.stores = stores;
+        this.events = events;
+        this.db = null;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                this.stores.forEach(store => {
+                    if (!request.result.objectStoreNames.contains(store)) {
+                        request.result.createObjectStore(store);
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let a newer planner in another tab upgrade the database
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    if (this.events.onVersionChange) this.events.onVersionChange();
+                };
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            // The open request stays pending until the other tabs close, so
+            // keep waiting rather than falling back and splitting the data
+            request.onblocked = () => {
+                if (this.events.onBlocked) this.events.onBlocked();
+            };
+        });
+    }
+
+    transaction(storeNames, mode, action) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            const result = action(tx);
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    get(store, key) {
+        return this.transaction(store, 'readonly', tx => tx.objectStore(store).get(key));
+    }
+
+    set(store, key, value) {
+        return this.transaction(store, 'readwrite', tx => { tx.objectStore(store).put(value, key); });
+    }
+
+    delete(store, key) {
+        return this.transaction(store, 'readwrite', tx => { tx.objectStore(store).delete(key); });
+    }
+
+    clear() {
+        return this.transaction(this.stores, 'readwrite', tx => {
+            this.stores.forEach(store => tx.objectStore(store).clear());
+        });
+    }
+}
+
+/**
+ * The host-provided `window.storage` key-value API.
+ */
+class NativeStorageBackend {
     constructor() {
-        this.useNativeStorage = typeof window.storage !== 'undefined';
-        this.memoryStorage = {};
-        console.log(`Storage Manager initialized: ${this.useNativeStorage ? 'Using native storage' : 'Using memory storage'}`);
+        this.name = 'native storage';
     }
 
-    async get(key, defaultValue = null) {
+    async open() {
+        if (typeof window.storage === 'undefined') {
+            throw new Error('Native storage is not available');
+        }
+        return this;
+    }
+
+    async get(store, key) {
         try {
-            if (this.useNativeStorage) {
-                try {
-                    const result = await window.storage.get(key);
-                    return result ? JSON.parse(result.value) : defaultValue;
-                } catch (keyError) {
-                    console.debug(`Key "${key}" not found, returning default value`);
-                    return defaultValue;
+            const result = await window.storage.get(key);
+            return result ? JSON.parse(result.value) : undefined;
+        } catch (keyError) {
+            console.debug(`Key "${key}" not found`);
+            return undefined;
+        }
+    }
+
+    async set(store, key, value) {
+        const result = await window.storage.set(key, JSON.stringify(value));
+        if (result === null) throw new Error(`Native storage rejected ${key}`);
+    }
+
+    async delete(store, key) {
+        await window.storage.delete(key);
+    }
+
+    async clear() {
+        const keys = await window.storage.list('bible-planner-');
+        for (const key of keys.keys) {
+            await window.storage.delete(key);
+        }
+    }
+}
+
+class LocalStorageBackend {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    /**
+     * Private browsing can expose localStorage but refuse every write, so
+     * availability is checked with a real write.
+     */
+    async open() {
+        const probe = 'bible-planner-probe';
+        window.localStorage.setItem(probe, probe);
+        window.localStorage.removeItem(probe);
+        return this;
+    }
+
+    async get(store, key) {
+        const value = window.localStorage.getItem(key);
+        return value === null ? undefined : JSON.parse(value);
+    }
+
+    async set(store, key, value) {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    async delete(store, key) {
+        window.localStorage.removeItem(key);
+    }
+
+    async clear() {
+        Object.keys(window.localStorage)
+            .filter(key => key.startsWith('bible-planner-'))
+            .forEach(key => window.localStorage.removeItem(key));
+    }
+}
+
+class MemoryBackend {
+    constructor() {
+        this.name = 'memory';
+        this.data = {};
+    }
+
+    async open() {
+        return this;
+    }
+
+    async get(store, key) {
+        return this.data[key];
+    }
+
+    async set(store, key, value) {
+        this.data[key] = JSON.parse(JSON.stringify(value));
+    }
+
+    async delete(store, key) {
+        delete this.data[key];
+    }
+
+    async clear() {
+        this.data = {};
+    }
+}
+
+/**
+ * Persists planner data in IndexedDB, with one object store per data type,
+ * falling back to native storage, localStorage and finally memory. The
+ * planner state is split across the progress, plans and preferences stores
+ * so a completed reading does not rewrite every setting.
+ *
+ * Schema history:
+ *   1 - whole state under the single 'bible-planner-state' key
+ *   2 - state split per data type; legacy keys copied into the new backend
+ *   3 - adds the snapshots store for restore points
+ *   4 - drops the darkMode: false saved before there was a theme toggle
+ */
+class StorageManager {
+    constructor() {
+        this.dbName = 'bible-planner';
+        this.schemaVersion = 4;
+        this.storeForKey = {
+            'bible-planner-progress': 'progress',
+            'bible-planner-plans': 'plans',
+            'bible-planner-preferences': 'preferences',
+            'bible-planner-journal': 'journal',
+            'bible-planner-snapshots': 'snapshots'
+        };
+        this.defaultStore = 'settings';
+        this.stores = ['progress', 'plans', 'preferences', 'journal', 'snapshots', 'settings', 'meta'];
+        // State fields saved outside the preferences store, by storage key
+        this.statePartitions = {
+            'bible-planner-progress': ['completedReadings', 'completionLog', 'catchUpSchedule', 'memoryVerses'],
+            'bible-planner-plans': ['customPlans']
+        };
+        this.legacyKeys = ['bible-planner-state', 'bible-planner-journal'];
+
+        this.migrations = {
+            1: async (backend) => {
+                const legacy = {};
+                for (const key of this.legacyKeys) {
+                    legacy[key] = await this.readLegacy(backend, key);
                 }
-            } else {
-                return this.memoryStorage[key] !== undefined ? this.memoryStorage[key] : defaultValue;
+
+                if (legacy['bible-planner-journal'] !== undefined) {
+                    await backend.set('journal', 'bible-planner-journal', legacy['bible-planner-journal']);
+                }
+                if (legacy['bible-planner-state'] !== undefined) {
+                    const parts = this.splitState(legacy['bible-planner-state']);
+                    for (const [key, value] of Object.entries(parts)) {
+                        await backend.set(this.getStore(key), key, value);
+                    }
+                    await backend.delete(this.defaultStore, 'bible-planner-state').catch(() => {});
+                }
+            },
+            // Version 3 only adds the snapshots store, which IndexedDB creates on upgrade
+            2: async () => {},
+            // Every state saved before the toggle had darkMode: false, which
+            // would now read as a choice and override the system theme
+            3: async (backend) => {
+                const key = 'bible-planner-preferences';
+                const preferences = await backend.get(this.getStore(key), key);
+                if (preferences && preferences.darkMode === false) {
+                    const { darkMode, ...rest } = preferences;
+                    await backend.set(this.getStore(key), key, rest);
+                }
+            }
+        };
+
+        this.backend = null;
+        this.opening = null;
+        this.savedJson = {};
+        this.onQuotaExceeded = null;
+        this.onUpgradeBlocked = null;
+        this.onVersionChange = null;
+        this.lastErrorWasQuota = false;
+    }
+
+    getStore(key) {
+        return this.storeForKey[key] || this.defaultStore;
+    }
+
+    /**
+     * Picks the first backend that opens and brings its data up to the
+     * current schema version. Safe to call repeatedly.
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = this.openBackend().then(async backend => {
+                await this.migrate(backend);
+                this.backend = backend;
+                console.log(`Storage Manager initialized: Using ${backend.name}`);
+                return backend;
+            });
+        }
+        return this.opening;
+    }
+
+    async openBackend() {
+        const candidates = [
+            new IndexedDbBackend(this.dbName, this.schemaVersion, this.stores, {
+                onBlocked: () => this.onUpgradeBlocked && this.onUpgradeBlocked(),
+                onVersionChange: () => this.onVersionChange && this.onVersionChange()
+            }),
+            new NativeStorageBackend(),
+            new LocalStorageBackend()
+        ];
+
+        for (const backend of candidates) {
+            try {
+                return await backend.open();
+            } catch (error) {
+                console.debug(`${backend.name} unavailable:`, error.message);
+            }
+        }
+        return new MemoryBackend().open();
+    }
+
+    async migrate(backend) {
+        let version = await backend.get('meta', 'bible-planner-schema-version').catch(() => undefined);
+        if (version === undefined) version = 1;
+
+        while (version < this.schemaVersion) {
+            console.log(`Migrating storage from schema ${version} to ${version + 1}`);
+            await this.migrations[version](backend);
+            version++;
+        }
+        await backend.set('meta', 'bible-planner-schema-version', version);
+    }
+
+    /**
+     * Finds data written by an older version, which may live in this
+     * backend or in one of the key-value stores used before IndexedDB.
+     */
+    async readLegacy(backend, key) {
+        const sources = [backend, new NativeStorageBackend(), new LocalStorageBackend()];
+        for (const source of sources) {
+            try {
+                if (source !== backend) await source.open();
+                const value = await source.get(this.defaultStore, key);
+                if (value !== undefined) return value;
+            } catch (error) {
+                // Source unavailable; try the next one
             }
+        }
+        return undefined;
+    }
+
+    isQuotaError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+
+    async get(key, defaultValue = null) {
+        try {
+            const backend = await this.open();
+            const value = await backend.get(this.getStore(key), key);
+            return value !== undefined ? value : defaultValue;
         } catch (error) {
             console.warn(`Failed to load ${key}:`, error);
             return defaultValue;
@@ -63,15 +397,15 @@ class StorageManager {
 
     async set(key, value) {
         try {
-            const data = JSON.stringify(value);
-            if (this.useNativeStorage) {
-                const result = await window.storage.set(key, data);
-                return result !== null;
-            } else {
-                this.memoryStorage[key] = value;
-                return true;
-            }
+            const backend = await this.open();
+            await backend.set(this.getStore(key), key, value);
+            this.lastErrorWasQuota = false;
+            return true;
         } catch (error) {
+            this.lastErrorWasQuota = this.isQuotaError(error);
+            if (this.lastErrorWasQuota && this.onQuotaExceeded) {
+                this.onQuotaExceeded(key);
+            }
             console.error(`Failed to save ${key}:`, error);
             return false;
         }
@@ -79,11 +413,9 @@ class StorageManager {
 
     async delete(key) {
         try {
-            if (this.useNativeStorage) {
-                await window.storage.delete(key);
-            } else {
-                delete this.memoryStorage[key];
-            }
+            const backend = await this.open();
+            await backend.delete(this.getStore(key), key);
+            delete this.savedJson[key];
             return true;
         } catch (error) {
             console.error(`Failed to delete ${key}:`, error);
@@ -93,20 +425,82 @@ class StorageManager {
 
     async clear() {
         try {
-            if (this.useNativeStorage) {
-                const keys = await window.storage.list('bible-planner-');
-                for (const key of keys.keys) {
-                    await window.storage.delete(key);
-                }
-            } else {
-                this.memoryStorage = {};
-            }
+            const backend = await this.open();
+            await backend.clear();
+            this.savedJson = {};
             return true;
         } catch (error) {
             console.error('Failed to clear storage:', error);
             return false;
         }
     }
+
+    /**
+     * @returns {Object<string, Object>} state slices keyed by storage key
+     */
+    splitState(state) {
+        const parts = {};
+        const rest = { ...state };
+
+        Object.entries(this.statePartitions).forEach(([key, fields]) => {
+            parts[key] = {};
+            fields.forEach(field => {
+                if (field in rest) parts[key][field] = rest[field];
+                delete rest[field];
+            });
+        });
+        parts['bible-planner-preferences'] = rest;
+        return parts;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} the saved planner state, or null when
+     *   nothing has been saved yet
+     */
+    async loadState() {
+        const keys = [...Object.keys(this.statePartitions), 'bible-planner-preferences'];
+        const parts = await Promise.all(keys.map(key => this.get(key, null)));
+        if (parts.every(part => part === null)) return null;
+
+        keys.forEach((key, i) => {
+            if (parts[i] !== null) this.savedJson[key] = JSON.stringify(parts[i]);
+        });
+        return Object.assign({}, ...parts.filter(Boolean));
+    }
+
+    /**
+     * Writes only the slices that changed since the last save.
+     * @returns {Promise<boolean>} false if any slice failed to save
+     */
+    async saveState(state) {
+        let success = true;
+
+        for (const [key, value] of Object.entries(this.splitState(state))) {
+            const json = JSON.stringify(value);
+            if (this.savedJson[key] === json) continue;
+
+            if (await this.set(key, value)) {
+                this.savedJson[key] = json;
+            } else {
+                success = false;
+            }
+        }
+        return success;
+    }
+
+    /**
+     * @returns {Promise<{usage: number, quota: number}|null>} null when the
+     *   browser cannot estimate storage use
+     */
+    async estimateUsage() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return quota ? { usage, quota } : null;
+        } catch (error) {
+            return null;
+        }
+    }
 }
 
 // ===================================
@@ -134,7 +528,12 @@ class UIManager {
         document.body.classList.remove('loading');
     }
 
-    showMessage(message, type = 'success') {
+    /**
+     * @param {string} message - HTML; escape user-entered text first
+     * @param {'success'|'error'} type
+     * @param {{label: string, onClick: function()}} [action] - button shown in the toast
+     */
+    showMessage(message, type = 'success', action = null) {
         this.clearMessage();
 
         const messageDiv = document.createElement('div');
@@ -145,7 +544,15 @@ class UIManager {
         messageDiv.innerHTML = `
             <i data-lucide="${icon}" class="w-5 h-5"></i>
             <span>${message}</span>
+            ${action ? `<button type="button" class="message-action touch-target">${escapeHtml(action.label)}</button>` : ''}
         `;
+
+        if (action) {
+            messageDiv.querySelector('.message-action').addEventListener('click', () => {
+                this.clearMessage();
+                action.onClick();
+            });
+        }
         
         document.body.appendChild(messageDiv);
         
@@ -167,8 +574,8 @@ class UIManager {
         messages.forEach(msg => msg.remove());
     }
 
-    showSuccessMessage(message) {
-        this.showMessage(message, 'success');
+    showSuccessMessage(message, action = null) {
+        this.showMessage(message, 'success', action);
     }
 
     showErrorMessage(message) {
@@ -191,30 +598,199 @@ class UIManager {
     }
 }
 
+// ===================================
+// KEYED RENDERER MODULE
+// ===================================
+/**
+ * Applies template-string markup to the DOM without rebuilding what hasn't
+ * changed. Lists are keyed, and only items whose markup differs from the
+ * last render are replaced, so toggling one reading leaves every other
+ * card, the scroll position and keyboard focus alone.
+ */
+class KeyedRenderer {
+    constructor() {
+        // container → Map(key → { html, elements })
+        this.lists = new WeakMap();
+        // element → markup last written by renderHtml()
+        this.markup = new WeakMap();
+    }
+
+    /**
+     * Writes markup into an element unless it's what was written last time.
+     * @returns {boolean} whether the element changed
+     */
+    renderHtml(element, html) {
+        if (this.markup.get(element) === html) return false;
+
+        element.innerHTML = html;
+        this.markup.set(element, html);
+        this.lists.delete(element);
+        return true;
+    }
+
+    /**
+     * Makes a container's children match `items`, in order, keeping the
+     * elements of items whose markup is unchanged. An item may parse into
+     * several top-level elements (the week cards' nested buttons do).
+     * @param {Element} container
+     * @param {Array<{key: string, html: string}>} items
+     * @returns {number} how many items were created or replaced
+     */
+    render(container, items) {
+        let previous = this.lists.get(container);
+        if (!previous) {
+            container.textContent = '';
+            previous = new Map();
+        }
+        this.markup.delete(container);
+
+        const focusSelector = this.getFocusSelector(container);
+        const next = new Map();
+        let changed = 0;
+
+        items.forEach(({ key, html }) => {
+            const existing = previous.get(key);
+            if (existing && existing.html === html) {
+                next.set(key, existing);
+            } else {
+                next.set(key, { html, elements: this.createElements(html) });
+                changed++;
+            }
+        });
+
+        previous.forEach((entry, key) => {
+            if (next.get(key) !== entry) entry.elements.forEach(element => element.remove());
+        });
+
+        // Insert new elements and move kept ones that are out of order
+        let cursor = container.firstElementChild;
+        next.forEach(({ elements }) => {
+            elements.forEach(element => {
+                if (element === cursor) {
+                    cursor = cursor.nextElementSibling;
+                } else {
+                    container.insertBefore(element, cursor);
+                }
+            });
+        });
+
+        this.lists.set(container, next);
+        if (changed && focusSelector) this.restoreFocus(container, focusSelector);
+        return changed;
+    }
+
+    createElements(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return Array.from(template.content.children);
+    }
+
+    /**
+     * A selector for the focused element built from its data attributes,
+     * so focus can move to its replacement (e.g. the same reading's toggle).
+     */
+    getFocusSelector(container) {
+        const active = document.activeElement;
+        if (!active || active === document.body || !container.contains(active)) return null;
+
+        const attributes = Array.from(active.attributes).filter(attribute => attribute.name.startsWith('data-'));
+        if (!attributes.length) return null;
+
+        return active.tagName.toLowerCase() + attributes
+            .map(attribute => `[${attribute.name}="${attribute.value.replace(/["\\]/g, '\\$&')}"]`)
+            .join('');
+    }
+
+    restoreFocus(container, selector) {
+        if (container.contains(document.activeElement)) return;
+        const target = container.querySelector(selector);
+        if (target) target.focus({ preventScroll: true });
+    }
+}
+
 // ===================================
 // ANALYTICS MANAGER MODULE
 // ===================================
 class AnalyticsManager {
-    calculateStreak(completedReadings) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
+    constructor(calendar) {
+        this.calendar = calendar;
+    }
+
+    toDayKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Local calendar days on which at least one reading was completed.
+     * @param {Object<string, string>} completionLog - readingId → ISO completion timestamp
+     * @returns {Set<string>} YYYY-MM-DD keys
+     */
+    getActiveDays(completionLog) {
+        return new Set(Object.values(completionLog).map(timestamp => this.toDayKey(new Date(timestamp))));
+    }
+
+    calculateStreak(completionLog, date = new Date()) {
+        const activeDays = this.getActiveDays(completionLog);
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+
+        // A streak is still alive until a full day passes without reading
+        if (!activeDays.has(this.toDayKey(day))) {
+            day.setDate(day.getDate() - 1);
+        }
+
         let streak = 0;
-        const sortedReadings = Object.entries(completedReadings)
-            .filter(([_, completed]) => completed)
-            .sort((a, b) => b[0].localeCompare(a[0]));
-        
-        if (sortedReadings.length > 0) {
-            streak = Math.min(sortedReadings.length, 30);
+        while (activeDays.has(this.toDayKey(day))) {
+            streak++;
+            day.setDate(day.getDate() - 1);
         }
-        
+
         return streak;
     }
 
-    getProgressInsights(completedReadings, totalReadings) {
-        const completed = Object.values(completedReadings).filter(Boolean).length;
-        const percentage = Math.round((completed / totalReadings) * 100);
-        const streak = this.calculateStreak(completedReadings);
+    countCompletedOn(completionLog, date) {
+        const dayKey = this.toDayKey(date);
+        return Object.values(completionLog)
+            .filter(timestamp => this.toDayKey(new Date(timestamp)) === dayKey)
+            .length;
+    }
+
+    /**
+     * @returns {Object<string, number>} YYYY-MM-DD → readings completed that day
+     */
+    getDailyCounts(completionLog) {
+        return Object.values(completionLog).reduce((counts, timestamp) => {
+            const dayKey = this.toDayKey(new Date(timestamp));
+            counts[dayKey] = (counts[dayKey] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    calculateWeeklyAverage(completionLog) {
+        const timestamps = Object.values(completionLog).map(timestamp => new Date(timestamp).getTime());
+        if (timestamps.length === 0) return 0;
+
+        const firstDay = new Date(Math.min(...timestamps));
+        firstDay.setHours(0, 0, 0, 0);
+        const elapsedDays = Math.floor((Date.now() - firstDay.getTime()) / 86400000) + 1;
+        const weeks = Math.max(1, Math.ceil(elapsedDays / 7));
+
+        return timestamps.length / weeks;
+    }
+
+    /**
+     * Only the given reading ids are counted, so completions from other
+     * plans never inflate the result.
+     * @param {Object<string, boolean>} completedReadings
+     * @param {string[]} readingIds - every reading in the plan(s) measured
+     */
+    getProgressInsights(completedReadings, readingIds, completionLog = {}) {
+        const totalReadings = readingIds.length;
+        const completed = readingIds.filter(id => completedReadings[id]).length;
+        const percentage = totalReadings ? Math.round((completed / totalReadings) * 100) : 0;
+        const streak = this.calculateStreak(completionLog);
         
         return {
             percentComplete: percentage,
@@ -225,14 +801,15 @@ class AnalyticsManager {
         };
     }
 
-    getMostActiveMonth(completedReadings) {
+    /**
+     * @returns {string|null} Id of the Ethiopian month with the most completions
+     */
+    getMostActiveMonth(completionLog) {
         const monthCounts = {};
         
-        Object.keys(completedReadings).forEach(key => {
-            if (completedReadings[key]) {
-                const month = key.split('-')[1] || 'unknown';
-                monthCounts[month] = (monthCounts[month] || 0) + 1;
-            }
+        Object.values(completionLog).forEach(timestamp => {
+            const { monthId } = this.calendar.fromGregorian(new Date(timestamp));
+            monthCounts[monthId] = (monthCounts[monthId] || 0) + 1;
         });
         
         let maxMonth = null;
@@ -250,592 +827,5287 @@ class AnalyticsManager {
 }
 
 // ===================================
-// ERROR BOUNDARY
+// ETHIOPIAN CALENDAR MODULE
 // ===================================
-class ErrorBoundary {
-    constructor(rootElement) {
-        this.rootElement = rootElement;
-        this.setupErrorHandling();
+/**
+ * Converts between Ethiopian (Amete Mihret) and Gregorian dates through
+ * Julian Day Numbers. Ethiopian months are numbered 1-13; Pagume (13) has
+ * 6 days in a leap year (year % 4 === 3) and 5 otherwise.
+ */
+class EthiopianCalendar {
+    constructor() {
+        this.epoch = 1724220;
+        this.unixEpochJdn = 2440588;
+        this.monthIds = [
+            'meskerem', 'tikimt', 'hidar', 'tahsas', 'tir', 'yekatit', 'megabit',
+            'miazia', 'ginbot', 'sene', 'hamle', 'nehase', 'pagume'
+        ];
+        this.shortMonthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
     }
-    
-    setupErrorHandling() {
-        window.addEventListener('error', (event) => {
-            console.error('Global error:', event.error);
-            this.handleError(event.error);
-        });
-        
-        window.addEventListener('unhandledrejection', (event) => {
-            console.error('Unhandled promise rejection:', event.reason);
-            this.handleError(event.reason);
-        });
+
+    isLeapYear(year) {
+        return year % 4 === 3;
     }
-    
-    handleError(error) {
-        console.error('Application error:', error);
-        
-        if (this.rootElement) {
-            this.rootElement.innerHTML = `
-                <div style="display: flex; align-items: center; justify-content: center; min-height: 50vh; padding: 2rem;">
-                    <div style="text-align: center; max-width: 500px; background: white; padding: 2rem; border-radius: 1rem; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">
-                        <div style="font-size: 4rem; margin-bottom: 1rem;">⚠️</div>
-                        <h2 style="color: #dc2626; margin-bottom: 1rem; font-size: 1.5rem; font-weight: 700;">Something went wrong</h2>
-                        <p style="color: #64748b; margin-bottom: 1.5rem; line-height: 1.6;">We're sorry for the inconvenience. Please try refreshing the page.</p>
-                        <details style="text-align: left; margin-bottom: 1.5rem; padding: 1rem; background: #f9fafb; border-radius: 0.5rem;">
-                            <summary style="cursor: pointer; font-weight: 600; color: #374151;">Error Details</summary>
-                            <pre style="margin-top: 0.5rem; font-size: 0.875rem; overflow-x: auto; color: #dc2626;">${error.message || 'Unknown error'}${error.stack ? '\n' + error.stack : ''}</pre>
-                        </details>
-                        <button onclick="location.reload()" style="background: linear-gradient(135deg, #205782, #f2842f); color: white; padding: 0.75rem 2rem; border-radius: 50px; border: none; font-weight: 600; cursor: pointer; font-size: 1rem; box-shadow: 0 4px 12px rgba(242, 132, 47, 0.3); transition: all 0.3s ease;">
-                            Refresh Page
-                        </button>
-                    </div>
-                </div>
-            `;
+
+    getMonthLength(year, month) {
+        if (month === 13) {
+            return this.isLeapYear(year) ? 6 : 5;
         }
+        return 30;
+    }
+
+    getMonthNumber(monthId) {
+        const index = this.monthIds.indexOf(monthId);
+        if (index === -1) {
+            throw new Error(`Unknown Ethiopian month: ${monthId}`);
+        }
+        return index + 1;
+    }
+
+    ethiopianToJdn(year, month, day) {
+        return this.epoch + 365 * (year - 1) + Math.floor(year / 4) + 30 * (month - 1) + day;
+    }
+
+    jdnToEthiopian(jdn) {
+        const year = Math.floor((4 * (jdn - this.epoch - 1) + 1463) / 1461);
+        const dayOfYear = jdn - this.ethiopianToJdn(year, 1, 1);
+        return {
+            year,
+            month: Math.floor(dayOfYear / 30) + 1,
+            day: (dayOfYear % 30) + 1
+        };
+    }
+
+    gregorianToJdn(date) {
+        const utc = new Date(0);
+        utc.setUTCFullYear(date.getFullYear(), date.getMonth(), date.getDate());
+        return Math.floor(utc.getTime() / 86400000) + this.unixEpochJdn;
+    }
+
+    jdnToGregorian(jdn) {
+        const utc = new Date((jdn - this.unixEpochJdn) * 86400000);
+        const date = new Date(0, 0, 1);
+        date.setFullYear(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }
+
+    /**
+     * @param {number} year - Ethiopian year (E.C.)
+     * @param {number|string} month - Month number (1-13) or month id
+     * @param {number} day
+     * @returns {Date} Local midnight of the matching Gregorian day
+     */
+    toGregorian(year, month, day) {
+        const monthNumber = typeof month === 'string' ? this.getMonthNumber(month) : month;
+        if (monthNumber < 1 || monthNumber > 13 || day < 1 || day > this.getMonthLength(year, monthNumber)) {
+            throw new RangeError(`Invalid Ethiopian date: ${year}-${monthNumber}-${day}`);
+        }
+        return this.jdnToGregorian(this.ethiopianToJdn(year, monthNumber, day));
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {{year: number, month: number, monthId: string, day: number}}
+     */
+    fromGregorian(date) {
+        const result = this.jdnToEthiopian(this.gregorianToJdn(date));
+        result.monthId = this.monthIds[result.month - 1];
+        return result;
+    }
+
+    getCurrentYear() {
+        return this.fromGregorian(new Date()).year;
+    }
+
+    getMonthRange(year, month) {
+        const monthNumber = typeof month === 'string' ? this.getMonthNumber(month) : month;
+        return {
+            start: this.toGregorian(year, monthNumber, 1),
+            end: this.toGregorian(year, monthNumber, this.getMonthLength(year, monthNumber))
+        };
+    }
+
+    /**
+     * Bahire Hasab (ባሕረ ሐሳብ) for an Ethiopian year: locates the Nineveh fast
+     * from the epact (Abekte/Metqi) and the weekday of Beale Metqi.
+     */
+    getBahireHasab(year) {
+        const ameteAlem = 5500 + year;
+        const wenber = (ameteAlem - 1) % 19;
+        const abekte = (wenber * 11) % 30;
+        const metqi = (wenber * 19) % 30 || 30;
+
+        // Beale Metqi falls in Meskerem when Metqi is above 14, otherwise in Tikimt
+        const bealeMetqiMonth = metqi > 14 ? 1 : 2;
+        const bealeMetqiJdn = this.ethiopianToJdn(year, bealeMetqiMonth, metqi);
+
+        // Tewsak: days added to Metqi for each weekday of Beale Metqi (indexed Sunday first)
+        const tewsak = [7, 6, 5, 4, 3, 2, 8][this.jdnToGregorian(bealeMetqiJdn).getDay()];
+        let mebajaHamer = metqi + tewsak;
+        let ninevehMonth = bealeMetqiMonth === 1 ? 5 : 6;
+        if (mebajaHamer > 30) {
+            mebajaHamer -= 30;
+            ninevehMonth += 1;
+        }
+
+        return {
+            ameteAlem,
+            wenber,
+            abekte,
+            metqi,
+            mebajaHamer,
+            ninevehJdn: this.ethiopianToJdn(year, ninevehMonth, mebajaHamer)
+        };
+    }
+
+    /**
+     * Movable feasts and fasts of an Ethiopian year, as offsets in days from
+     * the first day of the Nineveh fast.
+     * @returns {Array<{key: string, name: string, description: string, type: string, year: number, month: string, day: number}>}
+     */
+    getMovableFeasts(year) {
+        const { ninevehJdn } = this.getBahireHasab(year);
+        const feasts = [
+            { key: 'nineveh', offset: 0, type: 'fast', name: 'Fast of Nineveh (ጾመ ነነዌ)', description: 'Three-day fast of repentance' },
+            { key: 'abiy-tsom', offset: 14, type: 'fast', name: 'Great Lent begins (ዐቢይ ጾም)', description: 'Start of the 55-day Lenten fast before Fasika' },
+            { key: 'debre-zeit', offset: 41, type: 'feast', name: 'Debre Zeit (ደብረ ዘይት)', description: 'Mid-Lent, Mount of Olives teaching' },
+            { key: 'hosanna', offset: 62, type: 'feast', name: 'Palm Sunday (ሆሳዕና)', description: 'Triumphal entry into Jerusalem' },
+            { key: 'siklet', offset: 67, type: 'feast', name: 'Good Friday (ስቅለት)', description: 'Crucifixion of Christ' },
+            { key: 'fasika', offset: 69, type: 'feast', name: 'Ethiopian Easter (ፋሲካ)', description: 'Resurrection of Christ' },
+            { key: 'erget', offset: 108, type: 'feast', name: 'Ascension (ዕርገት)', description: 'Ascension of Christ, 40 days after Fasika' },
+            { key: 'paraclete', offset: 118, type: 'feast', name: 'Pentecost (ጰራቅሊጦስ)', description: 'Descent of the Holy Spirit, 50 days after Fasika' }
+        ];
+
+        return feasts.map(({ offset, ...feast }) => {
+            const date = this.jdnToEthiopian(ninevehJdn + offset);
+            return { ...feast, year: date.year, month: this.monthIds[date.month - 1], day: date.day };
+        });
+    }
+
+    formatDate(date) {
+        return `${this.shortMonthNames[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+    }
+
+    formatRange(start, end) {
+        const startMonth = this.shortMonthNames[start.getMonth()];
+        const endMonth = this.shortMonthNames[end.getMonth()];
+
+        if (start.getFullYear() !== end.getFullYear()) {
+            return `${this.formatDate(start)} - ${this.formatDate(end)}`;
+        }
+        if (start.getMonth() === end.getMonth()) {
+            return `${startMonth} ${start.getDate()}-${end.getDate()}, ${end.getFullYear()}`;
+        }
+        return `${startMonth} ${start.getDate()} - ${endMonth} ${end.getDate()}, ${end.getFullYear()}`;
     }
 }
 
 // ===================================
-// MAIN BIBLE PLANNER CLASS
+// SCRIPTURE REFERENCE MODULE
 // ===================================
-class EthiopianBiblePlanner {
+/**
+ * Parses reading strings such as "Genesis 1-11" or
+ * "Romans 3:21-26; Ephesians 2:1-10" into book/chapter/verse ranges,
+ * checked against the canonical 66-book table (with USFM book codes). A
+ * verse of null means the range starts or ends on a chapter boundary.
+ */
+class ScriptureParser {
     constructor() {
-        this.storage = new StorageManager();
-        this.ui = new UIManager();
-        this.analytics = new AnalyticsManager();
-        
-        this.state = {
-            activeTab: 'calendar',
-            selectedMonth: 'meskerem',
-            selectedPlan: 'chronological',
-            expandedWeeks: {},
-            completedReadings: {},
-            showStats: false,
-            darkMode: false,
-            reminderTime: '07:00'
-        };
+        this.books = [
+            ['GEN', 'Genesis', 50], ['EXO', 'Exodus', 40], ['LEV', 'Leviticus', 27], ['NUM', 'Numbers', 36], ['DEU', 'Deuteronomy', 34],
+            ['JOS', 'Joshua', 24], ['JDG', 'Judges', 21], ['RUT', 'Ruth', 4], ['1SA', '1 Samuel', 31], ['2SA', '2 Samuel', 24],
+            ['1KI', '1 Kings', 22], ['2KI', '2 Kings', 25], ['1CH', '1 Chronicles', 29], ['2CH', '2 Chronicles', 36], ['EZR', 'Ezra', 10],
+            ['NEH', 'Nehemiah', 13], ['EST', 'Esther', 10], ['JOB', 'Job', 42], ['PSA', 'Psalms', 150, ['Psalm']], ['PRO', 'Proverbs', 31],
+            ['ECC', 'Ecclesiastes', 12], ['SNG', 'Song of Songs', 8, ['Song of Solomon']], ['ISA', 'Isaiah', 66], ['JER', 'Jeremiah', 52], ['LAM', 'Lamentations', 5],
+            ['EZK', 'Ezekiel', 48], ['DAN', 'Daniel', 12], ['HOS', 'Hosea', 14], ['JOL', 'Joel', 3], ['AMO', 'Amos', 9],
+            ['OBA', 'Obadiah', 1], ['JON', 'Jonah', 4], ['MIC', 'Micah', 7], ['NAM', 'Nahum', 3], ['HAB', 'Habakkuk', 3],
+            ['ZEP', 'Zephaniah', 3], ['HAG', 'Haggai', 2], ['ZEC', 'Zechariah', 14], ['MAL', 'Malachi', 4],
+            ['MAT', 'Matthew', 28], ['MRK', 'Mark', 16], ['LUK', 'Luke', 24], ['JHN', 'John', 21], ['ACT', 'Acts', 28],
+            ['ROM', 'Romans', 16], ['1CO', '1 Corinthians', 16], ['2CO', '2 Corinthians', 13], ['GAL', 'Galatians', 6], ['EPH', 'Ephesians', 6],
+            ['PHP', 'Philippians', 4], ['COL', 'Colossians', 4], ['1TH', '1 Thessalonians', 5], ['2TH', '2 Thessalonians', 3], ['1TI', '1 Timothy', 6],
+            ['2TI', '2 Timothy', 4], ['TIT', 'Titus', 3], ['PHM', 'Philemon', 1], ['HEB', 'Hebrews', 13], ['JAS', 'James', 5],
+            ['1PE', '1 Peter', 5], ['2PE', '2 Peter', 3], ['1JN', '1 John', 5], ['2JN', '2 John', 1], ['3JN', '3 John', 1],
+            ['JUD', 'Jude', 1], ['REV', 'Revelation', 22, ['Revelations']]
+        ].map(([code, name, chapters, aliases = []], index) => ({
+            id: name.toLowerCase().replace(/\s+/g, '-'),
+            code,
+            name,
+            chapters,
+            testament: index < 39 ? 'OT' : 'NT',
+            order: index + 1,
+            aliases
+        }));
 
-        this.brandColors = {
-            primary: '#205782',
-            secondary: '#f2842f',
-            accent: '#2e8b57',
-            light: '#e6f2ff',
-            warm: '#fff5eb',
-            success: '#10b981'
-        };
+        this.bookLookup = new Map();
+        this.books.forEach(book => {
+            [book.name, ...book.aliases].forEach(name => this.bookLookup.set(name.toLowerCase(), book));
+        });
 
-        this.ethiopianMonths = [];
-        this.holyDays = [];
-        this.ministryEvents = [];
-        this.chronologicalPlan = {};
-        this.ntIntensive = [];
-        this.discipleshipWeeks = [];
+        // Longest names first so "1 John" wins over "John"
+        const names = [...this.bookLookup.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/\s+/g, '\\s+'));
+        this.bookPattern = new RegExp(`^(${names.join('|')})(?![a-z])\\s*(.*)$`, 'i');
+        this.referencePattern = new RegExp(`^(${names.join('|')})(?=$|\\s*\\d|\\s*[,;])`, 'i');
+    }
 
-        this.saveDebounceTimer = null;
-        this.touchStartX = 0;
-        this.touchEndX = 0;
-        
-        this.initializeAllData();
+    getBook(name) {
+        return this.bookLookup.get(String(name).trim().replace(/\s+/g, ' ').toLowerCase()) || null;
     }
 
-    // ===================================
-    // DATA INITIALIZATION
-    // ===================================
-    initializeAllData() {
+    /**
+     * True when the text starts like a reference ("Philemon", "John 3")
+     * rather than a label such as "Romans & Corinthians" or "Review Matthew".
+     */
+    isReference(text) {
+        return this.referencePattern.test(String(text).trim());
+    }
+
+    /**
+     * @param {string} text - references separated by ";" or ","; a segment
+     *   without a book continues the previous one, as verses after a comma
+     *   and as chapters after a semicolon ("John 3:16, 18; 4")
+     * @returns {Array<{book: string, bookId: string, start: {chapter: number, verse: number|null}, end: {chapter: number, verse: number|null}}>}
+     * @throws {SyntaxError} when a segment cannot be read
+     * @throws {RangeError} when a chapter or verse is outside the book
+     */
+    parse(text) {
+        const parts = String(text).split(/([;,])/);
+        const segments = [];
+        for (let i = 0; i < parts.length; i += 2) {
+            const segment = parts[i].trim();
+            if (segment) segments.push({ segment, separator: parts[i - 1] || null });
+        }
+        if (segments.length === 0) {
+            throw new SyntaxError('Empty scripture reference');
+        }
+
+        const passages = [];
+        let previous = null;
+
+        segments.forEach(({ segment, separator }) => {
+            const match = segment.match(this.bookPattern);
+            let book;
+            let spec;
+
+            if (match) {
+                book = this.getBook(match[1]);
+                spec = match[2].trim();
+            } else if (previous && /^\d/.test(segment)) {
+                book = this.getBook(previous.book);
+                spec = segment;
+                // "John 3:16, 18" continues with verses of the same chapter
+                if (separator === ',' && previous.end.verse !== null && !spec.includes(':')) {
+                    spec = `${previous.end.chapter}:${spec}`;
+                }
+            } else {
+                throw new SyntaxError(`Unknown book in "${segment}"`);
+            }
+
+            const passage = this.parseRange(book, spec, segment);
+            passages.push(passage);
+            previous = passage;
+        });
+
+        return passages;
+    }
+
+    /**
+     * @example parseRange(jude, '24') // Jude 1:24
+     * @example parseRange(obadiah, '1-21') // Obadiah 1:1-21
+     */
+    parseRange(book, spec, segment) {
+        if (spec === '') {
+            return this.createPassage(book, { chapter: 1, verse: null }, { chapter: book.chapters, verse: null }, segment);
+        }
+        // Single-chapter books are cited by verse alone ("Jude 24")
+        if (book.chapters === 1 && !spec.includes(':')) {
+            spec = `1:${spec}`;
+        }
+
+        const range = spec.match(/^(\d+)(?::(\d+))?(?:\s*[-–]\s*(\d+)(?::(\d+))?)?$/);
+        if (!range) {
+            throw new SyntaxError(`Cannot read "${segment}"`);
+        }
+
+        const [, startChapter, startVerse, endFirst, endVerse] = range;
+        const start = { chapter: Number(startChapter), verse: startVerse ? Number(startVerse) : null };
+        let end;
+
+        if (endFirst === undefined) {
+            end = { ...start };
+        } else if (endVerse !== undefined) {
+            end = { chapter: Number(endFirst), verse: Number(endVerse) };
+        } else if (start.verse !== null) {
+            // "3:21-26" is a verse range within chapter 3
+            end = { chapter: start.chapter, verse: Number(endFirst) };
+        } else {
+            end = { chapter: Number(endFirst), verse: null };
+        }
+
+        if (start.verse !== null && end.verse === null) {
+            end = { ...end, verse: start.chapter === end.chapter ? start.verse : null };
+        }
+
+        return this.createPassage(book, start, end, segment);
+    }
+
+    createPassage(book, start, end, segment) {
+        const chapterInRange = chapter => chapter >= 1 && chapter <= book.chapters;
+        if (!chapterInRange(start.chapter) || !chapterInRange(end.chapter)) {
+            throw new RangeError(`${book.name} has chapters 1-${book.chapters} ("${segment}")`);
+        }
+        if ((start.verse !== null && start.verse < 1) || (end.verse !== null && end.verse < 1)) {
+            throw new RangeError(`Verses start at 1 ("${segment}")`);
+        }
+        if (this.comparePoints(start, end) > 0) {
+            throw new RangeError(`Range ends before it starts ("${segment}")`);
+        }
+
+        return { book: book.name, bookId: book.id, start, end };
+    }
+
+    comparePoints(a, b) {
+        if (a.chapter !== b.chapter) return a.chapter - b.chapter;
+        // A null verse is the whole chapter, so it sorts as open-ended
+        return (a.verse || 0) - (b.verse || 0);
+    }
+
+    /**
+     * Chapters touched by the passages; a partial chapter counts once.
+     */
+    countChapters(passages) {
+        const chapters = new Set();
+        passages.forEach(({ bookId, start, end }) => {
+            for (let chapter = start.chapter; chapter <= end.chapter; chapter++) {
+                chapters.add(`${bookId}:${chapter}`);
+            }
+        });
+        return chapters.size;
+    }
+
+    /**
+     * Whether two passages share at least one verse. Whole-chapter bounds
+     * are treated as covering every verse of that chapter.
+     */
+    overlaps(a, b) {
+        if (a.bookId !== b.bookId) return false;
+        const startsAfterEnd = (start, end) => start.chapter > end.chapter ||
+            (start.chapter === end.chapter && start.verse !== null && end.verse !== null && start.verse > end.verse);
+        return !startsAfterEnd(a.start, b.end) && !startsAfterEnd(b.start, a.end);
+    }
+
+    format({ book, start, end }) {
+        const point = ({ chapter, verse }) => (verse === null ? `${chapter}` : `${chapter}:${verse}`);
+
+        if (start.verse === null && end.verse === null) {
+            if (this.getBook(book).chapters === 1) return book;
+            return start.chapter === end.chapter ? `${book} ${start.chapter}` : `${book} ${start.chapter}-${end.chapter}`;
+        }
+        if (this.getBook(book).chapters === 1) {
+            return start.verse === end.verse ? `${book} ${start.verse}` : `${book} ${start.verse}-${end.verse}`;
+        }
+        if (start.chapter === end.chapter) {
+            return start.verse === end.verse ? `${book} ${point(start)}` : `${book} ${start.chapter}:${start.verse}-${end.verse}`;
+        }
+        return `${book} ${point(start)}-${point(end)}`;
+    }
+}
+
+// ===================================
+// BIBLE TEXT MODULE
+// ===================================
+/**
+ * Reads the bundled public-domain Bible text in /data/bible/<translation>/,
+ * one JSON file per book named by its USFM code. Books are fetched on first
+ * use and kept in the Cache API so they can be read again offline.
+ */
+class BibleTextStore {
+    /**
+     * @param {ScriptureParser} scripture
+     * @param {string} [translation] - directory under /data/bible
+     */
+    constructor(scripture, translation = 'web') {
+        this.scripture = scripture;
+        this.basePath = `/data/bible/${translation}`;
+        this.cacheName = `bible-planner-text-${translation}`;
+        this.manifest = null;
+        this.books = new Map();
+    }
+
+    async openCache() {
+        if (typeof caches === 'undefined') return null;
         try {
-            this.initializeMonthsAndEvents();
-            this.initializeChronologicalPlan();
-            this.initializeNT90Plan();
-            this.initializeDiscipleshipWeeks();
-            console.log('✓ All data initialized successfully');
+            return await caches.open(this.cacheName);
         } catch (error) {
-            console.error('Failed to initialize data:', error);
+            console.warn('Bible text cache unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Book files never change, so they are served from the cache first. The
+     * manifest prefers the network so newly bundled books show up.
+     */
+    async fetchJson(url, { cacheFirst }) {
+        const cache = await this.openCache();
+
+        if (cache && cacheFirst) {
+            const cached = await cache.match(url);
+            if (cached) return cached.json();
+        }
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${url} (${response.status})`);
+            }
+            if (cache) await cache.put(url, response.clone());
+            return response.json();
+        } catch (error) {
+            const cached = cache && !cacheFirst ? await cache.match(url) : null;
+            if (cached) return cached.json();
             throw error;
         }
     }
 
-    initializeMonthsAndEvents() {
-        this.ethiopianMonths = [
-            { id: 'meskerem', name: 'Meskerem (መስከረም)', days: 30, gregorian: 'Sep 11 - Oct 10, 2024', season: 'Spring' },
-            { id: 'tikimt', name: 'Tikimt (ጥቅምት)', days: 30, gregorian: 'Oct 11 - Nov 9, 2024', season: 'Spring' },
-            { id: 'hidar', name: 'Hidar (ኅዳር)', days: 30, gregorian: 'Nov 10 - Dec 9, 2024', season: 'Spring' },
-            { id: 'tahsas', name: 'Tahsas (ታኅሣሥ)', days: 30, gregorian: 'Dec 10, 2024 - Jan 8, 2025', season: 'Winter' },
-            { id: 'tir', name: 'Tir (ጥር)', days: 30, gregorian: 'Jan 9 - Feb 7, 2025', season: 'Winter' },
-            { id: 'yekatit', name: 'Yekatit (የካቲት)', days: 30, gregorian: 'Feb 8 - Mar 9, 2025', season: 'Winter' },
-            { id: 'megabit', name: 'Megabit (መጋቢት)', days: 30, gregorian: 'Mar 10 - Apr 8, 2025', season: 'Summer' },
-            { id: 'miazia', name: 'Miazia (ሚያዝያ)', days: 30, gregorian: 'Apr 9 - May 8, 2025', season: 'Summer' },
-            { id: 'ginbot', name: 'Ginbot (ግንቦት)', days: 30, gregorian: 'May 9 - Jun 7, 2025', season: 'Summer' },
-            { id: 'sene', name: 'Sene (ሰኔ)', days: 30, gregorian: 'Jun 8 - Jul 7, 2025', season: 'Rainy' },
-            { id: 'hamle', name: 'Hamle (ሐምሌ)', days: 30, gregorian: 'Jul 8 - Aug 6, 2025', season: 'Rainy' },
-            { id: 'nehase', name: 'Nehase (ነሐሴ)', days: 30, gregorian: 'Aug 7 - Sep 5, 2025', season: 'Rainy' },
-            { id: 'pagume', name: 'Pagume (ጳጉሜን)', days: 5, gregorian: 'Sep 6-10, 2025', season: 'Special' }
-        ];
+    /**
+     * @returns {Promise<{id: string, name: string, license: string, books: string[]}>}
+     */
+    getManifest() {
+        if (!this.manifest) {
+            this.manifest = this.fetchJson(`${this.basePath}/index.json`, { cacheFirst: false })
+                .catch(error => {
+                    this.manifest = null;
+                    throw error;
+                });
+        }
+        return this.manifest;
+    }
 
-        this.holyDays = [
-            { month: 'meskerem', day: 1, name: 'Ethiopian New Year (እንቁጣጣሽ)', date: 'Sep 11, 2025', description: 'New Year celebration' },
-            { month: 'meskerem', day: 17, name: 'Finding of True Cross (መስቀል)', date: 'Sep 27, 2025', description: 'Meskel festival' },
-            { month: 'tahsas', day: 29, name: 'Ethiopian Christmas (ገና/ልደት)', date: 'Jan 7, 2026', description: 'Birth of Christ' },
-            { month: 'tir', day: 11, name: 'Epiphany/Timkat (ጥምቀት)', date: 'Jan 19, 2026', description: 'Baptism of Jesus' },
-            { month: 'nehase', day: 16, name: 'Assumption of Mary (ፍልሰታ)', date: 'Aug 22, 2026', description: 'Filseta celebration' }
-        ];
+    /**
+     * @returns {Promise<{code: string, chapters: string[][]}>} verse text by chapter
+     */
+    loadBook(book) {
+        if (!this.books.has(book.code)) {
+            const request = this.fetchJson(`${this.basePath}/${book.code}.json`, { cacheFirst: true })
+                .catch(error => {
+                    this.books.delete(book.code);
+                    throw error;
+                });
+            this.books.set(book.code, request);
+        }
+        return this.books.get(book.code);
+    }
 
-        this.ministryEvents = [
-            { month: 'tir', day: 4, name: 'Ministry Establishment', date: 'Jan 12, 2025', type: 'milestone', description: 'Foundation of ministry work' },
-            { month: 'meskerem', day: 1, name: 'Phase 1 Launch (Arsi & Bale)', date: 'Sep 11, 2025', type: 'launch', description: 'Beginning outreach in Arsi and Bale regions' },
-            { month: 'megabit', day: 1, name: 'Mid-Year Evaluation', date: 'Mar 10, 2026', type: 'evaluation', description: 'Review progress and adjust strategies' },
-            { month: 'nehase', day: 30, name: 'Phase 1 Completion', date: 'Sep 5, 2026', type: 'milestone', description: 'Celebrate first year achievements' }
-        ];
+    /**
+     * Text for every passage in a reference string. Passages from books that
+     * aren't bundled come back with `available: false` instead of failing.
+     */
+    async getPassages(reference) {
+        const passages = this.scripture.parse(reference);
+        const manifest = await this.getManifest();
+
+        return Promise.all(passages.map(async passage => {
+            const book = this.scripture.getBook(passage.book);
+            const result = { reference: this.scripture.format(passage), book: book.name, available: false, chapters: [] };
+            if (!manifest.books.includes(book.code)) return result;
+
+            const data = await this.loadBook(book);
+            for (let chapter = passage.start.chapter; chapter <= passage.end.chapter; chapter++) {
+                const verses = data.chapters[chapter - 1] || [];
+                const first = chapter === passage.start.chapter && passage.start.verse ? passage.start.verse : 1;
+                const last = chapter === passage.end.chapter && passage.end.verse ? passage.end.verse : verses.length;
+
+                result.chapters.push({
+                    chapter,
+                    verses: verses.slice(first - 1, last)
+                        .map((text, idx) => ({ verse: first + idx, text }))
+                        .filter(verse => verse.text)
+                });
+            }
+            return { ...result, available: true };
+        }));
     }
 
-    initializeChronologicalPlan() {
-        this.chronologicalPlan = {
-            meskerem: { 
-                weeks: 4, 
-                reading: 'Genesis 1-50; Exodus 1-14', 
-                theme: 'Creation to Exodus',
-                weeklyBreakdown: [
-                    {
-                        week: 1,
-                        focus: 'Creation & Fall',
-                        readings: 'Genesis 1-11',
-                        keyThemes: 'God as Creator, Human Sin, Covenant Beginnings',
-                        studyQuestions: [
-                            'What does Creation teach us about God\'s character?',
-                            'How does the Fall affect our relationship with God?',
-                            'What promises do we see in the early covenants?'
-                        ],
-                        memoryVerse: 'Genesis 1:1 - "In the beginning God created the heavens and the earth."',
-                        practicalApplication: 'Reflect on God as Creator in your daily life. Take time each day to notice His creation around you.'
-                    },
-                    {
-                        week: 2,
-                        focus: 'Patriarchs: Abraham',
-                        readings: 'Genesis 12-25',
-                        keyThemes: 'Faith, Promise, Testing, Provision',
-                        studyQuestions: [
-                            'How did Abraham demonstrate faith?',
-                            'What can we learn from Abraham\'s mistakes?',
-                            'How does God fulfill His promises?'
-                        ],
-                        memoryVerse: 'Genesis 15:6 - "Abram believed the LORD, and he credited it to him as righteousness."',
-                        practicalApplication: 'Step out in faith in one area this week. Trust God with something that seems impossible.'
-                    },
-                    {
-                        week: 3,
-                        focus: 'Patriarchs: Jacob & Joseph',
-                        readings: 'Genesis 26-50',
-                        keyThemes: 'Transformation, Forgiveness, Sovereignty',
-                        studyQuestions: [
-                            'How did God transform Jacob\'s character?',
-                            'What does Joseph\'s story teach about forgiveness?',
-                            'How does God work through difficult circumstances?'
-                        ],
-                        memoryVerse: 'Genesis 50:20 - "You intended to harm me, but God intended it for good."',
-                        practicalApplication: 'Practice forgiveness in a relationship. Choose to see God\'s purpose in difficulties.'
-                    },
-                    {
-                        week: 4,
-                        focus: 'Exodus Begins',
-                        readings: 'Exodus 1-14',
-                        keyThemes: 'Deliverance, Passover, Faith in Crisis',
-                        studyQuestions: [
-                            'How does God hear the cries of His people?',
-                            'What does the Passover teach us about redemption?',
-                            'How can we trust God in impossible situations?'
-                        ],
-                        memoryVerse: 'Exodus 14:14 - "The LORD will fight for you; you need only to be still."',
-                        practicalApplication: 'Trust God with an impossible situation. Stand still and watch Him work.'
-                    }
-                ]
-            },
-            tikimt: { 
-                weeks: 4, 
-                reading: 'Exodus 15-40; Leviticus 1-27', 
-                theme: 'Wilderness & Law',
-                weeklyBreakdown: [
-                    {
-                        week: 5,
-                        focus: 'Wilderness Journey',
-                        readings: 'Exodus 15-18',
-                        keyThemes: 'Provision, Testing, Leadership',
-                        studyQuestions: [
-                            'How does God provide in the wilderness?',
-                            'What can we learn from Israel\'s complaining?',
-                            'How does God raise up leaders?'
-                        ],
-                        memoryVerse: 'Exodus 15:2 - "The LORD is my strength and my defense."',
-                        practicalApplication: 'Thank God for His daily provision. List three ways He has provided for you this week.'
-                    },
-                    {
-                        week: 6,
-                        focus: 'The Ten Commandments',
-                        readings: 'Exodus 19-24',
-                        keyThemes: 'Law, Covenant, Holiness',
-                        studyQuestions: [
-                            'What is the purpose of the Ten Commandments?',
-                            'How does the law reveal God\'s character?',
-                            'What does it mean to be a holy nation?'
-                        ],
-                        memoryVerse: 'Exodus 20:1-3 - "I am the LORD your God... You shall have no other gods before me."',
-                        practicalApplication: 'Apply one commandment specifically this week. Choose one and live it intentionally.'
-                    },
-                    {
-                        week: 7,
-                        focus: 'Tabernacle & Worship',
-                        readings: 'Exodus 25-40',
-                        keyThemes: 'Worship, Presence, Obedience',
-                        studyQuestions: [
-                            'What does the tabernacle teach about God\'s presence?',
-                            'Why is detailed obedience important in worship?',
-                            'How does God respond to disobedience?'
-                        ],
-                        memoryVerse: 'Exodus 25:8 - "Have them make a sanctuary for me, and I will dwell among them."',
-                        practicalApplication: 'Create a dedicated space for prayer in your home. Make worship a priority.'
-                    },
-                    {
-                        week: 8,
-                        focus: 'Laws of Holiness',
-                        readings: 'Leviticus 1-27',
-                        keyThemes: 'Sacrifice, Purity, Atonement',
-                        studyQuestions: [
-                            'What do the sacrifices teach about sin and forgiveness?',
-                            'How does holiness affect everyday life?',
-                            'What principles of purity apply today?'
-                        ],
-                        memoryVerse: 'Leviticus 19:2 - "Be holy because I, the LORD your God, am holy."',
-                        practicalApplication: 'Practice holiness in your thoughts. Guard your mind against impurity.'
-                    }
-                ]
-            },
-            hidar: { 
-                weeks: 4, 
-                reading: 'Numbers 1-36; Deuteronomy 1-34', 
-                theme: 'Wilderness Wanderings',
-                weeklyBreakdown: [
-                    { week: 9, focus: 'Census & Organization', readings: 'Numbers 1-10', keyThemes: 'Order, Preparation, Guidance', studyQuestions: ['Why was numbering important?', 'How did God organize His people?', 'What can we learn about guidance?'], memoryVerse: 'Numbers 9:17 - "Whenever the cloud lifted..."', practicalApplication: 'Seek God\'s guidance this week.' },
-                    { week: 10, focus: 'Rebellion & Consequences', readings: 'Numbers 11-21', keyThemes: 'Complaining, Judgment, Faithfulness', studyQuestions: ['What were the consequences?', 'How did Moses handle rebellion?', 'What does the bronze snake teach?'], memoryVerse: 'Numbers 14:18 - "The LORD is slow to anger..."', practicalApplication: 'Guard against complaining.' },
-                    { week: 11, focus: 'Balaam & Preparation', readings: 'Numbers 22-36', keyThemes: 'Obedience, Blessing, Inheritance', studyQuestions: ['What can we learn from Balaam?', 'How did God turn curses into blessings?', 'What governs inheritance?'], memoryVerse: 'Numbers 23:19 - "God is not human..."', practicalApplication: 'Trust God turns difficulties to blessings.' },
-                    { week: 12, focus: 'Moses Final Sermons', readings: 'Deuteronomy 1-34', keyThemes: 'Covenant Renewal, Obedience, Choice', studyQuestions: ['What was Moses main message?', 'How does Deuteronomy summarize the relationship?', 'What does it mean to love God with all your heart?'], memoryVerse: 'Deuteronomy 6:4-5 - "Hear, O Israel..."', practicalApplication: 'Choose to love God wholeheartedly.' }
-                ]
-            },
-            tahsas: { 
-                weeks: 4, 
-                reading: 'Joshua 1-24; Judges 1-21; Ruth 1-4', 
-                theme: 'Conquest & Judges',
-                weeklyBreakdown: [
-                    { week: 13, focus: 'Conquest of Canaan', readings: 'Joshua 1-12', keyThemes: 'Courage, Obedience, Victory', studyQuestions: ['What was Joshua\'s key to success?', 'How did God demonstrate power at Jericho?', 'What consequences came from Achan\'s sin?'], memoryVerse: 'Joshua 1:9 - "Be strong and courageous..."', practicalApplication: 'Face a fear with courage.' },
-                    { week: 14, focus: 'Land Division & Covenant', readings: 'Joshua 13-24', keyThemes: 'Inheritance, Faithfulness, Service', studyQuestions: ['How was land divided?', 'What was Joshua\'s final challenge?', 'What does serving the LORD mean practically?'], memoryVerse: 'Joshua 24:15 - "As for me and my household..."', practicalApplication: 'Decide to serve God in your family.' },
-                    { week: 15, focus: 'Cycle of Judges', readings: 'Judges 1-16', keyThemes: 'Disobedience, Oppression, Deliverance', studyQuestions: ['What pattern repeats?', 'How did God use flawed leaders?', 'What can we learn from Samson?'], memoryVerse: 'Judges 21:25 - "Everyone did as they saw fit."', practicalApplication: 'Examine areas where you do what\'s right in your own eyes.' },
-                    { week: 16, focus: 'Ruth & Hope', readings: 'Judges 17-21; Ruth 1-4', keyThemes: 'Loyalty, Redemption, Providence', studyQuestions: ['How does Ruth demonstrate faithful love?', 'What does Boaz as redeemer teach about Christ?', 'How does God work through ordinary people?'], memoryVerse: 'Ruth 1:16 - "Where you go I will go..."', practicalApplication: 'Show loyal love to someone in need.' }
-                ]
-            },
-            tir: { 
-                weeks: 4, 
-                reading: '1 Samuel 1-31; 2 Samuel 1-24', 
-                theme: 'United Kingdom',
-                weeklyBreakdown: [
-                    { week: 17, focus: 'Samuel & Saul', readings: '1 Samuel 1-15', keyThemes: 'Prayer, Leadership, Obedience', studyQuestions: ['What can we learn from Hannah\'s prayer?', 'Why did people want a king?', 'What was Saul\'s fatal mistake?'], memoryVerse: '1 Samuel 15:22 - "To obey is better than sacrifice..."', practicalApplication: 'Choose obedience over outward religion.' },
-                    { week: 18, focus: 'David\'s Rise', readings: '1 Samuel 16-31', keyThemes: 'Anointing, Friendship, Patience', studyQuestions: ['Why was David chosen?', 'What made David and Jonathan\'s friendship special?', 'How did David handle opportunities to kill Saul?'], memoryVerse: '1 Samuel 16:7 - "The LORD looks at the heart."', practicalApplication: 'Value people for their heart character.' },
-                    { week: 19, focus: 'David\'s Reign', readings: '2 Samuel 1-12', keyThemes: 'Kingship, Covenant, Sin', studyQuestions: ['How did David establish his kingdom?', 'What was God\'s covenant with David?', 'What were the consequences of David\'s sin?'], memoryVerse: '2 Samuel 7:16 - "Your throne will be established forever."', practicalApplication: 'Remember actions have consequences.' },
-                    { week: 20, focus: 'Family Troubles', readings: '2 Samuel 13-24', keyThemes: 'Consequences, Repentance, Grace', studyQuestions: ['How did David\'s sin affect his family?', 'What can we learn from Absalom\'s rebellion?', 'How did David respond to discipline?'], memoryVerse: '2 Samuel 22:2-3 - "The LORD is my rock..."', practicalApplication: 'Run to God as refuge in consequences.' }
-                ]
-            },
-            yekatit: { 
-                weeks: 4, 
-                reading: '1 Kings 1-22; 2 Kings 1-25; 1 Chronicles 1-29', 
-                theme: 'Divided Kingdom',
-                weeklyBreakdown: [
-                    { week: 21, focus: 'Solomon\'s Reign', readings: '1 Kings 1-11; 1 Chronicles 1-9', keyThemes: 'Wisdom, Temple, Compromise', studyQuestions: ['What made Solomon\'s wisdom unique?', 'What was significant about the temple?', 'How did foreign wives lead him astray?'], memoryVerse: '1 Kings 3:9 - "Give your servant a discerning heart..."', practicalApplication: 'Ask God for wisdom.' },
-                    { week: 22, focus: 'Kingdom Divides', readings: '1 Kings 12-22; 1 Chronicles 10-21', keyThemes: 'Division, Prophets, Idolatry', studyQuestions: ['Why did the kingdom split?', 'How did prophets confront idolatry?', 'What can we learn from Ahab and Jezebel?'], memoryVerse: '1 Kings 18:21 - "How long will you waver..."', practicalApplication: 'Eliminate idols competing for your devotion.' },
-                    { week: 23, focus: 'Elisha & Decline', readings: '2 Kings 1-17; 1 Chronicles 22-29', keyThemes: 'Miracles, Faithfulness, Judgment', studyQuestions: ['How did Elisha\'s ministry differ?', 'Why was Israel taken captive?', 'What reforms did Hezekiah implement?'], memoryVerse: '2 Kings 17:13-14 - "The LORD warned... But they would not listen."', practicalApplication: 'Listen to godly counsel.' },
-                    { week: 24, focus: 'Judah\'s Fall', readings: '2 Kings 18-25; 2 Chronicles 1-36', keyThemes: 'Reform, Judgment, Hope', studyQuestions: ['What made Josiah\'s reforms significant?', 'Why did Judah go into exile?', 'What hope remained?'], memoryVerse: '2 Kings 23:25 - "Neither before nor after Josiah..."', practicalApplication: 'Be a person of spiritual reform.' }
-                ]
-            },
-            megabit: { 
-                weeks: 4, 
-                reading: 'Ezra 1-10; Nehemiah 1-13; Esther 1-10; Job 1-42', 
-                theme: 'Return & Restoration',
-                weeklyBreakdown: [
-                    { week: 25, focus: 'Return from Exile', readings: 'Ezra 1-10; Nehemiah 1-7', keyThemes: 'Restoration, Worship, Opposition', studyQuestions: ['How did God move Cyrus?', 'What challenges did exiles face?', 'How did Nehemiah lead rebuilding?'], memoryVerse: 'Ezra 1:1 - "The LORD moved the heart of Cyrus..."', practicalApplication: 'Trust God can move leaders\' hearts.' },
-                    { week: 26, focus: 'Spiritual Renewal', readings: 'Nehemiah 8-13; Esther 1-10', keyThemes: 'Word of God, Covenant, Providence', studyQuestions: ['How did reading the Law impact people?', 'What was significant about covenant renewal?', 'How did God use Esther?'], memoryVerse: 'Nehemiah 8:8 - "They read from the Book of the Law..."', practicalApplication: 'Commit to understanding God\'s Word better.' },
-                    { week: 27, focus: 'Job: Suffering & Sovereignty', readings: 'Job 1-21', keyThemes: 'Suffering, Justice, Mystery', studyQuestions: ['What do we learn about spiritual warfare?', 'How did friends misunderstand?', 'What questions did Job raise?'], memoryVerse: 'Job 1:21 - "The LORD gave and the LORD has taken away..."', practicalApplication: 'Praise God in difficult circumstances.' },
-                    { week: 28, focus: 'God Answers Job', readings: 'Job 22-42', keyThemes: 'Wisdom, Repentance, Restoration', studyQuestions: ['How did God answer Job?', 'What was God\'s main point?', 'How did Job\'s perspective change?'], memoryVerse: 'Job 42:5-6 - "My ears had heard... but now my eyes have seen..."', practicalApplication: 'Humble yourself before God\'s wisdom.' }
-                ]
-            },
-            miazia: { 
-                weeks: 4, 
-                reading: 'Psalms 1-150; Proverbs 1-31', 
-                theme: 'Wisdom & Worship',
-                weeklyBreakdown: [
-                    { week: 29, focus: 'Psalms of David', readings: 'Psalms 1-41', keyThemes: 'Worship, Lament, Trust', studyQuestions: ['What makes Psalms unique?', 'How do they express honest emotions?', 'What do we learn about God\'s character?'], memoryVerse: 'Psalm 1:1-2 - "Blessed is the one..."', practicalApplication: 'Use Psalms as model for prayers.' },
-                    { week: 30, focus: 'Worship & Wisdom', readings: 'Psalms 42-89; Proverbs 1-9', keyThemes: 'Refuge, Wisdom, Fear of God', studyQuestions: ['How do Psalms portray God as refuge?', 'What is the beginning of wisdom?', 'How does wisdom protect us?'], memoryVerse: 'Psalm 46:1 - "God is our refuge and strength..."', practicalApplication: 'Memorize one Psalm for times of trouble.' },
-                    { week: 31, focus: 'Songs of Ascent', readings: 'Psalms 90-118; Proverbs 10-20', keyThemes: 'Pilgrimage, Thanksgiving, Practical Wisdom', studyQuestions: ['What were Songs of Ascent for?', 'How do these express thanksgiving?', 'What practical wisdom offered?'], memoryVerse: 'Psalm 100:4-5 - "Enter his gates with thanksgiving..."', practicalApplication: 'Enter God\'s presence with thanksgiving daily.' },
-                    { week: 32, focus: 'Praise & Wisdom Conclusion', readings: 'Psalms 119-150; Proverbs 21-31', keyThemes: 'Word of God, Praise, Final Wisdom', studyQuestions: ['What does Psalm 119 teach about God\'s Word?', 'How do final psalms call us to praise?', 'What wisdom does the noble wife exemplify?'], memoryVerse: 'Psalm 119:105 - "Your word is a lamp..."', practicalApplication: 'Let God\'s Word guide decisions daily.' }
-                ]
-            },
-            ginbot: { 
-                weeks: 4, 
-                reading: 'Ecclesiastes 1-12; Song of Songs 1-8; Isaiah 1-66', 
-                theme: 'Prophets Begin',
-                weeklyBreakdown: [
-                    { week: 33, focus: 'Ecclesiastes & Song', readings: 'Ecclesiastes 1-12; Song of Songs 1-8', keyThemes: 'Meaning, Love, Joy', studyQuestions: ['What is meaning of life?', 'How does Song portray godly love?', 'What place do pleasure and work have?'], memoryVerse: 'Ecclesiastes 12:13 - "Fear God and keep his commandments..."', practicalApplication: 'Find satisfaction in God not earthly pursuits.' },
-                    { week: 34, focus: 'Isaiah: Judgment & Hope', readings: 'Isaiah 1-23', keyThemes: 'Sin, Judgment, Holiness', studyQuestions: ['What sins was Judah committing?', 'How does Isaiah describe holiness?', 'What judgments on nations?'], memoryVerse: 'Isaiah 6:3 - "Holy, holy, holy is the LORD..."', practicalApplication: 'Worship God for His holiness.' },
-                    { week: 35, focus: 'Isaiah: Trust & Messiah', readings: 'Isaiah 24-39', keyThemes: 'Trust, Salvation, Hezekiah', studyQuestions: ['Why not trust in alliances?', 'What messianic prophecies?', 'How did Hezekiah show faith and weakness?'], memoryVerse: 'Isaiah 26:3 - "You will keep in perfect peace..."', practicalApplication: 'Trust God completely.' },
-                    { week: 36, focus: 'Isaiah: Comfort & Restoration', readings: 'Isaiah 40-66', keyThemes: 'Comfort, Servant, New Creation', studyQuestions: ['How does Isaiah 40 comfort?', 'What do Servant Songs reveal about Jesus?', 'How is new creation described?'], memoryVerse: 'Isaiah 40:31 - "Those who hope in the LORD will renew..."', practicalApplication: 'Wait on the Lord for strength.' }
-                ]
+    /**
+     * Caches every bundled book, one at a time to spare slow connections.
+     * @param {function(number, number): void} [onProgress] - (done, total)
+     */
+    async downloadAll(onProgress = () => {}) {
+        const manifest = await this.getManifest();
+        const books = manifest.books.map(code => this.scripture.books.find(book => book.code === code)).filter(Boolean);
+
+        for (let i = 0; i < books.length; i++) {
+            await this.loadBook(books[i]);
+            onProgress(i + 1, books.length);
+        }
+        return books.length;
+    }
+}
+
+// ===================================
+// READING PLAN BUILDER MODULE
+// ===================================
+/**
+ * Error raised for an invalid plan request. `code` is one of
+ * 'unknown-book', 'chapter-range', 'invalid-date', 'no-selections',
+ * 'unknown-frequency' or 'invalid-length'; the planner shows a translation
+ * chosen by `code` and `params`.
+ */
+class PlanBuilderError extends Error {
+    /**
+     * @param {string} code
+     * @param {string} message
+     * @param {{book?: string, chapters?: number, frequency?: string}} [params]
+     */
+    constructor(code, message, params = {}) {
+        super(message);
+        this.name = 'PlanBuilderError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+/**
+ * Builds custom reading plans from book/chapter selections. Chapters are
+ * split as evenly as possible across the requested number of daily or
+ * weekly readings.
+ */
+class ReadingPlanBuilder {
+    /**
+     * @param {ScriptureParser} scripture - source of the book table
+     * @param {AnalyticsManager} analytics - formats reading dates as day keys
+     * @param {ProgressFileFormat} progressFile - checks start dates are real days
+     */
+    constructor(scripture, analytics, progressFile) {
+        this.scripture = scripture;
+        this.analytics = analytics;
+        this.progressFile = progressFile;
+        this.books = scripture.books;
+        this.frequencies = { daily: 1, weekly: 7 };
+    }
+
+    getBook(name) {
+        return this.scripture.getBook(name);
+    }
+
+    /**
+     * @param {{book: string, from?: number, to?: number}} selection - omitted
+     *   chapters default to the whole book
+     * @returns {Array<{book: string, chapter: number}>}
+     */
+    expandSelection({ book, from, to }) {
+        const entry = this.getBook(book);
+        if (!entry) {
+            throw new PlanBuilderError('unknown-book', `Unknown book: ${book}`, { book });
+        }
+
+        const first = from ? Number(from) : 1;
+        const last = to ? Number(to) : entry.chapters;
+        if (!Number.isInteger(first) || !Number.isInteger(last) || first < 1 || last > entry.chapters || first > last) {
+            throw new PlanBuilderError('chapter-range', `${book} has chapters 1-${entry.chapters}`, { book: entry.name, chapters: entry.chapters });
+        }
+
+        const chapters = [];
+        for (let chapter = first; chapter <= last; chapter++) {
+            chapters.push({ book: entry.name, chapter });
+        }
+        return chapters;
+    }
+
+    describeSelection(selection) {
+        return this.formatChapters(this.expandSelection(selection));
+    }
+
+    /**
+     * Groups consecutive chapters by book, e.g. "Genesis 49-50; Exodus 1".
+     * Single-chapter books are written by name alone, since "Jude 1" would
+     * read as one verse.
+     */
+    formatChapters(chapters) {
+        const groups = [];
+        chapters.forEach(({ book, chapter }) => {
+            const last = groups[groups.length - 1];
+            if (last && last.book === book && last.to === chapter - 1) {
+                last.to = chapter;
+            } else {
+                groups.push({ book, from: chapter, to: chapter });
+            }
+        });
+
+        return groups
+            .map(({ book, from, to }) => {
+                if (this.getBook(book).chapters === 1) return book;
+                return from === to ? `${book} ${from}` : `${book} ${from}-${to}`;
+            })
+            .join('; ');
+    }
+
+    /**
+     * Splits items into `parts` consecutive slices whose sizes differ by at
+     * most one.
+     */
+    splitEvenly(items, parts) {
+        const slices = [];
+        for (let i = 0; i < parts; i++) {
+            const start = Math.floor((i * items.length) / parts);
+            const end = Math.floor(((i + 1) * items.length) / parts);
+            slices.push(items.slice(start, end));
+        }
+        return slices;
+    }
+
+    /**
+     * @param {string} value - YYYY-MM-DD; days that don't exist, like
+     *   2026-02-31, are rejected rather than rolled into the next month
+     * @returns {Date} local midnight on that day
+     */
+    parseDate(value) {
+        if (!this.progressFile.isDayKey(value)) {
+            throw new PlanBuilderError('invalid-date', 'Choose a valid start date');
+        }
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string} options.name
+     * @param {Array<{book: string, from?: number, to?: number}>} options.selections
+     * @param {string} options.startDate - YYYY-MM-DD
+     * @param {number} options.duration - number of readings (days or weeks)
+     * @param {'daily'|'weekly'} [options.frequency]
+     */
+    build({ name, selections, startDate, duration, frequency = 'daily' }) {
+        if (!selections || selections.length === 0) {
+            throw new PlanBuilderError('no-selections', 'Add at least one book or chapter range');
+        }
+        if (!this.frequencies[frequency]) {
+            throw new PlanBuilderError('unknown-frequency', `Unknown frequency: ${frequency}`, { frequency });
+        }
+
+        const chapters = selections.flatMap(selection => this.expandSelection(selection));
+        const count = Number(duration);
+        if (!Number.isInteger(count) || count < 1) {
+            throw new PlanBuilderError('invalid-length', 'Length must be a whole number of days or weeks');
+        }
+
+        // Never schedule a reading without at least one chapter
+        const parts = Math.min(count, chapters.length);
+        const start = this.parseDate(startDate);
+        const step = this.frequencies[frequency];
+
+        const readings = this.splitEvenly(chapters, parts).map((slice, idx) => {
+            const date = new Date(start);
+            date.setDate(date.getDate() + idx * step);
+            return {
+                index: idx + 1,
+                date: this.analytics.toDayKey(date),
+                reading: this.formatChapters(slice),
+                chapters: slice.length
+            };
+        });
+
+        return {
+            id: Date.now().toString(36),
+            name: String(name || '').trim() || selections.map(selection => selection.book).join(', '),
+            frequency,
+            startDate: this.analytics.toDayKey(start),
+            selections,
+            totalChapters: chapters.length,
+            createdAt: new Date().toISOString(),
+            readings
+        };
+    }
+}
+
+// ===================================
+// CATCH-UP SCHEDULER MODULE
+// ===================================
+/**
+ * Moves unfinished readings onto a new timetable for readers who fell
+ * behind. Schedules are plain { readingId: 'YYYY-MM-DD' } maps so they can
+ * be stored in planner state.
+ */
+class CatchUpScheduler {
+    constructor(analytics) {
+        this.analytics = analytics;
+    }
+
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setHours(0, 0, 0, 0);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    /**
+     * Readings scheduled before the one due `today` that are not completed.
+     * @param {Array<{id: string, date: string}>} entries - in plan order
+     * @param {Object<string, boolean>} completedReadings
+     * @param {Date} [today]
+     */
+    findMissed(entries, completedReadings, today = new Date()) {
+        const todayKey = this.analytics.toDayKey(today);
+        const currentKey = entries.reduce((latest, entry) =>
+            (entry.date <= todayKey && entry.date > latest ? entry.date : latest), '');
+
+        return entries.filter(entry => entry.date < currentKey && !completedReadings[entry.id]);
+    }
+
+    /**
+     * Spreads readings as evenly as possible from `startDate` to `endDate`,
+     * both inclusive; several readings can share a day when time is short.
+     * With more than one reading, the first falls on the start date and the
+     * last on the end date.
+     */
+    spreadUntil(readingIds, startDate, endDate) {
+        const days = Math.round((this.addDays(endDate, 0) - this.addDays(startDate, 0)) / 86400000) + 1;
+        if (days < 1) {
+            throw new Error('The end date must be on or after the start date');
+        }
+
+        const gaps = readingIds.length - 1;
+        return Object.fromEntries(readingIds.map((id, i) => [
+            id,
+            this.analytics.toDayKey(this.addDays(startDate, gaps > 0 ? Math.floor((i * (days - 1)) / gaps) : 0))
+        ]));
+    }
+
+    /**
+     * Keeps the plan's pace of one reading every `interval` days, pushing
+     * the end date back by however many readings were missed.
+     */
+    extend(readingIds, startDate, interval = 7) {
+        return Object.fromEntries(readingIds.map((id, i) => [
+            id,
+            this.analytics.toDayKey(this.addDays(startDate, i * interval))
+        ]));
+    }
+}
+
+// ===================================
+// I18N MANAGER MODULE
+// ===================================
+/**
+ * Translation layer for the planner. `t()` looks up UI strings and
+ * `translateContent()` looks up plan content by key; both fall back to English, so
+ * plan text can be translated a piece at a time. Bible book names inside
+ * references are translated by `reference()`.
+ *
+ * Memory verse quotations are deliberately left in English: they should come
+ * from a published Amharic or Oromo Bible rather than be translated here.
+ */
+class I18nManager {
+    constructor(language = 'en') {
+        this.languages = {
+            en: { label: 'English', htmlLang: 'en' },
+            am: { label: 'አማርኛ', htmlLang: 'am' },
+            om: { label: 'Afaan Oromoo', htmlLang: 'om' }
+        };
+
+        this.strings = {
+            en: {
+                plannerTitle: 'Ethiopian Calendar & Bible Study Planner',
+                tabCalendar: 'Calendar & Events',
+                tabCalendarShort: 'Calendar',
+                tabReading: 'Reading Plans',
+                tabReadingShort: 'Reading',
+                tabDiscipleship: 'Discipleship',
+                tabGroup: 'Group',
+                groupTitle: 'Small Group Progress',
+                groupSubtitle: "Load your members' progress files to see how the group is doing",
+                groupLoad: 'Load member files',
+                groupExportCsv: 'Download CSV',
+                groupClear: 'Clear',
+                groupEmpty: 'No member files loaded yet. Ask members to send their progress file from Backup & Restore.',
+                groupSummary: '{members} members • {behind} behind schedule',
+                groupMember: 'Member',
+                groupCompletion: 'Completion',
+                groupStreak: 'Streak',
+                groupCurrentWeek: 'Current week',
+                groupLastReading: 'Last reading',
+                groupStatus: 'Status',
+                groupStreakDays: '{count} days',
+                groupFinished: 'Finished',
+                groupUnverified: 'File was changed after export',
+                memberName: 'Your name for your group leader',
+                selectMonth: 'Select Ethiopian Month',
+                choosePlan: 'Choose Your Reading Plan',
+                reminders: 'Reminders',
+                addToCalendar: 'Add to Calendar',
+                backupRestore: 'Backup & Restore',
+                readingProgress: 'Reading Progress',
+                storageFull: 'Your device is out of storage space, so recent changes were not saved. Export a backup and free up space.',
+                storageAlmostFull: 'Browser storage is {percent}% full. Export a backup to keep your progress safe.',
+                storageBlocked: 'The planner is open in another tab with an older version. Close the other tabs to finish loading.',
+                storageVersionChange: 'The planner was updated in another tab. Reload this page to keep saving.',
+                storageMemoryOnly: 'This browser is not letting the planner save, so progress will be lost when you close the page. Export a backup to keep it.',
+                undo: 'Undo',
+                redo: 'Redo',
+                changeUndone: 'Change undone.',
+                changeRedone: 'Change redone.',
+                readingUnmarked: 'Reading marked as not read.',
+                restorePoints: 'Restore points',
+                restorePointsHint: 'Saved when the planner opens, about every hour while you use it, and before imports. The newest 10 are kept.',
+                restorePointsEmpty: 'No restore points yet.',
+                restorePointCreate: 'Save restore point',
+                restorePointRestore: 'Restore',
+                restorePointSummary: '{count} readings completed',
+                restorePointStartup: 'Opened planner',
+                restorePointAuto: 'Automatic',
+                restorePointManual: 'Saved by you',
+                restorePointBeforeImport: 'Before import',
+                restorePointBeforeRestore: 'Before restore',
+                restorePointConfirm: 'Go back to your progress from {date}? Your current progress will be saved as a restore point first.',
+                restorePointRestored: 'Progress restored.',
+                restorePointSaved: 'Restore point saved.',
+                restorePointFailed: 'Could not save restore point. Please try again.',
+                language: 'Language',
+                darkMode: 'Dark mode',
+                lightMode: 'Light mode',
+                statsTitle: 'Reading Statistics',
+                statsCompleted: 'Readings completed',
+                statsStreak: 'Day streak',
+                statsWeeklyAverage: 'Readings per week',
+                statsStrongestMonth: 'Most active month',
+                heatmapTitle: 'Reading activity',
+                heatmapLess: 'Less',
+                heatmapMore: 'More',
+                heatmapCell: '{date}: {count} readings',
+                monthlyCompletion: 'Completion by month',
+                paceTitle: 'Pace vs. plan',
+                paceAhead: '{count} weeks ahead of schedule',
+                paceBehind: '{count} weeks behind schedule',
+                paceOnTrack: 'On schedule',
+                paceDetail: '{completed} of {expected} scheduled weeks completed',
+                customPlanTitle: 'Custom Reading Plans',
+                customPlanSubtitle: 'Build your own plan from any books of the Bible',
+                customPlanEmpty: 'No custom plans yet. Build one above.',
+                customPlanSummary: '{count} {frequency} readings • {chapters} chapters • starts {date}',
+                customPlanProgress: '{completed} / {total} completed',
+                customPlanCreated: '✓ "{name}" created with {count} readings',
+                customPlanNeedsBooks: 'Add at least one book or chapter range',
+                customPlanDeleted: 'Plan deleted',
+                confirmDeletePlan: 'Delete "{name}" and its progress?',
+                deletePlan: 'Delete plan',
+                frequencyDaily: 'daily',
+                frequencyWeekly: 'weekly',
+                columnDate: 'Date',
+                oldTestament: 'Old Testament',
+                newTestament: 'New Testament',
+                planName: 'Plan name',
+                builderBook: 'Book',
+                builderFrom: 'From chapter',
+                builderTo: 'To chapter',
+                builderAdd: 'Add',
+                builderStart: 'Start date',
+                builderDuration: 'Length',
+                builderDays: 'days',
+                builderWeeks: 'weeks',
+                builderCreate: 'Create plan',
+                journal: 'Journal',
+                journalTitle: 'My Journal',
+                journalScripture: 'Scripture',
+                journalScriptureHint: 'Write out the verse that stood out to you',
+                journalObservation: 'Observation',
+                journalObservationHint: 'What is happening? What does it show about God?',
+                journalApplication: 'Application',
+                journalApplicationHint: 'How will you live this out this week?',
+                journalPrayer: 'Prayer',
+                journalPrayerHint: 'Write a prayer in response',
+                journalSave: 'Save entry',
+                journalDelete: 'Delete entry',
+                journalSaved: '✓ Journal entry saved',
+                journalDeleted: 'Journal entry deleted',
+                confirmDeleteEntry: 'Delete this journal entry?',
+                journalSearch: 'Search your journal',
+                journalEmpty: 'No journal entries yet. Tap Journal on any reading to start.',
+                journalNoResults: 'No entries match "{query}"',
+                journalEntryCount: 'Entries found: {count}',
+                journalInclude: 'Include my journal in exports',
+                readPassage: 'Read',
+                readerClose: 'Close',
+                readerDownload: 'Save Bible text for offline',
+                readerDownloading: 'Saving {done} / {total} books…',
+                readerDownloaded: '✓ {count} books saved for offline reading',
+                readerNotBundled: 'The text of {book} is not included in the app yet.',
+                readerOffline: 'This passage has not been saved on this device yet. Connect to the internet once to download it.',
+                readerError: 'Could not load this passage. Please try again.',
+                readerSource: '{name} • {license}',
+                progress: 'Progress: {percent}%',
+                progressCount: '{completed} / {total} readings',
+                planProgress: 'Progress by plan',
+                planNotStarted: 'Not started',
+                planInProgress: 'In progress',
+                progressSaved: '✓ Progress saved!',
+                monthCardDays: '{days} days • {season}',
+                seasonLabel: '{season} Season',
+                gregorianEquivalent: 'Gregorian Equivalent',
+                holyDays: 'Holy Days & Festivals',
+                ministryEvents: 'Ministry Events',
+                dayDate: 'Day {day} • {date}',
+                movableFeast: 'Movable feast',
+                movableFast: 'Movable fast',
+                noEvents: 'No special events scheduled for this month',
+                noEventsHint: 'Enjoy regular study and worship',
+                chronoTitle: 'One-Year Chronological Plan',
+                chronoSubtitle: 'Read through the entire Bible in Ethiopian calendar year order',
+                weeksCount: '{count} weeks',
+                weekTitle: 'Week {week}: {focus}',
+                weekLabel: 'Week {week}',
+                completed: 'Completed',
+                keyThemes: 'Key Themes',
+                memoryVerse: 'Memory Verse',
+                memoryPractice: 'Memory Verse Practice',
+                memorySummary: 'Due today: {due} · Mastered: {mastered} of {total}',
+                memoryCaughtUp: 'All caught up! Next review: {date}',
+                memoryNew: 'New',
+                memoryLearning: 'Learning',
+                memoryReviewing: 'Reviewing',
+                memoryMastered: 'Mastered',
+                memoryPeek: 'Show this word',
+                memoryRecallHint: 'Say the verse aloud, filling in the blanks. Tap a blank to peek.',
+                memoryGradeHint: 'How well did you remember it?',
+                memoryReveal: 'Check',
+                memoryAgain: 'Again',
+                memoryHard: 'Hard',
+                memoryGood: 'Good',
+                memoryEasy: 'Easy',
+                memoryShowMore: 'Show more',
+                memoryHideMore: 'Hide more',
+                memoryMasteredMessage: 'Verse mastered!',
+                leaderGuide: 'Leader Guide',
+                leaderGuideCourse: 'Leader guide for the full course',
+                leaderGuidePrint: 'Print / PDF',
+                leaderGuideDownload: 'Download',
+                leaderGuideNotes: 'Notes',
+                leaderGuideDownloaded: 'Leader guide downloaded',
+                catchUp: 'Catch Up',
+                catchUpIntro: 'Fell behind? Spread your remaining chronological readings over a new schedule.',
+                catchUpMissed: 'Missed readings: {count}',
+                catchUpOnTrack: 'You are on track with the chronological plan.',
+                catchUpActive: 'Following your catch-up schedule until {date}.',
+                catchUpModeEndDate: 'Finish by a new end date',
+                catchUpModeExtend: 'Keep one reading a week and extend the plan',
+                catchUpEndDate: 'New end date',
+                catchUpPreview: 'Preview',
+                catchUpApply: 'Apply new schedule',
+                catchUpCancel: 'Cancel',
+                catchUpClear: 'Return to original schedule',
+                catchUpSummary: '{count} readings from {start} to {end}',
+                catchUpPace: 'About {pace} readings per week',
+                catchUpMore: 'and {count} more',
+                catchUpApplied: 'Your reading plan has been rescheduled',
+                catchUpCleared: 'Back on the original schedule',
+                catchUpInvalidEnd: 'Choose an end date from today onward.',
+                catchUpNothing: 'There are no remaining readings to reschedule.',
+                catchUpReschedule: 'Reschedule',
+                scheduledFor: 'Due {date}',
+                practicalApplication: 'Practical Application',
+                studyQuestions: 'Study Questions',
+                nt90Title: '90-Day New Testament Intensive',
+                nt90Subtitle: 'Complete the New Testament in 3 months • 3 chapters per day',
+                columnDays: 'Days',
+                columnReading: 'Reading',
+                columnFocus: 'Focus',
+                columnStatus: 'Status',
+                dayLabel: 'Day {day}',
+                discipleshipTitle: '16-Week Discipleship Program',
+                discipleshipSubtitle: 'Comprehensive discipleship training for spiritual growth',
+                keyPassages: 'Key Passages: {passages}',
+                learningObjectives: 'Learning Objectives',
+                practicalActivities: 'Practical Activities',
+                discussionQuestions: 'Discussion Questions',
+                regionLabel: 'Arsi, Bale, Guji & Borena',
+                yearEc: '{year} E.C.',
+                previousYear: 'Previous Ethiopian year',
+                nextYear: 'Next Ethiopian year',
+                planChronoTitle: 'One-Year Chronological',
+                planChronoDescription: 'Entire Bible in story order • 3-4 chapters/day • 48 weeks',
+                planNt90Title: '90-Day New Testament',
+                planNt90Description: 'Perfect for new believers • 3 chapters/day • Complete NT in 3 months',
+                planCustomTitle: 'Custom Plans',
+                planCustomDescription: 'Pick your own books • Any start date • Daily or weekly readings',
+                reminderDaily: 'Daily reading reminder',
+                reminderTime: 'Time',
+                reminderUnsupported: 'Reminders are not supported in this browser.',
+                reminderPermission: 'Please allow notifications to receive reading reminders.',
+                reminderBlocked: 'Notifications are blocked. Allow them in your browser settings to get reminders.',
+                reminderSet: 'Reminder set for {time} daily. Today: {passage}',
+                remindersOff: 'Reminders are off.',
+                reminderScheduleFailed: 'Could not schedule reminders. Please try again.',
+                exportIntro: 'Export an .ics file for your phone or computer calendar',
+                exportChronological: 'Chronological weeks',
+                exportNt90: '90-Day NT days',
+                exportHolyDays: 'Holy days',
+                exportMinistryEvents: 'Ministry events',
+                exportStartDate: 'Plan start date',
+                exportDownload: 'Download .ics',
+                exportNeedsStart: 'Please choose a start date.',
+                exportNothing: 'Choose at least one set of readings or events to export.',
+                exportDone: 'Calendar exported! Open the file to add it to your phone calendar.',
+                exportFailed: 'Calendar export failed. Please try again.',
+                backupIntro: 'Save your progress to a file, or bring in progress from another device',
+                backupDownload: 'Download progress file',
+                backupImport: 'Import progress file',
+                importMerge: 'Merge with this device',
+                importReplace: "Replace this device's progress",
+                progressExported: 'Progress exported successfully!',
+                progressImported: 'Progress imported successfully!',
+                importFailedFile: 'Import failed. Please check the file.',
+                importFailed: 'Import failed. Please try again.',
+                importCorrupted: 'File may be corrupted. Import anyway?',
+                initFailed: 'Failed to initialize app. Please refresh the page.',
+                saveFailed: 'Failed to save progress. Please try again.',
+                streakCelebration: '🎉 {count} day streak! Keep it up!',
+                journalSaveFailed: 'Failed to save journal entry. Please try again.',
+                journalDeleteFailed: 'Failed to delete journal entry. Please try again.',
+                leaderGuideFailed: 'Leader guide export failed. Please try again.',
+                readingLabelChrono: '{month} week {week}: {reading}',
+                readingLabelNt90Day: 'NT90 day {day}: {reading}',
+                readingLabelNt90Days: 'NT90 days {days}: {reading}',
+                readingLabelDiscipleship: 'Discipleship week {week}: {topic}',
+                importPreviewMerge: 'Merge preview',
+                importPreviewReplace: 'Replace preview',
+                importWillComplete: '{count} reading(s) will be marked complete',
+                importWillUncomplete: '{count} reading(s) will be marked not complete',
+                importWillRedate: '{count} completion date(s) will change',
+                importPlansAdded: '{count} custom plan(s) will be added',
+                importPlansRemoved: '{count} custom plan(s) will be removed',
+                importJournalAdded: '{count} journal entry(s) will be added',
+                importJournalUpdated: '{count} journal entry(s) will be updated',
+                importJournalRemoved: '{count} journal entry(s) will be removed',
+                importMore: 'and {count} more',
+                importNoChanges: 'Your progress already includes everything in this file.',
+                importApplyMerge: 'Apply merge',
+                importApplyReplace: 'Replace progress',
+                importCancel: 'Cancel',
+                importClose: 'Close',
+                qrTitle: 'Move progress to another phone with QR codes',
+                qrShow: 'Show QR codes',
+                qrScan: 'Scan QR codes',
+                qrPasteLabel: 'Or paste the text read from the codes',
+                qrRestore: 'Restore from text',
+                qrCodeCount: 'Code {index} of {total}',
+                qrPrevious: 'Previous code',
+                qrNext: 'Next code',
+                qrCopy: 'Copy as text',
+                qrInstructions: 'On the other phone, open {backup} and tap {scan}.',
+                qrProgress: 'Read {count} of {total} codes',
+                qrCreateFailed: 'Could not create QR codes. Please download a progress file instead.',
+                qrCopied: 'Transfer text copied. Paste it into the planner on the other device.',
+                qrCopyFailed: 'Could not copy. Please scan the codes instead.',
+                qrNoCodes: 'No planner transfer codes found in that text.',
+                qrReadFailed: 'Could not read the transfer codes. Please show them again and rescan.',
+                qrUnsupported: 'This browser cannot scan QR codes. Scan them with your camera app and paste the text below.',
+                qrCameraFailed: 'Could not open the camera. Scan the codes with your camera app and paste the text below.',
+                groupLoadFailed: 'Could not load {files}',
+                groupFileInvalid: 'not a progress file.',
+                groupLoaded: 'Loaded {count} member file(s)',
+                groupExportEmpty: 'Load member files before exporting.',
+                groupCsvCompletedWeeks: 'Completed weeks',
+                groupCsvTotalWeeks: 'Total weeks',
+                groupCsvCompletion: 'Completion %',
+                groupCsvStreak: 'Streak (days)',
+                groupCsvWeeksBehind: 'Weeks behind',
+                groupCsvBehind: 'Behind',
+                groupCsvExported: 'Exported',
+                groupCsvVerified: 'Checksum verified',
+                groupCsvYes: 'yes',
+                groupCsvNo: 'no',
+                importFailedReason: 'Import failed. {reason}',
+                exportProgressFailed: 'Export failed. Please try again.',
+                progressErrorInvalidJson: 'This file is not valid JSON.',
+                progressErrorInvalidSchema: 'This is not a Bible planner progress file.',
+                progressErrorInvalidField: 'This file has an invalid "{field}" field (schema {version}).',
+                progressErrorTooNew: 'This file was exported by a newer version of the planner (schema {version}). Update the planner and try again.',
+                progressErrorTooOld: 'This file is from an old planner version (schema {version}) that can no longer be imported.',
+                progressErrorChecksum: 'This file does not match its checksum.',
+                progressErrorCrypto: 'This browser cannot verify backup files. Open the planner over HTTPS and try again.',
+                builderUnknownBook: 'Unknown book: {book}',
+                builderChapterRange: '{book} has chapters 1-{chapters}',
+                builderInvalidDate: 'Choose a valid start date',
+                builderUnknownFrequency: 'Unknown frequency: {frequency}',
+                builderInvalidLength: 'Length must be a whole number of days or weeks',
+                reminderNotificationTitle: 'Daily Bible Reading',
+                reminderNotificationBody: 'Open your planner to continue your reading plan.',
+                errorTitle: 'Something went wrong',
+                errorMessage: "We're sorry for the inconvenience. Please try refreshing the page.",
+                errorDetails: 'Error Details',
+                errorUnknown: 'Unknown error',
+                errorRestoreHint: 'If the problem is in your saved progress, you can go back to the restore point from {date}.',
+                errorRestoreButton: 'Restore Last Good Progress',
+                errorRestoring: 'Restoring...',
+                errorRestoreFailed: 'Restore failed. Try again',
+                errorRefresh: 'Refresh Page'
             },
-            sene: { 
-                weeks: 4, 
-                reading: 'Jeremiah 1-52; Lamentations 1-5', 
-                theme: 'Weeping Prophet',
-                weeklyBreakdown: [
-                    { week: 37, focus: 'Jeremiah\'s Call', readings: 'Jeremiah 1-20', keyThemes: 'Calling, Opposition, Lament', studyQuestions: ['How was Jeremiah called?', 'Why the weeping prophet?', 'How did people respond?'], memoryVerse: 'Jeremiah 1:7-8 - "Do not say I am too young..."', practicalApplication: 'Be obedient even when difficult.' },
-                    { week: 38, focus: 'Prophecies & False Prophets', readings: 'Jeremiah 21-36', keyThemes: 'True vs False, Covenant, Hope', studyQuestions: ['How distinguish true from false prophecy?', 'What was the new covenant?', 'How did Jeremiah show hope?'], memoryVerse: 'Jeremiah 29:11 - "I know the plans I have for you..."', practicalApplication: 'Trust God\'s good plans.' },
-                    { week: 39, focus: 'Fall of Jerusalem', readings: 'Jeremiah 37-52; Lamentations 1-5', keyThemes: 'Destruction, Grief, Faithfulness', studyQuestions: ['How did Jerusalem fall?', 'What can we learn about grief?', 'How did God remain faithful?'], memoryVerse: 'Lamentations 3:22-23 - "Because of the LORD\'s great love..."', practicalApplication: 'Remember God\'s faithfulness each morning.' },
-                    { week: 40, focus: 'Review & Reflection', readings: 'Review Jeremiah passages', keyThemes: 'God\'s Faithfulness', studyQuestions: ['What have you learned about God\'s character?', 'How does God show mercy in judgment?', 'What warnings apply today?'], memoryVerse: 'Jeremiah 31:3 - "I have loved you with an everlasting love..."', practicalApplication: 'Reflect on God\'s everlasting love.' }
-                ]
+            am: {
+                plannerTitle: 'የኢትዮጵያ ዘመን አቆጣጠር እና የመጽሐፍ ቅዱስ ጥናት እቅድ',
+                tabCalendar: 'ቀን መቁጠሪያ እና በዓላት',
+                tabCalendarShort: 'ቀን መቁጠሪያ',
+                tabReading: 'የንባብ እቅዶች',
+                tabReadingShort: 'ንባብ',
+                tabDiscipleship: 'ደቀ መዝሙርነት',
+                tabGroup: 'ቡድን',
+                groupTitle: 'የአነስተኛ ቡድን እድገት',
+                groupSubtitle: 'ቡድኑ እንዴት እየሄደ እንደሆነ ለማየት የአባላትዎን የእድገት ፋይሎች ይጫኑ',
+                groupLoad: 'የአባላት ፋይሎችን ይጫኑ',
+                groupExportCsv: 'CSV አውርድ',
+                groupClear: 'አጽዳ',
+                groupEmpty: 'እስካሁን የአባላት ፋይል አልተጫነም። አባላት የእድገት ፋይላቸውን ከምትኬ እና መመለሻ እንዲልኩ ይጠይቁ።',
+                groupSummary: '{members} አባላት • {behind} ከመርሐ ግብር ኋላ',
+                groupMember: 'አባል',
+                groupCompletion: 'ማጠናቀቅ',
+                groupStreak: 'ተከታታይ ቀናት',
+                groupCurrentWeek: 'የአሁኑ ሳምንት',
+                groupLastReading: 'የመጨረሻ ንባብ',
+                groupStatus: 'ሁኔታ',
+                groupStreakDays: '{count} ቀናት',
+                groupFinished: 'ተጠናቋል',
+                groupUnverified: 'ፋይሉ ከተላከ በኋላ ተቀይሯል',
+                memberName: 'ለቡድን መሪዎ የሚታይ ስምዎ',
+                selectMonth: 'የኢትዮጵያ ወር ይምረጡ',
+                choosePlan: 'የንባብ እቅድዎን ይምረጡ',
+                reminders: 'ማስታወሻ',
+                addToCalendar: 'ወደ ቀን መቁጠሪያ ያክሉ',
+                backupRestore: 'ምትኬ እና መመለሻ',
+                readingProgress: 'የንባብ ሂደት',
+                storageFull: 'የመሣሪያዎ ማከማቻ ስለሞላ የቅርብ ጊዜ ለውጦች አልተቀመጡም። መጠባበቂያ ያውርዱና ቦታ ያስለቅቁ።',
+                storageAlmostFull: 'የአሳሹ ማከማቻ {percent}% ሞልቷል። ሂደትዎን ለመጠበቅ መጠባበቂያ ያውርዱ።',
+                storageBlocked: 'እቅዱ በሌላ ትር ላይ በቆየ ስሪት ተከፍቷል። መጫኑን ለመጨረስ ሌሎቹን ትሮች ይዝጉ።',
+                storageVersionChange: 'እቅዱ በሌላ ትር ላይ ተዘምኗል። ማስቀመጥ ለመቀጠል ይህን ገጽ እንደገና ይጫኑ።',
+                storageMemoryOnly: 'ይህ አሳሽ እቅዱ እንዲያስቀምጥ እየፈቀደ አይደለም፤ ገጹን ሲዘጉ ሂደትዎ ይጠፋል። ለማቆየት መጠባበቂያ ያውርዱ።',
+                undo: 'ቀልብስ',
+                redo: 'እንደገና አድርግ',
+                changeUndone: 'ለውጡ ተቀልብሷል።',
+                changeRedone: 'ለውጡ እንደገና ተደርጓል።',
+                readingUnmarked: 'ንባቡ እንዳልተነበበ ምልክት ተደርጓል።',
+                restorePoints: 'የመመለሻ ነጥቦች',
+                restorePointsHint: 'እቅዱ ሲከፈት፣ በሚጠቀሙበት ጊዜ በየሰዓቱ እና ከማስገባት በፊት ይቀመጣሉ። አዲሶቹ 10 ይቀመጣሉ።',
+                restorePointsEmpty: 'እስካሁን የመመለሻ ነጥብ የለም።',
+                restorePointCreate: 'የመመለሻ ነጥብ አስቀምጥ',
+                restorePointRestore: 'መልስ',
+                restorePointSummary: '{count} ንባቦች ተጠናቀዋል',
+                restorePointStartup: 'እቅዱ ተከፈተ',
+                restorePointAuto: 'ራስ-ሰር',
+                restorePointManual: 'በእርስዎ የተቀመጠ',
+                restorePointBeforeImport: 'ከማስገባት በፊት',
+                restorePointBeforeRestore: 'ከመመለስ በፊት',
+                restorePointConfirm: 'ከ{date} ወደነበረው ሂደትዎ ይመለሱ? የአሁኑ ሂደትዎ መጀመሪያ እንደ መመለሻ ነጥብ ይቀመጣል።',
+                restorePointRestored: 'ሂደቱ ተመልሷል።',
+                restorePointSaved: 'የመመለሻ ነጥብ ተቀምጧል።',
+                restorePointFailed: 'የመመለሻ ነጥብ ማስቀመጥ አልተቻለም። እባክዎ እንደገና ይሞክሩ።',
+                language: 'ቋንቋ',
+                darkMode: 'ጨለማ ገጽታ',
+                lightMode: 'ብሩህ ገጽታ',
+                statsTitle: 'የንባብ ስታቲስቲክስ',
+                statsCompleted: 'የተጠናቀቁ ንባቦች',
+                statsStreak: 'ተከታታይ ቀናት',
+                statsWeeklyAverage: 'ንባቦች በሳምንት',
+                statsStrongestMonth: 'በጣም ንቁ ወር',
+                heatmapTitle: 'የንባብ እንቅስቃሴ',
+                heatmapLess: 'ያነሰ',
+                heatmapMore: 'የበለጠ',
+                heatmapCell: '{date}: {count} ንባቦች',
+                monthlyCompletion: 'በወር የተጠናቀቀ',
+                paceTitle: 'ፍጥነት ከእቅዱ አንጻር',
+                paceAhead: 'ከእቅዱ {count} ሳምንት ቀድመዋል',
+                paceBehind: 'ከእቅዱ {count} ሳምንት ዘግይተዋል',
+                paceOnTrack: 'በእቅዱ መሠረት ነዎት',
+                paceDetail: 'ከ{expected} የታቀዱ ሳምንታት {completed} ተጠናቀዋል',
+                customPlanTitle: 'የራስዎ የንባብ እቅዶች',
+                customPlanSubtitle: 'ከማንኛውም የመጽሐፍ ቅዱስ መጻሕፍት የራስዎን እቅድ ያዘጋጁ',
+                customPlanEmpty: 'እስካሁን የራስዎ እቅድ የለም። ከላይ ያዘጋጁ።',
+                customPlanSummary: '{count} {frequency} ንባቦች • {chapters} ምዕራፎች • የሚጀምረው {date}',
+                customPlanProgress: '{completed} / {total} ተጠናቀዋል',
+                customPlanCreated: '✓ "{name}" በ{count} ንባቦች ተፈጥሯል',
+                customPlanNeedsBooks: 'ቢያንስ አንድ መጽሐፍ ወይም የምዕራፍ ክልል ያክሉ',
+                customPlanDeleted: 'እቅዱ ተሰርዟል',
+                confirmDeletePlan: '"{name}" እና ሂደቱ ይሰረዙ?',
+                deletePlan: 'እቅዱን ሰርዝ',
+                frequencyDaily: 'ዕለታዊ',
+                frequencyWeekly: 'ሳምንታዊ',
+                columnDate: 'ቀን',
+                oldTestament: 'ብሉይ ኪዳን',
+                newTestament: 'አዲስ ኪዳን',
+                planName: 'የእቅድ ስም',
+                builderBook: 'መጽሐፍ',
+                builderFrom: 'ከምዕራፍ',
+                builderTo: 'እስከ ምዕራፍ',
+                builderAdd: 'ጨምር',
+                builderStart: 'መጀመሪያ ቀን',
+                builderDuration: 'ርዝመት',
+                builderDays: 'ቀናት',
+                builderWeeks: 'ሳምንታት',
+                builderCreate: 'እቅድ ፍጠር',
+                journal: 'ማስታወሻ',
+                journalTitle: 'የእኔ ማስታወሻ',
+                journalScripture: 'ቃሉ',
+                journalScriptureHint: 'ጎልቶ የታየዎትን ጥቅስ ይጻፉ',
+                journalObservation: 'ምልከታ',
+                journalObservationHint: 'ምን እየሆነ ነው? ስለ እግዚአብሔር ምን ያሳያል?',
+                journalApplication: 'ተግባር',
+                journalApplicationHint: 'ይህን በዚህ ሳምንት እንዴት ይኖሩታል?',
+                journalPrayer: 'ጸሎት',
+                journalPrayerHint: 'ምላሽ የሚሆን ጸሎት ይጻፉ',
+                journalSave: 'አስቀምጥ',
+                journalDelete: 'ሰርዝ',
+                journalSaved: '✓ ማስታወሻው ተቀምጧል',
+                journalDeleted: 'ማስታወሻው ተሰርዟል',
+                confirmDeleteEntry: 'ይህን ማስታወሻ ይሰርዙ?',
+                journalSearch: 'ማስታወሻዎን ይፈልጉ',
+                journalEmpty: 'እስካሁን ማስታወሻ የለም። ለመጀመር በማንኛውም ንባብ ላይ ማስታወሻን ይጫኑ።',
+                journalNoResults: '"{query}" የሚዛመድ ማስታወሻ የለም',
+                journalEntryCount: '{count} ማስታወሻዎች',
+                journalInclude: 'ማስታወሻዬን በፋይሉ ውስጥ አካትት',
+                readPassage: 'አንብብ',
+                readerClose: 'ዝጋ',
+                readerDownload: 'የመጽሐፍ ቅዱስ ጽሑፍ ያለ ኢንተርኔት ለማንበብ አስቀምጥ',
+                readerDownloading: '{done} / {total} መጻሕፍት በመቀመጥ ላይ…',
+                readerDownloaded: '✓ {count} መጻሕፍት ያለ ኢንተርኔት ለማንበብ ተቀምጠዋል',
+                readerNotBundled: 'የ{book} ጽሑፍ ገና በመተግበሪያው ውስጥ አልተካተተም።',
+                readerOffline: 'ይህ ክፍል ገና በዚህ መሣሪያ ላይ አልተቀመጠም። ለማውረድ አንድ ጊዜ ከኢንተርኔት ጋር ይገናኙ።',
+                readerError: 'ይህን ክፍል መጫን አልተቻለም። እባክዎ እንደገና ይሞክሩ።',
+                readerSource: '{name} • {license}',
+                progress: 'ሂደት: {percent}%',
+                progressCount: '{completed} / {total} ንባቦች',
+                planProgress: 'በእቅድ ያለ ሂደት',
+                planNotStarted: 'አልተጀመረም',
+                planInProgress: 'በሂደት ላይ',
+                progressSaved: '✓ ሂደትዎ ተቀምጧል!',
+                monthCardDays: '{days} ቀናት • {season}',
+                seasonLabel: 'የ{season} ወቅት',
+                gregorianEquivalent: 'በግሪጎሪያን አቆጣጠር',
+                holyDays: 'ቅዱሳን ቀናት እና በዓላት',
+                ministryEvents: 'የአገልግሎት መርሐ ግብሮች',
+                dayDate: 'ቀን {day} • {date}',
+                movableFeast: 'ተንቀሳቃሽ በዓል',
+                movableFast: 'ተንቀሳቃሽ ጾም',
+                noEvents: 'በዚህ ወር ልዩ መርሐ ግብር የለም',
+                noEventsHint: 'መደበኛ ጥናትና አምልኮዎን ይቀጥሉ',
+                chronoTitle: 'የአንድ ዓመት የጊዜ ቅደም ተከተል እቅድ',
+                chronoSubtitle: 'መጽሐፍ ቅዱስን በሙሉ በኢትዮጵያ ዘመን አቆጣጠር ያንብቡ',
+                weeksCount: '{count} ሳምንታት',
+                weekTitle: 'ሳምንት {week}: {focus}',
+                weekLabel: 'ሳምንት {week}',
+                completed: 'ተጠናቋል',
+                keyThemes: 'ዋና ጭብጦች',
+                memoryVerse: 'የሚጠና ጥቅስ',
+                memoryPractice: 'የሚጠና ጥቅስ ልምምድ',
+                memorySummary: 'ዛሬ የሚደገሙ: {due} · የተያዙ: {mastered} ከ {total}',
+                memoryCaughtUp: 'ሁሉም ተደግመዋል! ቀጣዩ ድግግሞሽ: {date}',
+                memoryNew: 'አዲስ',
+                memoryLearning: 'በመማር ላይ',
+                memoryReviewing: 'በመደጋገም ላይ',
+                memoryMastered: 'ተይዟል',
+                memoryPeek: 'ይህን ቃል አሳይ',
+                memoryRecallHint: 'ባዶዎቹን እየሞሉ ጥቅሱን ጮክ ብለው ይናገሩ። ለማየት ባዶውን ይንኩ።',
+                memoryGradeHint: 'ምን ያህል አስታወሱት?',
+                memoryReveal: 'አረጋግጥ',
+                memoryAgain: 'እንደገና',
+                memoryHard: 'ከባድ',
+                memoryGood: 'ጥሩ',
+                memoryEasy: 'ቀላል',
+                memoryShowMore: 'ብዙ አሳይ',
+                memoryHideMore: 'ብዙ ደብቅ',
+                memoryMasteredMessage: 'ጥቅሱን በቃል ይዘዋል!',
+                leaderGuide: 'የመሪ መመሪያ',
+                leaderGuideCourse: 'ለሙሉ ትምህርቱ የመሪ መመሪያ',
+                leaderGuidePrint: 'አትም / PDF',
+                leaderGuideDownload: 'አውርድ',
+                leaderGuideNotes: 'ማስታወሻዎች',
+                leaderGuideDownloaded: 'የመሪ መመሪያው ወርዷል',
+                catchUp: 'ማካካሻ',
+                catchUpIntro: 'ወደ ኋላ ቀርተዋል? የቀሩትን የዘመን ቅደም ተከተል ንባቦች በአዲስ መርሃ ግብር ያከፋፍሉ።',
+                catchUpMissed: 'ያመለጡ ንባቦች: {count}',
+                catchUpOnTrack: 'የዘመን ቅደም ተከተል ዕቅዱን በጊዜው እየተከተሉ ነው።',
+                catchUpActive: 'እስከ {date} ድረስ የማካካሻ መርሃ ግብርዎን እየተከተሉ ነው።',
+                catchUpModeEndDate: 'በአዲስ የማብቂያ ቀን ጨርስ',
+                catchUpModeExtend: 'በሳምንት አንድ ንባብ ይዘህ ዕቅዱን አራዝም',
+                catchUpEndDate: 'አዲስ የማብቂያ ቀን',
+                catchUpPreview: 'ቅድመ እይታ',
+                catchUpApply: 'አዲሱን መርሃ ግብር ተግብር',
+                catchUpCancel: 'ሰርዝ',
+                catchUpClear: 'ወደ መጀመሪያው መርሃ ግብር ተመለስ',
+                catchUpSummary: '{count} ንባቦች ከ {start} እስከ {end}',
+                catchUpPace: 'በሳምንት ወደ {pace} ንባቦች',
+                catchUpMore: 'እና ሌሎች {count}',
+                catchUpApplied: 'የንባብ ዕቅድዎ እንደገና ተይዟል',
+                catchUpCleared: 'ወደ መጀመሪያው መርሃ ግብር ተመልሰዋል',
+                catchUpInvalidEnd: 'ከዛሬ ጀምሮ ያለ የማብቂያ ቀን ይምረጡ።',
+                catchUpNothing: 'እንደገና የሚያዙ የቀሩ ንባቦች የሉም።',
+                catchUpReschedule: 'እንደገና አቅድ',
+                scheduledFor: 'የሚነበብበት {date}',
+                practicalApplication: 'ተግባራዊ አተገባበር',
+                studyQuestions: 'የጥናት ጥያቄዎች',
+                nt90Title: 'የ90 ቀን የአዲስ ኪዳን ንባብ',
+                nt90Subtitle: 'አዲስ ኪዳንን በ3 ወር ይጨርሱ • በቀን 3 ምዕራፎች',
+                columnDays: 'ቀናት',
+                columnReading: 'ንባብ',
+                columnFocus: 'ትኩረት',
+                columnStatus: 'ሁኔታ',
+                dayLabel: 'ቀን {day}',
+                discipleshipTitle: 'የ16 ሳምንት የደቀ መዝሙርነት ትምህርት',
+                discipleshipSubtitle: 'ለመንፈሳዊ እድገት የተሟላ የደቀ መዝሙርነት ሥልጠና',
+                keyPassages: 'ዋና ክፍሎች: {passages}',
+                learningObjectives: 'የትምህርቱ ዓላማዎች',
+                practicalActivities: 'ተግባራዊ እንቅስቃሴዎች',
+                discussionQuestions: 'የውይይት ጥያቄዎች',
+                regionLabel: 'አርሲ፣ ባሌ፣ ጉጂ እና ቦረና',
+                yearEc: '{year} ዓ.ም.',
+                previousYear: 'ያለፈው የኢትዮጵያ ዓመት',
+                nextYear: 'የሚቀጥለው የኢትዮጵያ ዓመት',
+                planChronoTitle: 'የአንድ ዓመት የቅደም ተከተል ንባብ',
+                planChronoDescription: 'መላው መጽሐፍ ቅዱስ በታሪክ ቅደም ተከተል • በቀን 3-4 ምዕራፎች • 48 ሳምንታት',
+                planNt90Title: 'የ90 ቀን አዲስ ኪዳን',
+                planNt90Description: 'ለአዲስ አማኞች ተስማሚ • በቀን 3 ምዕራፎች • አዲስ ኪዳንን በ3 ወራት ጨርስ',
+                planCustomTitle: 'የግል እቅዶች',
+                planCustomDescription: 'የራስህን መጻሕፍት ምረጥ • ማንኛውም የመጀመሪያ ቀን • የዕለት ወይም የሳምንት ንባብ',
+                reminderDaily: 'የዕለት ንባብ ማሳሰቢያ',
+                reminderTime: 'ሰዓት',
+                reminderUnsupported: 'ይህ አሳሽ ማሳሰቢያዎችን አይደግፍም።',
+                reminderPermission: 'የንባብ ማሳሰቢያዎችን ለመቀበል እባክህ ማሳወቂያዎችን ፍቀድ።',
+                reminderBlocked: 'ማሳወቂያዎች ታግደዋል። ማሳሰቢያ ለማግኘት በአሳሽህ ቅንብሮች ውስጥ ፍቀድላቸው።',
+                reminderSet: 'ማሳሰቢያ በየቀኑ {time} ላይ ተቀምጧል። ዛሬ፦ {passage}',
+                remindersOff: 'ማሳሰቢያዎች ጠፍተዋል።',
+                reminderScheduleFailed: 'ማሳሰቢያዎችን ማቀድ አልተቻለም። እባክህ እንደገና ሞክር።',
+                exportIntro: 'ለስልክህ ወይም ለኮምፒውተርህ ቀን መቁጠሪያ የ.ics ፋይል አውጣ',
+                exportChronological: 'የቅደም ተከተል ሳምንታት',
+                exportNt90: 'የ90 ቀን አዲስ ኪዳን ቀናት',
+                exportHolyDays: 'በዓላት',
+                exportMinistryEvents: 'የአገልግሎት መርሐ ግብሮች',
+                exportStartDate: 'የእቅዱ መጀመሪያ ቀን',
+                exportDownload: '.ics አውርድ',
+                exportNeedsStart: 'እባክህ የመጀመሪያ ቀን ምረጥ።',
+                exportNothing: 'ለማውጣት ቢያንስ አንድ የንባብ ወይም የመርሐ ግብር ስብስብ ምረጥ።',
+                exportDone: 'ቀን መቁጠሪያው ወጥቷል! ወደ ስልክህ ቀን መቁጠሪያ ለማስገባት ፋይሉን ክፈት።',
+                exportFailed: 'ቀን መቁጠሪያውን ማውጣት አልተሳካም። እባክህ እንደገና ሞክር።',
+                backupIntro: 'እድገትህን በፋይል አስቀምጥ፣ ወይም ከሌላ መሣሪያ እድገት አምጣ',
+                backupDownload: 'የእድገት ፋይል አውርድ',
+                backupImport: 'የእድገት ፋይል አስገባ',
+                importMerge: 'ከዚህ መሣሪያ ጋር አዋህድ',
+                importReplace: 'የዚህን መሣሪያ እድገት ተካ',
+                progressExported: 'እድገትህ በተሳካ ሁኔታ ወጥቷል!',
+                progressImported: 'እድገትህ በተሳካ ሁኔታ ገብቷል!',
+                importFailedFile: 'ማስገባት አልተሳካም። እባክህ ፋይሉን ፈትሽ።',
+                importFailed: 'ማስገባት አልተሳካም። እባክህ እንደገና ሞክር።',
+                importCorrupted: 'ፋይሉ ተበላሽቶ ሊሆን ይችላል። ቢሆንም ይግባ?',
+                initFailed: 'መተግበሪያውን ማስጀመር አልተቻለም። እባክህ ገጹን አድስ።',
+                saveFailed: 'እድገትን ማስቀመጥ አልተቻለም። እባክህ እንደገና ሞክር።',
+                streakCelebration: '🎉 ተከታታይ {count} ቀናት! በዚሁ ቀጥል!',
+                journalSaveFailed: 'የማስታወሻ ጽሑፉን ማስቀመጥ አልተቻለም። እባክህ እንደገና ሞክር።',
+                journalDeleteFailed: 'የማስታወሻ ጽሑፉን መሰረዝ አልተቻለም። እባክህ እንደገና ሞክር።',
+                leaderGuideFailed: 'የመሪ መመሪያውን ማውጣት አልተሳካም። እባክህ እንደገና ሞክር።',
+                readingLabelChrono: '{month} ሳምንት {week}: {reading}',
+                readingLabelNt90Day: 'የ90 ቀን አዲስ ኪዳን ቀን {day}: {reading}',
+                readingLabelNt90Days: 'የ90 ቀን አዲስ ኪዳን ቀናት {days}: {reading}',
+                readingLabelDiscipleship: 'ደቀ መዝሙርነት ሳምንት {week}: {topic}',
+                importPreviewMerge: 'የማዋሃድ ቅድመ እይታ',
+                importPreviewReplace: 'የመተካት ቅድመ እይታ',
+                importWillComplete: '{count} ንባብ(ቦች) እንደተጠናቀቁ ምልክት ይደረግባቸዋል',
+                importWillUncomplete: '{count} ንባብ(ቦች) እንዳልተጠናቀቁ ምልክት ይደረግባቸዋል',
+                importWillRedate: '{count} የማጠናቀቂያ ቀን(ናት) ይቀየራሉ',
+                importPlansAdded: '{count} የራስ እቅድ(ዶች) ይታከላሉ',
+                importPlansRemoved: '{count} የራስ እቅድ(ዶች) ይወገዳሉ',
+                importJournalAdded: '{count} ማስታወሻ(ዎች) ይታከላሉ',
+                importJournalUpdated: '{count} ማስታወሻ(ዎች) ይዘመናሉ',
+                importJournalRemoved: '{count} ማስታወሻ(ዎች) ይወገዳሉ',
+                importMore: 'እና ሌሎች {count}',
+                importNoChanges: 'እድገትህ በዚህ ፋይል ውስጥ ያለውን ሁሉ አስቀድሞ ይዟል።',
+                importApplyMerge: 'አዋህድ',
+                importApplyReplace: 'እድገትን ተካ',
+                importCancel: 'ሰርዝ',
+                importClose: 'ዝጋ',
+                qrTitle: 'እድገትህን በQR ኮዶች ወደ ሌላ ስልክ አዛውር',
+                qrShow: 'QR ኮዶችን አሳይ',
+                qrScan: 'QR ኮዶችን ቃኝ',
+                qrPasteLabel: 'ወይም ከኮዶቹ የተነበበውን ጽሑፍ ለጥፍ',
+                qrRestore: 'ከጽሑፉ መልስ',
+                qrCodeCount: 'ኮድ {index} ከ{total}',
+                qrPrevious: 'ቀዳሚ ኮድ',
+                qrNext: 'ቀጣይ ኮድ',
+                qrCopy: 'እንደ ጽሑፍ ቅዳ',
+                qrInstructions: 'በሌላው ስልክ ላይ «{backup}»ን ክፈትና «{scan}»ን ንካ።',
+                qrProgress: 'ከ{total} ኮዶች {count}ዱ ተነበዋል',
+                qrCreateFailed: 'QR ኮዶችን መፍጠር አልተቻለም። እባክህ በምትኩ የእድገት ፋይል አውርድ።',
+                qrCopied: 'የማዛወሪያው ጽሑፍ ተቀድቷል። በሌላው መሣሪያ ላይ ባለው እቅድ ውስጥ ለጥፈው።',
+                qrCopyFailed: 'መቅዳት አልተቻለም። እባክህ በምትኩ ኮዶቹን ቃኝ።',
+                qrNoCodes: 'በዚያ ጽሑፍ ውስጥ የእቅድ ማዛወሪያ ኮዶች አልተገኙም።',
+                qrReadFailed: 'የማዛወሪያ ኮዶቹን ማንበብ አልተቻለም። እባክህ ኮዶቹን እንደገና አሳይተህ ቃኝ።',
+                qrUnsupported: 'ይህ አሳሽ QR ኮዶችን መቃኘት አይችልም። በካሜራ መተግበሪያህ ቃኝተህ ጽሑፉን ከታች ለጥፍ።',
+                qrCameraFailed: 'ካሜራውን መክፈት አልተቻለም። ኮዶቹን በካሜራ መተግበሪያህ ቃኝተህ ጽሑፉን ከታች ለጥፍ።',
+                groupLoadFailed: 'መጫን አልተቻለም፦ {files}',
+                groupFileInvalid: 'የእድገት ፋይል አይደለም።',
+                groupLoaded: '{count} የአባል ፋይል(ሎች) ተጭነዋል',
+                groupExportEmpty: 'ከማውረድህ በፊት የአባላትን ፋይሎች ጫን።',
+                groupCsvCompletedWeeks: 'የተጠናቀቁ ሳምንታት',
+                groupCsvTotalWeeks: 'ጠቅላላ ሳምንታት',
+                groupCsvCompletion: 'የተጠናቀቀ %',
+                groupCsvStreak: 'ተከታታይ ቀናት',
+                groupCsvWeeksBehind: 'የዘገዩ ሳምንታት',
+                groupCsvBehind: 'ዘግይቷል',
+                groupCsvExported: 'የተላከበት ቀን',
+                groupCsvVerified: 'ፋይሉ ተረጋግጧል',
+                groupCsvYes: 'አዎ',
+                groupCsvNo: 'አይ',
+                importFailedReason: 'ማስገባት አልተሳካም። {reason}',
+                exportProgressFailed: 'ማውጣት አልተሳካም። እባክህ እንደገና ሞክር።',
+                progressErrorInvalidJson: 'ይህ ፋይል ትክክለኛ JSON አይደለም።',
+                progressErrorInvalidSchema: 'ይህ የመጽሐፍ ቅዱስ እቅድ የእድገት ፋይል አይደለም።',
+                progressErrorInvalidField: 'ይህ ፋይል ትክክል ያልሆነ «{field}» መስክ አለው (ስሪት {version})።',
+                progressErrorTooNew: 'ይህ ፋይል የወጣው በአዲስ የእቅዱ ስሪት ነው (ስሪት {version})። እቅዱን አዘምነህ እንደገና ሞክር።',
+                progressErrorTooOld: 'ይህ ፋይል ከአሁን በኋላ ሊገባ የማይችል የቆየ የእቅዱ ስሪት ነው (ስሪት {version})።',
+                progressErrorChecksum: 'ይህ ፋይል ከማረጋገጫ ኮዱ (checksum) ጋር አይዛመድም።',
+                progressErrorCrypto: 'ይህ አሳሽ የመጠባበቂያ ፋይሎችን ማረጋገጥ አይችልም። እቅዱን በHTTPS ከፍተህ እንደገና ሞክር።',
+                builderUnknownBook: 'ያልታወቀ መጽሐፍ፦ {book}',
+                builderChapterRange: '{book} ምዕራፍ 1-{chapters} አለው',
+                builderInvalidDate: 'ትክክለኛ የመጀመሪያ ቀን ይምረጡ',
+                builderUnknownFrequency: 'ያልታወቀ ድግግሞሽ፦ {frequency}',
+                builderInvalidLength: 'ርዝመቱ ሙሉ የቀናት ወይም የሳምንታት ቁጥር መሆን አለበት',
+                reminderNotificationTitle: 'የዕለት መጽሐፍ ቅዱስ ንባብ',
+                reminderNotificationBody: 'የንባብ እቅድህን ለመቀጠል እቅዱን ክፈት።',
+                errorTitle: 'የሆነ ችግር ተፈጥሯል',
+                errorMessage: 'ለተፈጠረው ችግር ይቅርታ እንጠይቃለን። እባክዎ ገጹን እንደገና ይጫኑ።',
+                errorDetails: 'የስህተቱ ዝርዝር',
+                errorUnknown: 'ያልታወቀ ስህተት',
+                errorRestoreHint: 'ችግሩ በተቀመጠው ሂደትዎ ውስጥ ከሆነ ከ{date} ወደነበረው የመመለሻ ነጥብ መመለስ ይችላሉ።',
+                errorRestoreButton: 'የመጨረሻውን ጤናማ ሂደት መልስ',
+                errorRestoring: 'በመመለስ ላይ...',
+                errorRestoreFailed: 'መመለስ አልተሳካም። እንደገና ይሞክሩ',
+                errorRefresh: 'ገጹን እንደገና ጫን'
             },
-            hamle: { 
-                weeks: 4, 
-                reading: 'Ezekiel 1-48; Daniel 1-12', 
-                theme: 'Exile Prophets',
-                weeklyBreakdown: [
-                    { week: 41, focus: 'Ezekiel: Visions', readings: 'Ezekiel 1-24', keyThemes: 'Glory, Responsibility, Hope', studyQuestions: ['What was significant about visions?', 'What does watchman mean?', 'How did Ezekiel communicate dramatically?'], memoryVerse: 'Ezekiel 36:26 - "I will give you a new heart..."', practicalApplication: 'Ask God for a soft heart.' },
-                    { week: 42, focus: 'Ezekiel: Restoration', readings: 'Ezekiel 25-48', keyThemes: 'Judgment, New Temple, River of Life', studyQuestions: ['Why judge surrounding nations?', 'What was valley of dry bones vision?', 'What does new temple represent?'], memoryVerse: 'Ezekiel 37:5 - "I will make breath enter you..."', practicalApplication: 'Believe God brings life to dead areas.' },
-                    { week: 43, focus: 'Daniel: Faith in Exile', readings: 'Daniel 1-6', keyThemes: 'Faithfulness, Sovereignty, Deliverance', studyQuestions: ['How did Daniel maintain faith?', 'What can we learn from fiery furnace?', 'How did God demonstrate sovereignty?'], memoryVerse: 'Daniel 3:17-18 - "The God we serve is able..."', practicalApplication: 'Be faithful regardless of consequences.' },
-                    { week: 44, focus: 'Daniel: Visions', readings: 'Daniel 7-12', keyThemes: 'Prophecy, Kingdom, End Times', studyQuestions: ['What kingdoms do visions represent?', 'What is abomination that causes desolation?', 'How does Daniel point to ultimate kingdom?'], memoryVerse: 'Daniel 2:44 - "The God of heaven will set up a kingdom..."', practicalApplication: 'Live with confidence in God\'s victory.' }
-                ]
+            om: {
+                plannerTitle: 'Lakkoofsa Guyyaa Itoophiyaa fi Karoora Qo\'annoo Macaafa Qulqulluu',
+                tabCalendar: 'Dhaha fi Ayyaanota',
+                tabCalendarShort: 'Dhaha',
+                tabReading: 'Karoora Dubbisaa',
+                tabReadingShort: 'Dubbisa',
+                tabDiscipleship: 'Bartummaa',
+                tabGroup: 'Garee',
+                groupTitle: 'Guddina Garee Xiqqaa',
+                groupSubtitle: "Akkaataa gareen itti jiru ilaaluuf faayilota guddina miseensotaa fe'aa",
+                groupLoad: "Faayilota miseensotaa fe'i",
+                groupExportCsv: 'CSV buufadhu',
+                groupClear: 'Haqi',
+                groupEmpty: "Hanga ammaatti faayiliin miseensaa hin feene. Miseensonni faayila guddina isaanii Kuusaa fi Deebisuu irraa akka ergan gaafadhaa.",
+                groupSummary: 'Miseensota {members} • {behind} sagantaa duubatti',
+                groupMember: 'Miseensa',
+                groupCompletion: 'Xumura',
+                groupStreak: 'Walitti aansaa',
+                groupCurrentWeek: 'Torban ammaa',
+                groupLastReading: 'Dubbisa dhumaa',
+                groupStatus: 'Haala',
+                groupStreakDays: 'Guyyaa {count}',
+                groupFinished: 'Xumurameera',
+                groupUnverified: 'Faayilli erga ergamee booda jijjiirameera',
+                memberName: 'Maqaa keessan hoggansa garee keessaniif',
+                selectMonth: 'Ji\'a Itoophiyaa Filadhu',
+                choosePlan: 'Karoora Dubbisaa Kee Filadhu',
+                reminders: 'Yaadachiisa',
+                addToCalendar: 'Dhaha Irratti Dabali',
+                backupRestore: 'Kuusaa fi Deebisuu',
+                readingProgress: 'Adeemsa Dubbisaa',
+                storageFull: "Kuusaan meeshaa keetii guuteera, kanaaf jijjiiramni dhiyoo hin olkaa'amne. Kuusaa dabalataa buusii bakka qulqulleessi.",
+                storageAlmostFull: 'Kuusaan brawuzarii %{percent} guuteera. Adeemsa kee eeguuf kuusaa dabalataa buusi.',
+                storageBlocked: "Karoorri kun gulaallii duraanii wajjin tabii biraa keessatti banameera. Fe'uu xumuruuf tabiiwwan biroo cufi.",
+                storageVersionChange: "Karoorri tabii biraa keessatti haaromfameera. Olkaa'uu itti fufuuf fuula kana irra deebi'ii fe'i.",
+                storageMemoryOnly: "Brawuzariin kun karoorri akka olkaa'u hin hayyamu, kanaaf yeroo fuula cuftu adeemsi kee ni bada. Eeguuf kuusaa dabalataa buusi.",
+                undo: 'Haqi',
+                redo: "Irra deebi'ii godhi",
+                changeUndone: 'Jijjiiramni haqameera.',
+                changeRedone: "Jijjiiramni irra deebi'ee godhameera.",
+                readingUnmarked: 'Dubbisni akka hin dubbifamneetti galmeeffameera.',
+                restorePoints: 'Tuqaalee deebii',
+                restorePointsHint: "Yeroo karoorri banamu, yeroo itti fayyadamtu sa'aatii sa'aatiin, fi galchuu dura ni olkaa'amu. Haaraa 10 ni turu.",
+                restorePointsEmpty: 'Ammaaf tuqaan deebii hin jiru.',
+                restorePointCreate: "Tuqaa deebii olkaa'i",
+                restorePointRestore: 'Deebisi',
+                restorePointSummary: 'Dubbisa {count} xumurame',
+                restorePointStartup: 'Karoorri banameera',
+                restorePointAuto: 'Ofumaan',
+                restorePointManual: "Siin kan olkaa'ame",
+                restorePointBeforeImport: 'Galchuu dura',
+                restorePointBeforeRestore: 'Deebisuu dura',
+                restorePointConfirm: "Gara adeemsa kee {date} deebitaa? Adeemsi kee ammaa dursee akka tuqaa deebiitti ni olkaa'ama.",
+                restorePointRestored: 'Adeemsi deebifameera.',
+                restorePointSaved: "Tuqaan deebii olkaa'ameera.",
+                restorePointFailed: "Tuqaa deebii olkaa'uun hin danda'amne. Maaloo irra deebi'ii yaali.",
+                language: 'Afaan',
+                darkMode: 'Haala dukkanaa',
+                lightMode: 'Haala ifaa',
+                statsTitle: 'Istaatistiksii Dubbisuu',
+                statsCompleted: 'Dubbisa xumurame',
+                statsStreak: 'Guyyoota walitti aansan',
+                statsWeeklyAverage: 'Dubbisa torbanitti',
+                statsStrongestMonth: "Ji'a sochiin itti baay'ate",
+                heatmapTitle: 'Sochii dubbisuu',
+                heatmapLess: 'Xiqqaa',
+                heatmapMore: "Baay'ee",
+                heatmapCell: '{date}: dubbisa {count}',
+                monthlyCompletion: "Xumura ji'aan",
+                paceTitle: 'Saffisa karoora waliin',
+                paceAhead: 'Karoora dura torban {count}',
+                paceBehind: 'Karoora duuba torban {count}',
+                paceOnTrack: 'Karoora irra jirtu',
+                paceDetail: 'Torban karoorfaman {expected} keessaa {completed} xumurameera',
+                customPlanTitle: 'Karoora Dubbisuu Dhuunfaa',
+                customPlanSubtitle: 'Kitaabota Macaafa Qulqulluu irraa karoora mataa keessanii qopheessaa',
+                customPlanEmpty: 'Ammaaf karoorri dhuunfaa hin jiru. Olitti qopheessaa.',
+                customPlanSummary: 'Dubbisa {frequency} {count} • boqonnaa {chapters} • jalqaba {date}',
+                customPlanProgress: '{completed} / {total} xumurame',
+                customPlanCreated: '✓ "{name}" dubbisa {count}n uumameera',
+                customPlanNeedsBooks: 'Yoo xiqqaate kitaaba tokko ykn boqonnaalee dabalaa',
+                customPlanDeleted: 'Karoorri haqameera',
+                confirmDeletePlan: '"{name}" fi adeemsa isaa haquu?',
+                deletePlan: 'Karoora haqi',
+                frequencyDaily: 'guyyaa guyyaa',
+                frequencyWeekly: 'torban torbaniin',
+                columnDate: 'Guyyaa',
+                oldTestament: 'Kakuu Moofaa',
+                newTestament: 'Kakuu Haaraa',
+                planName: 'Maqaa karooraa',
+                builderBook: 'Kitaaba',
+                builderFrom: 'Boqonnaa irraa',
+                builderTo: 'Boqonnaa hanga',
+                builderAdd: 'Dabali',
+                builderStart: 'Guyyaa jalqabaa',
+                builderDuration: 'Dheerina',
+                builderDays: 'guyyoota',
+                builderWeeks: 'torbanoota',
+                builderCreate: 'Karoora uumi',
+                journal: 'Galmee',
+                journalTitle: 'Galmee Koo',
+                journalScripture: 'Caaffata',
+                journalScriptureHint: "Luqisa isin keessatti mul'ate barreessaa",
+                journalObservation: 'Hubannoo',
+                journalObservationHint: "Maaltu ta'aa jira? Waa'ee Waaqayyoo maal agarsiisa?",
+                journalApplication: 'Hojiirra oolmaa',
+                journalApplicationHint: 'Torban kana akkamitti jiraattu?',
+                journalPrayer: 'Kadhannaa',
+                journalPrayerHint: 'Deebii kadhannaa barreessaa',
+                journalSave: "Olkaa'i",
+                journalDelete: 'Haqi',
+                journalSaved: "✓ Galmeen olkaa'ameera",
+                journalDeleted: 'Galmeen haqameera',
+                confirmDeleteEntry: 'Galmee kana haquu?',
+                journalSearch: 'Galmee keessan barbaadaa',
+                journalEmpty: 'Hanga ammaatti galmeen hin jiru. Jalqabuuf dubbisa kamiyyuu irratti Galmee tuqaa.',
+                journalNoResults: 'Galmeen "{query}" waliin walsimu hin jiru',
+                journalEntryCount: 'Galmee {count}',
+                journalInclude: 'Galmee koo faayila keessatti dabali',
+                readPassage: 'Dubbisi',
+                readerClose: 'Cufi',
+                readerDownload: "Barreeffama Macaafa Qulqulluu interneetii malee dubbisuuf olkaa'i",
+                readerDownloading: "Kitaabota {done} / {total} olkaa'aa jira…",
+                readerDownloaded: "✓ Kitaabonni {count} interneetii malee dubbisuuf olkaa'amaniiru",
+                readerNotBundled: 'Barreeffamni {book} ammallee appii keessa hin jiru.',
+                readerOffline: "Kutaan kun ammallee meeshaa kana irratti hin olkaa'amne. Buufachuuf al tokko interneetiitti walqunnamaa.",
+                readerError: "Kutaa kana fe'uun hin danda'amne. Irra deebi'aa yaalaa.",
+                readerSource: '{name} • {license}',
+                progress: 'Adeemsa: {percent}%',
+                progressCount: '{completed} / {total} dubbisa',
+                planProgress: 'Adeemsa karoora tokkoon tokkoon',
+                planNotStarted: 'Hin jalqabamne',
+                planInProgress: 'Adeemsa irra',
+                progressSaved: '✓ Adeemsi kee olkaa\'ameera!',
+                monthCardDays: 'Guyyoota {days} • {season}',
+                seasonLabel: 'Waqtii {season}',
+                gregorianEquivalent: 'Lakkoofsa Gorgooriyaaniin',
+                holyDays: 'Guyyoota Qulqulluu fi Ayyaanota',
+                ministryEvents: 'Sagantaalee Tajaajilaa',
+                dayDate: 'Guyyaa {day} • {date}',
+                movableFeast: 'Ayyaana sochoo\'u',
+                movableFast: 'Soomana sochoo\'u',
+                noEvents: 'Ji\'a kana sagantaan addaa hin jiru',
+                noEventsHint: 'Qo\'annoo fi waaqeffannaa kee itti fufi',
+                chronoTitle: 'Karoora Waggaa Tokkoo Akka Tartiiba Seenaatti',
+                chronoSubtitle: 'Macaafa Qulqulluu guutuu akka lakkoofsa Itoophiyaatti dubbisi',
+                weeksCount: 'Torbanoota {count}',
+                weekTitle: 'Torban {week}: {focus}',
+                weekLabel: 'Torban {week}',
+                completed: 'Xumurameera',
+                keyThemes: 'Ijoo Dubbii',
+                memoryVerse: 'Luqqisa Yaadannoo',
+                memoryPractice: 'Shaakala Luqqisa Yaadannoo',
+                memorySummary: "Har'a kan irra deebi'amu: {due} · Kan qabatame: {mastered} {total} keessaa",
+                memoryCaughtUp: 'Hundi xumurameera! Irra deebiin itti aanu: {date}',
+                memoryNew: 'Haaraa',
+                memoryLearning: 'Barachaa',
+                memoryReviewing: "Irra deebi'aa",
+                memoryMastered: 'Qabatame',
+                memoryPeek: 'Jecha kana agarsiisi',
+                memoryRecallHint: 'Bakka duwwaa guutaa luqqisicha sagalee ol kaasii dubbadhu. Ilaaluuf bakka duwwaa tuqi.',
+                memoryGradeHint: 'Hammam sirriitti yaadatte?',
+                memoryReveal: 'Mirkaneessi',
+                memoryAgain: 'Ammas',
+                memoryHard: 'Ulfaataa',
+                memoryGood: 'Gaarii',
+                memoryEasy: 'Salphaa',
+                memoryShowMore: 'Dabalee agarsiisi',
+                memoryHideMore: 'Dabalee dhoksi',
+                memoryMasteredMessage: 'Luqqisicha qabatteetta!',
+                leaderGuide: 'Qajeelfama Geggeessaa',
+                leaderGuideCourse: 'Qajeelfama geggeessaa barnoota guutuuf',
+                leaderGuidePrint: 'Maxxansi / PDF',
+                leaderGuideDownload: 'Buusi',
+                leaderGuideNotes: 'Yaadannoo',
+                leaderGuideDownloaded: 'Qajeelfamni geggeessaa buufameera',
+                catchUp: 'Qaqqabi',
+                catchUpIntro: 'Duubatti hafteettaa? Dubbisa hafe sagantaa haaraa irratti qoodi.',
+                catchUpMissed: 'Dubbisa darbe: {count}',
+                catchUpOnTrack: 'Karoora seenaa tartiibaan yeroon hordofaa jirta.',
+                catchUpActive: 'Hanga {date} tti sagantaa qaqqabii kee hordofaa jirta.',
+                catchUpModeEndDate: 'Guyyaa xumuraa haaraatiin xumuri',
+                catchUpModeExtend: 'Torbanitti dubbisa tokko qabadhuu karoora dheereffadhu',
+                catchUpEndDate: 'Guyyaa xumuraa haaraa',
+                catchUpPreview: 'Duraan ilaali',
+                catchUpApply: 'Sagantaa haaraa hojiirra oolchi',
+                catchUpCancel: 'Dhiisi',
+                catchUpClear: "Gara sagantaa jalqabaatti deebi'i",
+                catchUpSummary: 'Dubbisa {count} {start} irraa hanga {end}',
+                catchUpPace: 'Torbanitti dubbisa {pace} naannoo',
+                catchUpMore: 'fi kan biroo {count}',
+                catchUpApplied: "Karoorri dubbisa kee haaraatti qindaa'eera",
+                catchUpCleared: 'Gara sagantaa jalqabaatti deebiteetta',
+                catchUpInvalidEnd: "Guyyaa xumuraa har'a irraa jalqabu filadhu.",
+                catchUpNothing: "Dubbisni hafee irra deebiin qindaa'u hin jiru.",
+                catchUpReschedule: "Irra deebi'ii qindeessi",
+                scheduledFor: 'Guyyaa {date}',
+                practicalApplication: 'Hojiirra Oolmaa',
+                studyQuestions: 'Gaaffilee Qo\'annoo',
+                nt90Title: 'Kakuu Haaraa Guyyaa 90',
+                nt90Subtitle: 'Kakuu Haaraa ji\'a 3 keessatti xumuri • Guyyaatti boqonnaa 3',
+                columnDays: 'Guyyoota',
+                columnReading: 'Dubbisa',
+                columnFocus: 'Xiyyeeffannaa',
+                columnStatus: 'Haala',
+                dayLabel: 'Guyyaa {day}',
+                discipleshipTitle: 'Sagantaa Bartummaa Torban 16',
+                discipleshipSubtitle: 'Leenjii bartummaa guutuu guddina hafuuraatiif',
+                keyPassages: 'Kutaalee Ijoo: {passages}',
+                learningObjectives: 'Kaayyoo Barumsaa',
+                practicalActivities: 'Sochiiwwan Hojiirra Oolan',
+                discussionQuestions: 'Gaaffilee Marii',
+                regionLabel: 'Arsii, Baalee, Gujii fi Booranaa',
+                yearEc: '{year} A.L.I.',
+                previousYear: 'Bara Itoophiyaa darbe',
+                nextYear: 'Bara Itoophiyaa itti aanu',
+                planChronoTitle: 'Tartiiba Waggaa Tokkoo',
+                planChronoDescription: 'Macaafa Qulqulluu guutuu tartiiba seenaatiin • guyyaatti boqonnaa 3-4 • torban 48',
+                planNt90Title: 'Kakuu Haaraa Guyyaa 90',
+                planNt90Description: "Amantoota haaraaf mijaa'aa • guyyaatti boqonnaa 3 • Kakuu Haaraa ji'a 3 keessatti xumuri",
+                planCustomTitle: 'Karoora Dhuunfaa',
+                planCustomDescription: 'Kitaabota ofii kee filadhu • Guyyaa jalqabaa kamiyyuu • Dubbisa guyyaa ykn torbanii',
+                reminderDaily: 'Yaadachiisa dubbisa guyyaa',
+                reminderTime: "Sa'aatii",
+                reminderUnsupported: 'Brawuzariin kun yaadachiisa hin deeggaru.',
+                reminderPermission: 'Yaadachiisa dubbisaa argachuuf beeksisa hayyami.',
+                reminderBlocked: "Beeksisni dhorkameera. Yaadachiisa argachuuf qindaa'ina brawuzarii keessatti hayyami.",
+                reminderSet: "Yaadachiisni guyyaa guyyaan {time}tti qindaa'eera. Har'a: {passage}",
+                remindersOff: 'Yaadachiisni dhaamseera.',
+                reminderScheduleFailed: "Yaadachiisa qindeessuun hin danda'amne. Maaloo irra deebi'ii yaali.",
+                exportIntro: 'Dhaha bilbilaa ykn kompiitara keetiif faayilii .ics baasi',
+                exportChronological: 'Torbanoota tartiibaa',
+                exportNt90: 'Guyyoota Kakuu Haaraa guyyaa 90',
+                exportHolyDays: 'Ayyaanota qulqulluu',
+                exportMinistryEvents: 'Sagantaalee tajaajilaa',
+                exportStartDate: 'Guyyaa jalqaba karooraa',
+                exportDownload: '.ics buusi',
+                exportNeedsStart: 'Guyyaa jalqabaa filadhu.',
+                exportNothing: 'Baasuuf yoo xiqqaate gartuu dubbisaa ykn sagantaa tokko filadhu.',
+                exportDone: "Dhahni ba'eera! Dhaha bilbila keetti dabaluuf faayilicha bani.",
+                exportFailed: "Dhaha baasuun hin milkoofne. Maaloo irra deebi'ii yaali.",
+                backupIntro: "Adeemsa kee faayiliitti olkaa'i, ykn adeemsa meeshaa biraa irraa fidi",
+                backupDownload: 'Faayilii adeemsaa buusi',
+                backupImport: 'Faayilii adeemsaa galchi',
+                importMerge: 'Meeshaa kana wajjin walitti makii',
+                importReplace: 'Adeemsa meeshaa kanaa bakka buusi',
+                progressExported: "Adeemsi milkaa'inaan ba'eera!",
+                progressImported: "Adeemsi milkaa'inaan galeera!",
+                importFailedFile: 'Galchuun hin milkoofne. Faayilicha mirkaneessi.',
+                importFailed: "Galchuun hin milkoofne. Maaloo irra deebi'ii yaali.",
+                importCorrupted: "Faayilichi balaa'ee ta'uu mala. Ta'us haa galu?",
+                initFailed: "Appii jalqabsiisuun hin danda'amne. Fuula haaromsi.",
+                saveFailed: "Adeemsa olkaa'uun hin danda'amne. Maaloo irra deebi'ii yaali.",
+                streakCelebration: '🎉 Guyyaa {count} walitti aansee! Itti fufi!',
+                journalSaveFailed: "Barreeffama galmee olkaa'uun hin danda'amne. Maaloo irra deebi'ii yaali.",
+                journalDeleteFailed: "Barreeffama galmee haquun hin danda'amne. Maaloo irra deebi'ii yaali.",
+                leaderGuideFailed: "Qajeelfama geggeessaa baasuun hin milkoofne. Maaloo irra deebi'ii yaali.",
+                readingLabelChrono: '{month} torban {week}: {reading}',
+                readingLabelNt90Day: 'Kakuu Haaraa Guyyaa 90, guyyaa {day}: {reading}',
+                readingLabelNt90Days: 'Kakuu Haaraa Guyyaa 90, guyyoota {days}: {reading}',
+                readingLabelDiscipleship: 'Bartummaa torban {week}: {topic}',
+                importPreviewMerge: 'Walitti makuu dura ilaali',
+                importPreviewReplace: 'Bakka buusuu dura ilaali',
+                importWillComplete: "Dubbisni {count} akka xumurameetti mallattaa'ama",
+                importWillUncomplete: "Dubbisni {count} akka hin xumuramneetti mallattaa'ama",
+                importWillRedate: 'Guyyaan xumuraa {count} ni jijjiirama',
+                importPlansAdded: 'Karoorri dhuunfaa {count} ni dabalama',
+                importPlansRemoved: 'Karoorri dhuunfaa {count} ni haqama',
+                importJournalAdded: 'Galmeen {count} ni dabalama',
+                importJournalUpdated: 'Galmeen {count} ni haaromfama',
+                importJournalRemoved: 'Galmeen {count} ni haqama',
+                importMore: 'fi kan biroo {count}',
+                importNoChanges: 'Adeemsi kee waan faayila kana keessa jiru hunda duraanuu qaba.',
+                importApplyMerge: 'Walitti makii',
+                importApplyReplace: 'Adeemsa bakka buusi',
+                importCancel: 'Dhiisi',
+                importClose: 'Cufi',
+                qrTitle: 'Koodii QR fayyadamuun adeemsa gara bilbila biraatti dabarsi',
+                qrShow: 'Koodii QR agarsiisi',
+                qrScan: 'Koodii QR iskaanii godhi',
+                qrPasteLabel: 'Ykn barreeffama koodii irraa dubbifame maxxansi',
+                qrRestore: 'Barreeffama irraa deebisi',
+                qrCodeCount: 'Koodii {total} keessaa {index}ffaa',
+                qrPrevious: 'Koodii duraa',
+                qrNext: 'Koodii itti aanu',
+                qrCopy: 'Akka barreeffamaatti garagalchi',
+                qrInstructions: 'Bilbila isa kaan irratti "{backup}" bani, "{scan}" tuqi.',
+                qrProgress: 'Koodii {total} keessaa {count} dubbifameera',
+                qrCreateFailed: "Koodii QR uumuun hin danda'amne. Maaloo qooda isaa faayilii adeemsaa buusi.",
+                qrCopied: 'Barreeffamni dabarsaa garagalfameera. Karoora meeshaa isa kaanii keessatti maxxansi.',
+                qrCopyFailed: "Garagalchuun hin danda'amne. Maaloo qooda isaa koodii iskaanii godhi.",
+                qrNoCodes: 'Barreeffama sana keessatti koodiin dabarsaa karoora hin argamne.',
+                qrReadFailed: "Koodii dabarsaa dubbisuun hin danda'amne. Maaloo koodii irra deebi'ii agarsiisii iskaanii godhi.",
+                qrUnsupported: "Brawuzariin kun koodii QR iskaanii gochuu hin danda'u. Appii kaameraa keetiin iskaanii godhiitii barreeffama armaan gadii maxxansi.",
+                qrCameraFailed: "Kaameraa banuun hin danda'amne. Koodii appii kaameraa keetiin iskaanii godhiitii barreeffama armaan gadii maxxansi.",
+                groupLoadFailed: "Fe'uun hin danda'amne: {files}",
+                groupFileInvalid: 'faayilii adeemsaa miti.',
+                groupLoaded: "Faayiloonni miseensaa {count} fe'amaniiru",
+                groupExportEmpty: "Osoo hin buusin dura faayilota miseensotaa fe'i.",
+                groupCsvCompletedWeeks: 'Torbanoota xumuraman',
+                groupCsvTotalWeeks: 'Torbanoota waliigalaa',
+                groupCsvCompletion: 'Xumuramuu %',
+                groupCsvStreak: 'Walitti aansaa (guyyaa)',
+                groupCsvWeeksBehind: 'Torbanoota duubatti hafan',
+                groupCsvBehind: 'Duubatti hafe',
+                groupCsvExported: 'Kan ergame',
+                groupCsvVerified: "Faayilli mirkanaa'eera",
+                groupCsvYes: 'eeyyee',
+                groupCsvNo: 'lakki',
+                importFailedReason: 'Galchuun hin milkoofne. {reason}',
+                exportProgressFailed: "Baasuun hin milkoofne. Maaloo irra deebi'ii yaali.",
+                progressErrorInvalidJson: 'Faayilli kun JSON sirrii miti.',
+                progressErrorInvalidSchema: 'Kun faayilii adeemsa karoora Macaafa Qulqulluu miti.',
+                progressErrorInvalidField: 'Faayilli kun dirree "{field}" sirrii hin taane qaba (gulaallii {version}).',
+                progressErrorTooNew: "Faayilli kun gulaallii karoora haaraadhaan baafame (gulaallii {version}). Karoora haaromsiitii irra deebi'ii yaali.",
+                progressErrorTooOld: "Faayilli kun gulaallii karoora duraanii (gulaallii {version}) kan amma galchuun hin danda'amne irraa dhufe.",
+                progressErrorChecksum: 'Faayilli kun koodii mirkaneessaa (checksum) isaa wajjin wal hin simu.',
+                progressErrorCrypto: "Brawuzariin kun faayilota kuusaa mirkaneessuu hin danda'u. Karoora HTTPS irratti banii irra deebi'ii yaali.",
+                builderUnknownBook: 'Kitaaba hin beekamne: {book}',
+                builderChapterRange: '{book} boqonnaa 1-{chapters} qaba',
+                builderInvalidDate: "Guyyaa jalqabaa sirrii ta'e filadhu",
+                builderUnknownFrequency: 'Irra deddeebii hin beekamne: {frequency}',
+                builderInvalidLength: "Dheerinni lakkoofsa guutuu guyyootaa ykn torbanootaa ta'uu qaba",
+                reminderNotificationTitle: 'Dubbisa Macaafa Qulqulluu Guyyaa',
+                reminderNotificationBody: 'Karoora dubbisaa kee itti fufuuf karoora bani.',
+                errorTitle: 'Wanti tokko dogoggoreera',
+                errorMessage: "Rakkoo uumameef dhiifama gaafanna. Maaloo fuula irra deebi'ii fe'i.",
+                errorDetails: "Bal'ina dogoggoraa",
+                errorUnknown: 'Dogoggora hin beekamne',
+                errorRestoreHint: "Rakkoon adeemsa kee olkaa'ame keessa yoo jiraate, gara tuqaa deebii {date} irraa deebi'uu dandeessa.",
+                errorRestoreButton: 'Adeemsa gaarii dhumaa deebisi',
+                errorRestoring: 'Deebisaa jira...',
+                errorRestoreFailed: "Deebisuun hin milkoofne. Irra deebi'ii yaali",
+                errorRefresh: 'Fuula haaromsi'
+            }
+        };
+
+        this.content = {
+            am: {
+                'month.meskerem': 'መስከረም', 'month.tikimt': 'ጥቅምት', 'month.hidar': 'ኅዳር',
+                'month.tahsas': 'ታኅሣሥ', 'month.tir': 'ጥር', 'month.yekatit': 'የካቲት',
+                'month.megabit': 'መጋቢት', 'month.miazia': 'ሚያዝያ', 'month.ginbot': 'ግንቦት',
+                'month.sene': 'ሰኔ', 'month.hamle': 'ሐምሌ', 'month.nehase': 'ነሐሴ', 'month.pagume': 'ጳጉሜን',
+                'season.Spring': 'ጸደይ', 'season.Winter': 'በጋ', 'season.Summer': 'በልግ',
+                'season.Rainy': 'ክረምት', 'season.Special': 'ልዩ',
+                'chrono.meskerem.theme': 'ከፍጥረት እስከ ዘጸአት',
+                'chrono.tikimt.theme': 'ምድረ በዳ እና ሕግ',
+                'chrono.hidar.theme': 'የምድረ በዳ ጉዞ',
+                'chrono.tahsas.theme': 'የከነዓን ወረራ እና መሳፍንት',
+                'chrono.tir.theme': 'የተባበረው መንግሥት',
+                'chrono.yekatit.theme': 'የተከፈለው መንግሥት',
+                'chrono.megabit.theme': 'መመለስ እና መታደስ',
+                'chrono.miazia.theme': 'ጥበብ እና አምልኮ',
+                'chrono.ginbot.theme': 'የነቢያት መጀመሪያ',
+                'chrono.sene.theme': 'የሚያለቅሰው ነቢይ',
+                'chrono.hamle.theme': 'የምርኮ ዘመን ነቢያት',
+                'chrono.nehase.theme': 'የትንቢት ፍጻሜ',
+                'chrono.pagume.theme': 'ቤተ ክርስቲያን እና ዘላለም',
+                'disc.1.topic': 'ድነት እና አዲስ ሕይወት',
+                'disc.2.topic': 'የእግዚአብሔር ቃል',
+                'disc.3.topic': 'ጸሎት እና ከእግዚአብሔር ጋር ኅብረት',
+                'disc.4.topic': 'መንፈስ ቅዱስ',
+                'disc.5.topic': 'ቤተ ክርስቲያን እና ማኅበረሰብ',
+                'disc.6.topic': 'መንፈሳዊ ውጊያ',
+                'disc.7.topic': 'ወንጌል ስርጭት እና ምስክርነት',
+                'disc.8.topic': 'መጋቢነት እና ልግስና',
+                'disc.9.topic': 'የእግዚአብሔር ፈቃድ እና ውሳኔ አሰጣጥ',
+                'disc.10.topic': 'ግንኙነት እና ትዳር',
+                'disc.11.topic': 'ልጅ አስተዳደግ እና ቤተሰብ',
+                'disc.12.topic': 'ሥራ እና ጥሪ',
+                'disc.13.topic': 'መከራ እና ፈተና',
+                'disc.14.topic': 'ይቅርታ እና እርቅ',
+                'disc.15.topic': 'ጥበብ እና ማስተዋል',
+                'disc.16.topic': 'ዘላለማዊ አመለካከት',
+                'chrono.week.1.focus': 'ፍጥረት እና ውድቀት',
+                'chrono.week.1.keyThemes': 'እግዚአብሔር ፈጣሪ፣ የሰው ኃጢአት፣ የቃል ኪዳን ጅማሬ',
+                'chrono.week.1.practicalApplication': 'በዕለት ተዕለት ሕይወትህ እግዚአብሔርን እንደ ፈጣሪ አስብ። በየቀኑ በዙሪያህ ያለውን ፍጥረቱን ለማስተዋል ጊዜ ውሰድ።',
+                'chrono.week.1.question.1': 'ፍጥረት ስለ እግዚአብሔር ባሕርይ ምን ያስተምረናል?',
+                'chrono.week.1.question.2': 'ውድቀት ከእግዚአብሔር ጋር ያለንን ግንኙነት እንዴት ይነካል?',
+                'chrono.week.1.question.3': 'በመጀመሪያዎቹ ቃል ኪዳኖች ውስጥ ምን ተስፋዎችን እናያለን?',
+                'chrono.week.2.focus': 'አባቶች፦ አብርሃም',
+                'chrono.week.2.keyThemes': 'እምነት፣ ተስፋ፣ ፈተና፣ የእግዚአብሔር ዝግጅት',
+                'chrono.week.2.practicalApplication': 'በዚህ ሳምንት በአንድ ነገር በእምነት ወደፊት ተራመድ። የማይቻል በሚመስል ነገር እግዚአብሔርን እመን።',
+                'chrono.week.2.question.1': 'አብርሃም እምነቱን እንዴት አሳየ?',
+                'chrono.week.2.question.2': 'ከአብርሃም ስሕተቶች ምን እንማራለን?',
+                'chrono.week.2.question.3': 'እግዚአብሔር ተስፋዎቹን እንዴት ይፈጽማል?',
+                'chrono.week.3.focus': 'አባቶች፦ ያዕቆብ እና ዮሴፍ',
+                'chrono.week.3.keyThemes': 'ለውጥ፣ ይቅርታ፣ የእግዚአብሔር ሉዓላዊነት',
+                'chrono.week.3.practicalApplication': 'በአንድ ግንኙነትህ ይቅርታን ተለማመድ። በችግሮች ውስጥ የእግዚአብሔርን ዓላማ ለማየት ምረጥ።',
+                'chrono.week.3.question.1': 'እግዚአብሔር የያዕቆብን ባሕርይ እንዴት ለወጠው?',
+                'chrono.week.3.question.2': 'የዮሴፍ ታሪክ ስለ ይቅርታ ምን ያስተምራል?',
+                'chrono.week.3.question.3': 'እግዚአብሔር በአስቸጋሪ ሁኔታዎች ውስጥ እንዴት ይሠራል?',
+                'chrono.week.4.focus': 'የዘጸአት ጅማሬ',
+                'chrono.week.4.keyThemes': 'ነጻ መውጣት፣ ፋሲካ፣ በችግር ጊዜ እምነት',
+                'chrono.week.4.practicalApplication': 'የማይቻል በሚመስል ሁኔታ እግዚአብሔርን እመን። ዝም ብለህ ቁም፤ ሲሠራም ተመልከት።',
+                'chrono.week.4.question.1': 'እግዚአብሔር የሕዝቡን ጩኸት እንዴት ይሰማል?',
+                'chrono.week.4.question.2': 'ፋሲካ ስለ ቤዛነት ምን ያስተምረናል?',
+                'chrono.week.4.question.3': 'በማይቻሉ ሁኔታዎች ውስጥ እግዚአብሔርን እንዴት ማመን እንችላለን?',
+                'chrono.week.5.focus': 'የምድረ በዳ ጉዞ',
+                'chrono.week.5.keyThemes': 'የእግዚአብሔር ዝግጅት፣ ፈተና፣ አመራር',
+                'chrono.week.5.practicalApplication': 'ስለ ዕለት ዕለት ዝግጅቱ እግዚአብሔርን አመስግን። በዚህ ሳምንት ያዘጋጀልህን ሦስት ነገሮች ጻፍ።',
+                'chrono.week.5.question.1': 'እግዚአብሔር በምድረ በዳ እንዴት ያዘጋጃል?',
+                'chrono.week.5.question.2': 'ከእስራኤል ማጉረምረም ምን እንማራለን?',
+                'chrono.week.5.question.3': 'እግዚአብሔር መሪዎችን እንዴት ያስነሣል?',
+                'chrono.week.6.focus': 'ዐሠርቱ ትእዛዛት',
+                'chrono.week.6.keyThemes': 'ሕግ፣ ቃል ኪዳን፣ ቅድስና',
+                'chrono.week.6.practicalApplication': 'በዚህ ሳምንት አንድን ትእዛዝ ለይተህ በተግባር ኑር። አንዱን መርጠህ ሆን ብለህ ተመላለስበት።',
+                'chrono.week.6.question.1': 'የዐሠርቱ ትእዛዛት ዓላማ ምንድን ነው?',
+                'chrono.week.6.question.2': 'ሕጉ የእግዚአብሔርን ባሕርይ እንዴት ይገልጣል?',
+                'chrono.week.6.question.3': 'ቅዱስ ሕዝብ መሆን ምን ማለት ነው?',
+                'chrono.week.7.focus': 'ማደሪያው ድንኳን እና አምልኮ',
+                'chrono.week.7.keyThemes': 'አምልኮ፣ የእግዚአብሔር ሕልውና፣ መታዘዝ',
+                'chrono.week.7.practicalApplication': 'በቤትህ ለጸሎት የተለየ ስፍራ አዘጋጅ። አምልኮን ቅድሚያ ስጠው።',
+                'chrono.week.7.question.1': 'ማደሪያው ድንኳን ስለ እግዚአብሔር ሕልውና ምን ያስተምራል?',
+                'chrono.week.7.question.2': 'በአምልኮ ውስጥ ዝርዝር መታዘዝ ለምን አስፈላጊ ነው?',
+                'chrono.week.7.question.3': 'እግዚአብሔር ለአለመታዘዝ ምን ምላሽ ይሰጣል?',
+                'chrono.week.8.focus': 'የቅድስና ሕጎች',
+                'chrono.week.8.keyThemes': 'መሥዋዕት፣ ንጽሕና፣ ማስተስረያ',
+                'chrono.week.8.practicalApplication': 'በሐሳብህ ቅድስናን ተለማመድ። አእምሮህን ከርኩሰት ጠብቅ።',
+                'chrono.week.8.question.1': 'መሥዋዕቶቹ ስለ ኃጢአት እና ስለ ይቅርታ ምን ያስተምራሉ?',
+                'chrono.week.8.question.2': 'ቅድስና የዕለት ተዕለት ሕይወትን እንዴት ይነካል?',
+                'chrono.week.8.question.3': 'ዛሬ የሚሠሩ የንጽሕና መርሆዎች የትኞቹ ናቸው?',
+                'chrono.week.9.focus': 'ቆጠራ እና ሥርዓት',
+                'chrono.week.9.keyThemes': 'ሥርዓት፣ ዝግጅት፣ መመሪያ',
+                'chrono.week.9.practicalApplication': 'በዚህ ሳምንት የእግዚአብሔርን መመሪያ ፈልግ።',
+                'chrono.week.9.question.1': 'ሕዝቡን መቁጠር ለምን አስፈላጊ ነበር?',
+                'chrono.week.9.question.2': 'እግዚአብሔር ሕዝቡን እንዴት አደራጀ?',
+                'chrono.week.9.question.3': 'ስለ መመራት ምን እንማራለን?',
+                'chrono.week.10.focus': 'ዓመፅ እና ውጤቱ',
+                'chrono.week.10.keyThemes': 'ማጉረምረም፣ ፍርድ፣ ታማኝነት',
+                'chrono.week.10.practicalApplication': 'ከማጉረምረም ራስህን ጠብቅ።',
+                'chrono.week.10.question.1': 'ውጤቶቹ ምን ነበሩ?',
+                'chrono.week.10.question.2': 'ሙሴ ዓመፁን እንዴት ተቆጣጠረው?',
+                'chrono.week.10.question.3': 'የናሱ እባብ ምን ያስተምራል?',
+                'chrono.week.11.focus': 'በለዓም እና ዝግጅት',
+                'chrono.week.11.keyThemes': 'መታዘዝ፣ በረከት፣ ርስት',
+                'chrono.week.11.practicalApplication': 'እግዚአብሔር ችግርን ወደ በረከት እንደሚለውጥ እመን።',
+                'chrono.week.11.question.1': 'ከበለዓም ምን እንማራለን?',
+                'chrono.week.11.question.2': 'እግዚአብሔር እርግማንን ወደ በረከት እንዴት ለወጠ?',
+                'chrono.week.11.question.3': 'ርስትን የሚወስነው ምንድን ነው?',
+                'chrono.week.12.focus': 'የሙሴ የመጨረሻ ስብከቶች',
+                'chrono.week.12.keyThemes': 'የቃል ኪዳን መታደስ፣ መታዘዝ፣ ምርጫ',
+                'chrono.week.12.practicalApplication': 'እግዚአብሔርን በሙሉ ልብህ ለመውደድ ምረጥ።',
+                'chrono.week.12.question.1': 'የሙሴ ዋና መልእክት ምን ነበር?',
+                'chrono.week.12.question.2': 'ዘዳግም ግንኙነቱን እንዴት ያጠቃልላል?',
+                'chrono.week.12.question.3': 'እግዚአብሔርን በፍጹም ልብ መውደድ ምን ማለት ነው?',
+                'chrono.week.13.focus': 'የከነዓን ወረራ',
+                'chrono.week.13.keyThemes': 'ድፍረት፣ መታዘዝ፣ ድል',
+                'chrono.week.13.practicalApplication': 'አንድን ፍርሃትህን በድፍረት ተጋፈጥ።',
+                'chrono.week.13.question.1': 'የኢያሱ የስኬት ምሥጢር ምን ነበር?',
+                'chrono.week.13.question.2': 'እግዚአብሔር በኢያሪኮ ኃይሉን እንዴት አሳየ?',
+                'chrono.week.13.question.3': 'ከአካን ኃጢአት ምን ውጤቶች መጡ?',
+                'chrono.week.14.focus': 'የምድሪቱ ክፍፍል እና ቃል ኪዳን',
+                'chrono.week.14.keyThemes': 'ርስት፣ ታማኝነት፣ አገልግሎት',
+                'chrono.week.14.practicalApplication': 'ከቤተሰብህ ጋር እግዚአብሔርን ለማገልገል ወስን።',
+                'chrono.week.14.question.1': 'ምድሪቱ እንዴት ተከፋፈለች?',
+                'chrono.week.14.question.2': 'የኢያሱ የመጨረሻ ጥሪ ምን ነበር?',
+                'chrono.week.14.question.3': 'እግዚአብሔርን ማገልገል በተግባር ምን ማለት ነው?',
+                'chrono.week.15.focus': 'የመሳፍንት ዑደት',
+                'chrono.week.15.keyThemes': 'አለመታዘዝ፣ ጭቆና፣ ነጻ መውጣት',
+                'chrono.week.15.practicalApplication': 'በራስህ ዓይን ትክክል የሚመስልህን ብቻ የምታደርግባቸውን ቦታዎች መርምር።',
+                'chrono.week.15.question.1': 'የሚደጋገመው ሥርዓት ምንድን ነው?',
+                'chrono.week.15.question.2': 'እግዚአብሔር ጉድለት ያለባቸውን መሪዎች እንዴት ተጠቀመ?',
+                'chrono.week.15.question.3': 'ከሶምሶን ምን እንማራለን?',
+                'chrono.week.16.focus': 'ሩት እና ተስፋ',
+                'chrono.week.16.keyThemes': 'ታማኝነት፣ ቤዛነት፣ የእግዚአብሔር አጠባበቅ',
+                'chrono.week.16.practicalApplication': 'ለተቸገረ ሰው ታማኝ ፍቅር አሳይ።',
+                'chrono.week.16.question.1': 'ሩት ታማኝ ፍቅርን እንዴት አሳየች?',
+                'chrono.week.16.question.2': 'ቦዔዝ እንደ ተቤዢ ስለ ክርስቶስ ምን ያስተምራል?',
+                'chrono.week.16.question.3': 'እግዚአብሔር በተራ ሰዎች እንዴት ይሠራል?',
+                'chrono.week.17.focus': 'ሳሙኤል እና ሳኦል',
+                'chrono.week.17.keyThemes': 'ጸሎት፣ አመራር፣ መታዘዝ',
+                'chrono.week.17.practicalApplication': 'ከውጫዊ ሃይማኖተኛነት ይልቅ መታዘዝን ምረጥ።',
+                'chrono.week.17.question.1': 'ከሐና ጸሎት ምን እንማራለን?',
+                'chrono.week.17.question.2': 'ሕዝቡ ንጉሥ የፈለጉት ለምን ነበር?',
+                'chrono.week.17.question.3': 'የሳኦል ከባድ ስሕተት ምን ነበር?',
+                'chrono.week.18.focus': 'የዳዊት መነሣት',
+                'chrono.week.18.keyThemes': 'ቅብዓት፣ ወዳጅነት፣ ትዕግሥት',
+                'chrono.week.18.practicalApplication': 'ሰዎችን በልባቸው ባሕርይ ዋጋ ስጣቸው።',
+                'chrono.week.18.question.1': 'ዳዊት ለምን ተመረጠ?',
+                'chrono.week.18.question.2': 'የዳዊትን እና የዮናታንን ወዳጅነት ልዩ ያደረገው ምንድን ነው?',
+                'chrono.week.18.question.3': 'ዳዊት ሳኦልን ለመግደል ያገኛቸውን አጋጣሚዎች እንዴት ያዛቸው?',
+                'chrono.week.19.focus': 'የዳዊት ንግሥና',
+                'chrono.week.19.keyThemes': 'ንግሥና፣ ቃል ኪዳን፣ ኃጢአት',
+                'chrono.week.19.practicalApplication': 'ድርጊቶች ውጤት እንዳላቸው አስታውስ።',
+                'chrono.week.19.question.1': 'ዳዊት መንግሥቱን እንዴት አጸና?',
+                'chrono.week.19.question.2': 'እግዚአብሔር ከዳዊት ጋር የገባው ቃል ኪዳን ምን ነበር?',
+                'chrono.week.19.question.3': 'የዳዊት ኃጢአት ውጤቶች ምን ነበሩ?',
+                'chrono.week.20.focus': 'የቤተሰብ ችግሮች',
+                'chrono.week.20.keyThemes': 'ውጤት፣ ንስሐ፣ ጸጋ',
+                'chrono.week.20.practicalApplication': 'በውጤቶች መካከል እንደ መጠጊያ ወደ እግዚአብሔር ሩጥ።',
+                'chrono.week.20.question.1': 'የዳዊት ኃጢአት ቤተሰቡን እንዴት ነካ?',
+                'chrono.week.20.question.2': 'ከአቤሴሎም ዓመፅ ምን እንማራለን?',
+                'chrono.week.20.question.3': 'ዳዊት ለተግሣጽ ምን ምላሽ ሰጠ?',
+                'chrono.week.21.focus': 'የሰሎሞን ንግሥና',
+                'chrono.week.21.keyThemes': 'ጥበብ፣ ቤተ መቅደስ፣ ማመቻመች',
+                'chrono.week.21.practicalApplication': 'እግዚአብሔርን ጥበብ ለምን።',
+                'chrono.week.21.question.1': 'የሰሎሞንን ጥበብ ልዩ ያደረገው ምንድን ነው?',
+                'chrono.week.21.question.2': 'የቤተ መቅደሱ ትርጉም ምን ነበር?',
+                'chrono.week.21.question.3': 'ባዕዳን ሚስቶቹ ከመንገድ እንዴት አሳቱት?',
+                'chrono.week.22.focus': 'የመንግሥቱ መከፈል',
+                'chrono.week.22.keyThemes': 'መከፋፈል፣ ነቢያት፣ ጣዖት አምልኮ',
+                'chrono.week.22.practicalApplication': 'ልብህን ከእግዚአብሔር የሚሻሙ ጣዖታትን አስወግድ።',
+                'chrono.week.22.question.1': 'መንግሥቱ ለምን ተከፈለ?',
+                'chrono.week.22.question.2': 'ነቢያት ጣዖት አምልኮን እንዴት ተቃወሙ?',
+                'chrono.week.22.question.3': 'ከአክዓብ እና ከኤልዛቤል ምን እንማራለን?',
+                'chrono.week.23.focus': 'ኤልሳዕ እና ውድቀት',
+                'chrono.week.23.keyThemes': 'ተአምራት፣ ታማኝነት፣ ፍርድ',
+                'chrono.week.23.practicalApplication': 'የአምላካውያንን ምክር ስማ።',
+                'chrono.week.23.question.1': 'የኤልሳዕ አገልግሎት በምን ይለያል?',
+                'chrono.week.23.question.2': 'እስራኤል ለምን ተማረከ?',
+                'chrono.week.23.question.3': 'ሕዝቅያስ ምን ተሐድሶዎችን አደረገ?',
+                'chrono.week.24.focus': 'የይሁዳ ውድቀት',
+                'chrono.week.24.keyThemes': 'ተሐድሶ፣ ፍርድ፣ ተስፋ',
+                'chrono.week.24.practicalApplication': 'የመንፈሳዊ ተሐድሶ ሰው ሁን።',
+                'chrono.week.24.question.1': 'የኢዮስያስን ተሐድሶዎች ትልቅ ያደረጋቸው ምንድን ነው?',
+                'chrono.week.24.question.2': 'ይሁዳ ለምን ወደ ምርኮ ሄደ?',
+                'chrono.week.24.question.3': 'የቀረው ተስፋ ምን ነበር?',
+                'chrono.week.25.focus': 'ከምርኮ መመለስ',
+                'chrono.week.25.keyThemes': 'መታደስ፣ አምልኮ፣ ተቃውሞ',
+                'chrono.week.25.practicalApplication': 'እግዚአብሔር የመሪዎችን ልብ ማንቀሳቀስ እንደሚችል እመን።',
+                'chrono.week.25.question.1': 'እግዚአብሔር ቂሮስን እንዴት አነሣሣው?',
+                'chrono.week.25.question.2': 'ከምርኮ የተመለሱት ምን ችግሮች ገጠሟቸው?',
+                'chrono.week.25.question.3': 'ነህምያ የመልሶ ግንባታውን ሥራ እንዴት መራ?',
+                'chrono.week.26.focus': 'መንፈሳዊ መታደስ',
+                'chrono.week.26.keyThemes': 'የእግዚአብሔር ቃል፣ ቃል ኪዳን፣ የእግዚአብሔር አጠባበቅ',
+                'chrono.week.26.practicalApplication': 'የእግዚአብሔርን ቃል በተሻለ ለመረዳት ራስህን ስጥ።',
+                'chrono.week.26.question.1': 'ሕጉን ማንበብ በሕዝቡ ላይ ምን ተጽዕኖ አሳደረ?',
+                'chrono.week.26.question.2': 'የቃል ኪዳኑ መታደስ ትርጉም ምን ነበር?',
+                'chrono.week.26.question.3': 'እግዚአብሔር አስቴርን እንዴት ተጠቀመባት?',
+                'chrono.week.27.focus': 'ኢዮብ፦ መከራ እና ሉዓላዊነት',
+                'chrono.week.27.keyThemes': 'መከራ፣ ፍትሕ፣ ምሥጢር',
+                'chrono.week.27.practicalApplication': 'በአስቸጋሪ ሁኔታዎች ውስጥ እግዚአብሔርን አመስግን።',
+                'chrono.week.27.question.1': 'ስለ መንፈሳዊ ውጊያ ምን እንማራለን?',
+                'chrono.week.27.question.2': 'ወዳጆቹ ኢዮብን እንዴት በተሳሳተ መንገድ ተረዱት?',
+                'chrono.week.27.question.3': 'ኢዮብ ምን ጥያቄዎችን አነሣ?',
+                'chrono.week.28.focus': 'እግዚአብሔር ለኢዮብ መለሰ',
+                'chrono.week.28.keyThemes': 'ጥበብ፣ ንስሐ፣ መታደስ',
+                'chrono.week.28.practicalApplication': 'በእግዚአብሔር ጥበብ ፊት ራስህን ዝቅ አድርግ።',
+                'chrono.week.28.question.1': 'እግዚአብሔር ለኢዮብ እንዴት መለሰለት?',
+                'chrono.week.28.question.2': 'የእግዚአብሔር ዋና ነጥብ ምን ነበር?',
+                'chrono.week.28.question.3': 'የኢዮብ አመለካከት እንዴት ተለወጠ?',
+                'chrono.week.29.focus': 'የዳዊት መዝሙሮች',
+                'chrono.week.29.keyThemes': 'አምልኮ፣ ሐዘን፣ መታመን',
+                'chrono.week.29.practicalApplication': 'መዝሙራትን ለጸሎትህ አብነት አድርገህ ተጠቀምባቸው።',
+                'chrono.week.29.question.1': 'መዝሙራትን ልዩ የሚያደርጋቸው ምንድን ነው?',
+                'chrono.week.29.question.2': 'እውነተኛ ስሜትን እንዴት ይገልጣሉ?',
+                'chrono.week.29.question.3': 'ስለ እግዚአብሔር ባሕርይ ምን እንማራለን?',
+                'chrono.week.30.focus': 'አምልኮ እና ጥበብ',
+                'chrono.week.30.keyThemes': 'መጠጊያ፣ ጥበብ፣ እግዚአብሔርን መፍራት',
+                'chrono.week.30.practicalApplication': 'ለጭንቀት ጊዜ አንድ መዝሙር በቃልህ ያዝ።',
+                'chrono.week.30.question.1': 'መዝሙራት እግዚአብሔርን እንደ መጠጊያ እንዴት ይገልጡታል?',
+                'chrono.week.30.question.2': 'የጥበብ መጀመሪያ ምንድን ነው?',
+                'chrono.week.30.question.3': 'ጥበብ እንዴት ትጠብቀናለች?',
+                'chrono.week.31.focus': 'የመዓርግ መዝሙሮች',
+                'chrono.week.31.keyThemes': 'ጉዞ፣ ምስጋና፣ ተግባራዊ ጥበብ',
+                'chrono.week.31.practicalApplication': 'በየቀኑ በምስጋና ወደ እግዚአብሔር ፊት ግባ።',
+                'chrono.week.31.question.1': 'የመዓርግ መዝሙሮች ለምን ይዘመሩ ነበር?',
+                'chrono.week.31.question.2': 'እነዚህ መዝሙሮች ምስጋናን እንዴት ይገልጣሉ?',
+                'chrono.week.31.question.3': 'ምን ተግባራዊ ጥበብ ይሰጣሉ?',
+                'chrono.week.32.focus': 'ምስጋና እና የጥበብ ፍጻሜ',
+                'chrono.week.32.keyThemes': 'የእግዚአብሔር ቃል፣ ምስጋና፣ የመጨረሻ ጥበብ',
+                'chrono.week.32.practicalApplication': 'የእግዚአብሔር ቃል በየቀኑ ውሳኔዎችህን ይምራ።',
+                'chrono.week.32.question.1': 'መዝሙር 119 ስለ እግዚአብሔር ቃል ምን ያስተምራል?',
+                'chrono.week.32.question.2': 'የመጨረሻዎቹ መዝሙራት ወደ ምስጋና እንዴት ይጠሩናል?',
+                'chrono.week.32.question.3': 'ልባም ሴት ምን ዓይነት ጥበብን ታሳያለች?',
+                'chrono.week.33.focus': 'መክብብ እና መኃልየ መኃልይ',
+                'chrono.week.33.keyThemes': 'የሕይወት ትርጉም፣ ፍቅር፣ ደስታ',
+                'chrono.week.33.practicalApplication': 'እርካታን በምድራዊ ነገሮች ሳይሆን በእግዚአብሔር ፈልግ።',
+                'chrono.week.33.question.1': 'የሕይወት ትርጉም ምንድን ነው?',
+                'chrono.week.33.question.2': 'መኃልየ መኃልይ አምላካዊ ፍቅርን እንዴት ይገልጣል?',
+                'chrono.week.33.question.3': 'ደስታ እና ሥራ በሕይወት ውስጥ ምን ቦታ አላቸው?',
+                'chrono.week.34.focus': 'ኢሳይያስ፦ ፍርድ እና ተስፋ',
+                'chrono.week.34.keyThemes': 'ኃጢአት፣ ፍርድ፣ ቅድስና',
+                'chrono.week.34.practicalApplication': 'ስለ ቅድስናው እግዚአብሔርን አምልክ።',
+                'chrono.week.34.question.1': 'ይሁዳ ምን ኃጢአቶችን ይሠራ ነበር?',
+                'chrono.week.34.question.2': 'ኢሳይያስ ቅድስናን እንዴት ይገልጻል?',
+                'chrono.week.34.question.3': 'በአሕዛብ ላይ ምን ፍርዶች ተነገሩ?',
+                'chrono.week.35.focus': 'ኢሳይያስ፦ መታመን እና መሲሑ',
+                'chrono.week.35.keyThemes': 'መታመን፣ ድነት፣ ሕዝቅያስ',
+                'chrono.week.35.practicalApplication': 'እግዚአብሔርን ሙሉ በሙሉ እመን።',
+                'chrono.week.35.question.1': 'በሰዎች ኅብረት ለምን መታመን የለብንም?',
+                'chrono.week.35.question.2': 'ስለ መሲሑ ምን ትንቢቶች ተነገሩ?',
+                'chrono.week.35.question.3': 'ሕዝቅያስ እምነቱንም ድካሙንም እንዴት አሳየ?',
+                'chrono.week.36.focus': 'ኢሳይያስ፦ መጽናናት እና መታደስ',
+                'chrono.week.36.keyThemes': 'መጽናናት፣ አገልጋዩ፣ አዲስ ፍጥረት',
+                'chrono.week.36.practicalApplication': 'ኃይልን ለማግኘት እግዚአብሔርን ተስፋ አድርግ።',
+                'chrono.week.36.question.1': 'ኢሳይያስ 40 እንዴት ያጽናናል?',
+                'chrono.week.36.question.2': 'የአገልጋዩ መዝሙሮች ስለ ኢየሱስ ምን ይገልጣሉ?',
+                'chrono.week.36.question.3': 'አዲሱ ፍጥረት እንዴት ተገልጧል?',
+                'chrono.week.37.focus': 'የኤርምያስ ጥሪ',
+                'chrono.week.37.keyThemes': 'ጥሪ፣ ተቃውሞ፣ ሐዘን',
+                'chrono.week.37.practicalApplication': 'አስቸጋሪ በሆነ ጊዜም ታዛዥ ሁን።',
+                'chrono.week.37.question.1': 'ኤርምያስ እንዴት ተጠራ?',
+                'chrono.week.37.question.2': 'የሚያለቅሰው ነቢይ የተባለው ለምንድን ነው?',
+                'chrono.week.37.question.3': 'ሕዝቡ ምን ምላሽ ሰጡ?',
+                'chrono.week.38.focus': 'ትንቢቶች እና ሐሰተኛ ነቢያት',
+                'chrono.week.38.keyThemes': 'እውነት እና ሐሰት፣ ቃል ኪዳን፣ ተስፋ',
+                'chrono.week.38.practicalApplication': 'የእግዚአብሔርን መልካም ዕቅድ እመን።',
+                'chrono.week.38.question.1': 'እውነተኛውን ትንቢት ከሐሰተኛው እንዴት እንለያለን?',
+                'chrono.week.38.question.2': 'አዲሱ ኪዳን ምን ነበር?',
+                'chrono.week.38.question.3': 'ኤርምያስ ተስፋን እንዴት አሳየ?',
+                'chrono.week.39.focus': 'የኢየሩሳሌም ውድቀት',
+                'chrono.week.39.keyThemes': 'ጥፋት፣ ሐዘን፣ ታማኝነት',
+                'chrono.week.39.practicalApplication': 'በየማለዳው የእግዚአብሔርን ታማኝነት አስታውስ።',
+                'chrono.week.39.question.1': 'ኢየሩሳሌም እንዴት ወደቀች?',
+                'chrono.week.39.question.2': 'ስለ ሐዘን ምን እንማራለን?',
+                'chrono.week.39.question.3': 'እግዚአብሔር ታማኝ ሆኖ እንዴት ቀጠለ?',
+                'chrono.week.40.focus': 'ክለሳ እና ማሰላሰል',
+                'chrono.nehase.reading': 'ትንንሽ ነቢያት እና ወንጌላት',
+                'chrono.week.40.readings': 'የኤርምያስን ክፍሎች መከለስ',
+                'chrono.week.40.keyThemes': 'የእግዚአብሔር ታማኝነት',
+                'chrono.week.40.practicalApplication': 'በእግዚአብሔር የዘላለም ፍቅር ላይ አሰላስል።',
+                'chrono.week.40.question.1': 'ስለ እግዚአብሔር ባሕርይ ምን ተማርክ?',
+                'chrono.week.40.question.2': 'እግዚአብሔር በፍርድ ውስጥ ምሕረትን እንዴት ያሳያል?',
+                'chrono.week.40.question.3': 'ዛሬ የሚሠሩ ማስጠንቀቂያዎች የትኞቹ ናቸው?',
+                'chrono.week.41.focus': 'ሕዝቅኤል፦ ራእዮች',
+                'chrono.week.41.keyThemes': 'ክብር፣ ኃላፊነት፣ ተስፋ',
+                'chrono.week.41.practicalApplication': 'እግዚአብሔርን ለስላሳ ልብ ለምን።',
+                'chrono.week.41.question.1': 'የራእዮቹ ትርጉም ምን ነበር?',
+                'chrono.week.41.question.2': 'ጠባቂ መሆን ምን ማለት ነው?',
+                'chrono.week.41.question.3': 'ሕዝቅኤል መልእክቱን በድርጊት እንዴት አስተላለፈ?',
+                'chrono.week.42.focus': 'ሕዝቅኤል፦ መታደስ',
+                'chrono.week.42.keyThemes': 'ፍርድ፣ አዲሱ ቤተ መቅደስ፣ የሕይወት ወንዝ',
+                'chrono.week.42.practicalApplication': 'እግዚአብሔር ለሞቱ የሕይወትህ ክፍሎች ሕይወት እንደሚሰጥ እመን።',
+                'chrono.week.42.question.1': 'በዙሪያ ባሉ አሕዛብ ላይ ለምን ፍርድ ተነገረ?',
+                'chrono.week.42.question.2': 'የደረቁ አጥንቶች ሸለቆ ራእይ ምን ነበር?',
+                'chrono.week.42.question.3': 'አዲሱ ቤተ መቅደስ ምንን ይወክላል?',
+                'chrono.week.43.focus': 'ዳንኤል፦ በምርኮ ውስጥ እምነት',
+                'chrono.week.43.keyThemes': 'ታማኝነት፣ ሉዓላዊነት፣ ነጻ መውጣት',
+                'chrono.week.43.practicalApplication': 'ውጤቱ ምንም ቢሆን ታማኝ ሁን።',
+                'chrono.week.43.question.1': 'ዳንኤል እምነቱን እንዴት ጠበቀ?',
+                'chrono.week.43.question.2': 'ከእሳቱ እቶን ምን እንማራለን?',
+                'chrono.week.43.question.3': 'እግዚአብሔር ሉዓላዊነቱን እንዴት አሳየ?',
+                'chrono.week.44.focus': 'ዳንኤል፦ ራእዮች',
+                'chrono.week.44.keyThemes': 'ትንቢት፣ መንግሥት፣ የመጨረሻው ዘመን',
+                'chrono.week.44.practicalApplication': 'በእግዚአብሔር ድል በመተማመን ኑር።',
+                'chrono.week.44.question.1': 'ራእዮቹ የትኞቹን መንግሥታት ይወክላሉ?',
+                'chrono.week.44.question.2': 'የጥፋት ርኩሰት ምንድን ነው?',
+                'chrono.week.44.question.3': 'ዳንኤል ወደ ዘላለማዊው መንግሥት እንዴት ያመለክታል?',
+                'chrono.week.45.focus': 'ደቂቀ ነቢያት ፩',
+                'chrono.week.45.keyThemes': 'ፍቅር፣ ፍትሕ፣ ምሕረት፣ ተልእኮ',
+                'chrono.week.45.practicalApplication': 'ፍትሕን፣ ምሕረትን እና ትሕትናን ተለማመድ።',
+                'chrono.week.45.question.1': 'የሆሴዕ ትዳር የእግዚአብሔርን ፍቅር እንዴት ያሳያል?',
+                'chrono.week.45.question.2': 'ዮናስ ምን ያስተምራል?',
+                'chrono.week.45.question.3': 'ሚክያስ እግዚአብሔር የሚፈልገውን እንዴት አጠቃለለ?',
+                'chrono.week.46.focus': 'ደቂቀ ነቢያት ፪',
+                'chrono.week.46.keyThemes': 'መታመን፣ መታደስ፣ ዝግጅት',
+                'chrono.week.46.practicalApplication': 'ሁኔታው ምንም ቢሆን ደስታን ምረጥ።',
+                'chrono.week.46.question.1': 'ዕንባቆም መታመንን እንዴት ተማረ?',
+                'chrono.week.46.question.2': 'ምን የተስፋ መልእክቶች ተነገሩ?',
+                'chrono.week.46.question.3': 'ሚልክያስ ለመሲሑ መምጣት እንዴት ያዘጋጃል?',
+                'chrono.week.47.focus': 'ወንጌላት፦ ልደት እና አገልግሎት',
+                'chrono.week.47.keyThemes': 'ሥጋ መልበስ፣ መንግሥት፣ ደቀ መዝሙርነት',
+                'chrono.week.47.practicalApplication': 'ኢየሱስን በሕይወትህ ሁሉ ተቀበለው።',
+                'chrono.week.47.question.1': 'ወንጌላት ኢየሱስን እንዴት ያስተዋውቃሉ?',
+                'chrono.week.47.question.2': 'መንግሥተ እግዚአብሔር ምን ማለት ነው?',
+                'chrono.week.47.question.3': 'ኢየሱስ ደቀ መዛሙርቱን እንዴት አሠለጠነ?',
+                'chrono.week.48.focus': 'የኢየሱስ አገልግሎት',
+                'chrono.week.48.keyThemes': 'ምሳሌዎች፣ ተአምራት፣ መስቀል፣ ትንሣኤ',
+                'chrono.week.48.practicalApplication': 'ወደ አብ ብቸኛው መንገድ የሆነውን ኢየሱስን ተከተል።',
+                'chrono.week.48.question.1': 'ምሳሌዎቹ ምን ያስተምራሉ?',
+                'chrono.week.48.question.2': 'ኢየሱስ ሥልጣኑን እንዴት አሳየ?',
+                'chrono.week.48.question.3': 'ትንሣኤ ለእኛ ምን ትርጉም አለው?',
+                'chrono.week.49.focus': 'የቤተ ክርስቲያን መወለድ እና ተልእኮ',
+                'chrono.week.49.keyThemes': 'መንፈስ ቅዱስ፣ ተልእኮ፣ ተስፋ፣ አዲስ ፍጥረት',
+                'chrono.week.49.practicalApplication': 'በትንሣኤው ኃይል እና በክርስቶስ ዳግም ምጽአት ተስፋ ኑር።',
+                'chrono.week.49.question.1': 'መንፈስ ቅዱስ ቤተ ክርስቲያንን እንዴት አበረታ?',
+                'chrono.week.49.question.2': 'ተልእኳችን ምንድን ነው?',
+                'chrono.week.49.question.3': 'ራእይ ምን ተስፋ ይሰጣል?',
+                'chrono.week.49.question.4': 'በክርስቶስ ዳግም ምጽአት ብርሃን እንዴት መኖር አለብን?',
+                'nt90.0.focus': 'ኢየሱስ ንጉሥ',
+                'nt90.1.focus': 'ኢየሱስ አገልጋይ',
+                'nt90.2.focus': 'ኢየሱስ አዳኝ',
+                'nt90.3.focus': 'ኢየሱስ አምላክ',
+                'nt90.4.focus': 'የመጀመሪያይቱ ቤተ ክርስቲያን',
+                'nt90.5.focus': 'የጳውሎስ ሥነ መለኮት',
+                'nt90.5.reading': 'ሮሜ እና ቆሮንቶስ',
+                'nt90.6.focus': 'የቤተ ክርስቲያን ሕይወት',
+                'nt90.6.reading': 'የጳውሎስ መልእክቶች',
+                'nt90.7.focus': 'እምነት እና ተስፋ',
+                'nt90.7.reading': 'የሐዋርያት መልእክቶች እና ራእይ',
+                'nt90.day.1.focus': 'ልደት እና ዝግጅት',
+                'nt90.day.2.focus': 'የተራራው ስብከት',
+                'nt90.day.3.focus': 'ተአምራት እና ተልእኮ',
+                'nt90.day.4.focus': 'የመንግሥቱ ምሳሌዎች',
+                'nt90.day.5.focus': 'ማንነት እና ማኅበረሰብ',
+                'nt90.day.6.focus': 'ትምህርት እና ክርክር',
+                'nt90.day.7.focus': 'ወዮታዎች እና የመጨረሻው ዘመን',
+                'nt90.day.8.focus': 'ሕማማት እና ትንሣኤ',
+                'nt90.day.9.focus': 'ማሰላሰል እና በተግባር መኖር',
+                'nt90.day.9.reading': 'ማቴዎስን መከለስ',
+                'nt90.day.10.focus': 'የአገልግሎቱ ፈጣን ጅማሬ',
+                'nt90.day.11.focus': 'ተአምራት እና ኃይል',
+                'nt90.day.12.focus': 'ትምህርት እና መለወጥ',
+                'nt90.day.13.focus': 'አገልጋይ መሪነት',
+                'nt90.day.14.focus': 'ትንቢት እና አሳልፎ መሰጠት',
+                'nt90.day.15.focus': 'መሥዋዕትነት እና ድል',
+                'nt90.day.16.focus': 'ልደት እና የትውልድ ሐረግ',
+                'nt90.day.17.focus': 'የአገልግሎት ጅማሬ',
+                'nt90.day.18.focus': 'ተአምራት እና ደቀ መዛሙርት',
+                'nt90.day.19.focus': 'ትምህርት እና ምሳሌዎች',
+                'nt90.day.20.focus': 'የመንግሥቱ ምሳሌዎች',
+                'nt90.day.21.focus': 'ሀብት እና ጸሎት',
+                'nt90.day.22.focus': 'ወደ ኢየሩሳሌም መግባት',
+                'nt90.day.23.focus': 'ሕማማት እና ትንሣኤ',
+                'nt90.day.24.focus': 'መለኮታዊ ማንነት',
+                'nt90.day.25.focus': 'የሕይወት ውኃ እና እንጀራ',
+                'nt90.day.26.focus': 'የዓለም ብርሃን',
+                'nt90.day.27.focus': 'መልካሙ እረኛ',
+                'nt90.day.28.focus': 'የመጨረሻው እራት',
+                'nt90.day.29.focus': 'መንፈስ ቅዱስ እና መያዝ',
+                'nt90.day.30.focus': 'ስቅለት እና ተልእኮ',
+                'nt90.day.31.focus': 'በዓለ ኀምሳ እና ኃይል',
+                'nt90.day.32.focus': 'የቤተ ክርስቲያን እድገት',
+                'nt90.day.33.focus': 'እስጢፋኖስ እና ስደት',
+                'nt90.day.34.focus': 'የጳውሎስ መለወጥ',
+                'nt90.day.35.focus': 'አሕዛብ መካተታቸው',
+                'nt90.day.36.focus': 'የመጀመሪያው የወንጌል ጉዞ',
+                'nt90.day.37.focus': 'ሁለተኛው ጉዞ',
+                'nt90.day.38.focus': 'ሦስተኛው ጉዞ እና መያዝ',
+                'nt90.day.39.focus': 'ፍርድ ቤቶች እና መከላከያ',
+                'nt90.day.40.focus': 'ወደ ቄሣር ይግባኝ',
+                'nt90.day.46.focus': 'ኃጢአት እና ጽድቅ',
+                'nt90.day.47.focus': 'እምነት እና ጸጋ',
+                'nt90.day.48.focus': 'መንፈስ እና ነጻነት',
+                'nt90.day.49.focus': 'እስራኤል እና ምሕረት',
+                'nt90.day.50.focus': 'ተግባራዊ ሕይወት',
+                'nt90.day.51.focus': 'በቤተ ክርስቲያን ውስጥ መከፋፈል',
+                'nt90.day.52.focus': 'ሥነ ምግባር እና ነጻነት',
+                'nt90.day.53.focus': 'መብት እና አምልኮ',
+                'nt90.day.54.focus': 'መንፈሳዊ ስጦታዎች',
+                'nt90.day.55.focus': 'ትንሣኤ',
+                'nt90.day.56.focus': 'መጽናናት እና አገልግሎት',
+                'nt90.day.57.focus': 'እርቅ እና መስጠት',
+                'nt90.day.58.focus': 'ልግስና እና ሥልጣን',
+                'nt90.day.61.focus': 'ጸጋ እና ሕግ',
+                'nt90.day.62.focus': 'ነጻነት እና መንፈስ',
+                'nt90.day.63.focus': 'መንፈሳዊ በረከቶች',
+                'nt90.day.64.focus': 'አንድነት እና የጦር ዕቃ',
+                'nt90.day.65.focus': 'ደስታ እና ትሕትና',
+                'nt90.day.66.focus': 'ጽድቅ እና ሰላም',
+                'nt90.day.67.focus': 'የክርስቶስ የበላይነት',
+                'nt90.day.68.focus': 'አዲስ ሕይወት',
+                'nt90.day.69.focus': 'እምነት እና ፍቅር',
+                'nt90.day.70.focus': 'ዳግም ምጽአት እና አኗኗር',
+                'nt90.day.71.focus': 'የመጨረሻው ዘመን እና ሥራ',
+                'nt90.day.72.focus': 'የቤተ ክርስቲያን ሥርዓት',
+                'nt90.day.73.focus': 'እግዚአብሔርን መምሰል እና ባለው መርካት',
+                'nt90.day.74.focus': 'ወንጌልን መጠበቅ',
+                'nt90.day.75.focus': 'መጻሕፍት እና ሩጫን መጨረስ',
+                'nt90.day.76.focus': 'ጤናማ ትምህርት',
+                'nt90.day.77.focus': 'ይቅርታ',
+                'nt90.day.78.focus': 'የክርስቶስ ብልጫ',
+                'nt90.day.79.focus': 'ክህነት',
+                'nt90.day.80.focus': 'አዲስ ኪዳን',
+                'nt90.day.81.focus': 'እምነት እና ጽናት',
+                'nt90.day.82.focus': 'እምነት እና ሥራ',
+                'nt90.day.83.focus': 'ጥበብ እና ጸሎት',
+                'nt90.day.84.focus': 'ሕያው ተስፋ',
+                'nt90.day.85.focus': 'መከራ እና አመራር',
+                'nt90.day.86.focus': 'እውቀት እና ዳግም ምጽአት',
+                'nt90.day.87.focus': 'ብርሃን እና ፍቅር',
+                'nt90.day.88.focus': 'እግዚአብሔር ፍቅር ነው',
+                'nt90.day.89.focus': 'እውነት እና ስለ እምነት መጋደል',
+                'nt90.day.90.focus': 'ድል እና አዲስ ፍጥረት',
+                'disc.1.objective.1': 'የወንጌልን መልእክት በግልጽ መረዳት',
+                'disc.1.objective.2': 'ዳግም መወለድ ምን ማለት እንደሆነ ማብራራት',
+                'disc.1.objective.3': 'የግል ምስክርነትን በውጤታማነት ማካፈል',
+                'disc.1.activity.1': 'የግል የድነት ታሪክህን ጻፍ',
+                'disc.1.activity.2': 'ወንጌልን በ3 ደቂቃ ማካፈል ተለማመድ',
+                'disc.1.activity.3': 'ስለ ድነት ዋና ዋና ጥቅሶችን በቃል ያዝ',
+                'disc.1.question.1': 'ክርስቲያን ከመሆንህ በፊት ስለ ኢየሱስ ምን ትረዳ ነበር?',
+                'disc.1.question.2': 'ክርስቶስን መከተል ከጀመርክ ወዲህ ሕይወትህ እንዴት ተለወጠ?',
+                'disc.1.question.3': 'አዲስ ፍጥረት መሆን ምን ማለት ነው?',
+                'disc.2.objective.1': 'የመጽሐፍ ቅዱስን ሥልጣን እና ዓላማ መረዳት',
+                'disc.2.objective.2': 'ወጥ የሆነ የመጽሐፍ ቅዱስ ንባብ ልማድ ማዳበር',
+                'disc.2.objective.3': 'መሠረታዊ የመጽሐፍ ቅዱስ ጥናት ዘዴዎችን መማር',
+                'disc.2.activity.1': 'የዕለት የመጽሐፍ ቅዱስ ንባብ ዕቅድ አዘጋጅ',
+                'disc.2.activity.2': 'የSOAP ዘዴን ተለማመድ (ቃሉ፣ ምልከታ፣ በተግባር ማዋል፣ ጸሎት)',
+                'disc.2.activity.3': 'ከቃሉ የተማርከውን አንድ እውነት ለሌሎች አካፍል',
+                'disc.2.question.1': 'መጽሐፍ ቅዱስ ለክርስቲያናዊ እድገት ለምን አስፈላጊ ነው?',
+                'disc.2.question.2': 'በቃሉ በኩል የእግዚአብሔርን ድምፅ እንዴት መስማት እንችላለን?',
+                'disc.2.question.3': 'መጽሐፍ ቅዱስን አዘውትሮ ከማንበብ የሚያግዱ ነገሮች ምንድን ናቸው?',
+                'disc.3.objective.1': 'የጸሎትን ዓላማ እና ኃይል መረዳት',
+                'disc.3.objective.2': 'የተለያዩ የጸሎት ዓይነቶችን መማር',
+                'disc.3.objective.3': 'ወጥ የሆነ የጸሎት ሕይወት ማዳበር',
+                'disc.3.activity.1': 'የጸሎት ማስታወሻ ደብተር አዘጋጅ',
+                'disc.3.activity.2': 'የACTS የጸሎት አብነትን ተለማመድ (ስግደት፣ ኑዛዜ፣ ምስጋና፣ ልመና)',
+                'disc.3.activity.3': 'በዚህ ሳምንት ከአንድ የጸሎት አጋር ጋር ጸልይ',
+                'disc.3.question.1': 'አዘውትረህ ከመጸለይ የሚያግድህ ምንድን ነው?',
+                'disc.3.question.2': 'ከዚህ ቀደም እግዚአብሔር ጸሎትህን እንዴት መለሰ?',
+                'disc.3.question.3': '«በኢየሱስ ስም» መጸለይ ምን ማለት ነው?',
+                'disc.4.objective.1': 'መንፈስ ቅዱስ በሥላሴ ውስጥ ያለውን ሚና መረዳት',
+                'disc.4.objective.2': 'ስለ መንፈስ ስጦታዎች መማር',
+                'disc.4.objective.3': 'በመንፈስ እንዴት መሞላት እንደሚቻል መረዳት',
+                'disc.4.activity.1': 'በራስህ እና በሌሎች ያሉትን መንፈሳዊ ስጦታዎች ለይ',
+                'disc.4.activity.2': 'የመንፈስ ቅዱስን ምሪት ማዳመጥ ተለማመድ',
+                'disc.4.activity.3': 'የመንፈስን ፍሬ በቃል ያዝ',
+                'disc.4.question.1': 'የመንፈስ ቅዱስን ሥራ በሕይወትህ እንዴት አየኸው?',
+                'disc.4.question.2': 'በመንፈስ ስጦታዎች እና በመንፈስ ፍሬ መካከል ያለው ልዩነት ምንድን ነው?',
+                'disc.4.question.3': 'ከመንፈስ ቅዱስ ሥራ ጋር እንዴት መተባበር እንችላለን?',
+                'disc.5.objective.1': 'የቤተ ክርስቲያንን መጽሐፍ ቅዱሳዊ ዓላማ መረዳት',
+                'disc.5.objective.2': 'በማኅበረሰብ ውስጥ ስላሉ መንፈሳዊ ስጦታዎች መማር',
+                'disc.5.objective.3': 'ለአጥቢያ ቤተ ክርስቲያን ቁርጠኝነትን ማዳበር',
+                'disc.5.activity.1': 'በቤተ ክርስቲያን አካል ውስጥ ያለህን ሚና ለይ',
+                'disc.5.activity.2': 'በዚህ ሳምንት በአንድ የአገልግሎት ዘርፍ አገልግል',
+                'disc.5.activity.3': 'ከሌላ አማኝ ጋር ግንኙነት ገንባ',
+                'disc.5.question.1': '«የክርስቶስ አካል» መሆን ምን ማለት ነው?',
+                'disc.5.question.2': 'በቤተ ክርስቲያን ውስጥ አንድነትን እንዴት መጠበቅ እንችላለን?',
+                'disc.5.question.3': 'ለሌሎች አማኞች ያለብህ ኃላፊነት ምንድን ነው?',
+                'disc.6.objective.1': 'የመንፈሳዊ ውጊያን እውነታ መረዳት',
+                'disc.6.objective.2': 'የእግዚአብሔርን የጦር ዕቃ መጠቀም መማር',
+                'disc.6.objective.3': 'ለመንፈሳዊ ድል ስልቶችን ማዳበር',
+                'disc.6.activity.1': 'የእግዚአብሔርን የጦር ዕቃ በቃል ያዝ',
+                'disc.6.activity.2': 'በሕይወትህ መንፈሳዊ ጥቃት የሚደርስባቸውን ቦታዎች ለይ',
+                'disc.6.activity.3': 'የመንፈሳዊ ውጊያ ጸሎቶችን ተለማመድ',
+                'disc.6.question.1': 'መንፈሳዊ ጥቃቶችን እንዴት እንለያለን?',
+                'disc.6.question.2': 'በክፉ ኃይሎች ላይ በክርስቶስ ያለን ሥልጣን ምንድን ነው?',
+                'disc.6.question.3': 'በመንፈሳዊ ውጊያ ውስጥ እንዴት ጸንተን መቆም እንችላለን?',
+                'disc.7.objective.1': 'እምነትን የማካፈል ፍርሃትን ማሸነፍ',
+                'disc.7.objective.2': 'ቀላል የወንጌል ስርጭት ዘዴዎችን መማር',
+                'disc.7.objective.3': 'ለጠፉት ሰዎች የሚራራ ልብ ማዳበር',
+                'disc.7.activity.1': 'ምስክርነትህን ለአንድ ሰው አካፍል',
+                'disc.7.activity.2': 'ላላመኑ 3 ሰዎች በስማቸው ጸልይ',
+                'disc.7.activity.3': 'ስለ እምነት ለሚነሡ የተለመዱ ጥያቄዎች መልስ መስጠትን ተለማመድ',
+                'disc.7.question.1': 'እምነታችንን ከማካፈል የሚከለክሉን ፍርሃቶች ምንድን ናቸው?',
+                'disc.7.question.2': 'ካላመኑ ሰዎች ጋር እንዴት ግንኙነት መገንባት እንችላለን?',
+                'disc.7.question.3': 'በወንጌል ስርጭት ውስጥ የመንፈስ ቅዱስ ሚና ምንድን ነው?',
+                'disc.8.objective.1': 'ስለ ገንዘብ እና ንብረት መጽሐፍ ቅዱሳዊ አመለካከትን መረዳት',
+                'disc.8.objective.2': 'የልግስና መርሆዎችን መማር',
+                'disc.8.objective.3': 'የመልካም መጋቢነት ልማዶችን ማዳበር',
+                'disc.8.activity.1': 'ቀላል በጀት አዘጋጅ',
+                'disc.8.activity.2': 'በዚህ ሳምንት ለእግዚአብሔር ሥራ በልግስና ስጥ',
+                'disc.8.activity.3': 'ጊዜህን፣ ችሎታህን እና ሀብትህን እንዴት እንደምትጠቀም ገምግም',
+                'disc.8.question.1': 'ሁሉ የእግዚአብሔር ነው ማለት ምን ማለት ነው?',
+                'disc.8.question.2': 'ባለን መርካትን እንዴት ማዳበር እንችላለን?',
+                'disc.8.question.3': 'በእምነት እና በገንዘብ አያያዝ መካከል ያለው ግንኙነት ምንድን ነው?',
+                'disc.9.objective.1': 'የእግዚአብሔርን ፈቃድ እንዴት መለየት እንደሚቻል መረዳት',
+                'disc.9.objective.2': 'መጽሐፍ ቅዱሳዊ የውሳኔ አሰጣጥ መርሆዎችን መማር',
+                'disc.9.objective.3': 'ውጤቱ ባልታወቀ ነገር እግዚአብሔርን መታመን',
+                'disc.9.activity.1': 'በዚህ ሳምንት መጽሐፍ ቅዱሳዊ መርሆዎችን ተጠቅመህ አንድ ውሳኔ አድርግ',
+                'disc.9.activity.2': 'የእግዚአብሔርን ምሪት ማዳመጥ ተለማመድ',
+                'disc.9.activity.3': 'አንድን የሕይወትህን ክፍል ለእግዚአብሔር ፈቃድ አስገዛ',
+                'disc.9.question.1': 'አንድ ውሳኔ እግዚአብሔርን እንደሚያከብር እንዴት እናውቃለን?',
+                'disc.9.question.2': 'በውሳኔ አሰጣጥ ውስጥ ሰላም ምን ሚና አለው?',
+                'disc.9.question.3': 'እግዚአብሔር ዝም ያለ በሚመስልበት ጊዜ ውሳኔዎችን እንዴት እናደርጋለን?',
+                'disc.10.objective.1': 'ለግንኙነቶች መጽሐፍ ቅዱሳዊ መርሆዎችን መረዳት',
+                'disc.10.objective.2': 'አምላካዊ የግጭት አፈታትን መማር',
+                'disc.10.objective.3': 'ጤናማ የግንኙነት ልማዶችን ማዳበር',
+                'disc.10.activity.1': 'በአንድ ግንኙነትህ ይቅርታን ተለማመድ',
+                'disc.10.activity.2': 'በሕይወትህ ውስጥ ላሉ ጠቃሚ ሰዎች ያለህን አድናቆት ግለጽ',
+                'disc.10.activity.3': '1 ቆሮንቶስ 13ን በቃል ያዝ',
+                'disc.10.question.1': 'ግንኙነቶችን እግዚአብሔርን የሚያከብሩ የሚያደርጋቸው ምንድን ነው?',
+                'disc.10.question.2': 'ጤናማ ድንበሮችን እንዴት እናበጃለን?',
+                'disc.10.question.3': 'መጽሐፍ ቅዱሳዊ ፍቅር ከዓለማዊ ፍቅር በምን ይለያል?',
+                'disc.11.objective.1': 'መጽሐፍ ቅዱሳዊ የልጅ አስተዳደግ መርሆዎችን መረዳት',
+                'disc.11.objective.2': 'አምላካዊ የቤት ሁኔታ መፍጠርን መማር',
+                'disc.11.objective.3': 'የቤተሰብ አምልኮ ልማዶችን ማዳበር',
+                'disc.11.activity.1': 'የቤተሰብ የጸሎት እና የቃል ጊዜ ጀምር ወይም አሻሽል',
+                'disc.11.activity.2': 'ለእያንዳንዱ የቤተሰብ አባል ለይተህ ጸልይ',
+                'disc.11.activity.3': 'የቤተሰብ ተልእኮ መግለጫ አዘጋጅ',
+                'disc.11.question.1': 'ቤተሰቦቻችንን በመንፈሳዊ ሁኔታ እንዴት መምራት እንችላለን?',
+                'disc.11.question.2': 'ልጅን በሚሄድበት መንገድ ማሠልጠን ምን ማለት ነው?',
+                'disc.11.question.3': 'ጸጋን እና ተግሣጽን እንዴት እናመጣጥናለን?',
+                'disc.12.objective.1': 'ስለ ሥራ መጽሐፍ ቅዱሳዊ አመለካከትን መረዳት',
+                'disc.12.objective.2': 'በሥራ ቦታ ክርስቲያናዊ ምስክር መሆንን መማር',
+                'disc.12.objective.3': 'በሥራ ብቃትን እንደ አምልኮ ማዳበር',
+                'disc.12.activity.1': 'ለሥራ ባልደረቦችህ እና ለሥራ ቦታህ ጸልይ',
+                'disc.12.activity.2': 'በሥራ ቦታ የማገልገል አጋጣሚዎችን ፈልግ',
+                'disc.12.activity.3': 'የሥራ ሥነ ምግባርህን ከመጽሐፍ ቅዱስ አንጻር ገምግም',
+                'disc.12.question.1': 'በዕለት ሥራችን እግዚአብሔርን እንዴት ማክበር እንችላለን?',
+                'disc.12.question.2': '«ለጌታ እንደሚሠራ» መሥራት ምን ማለት ነው?',
+                'disc.12.question.3': 'በሥራ ቦታ የሚፈጠሩ ግጭቶችን በመጽሐፍ ቅዱስ መሠረት እንዴት እንፈታለን?',
+                'disc.13.objective.1': 'በመከራ ውስጥ ያለውን የእግዚአብሔር ዓላማ መረዳት',
+                'disc.13.objective.2': 'በአስቸጋሪ ጊዜ እግዚአብሔርን መታመን መማር',
+                'disc.13.objective.3': 'ጽናትን እና ባሕርይን ማዳበር',
+                'disc.13.activity.1': 'ስላለህበት ፈተና እና እግዚአብሔር ሊያስተምርህ ስለሚችለው ነገር ጻፍ',
+                'disc.13.activity.2': 'የሚያጽናኑ ጥቅሶችን በቃል ያዝ',
+                'disc.13.activity.3': 'መከራ ውስጥ ያለን ሌላ ሰው አበረታታ',
+                'disc.13.question.1': 'እግዚአብሔር መከራን ለምን ይፈቅዳል?',
+                'disc.13.question.2': 'ፈተናዎች መንፈሳዊ እድገትን እንዴት ያመጣሉ?',
+                'disc.13.question.3': 'በሕመም ላሉ ሌሎች ምን መጽናናት መስጠት እንችላለን?',
+                'disc.14.objective.1': 'ይቅር እንድንል የተሰጠውን መጽሐፍ ቅዱሳዊ ትእዛዝ መረዳት',
+                'disc.14.objective.2': 'የእርቅ ደረጃዎችን መማር',
+                'disc.14.objective.3': 'ይቅርታን የሚያግዱ ነገሮችን ማሸነፍ',
+                'disc.14.activity.1': 'የጎዳህን ሰው ይቅር በል',
+                'disc.14.activity.2': 'አስፈላጊ ከሆነ ይቅርታ ጠይቅ',
+                'disc.14.activity.3': 'የይቅርታ ደብዳቤ ጻፍ (ባትልከውም እንኳ)',
+                'disc.14.question.1': 'በይቅርታ እና በእርቅ መካከል ያለው ልዩነት ምንድን ነው?',
+                'disc.14.question.2': 'ይቅር ማለት ሲከብድ እንዴት ይቅር እንላለን?',
+                'disc.14.question.3': 'ሌላው ሰው ይቅርታ ባይጠይቅስ?',
+                'disc.15.objective.1': 'በእውቀት እና በጥበብ መካከል ያለውን ልዩነት መረዳት',
+                'disc.15.objective.2': 'ጥበበኛ ውሳኔዎችን ማድረግ መማር',
+                'disc.15.objective.3': 'ውስብስብ በሆኑ ሁኔታዎች ውስጥ ማስተዋልን ማዳበር',
+                'disc.15.activity.1': 'ለአንድ ለተወሰነ ውሳኔ ጥበብን ፈልግ',
+                'disc.15.activity.2': 'ለተግባራዊ ጥበብ ምሳሌን አጥና',
+                'disc.15.activity.3': 'ጥበበኛ ሰውን ምክር ጠይቅ',
+                'disc.15.question.1': 'በመጽሐፍ ቅዱስ መሠረት ጥበብን እንዴት እናገኛለን?',
+                'disc.15.question.2': 'በማስተዋል ውስጥ የመንፈስ ቅዱስ ሚና ምንድን ነው?',
+                'disc.15.question.3': 'የሞኝነት ውሳኔዎችን እንዴት ማስወገድ እንችላለን?',
+                'disc.16.objective.1': 'ሰማያዊ አስተሳሰብን ማዳበር',
+                'disc.16.objective.2': 'ስለ ዘላለም ያለውን መጽሐፍ ቅዱሳዊ ትምህርት መረዳት',
+                'disc.16.objective.3': 'በዓላማ እና ዘላለማዊ ተጽዕኖ ባለው ሕይወት መኖር',
+                'disc.16.activity.1': 'ቅድሚያ የምትሰጣቸውን ነገሮች ከዘላለማዊ አመለካከት አንጻር ገምግም',
+                'disc.16.activity.2': 'በዚህ ሳምንት ወንጌልን ለአንድ ሰው አካፍል',
+                'disc.16.activity.3': 'የግል ተልእኮ መግለጫ ጻፍ',
+                'disc.16.question.1': 'ዘላለማዊ አመለካከት ዛሬ የምንኖርበትን መንገድ እንዴት ይለውጣል?',
+                'disc.16.question.2': 'በሰማይ መዝገብ ማከማቸት ምን ማለት ነው?',
+                'disc.16.question.3': 'በጊዜያዊ ነገሮች ከመዋጥ እንዴት ራሳችንን መጠበቅ እንችላለን?',
+                'holyDay.enkutatash.name': 'እንቁጣጣሽ (የኢትዮጵያ አዲስ ዓመት)',
+                'holyDay.enkutatash.description': 'የአዲስ ዓመት በዓል',
+                'holyDay.meskel.name': 'መስቀል (የመስቀል ደመራ)',
+                'holyDay.meskel.description': 'የመስቀል በዓል',
+                'holyDay.genna.name': 'ገና/ልደት',
+                'holyDay.genna.description': 'የክርስቶስ ልደት',
+                'holyDay.timkat.name': 'ጥምቀት',
+                'holyDay.timkat.description': 'የኢየሱስ ጥምቀት',
+                'holyDay.nineveh.name': 'ጾመ ነነዌ',
+                'holyDay.nineveh.description': 'የንስሓ የሦስት ቀን ጾም',
+                'holyDay.abiy-tsom.name': 'የዐቢይ ጾም መግቢያ',
+                'holyDay.abiy-tsom.description': 'ከፋሲካ በፊት የሚጾመው የ55 ቀን ጾም መጀመሪያ',
+                'holyDay.debre-zeit.name': 'ደብረ ዘይት',
+                'holyDay.debre-zeit.description': 'የጾሙ አጋማሽ፣ በደብረ ዘይት ተራራ የተሰጠ ትምህርት',
+                'holyDay.hosanna.name': 'ሆሳዕና',
+                'holyDay.hosanna.description': 'ወደ ኢየሩሳሌም በክብር መግባት',
+                'holyDay.siklet.name': 'ስቅለት',
+                'holyDay.siklet.description': 'የክርስቶስ ስቅለት',
+                'holyDay.fasika.name': 'ፋሲካ (ትንሣኤ)',
+                'holyDay.fasika.description': 'የክርስቶስ ትንሣኤ',
+                'holyDay.erget.name': 'ዕርገት',
+                'holyDay.erget.description': 'ከፋሲካ 40 ቀን በኋላ የክርስቶስ ዕርገት',
+                'holyDay.paraclete.name': 'ጰራቅሊጦስ',
+                'holyDay.paraclete.description': 'ከፋሲካ 50 ቀን በኋላ የመንፈስ ቅዱስ መውረድ',
+                'holyDay.filseta.name': 'ፍልሰታ',
+                'holyDay.filseta.description': 'የፍልሰታ በዓል',
+                'event.establishment.name': 'የአገልግሎቱ ምሥረታ',
+                'event.establishment.description': 'የአገልግሎቱ ሥራ መሠረት',
+                'event.phase1-launch.name': 'የምዕራፍ 1 ጅማሬ (አርሲ እና ባሌ)',
+                'event.phase1-launch.description': 'በአርሲ እና በባሌ አካባቢዎች የወንጌል ሥራ መጀመር',
+                'event.mid-year-evaluation.name': 'የዓመቱ አጋማሽ ግምገማ',
+                'event.mid-year-evaluation.description': 'እድገትን መገምገም እና ስልቶችን ማስተካከል',
+                'event.phase1-completion.name': 'የምዕራፍ 1 ማጠናቀቂያ',
+                'event.phase1-completion.description': 'የመጀመሪያውን ዓመት ስኬቶች ማክበር',
+                'eventType.milestone': 'ምዕራፍ',
+                'eventType.launch': 'ጅማሬ',
+                'eventType.evaluation': 'ግምገማ'
             },
-            nehase: { 
-                weeks: 4, 
-                reading: 'Minor Prophets & Gospels', 
-                theme: 'Prophecy Fulfilled',
-                weeklyBreakdown: [
-                    { week: 45, focus: 'Minor Prophets I', readings: 'Hosea, Joel, Amos, Obadiah, Jonah, Micah', keyThemes: 'Love, Justice, Mercy, Mission', studyQuestions: ['How did Hosea\'s marriage illustrate God\'s love?', 'What does Jonah teach?', 'How did Micah summarize requirements?'], memoryVerse: 'Micah 6:8 - "To act justly and love mercy..."', practicalApplication: 'Practice justice, mercy, humility.' },
-                    { week: 46, focus: 'Minor Prophets II', readings: 'Nahum, Habakkuk, Zephaniah, Haggai, Zechariah, Malachi', keyThemes: 'Trust, Restoration, Preparation', studyQuestions: ['How did Habakkuk learn to trust?', 'What messages of hope?', 'How does Malachi prepare for Messiah?'], memoryVerse: 'Habakkuk 3:17-18 - "Yet I will rejoice in the LORD..."', practicalApplication: 'Choose joy regardless of circumstances.' },
-                    { week: 47, focus: 'Gospels: Birth & Ministry', readings: 'Matthew 1-12; Mark 1-6; Luke 1-8; John 1-8', keyThemes: 'Incarnation, Kingdom, Discipleship', studyQuestions: ['How do Gospels introduce Jesus?', 'What does kingdom mean?', 'How did Jesus train disciples?'], memoryVerse: 'John 1:14 - "The Word became flesh..."', practicalApplication: 'Welcome Jesus in every area.' },
-                    { week: 48, focus: 'Jesus\' Ministry', readings: 'Matthew 13-28; Mark 7-16; Luke 9-24; John 9-21', keyThemes: 'Parables, Miracles, Cross, Resurrection', studyQuestions: ['What do parables teach?', 'How did Jesus demonstrate authority?', 'What does resurrection mean for us?'], memoryVerse: 'John 14:6 - "I am the way and the truth..."', practicalApplication: 'Follow Jesus as only way to Father.' }
-                ]
+            om: {
+                'month.meskerem': 'Fulbaana', 'month.tikimt': 'Onkoloolessa', 'month.hidar': 'Sadaasa',
+                'month.tahsas': 'Muddee', 'month.tir': 'Amajjii', 'month.yekatit': 'Guraandhala',
+                'month.megabit': 'Bitootessa', 'month.miazia': 'Ebla', 'month.ginbot': 'Caamsaa',
+                'month.sene': 'Waxabajjii', 'month.hamle': 'Adoolessa', 'month.nehase': 'Hagayya', 'month.pagume': 'Qaammee',
+                'season.Spring': 'Birraa', 'season.Winter': 'Bonaa', 'season.Summer': 'Arfaasaa',
+                'season.Rainy': 'Gannaa', 'season.Special': 'Addaa',
+                'chrono.meskerem.theme': 'Uumamaa hanga Ba\'uutti',
+                'chrono.tikimt.theme': 'Lafa Onaa fi Seera',
+                'chrono.hidar.theme': 'Imala Lafa Onaa',
+                'chrono.tahsas.theme': 'Qabachuu Kana\'aan fi Abbootii Murtii',
+                'chrono.tir.theme': 'Mootummaa Tokkoome',
+                'chrono.yekatit.theme': 'Mootummaa Qoodame',
+                'chrono.megabit.theme': 'Deebi\'uu fi Haaromsa',
+                'chrono.miazia.theme': 'Ogummaa fi Waaqeffannaa',
+                'chrono.ginbot.theme': 'Jalqaba Raajotaa',
+                'chrono.sene.theme': 'Raajicha Boo\'u',
+                'chrono.hamle.theme': 'Raajota Boojuu',
+                'chrono.nehase.theme': 'Raajiin Raawwate',
+                'chrono.pagume.theme': 'Waldaa fi Bara Baraa',
+                'disc.1.topic': 'Fayyina fi Jireenya Haaraa',
+                'disc.2.topic': 'Dubbii Waaqayyoo',
+                'disc.3.topic': 'Kadhannaa fi Tokkummaa Waaqayyoo Wajjin',
+                'disc.4.topic': 'Hafuura Qulqulluu',
+                'disc.5.topic': 'Waldaa fi Hawaasa',
+                'disc.6.topic': 'Waraana Hafuuraa',
+                'disc.7.topic': 'Wangeela Lallabuu fi Dhugaa Ba\'uu',
+                'disc.8.topic': 'Bulchiinsa Qabeenyaa fi Arjummaa',
+                'disc.9.topic': 'Fedha Waaqayyoo fi Murtee Kennuu',
+                'disc.10.topic': 'Hariiroo fi Gaa\'ela',
+                'disc.11.topic': 'Ijoollee Guddisuu fi Maatii',
+                'disc.12.topic': 'Hojii fi Waamicha',
+                'disc.13.topic': 'Rakkina fi Qormaata',
+                'disc.14.topic': 'Dhiifama fi Araara',
+                'disc.15.topic': 'Ogummaa fi Hubannoo',
+                'disc.16.topic': 'Ilaalcha Bara Baraa',
+                'chrono.week.1.focus': 'Uumama fi Kufaatii',
+                'chrono.week.1.keyThemes': 'Waaqayyo Uumaa, Cubbuu Namaa, Jalqaba Kakuu',
+                'chrono.week.1.practicalApplication': 'Jireenya kee guyyaa guyyaa keessatti Waaqayyoon akka Uumaatti yaadi. Guyyaa guyyaan uumama isaa naannoo kee jiru hubachuuf yeroo fudhadhu.',
+                'chrono.week.1.question.1': 'Uumamni waa\'ee amala Waaqayyoo maal nu barsiisa?',
+                'chrono.week.1.question.2': 'Kufaatiin hariiroo Waaqayyoo wajjin qabnu akkamitti miidha?',
+                'chrono.week.1.question.3': 'Kakuuwwan jalqabaa keessatti abdii maalii argina?',
+                'chrono.week.2.focus': 'Abbootii: Abrahaam',
+                'chrono.week.2.keyThemes': 'Amantii, Abdii, Qormaata, Qophii Waaqayyoo',
+                'chrono.week.2.practicalApplication': 'Torban kana waan tokko keessatti amantiidhaan tarkaanfadhu. Waan hin danda\'amne fakkaatu tokko irratti Waaqayyoon amani.',
+                'chrono.week.2.question.1': 'Abrahaam amantii isaa akkamitti agarsiise?',
+                'chrono.week.2.question.2': 'Dogoggora Abrahaam irraa maal barachuu dandeenya?',
+                'chrono.week.2.question.3': 'Waaqayyo abdii isaa akkamitti raawwata?',
+                'chrono.week.3.focus': 'Abbootii: Yaaqoob fi Yoseef',
+                'chrono.week.3.keyThemes': 'Jijjiirama, Dhiifama, Olaantummaa Waaqayyoo',
+                'chrono.week.3.practicalApplication': 'Hariiroo kee tokko keessatti dhiifama shaakali. Rakkoo keessatti kaayyoo Waaqayyoo arguu filadhu.',
+                'chrono.week.3.question.1': 'Waaqayyo amala Yaaqoob akkamitti jijjiire?',
+                'chrono.week.3.question.2': 'Seenaan Yoseef waa\'ee dhiifamaa maal barsiisa?',
+                'chrono.week.3.question.3': 'Waaqayyo haala ulfaataa keessa akkamitti hojjeta?',
+                'chrono.week.4.focus': 'Jalqaba Ba\'uu',
+                'chrono.week.4.keyThemes': 'Bilisummaa, Faasikaa, Amantii Yeroo Rakkoo',
+                'chrono.week.4.practicalApplication': 'Haala hin danda\'amne fakkaatu keessatti Waaqayyoon amani. Callisii dhaabadhu, hojii isaas ilaali.',
+                'chrono.week.4.question.1': 'Waaqayyo iyyya saba isaa akkamitti dhaga\'a?',
+                'chrono.week.4.question.2': 'Faasikaan waa\'ee furamaa maal nu barsiisa?',
+                'chrono.week.4.question.3': 'Haala hin danda\'amne keessatti Waaqayyoon akkamitti amanuu dandeenya?',
+                'chrono.week.5.focus': 'Imala Lafa Onaa',
+                'chrono.week.5.keyThemes': 'Qophii Waaqayyoo, Qormaata, Hoggansa',
+                'chrono.week.5.practicalApplication': 'Qophii guyyaa guyyaa isaatiif Waaqayyoon galateeffadhu. Torban kana karaa sadii inni siif qopheesse barreessi.',
+                'chrono.week.5.question.1': 'Waaqayyo lafa onaa keessatti akkamitti qopheessa?',
+                'chrono.week.5.question.2': 'Guungummii Israa\'eel irraa maal barachuu dandeenya?',
+                'chrono.week.5.question.3': 'Waaqayyo hoggantoota akkamitti kaasa?',
+                'chrono.week.6.focus': 'Abboommiiwwan Kudhan',
+                'chrono.week.6.keyThemes': 'Seera, Kakuu, Qulqullummaa',
+                'chrono.week.6.practicalApplication': 'Torban kana abboommii tokko addatti hojiirra oolchi. Tokko filadhuutii of eeggannoodhaan itti jiraadhu.',
+                'chrono.week.6.question.1': 'Kaayyoon Abboommiiwwan Kudhanii maali?',
+                'chrono.week.6.question.2': 'Seerri amala Waaqayyoo akkamitti mul\'isa?',
+                'chrono.week.6.question.3': 'Saba qulqulluu ta\'uun maal jechuudha?',
+                'chrono.week.7.focus': 'Dunkaana Qulqulluu fi Waaqeffannaa',
+                'chrono.week.7.keyThemes': 'Waaqeffannaa, Argama Waaqayyoo, Ajajamuu',
+                'chrono.week.7.practicalApplication': 'Mana kee keessatti iddoo kadhannaaf addaan baafame qopheessi. Waaqeffannaaf dursa kenni.',
+                'chrono.week.7.question.1': 'Dunkaanni qulqulluun waa\'ee argama Waaqayyoo maal barsiisa?',
+                'chrono.week.7.question.2': 'Waaqeffannaa keessatti bal\'inaan ajajamuun maaliif barbaachisaa ta\'e?',
+                'chrono.week.7.question.3': 'Waaqayyo ajajamuu dhabuuf deebii akkamii kenna?',
+                'chrono.week.8.focus': 'Seerota Qulqullummaa',
+                'chrono.week.8.keyThemes': 'Aarsaa, Qulqullina, Araara',
+                'chrono.week.8.practicalApplication': 'Yaada kee keessatti qulqullummaa shaakali. Sammuu kee xuraa\'ummaa irraa eegi.',
+                'chrono.week.8.question.1': 'Aarsaawwan waa\'ee cubbuu fi dhiifamaa maal barsiisu?',
+                'chrono.week.8.question.2': 'Qulqullummaan jireenya guyyaa guyyaa akkamitti tuqa?',
+                'chrono.week.8.question.3': 'Qajeelfamni qulqullinaa har\'a hojjetan kamfaa dha?',
+                'chrono.week.9.focus': 'Lakkoofsa fi Qindoomina',
+                'chrono.week.9.keyThemes': 'Sirna, Qophii, Qajeelfama',
+                'chrono.week.9.practicalApplication': 'Torban kana qajeelfama Waaqayyoo barbaadi.',
+                'chrono.week.9.question.1': 'Sabni maaliif lakkaa\'ame?',
+                'chrono.week.9.question.2': 'Waaqayyo saba isaa akkamitti qindeesse?',
+                'chrono.week.9.question.3': 'Waa\'ee qajeelfamaa maal barachuu dandeenya?',
+                'chrono.week.10.focus': 'Fincila fi Bu\'aa Isaa',
+                'chrono.week.10.keyThemes': 'Guungummii, Murtii, Amanamummaa',
+                'chrono.week.10.practicalApplication': 'Guungummii irraa of eegi.',
+                'chrono.week.10.question.1': 'Bu\'aan isaa maal ture?',
+                'chrono.week.10.question.2': 'Museen fincila akkamitti to\'ate?',
+                'chrono.week.10.question.3': 'Bofti sibiila diimaa maal barsiisa?',
+                'chrono.week.11.focus': 'Bal\'aam fi Qophii',
+                'chrono.week.11.keyThemes': 'Ajajamuu, Eebba, Dhaala',
+                'chrono.week.11.practicalApplication': 'Waaqayyo rakkoo gara eebbaatti akka jijjiiru amani.',
+                'chrono.week.11.question.1': 'Bal\'aam irraa maal barachuu dandeenya?',
+                'chrono.week.11.question.2': 'Waaqayyo abaarsa gara eebbaatti akkamitti jijjiire?',
+                'chrono.week.11.question.3': 'Dhaala kan murteessu maali?',
+                'chrono.week.12.focus': 'Lallaba Dhumaa Musee',
+                'chrono.week.12.keyThemes': 'Haaromsa Kakuu, Ajajamuu, Filannoo',
+                'chrono.week.12.practicalApplication': 'Waaqayyoon garaa kee guutuun jaallachuu filadhu.',
+                'chrono.week.12.question.1': 'Ergaan ijoon Musee maal ture?',
+                'chrono.week.12.question.2': 'Keessa Deebiin hariiroo sana akkamitti cuunfa?',
+                'chrono.week.12.question.3': 'Waaqayyoon garaa guutuun jaallachuun maal jechuudha?',
+                'chrono.week.13.focus': 'Qabachuu Kana\'aan',
+                'chrono.week.13.keyThemes': 'Ija Jabina, Ajajamuu, Injifannoo',
+                'chrono.week.13.practicalApplication': 'Sodaa kee tokko ija jabinaan mormi.',
+                'chrono.week.13.question.1': 'Iccitiin milkaa\'ina Iyyaasuu maal ture?',
+                'chrono.week.13.question.2': 'Waaqayyo Yerikoo irratti humna isaa akkamitti agarsiise?',
+                'chrono.week.13.question.3': 'Cubbuu Akaan irraa bu\'aa maaltu dhufe?',
+                'chrono.week.14.focus': 'Qoqqoodama Biyyaa fi Kakuu',
+                'chrono.week.14.keyThemes': 'Dhaala, Amanamummaa, Tajaajila',
+                'chrono.week.14.practicalApplication': 'Maatii kee wajjin Waaqayyoon tajaajiluuf murteessi.',
+                'chrono.week.14.question.1': 'Biyyi akkamitti qoodame?',
+                'chrono.week.14.question.2': 'Waamichi dhumaa Iyyaasuu maal ture?',
+                'chrono.week.14.question.3': 'Gooftaa tajaajiluun hojiidhaan maal jechuudha?',
+                'chrono.week.15.focus': 'Marsaa Abbootii Murtii',
+                'chrono.week.15.keyThemes': 'Ajajamuu Dhabuu, Cunqursaa, Bilisummaa',
+                'chrono.week.15.practicalApplication': 'Bakka ija keetiin sirrii kan sitti fakkaatu qofa itti hojjettu qoradhu.',
+                'chrono.week.15.question.1': 'Haalli irra deddeebi\'amu maali?',
+                'chrono.week.15.question.2': 'Waaqayyo hoggantoota hir\'ina qaban akkamitti fayyadame?',
+                'chrono.week.15.question.3': 'Samsoon irraa maal barachuu dandeenya?',
+                'chrono.week.16.focus': 'Ruut fi Abdii',
+                'chrono.week.16.keyThemes': 'Amanamummaa, Furama, Eegumsa Waaqayyoo',
+                'chrono.week.16.practicalApplication': 'Nama rakkate tokkoof jaalala amanamaa agarsiisi.',
+                'chrono.week.16.question.1': 'Ruut jaalala amanamaa akkamitti agarsiifte?',
+                'chrono.week.16.question.2': 'Bo\'eez akka furaatti waa\'ee Kiristoos maal barsiisa?',
+                'chrono.week.16.question.3': 'Waaqayyo karaa namoota salphaa akkamitti hojjeta?',
+                'chrono.week.17.focus': 'Saamu\'eel fi Saa\'ol',
+                'chrono.week.17.keyThemes': 'Kadhannaa, Hoggansa, Ajajamuu',
+                'chrono.week.17.practicalApplication': 'Amantii alaan mul\'atu caalaa ajajamuu filadhu.',
+                'chrono.week.17.question.1': 'Kadhannaa Haannaa irraa maal barachuu dandeenya?',
+                'chrono.week.17.question.2': 'Sabni maaliif mootii barbaade?',
+                'chrono.week.17.question.3': 'Dogoggorri hamaan Saa\'ol maal ture?',
+                'chrono.week.18.focus': 'Ka\'uumsa Daawit',
+                'chrono.week.18.keyThemes': 'Dibamuu, Michummaa, Obsa',
+                'chrono.week.18.practicalApplication': 'Namoota amala garaa isaaniitiin kabaji.',
+                'chrono.week.18.question.1': 'Daawit maaliif filatame?',
+                'chrono.week.18.question.2': 'Michummaa Daawitii fi Yoonaataan addaa kan godhe maali?',
+                'chrono.week.18.question.3': 'Daawit carraa Saa\'olin ajjeesuu argate akkamitti ilaale?',
+                'chrono.week.19.focus': 'Mootummaa Daawit',
+                'chrono.week.19.keyThemes': 'Mootummaa, Kakuu, Cubbuu',
+                'chrono.week.19.practicalApplication': 'Gochi bu\'aa akka qabu yaadadhu.',
+                'chrono.week.19.question.1': 'Daawit mootummaa isaa akkamitti jabeesse?',
+                'chrono.week.19.question.2': 'Kakuun Waaqayyo Daawit wajjin gale maal ture?',
+                'chrono.week.19.question.3': 'Bu\'aan cubbuu Daawit maal ture?',
+                'chrono.week.20.focus': 'Rakkoo Maatii',
+                'chrono.week.20.keyThemes': 'Bu\'aa, Qalbii Jijjiirrachuu, Ayyaana',
+                'chrono.week.20.practicalApplication': 'Bu\'aa keessatti akka kooluutti gara Waaqayyoo fiigi.',
+                'chrono.week.20.question.1': 'Cubbuun Daawit maatii isaa akkamitti miidhe?',
+                'chrono.week.20.question.2': 'Fincila Abseloom irraa maal barachuu dandeenya?',
+                'chrono.week.20.question.3': 'Daawit adabbiif deebii akkamii kenne?',
+                'chrono.week.21.focus': 'Mootummaa Solomoon',
+                'chrono.week.21.keyThemes': 'Ogummaa, Mana Qulqullummaa, Walii Galtee Dogoggoraa',
+                'chrono.week.21.practicalApplication': 'Waaqayyoon ogummaa kadhadhu.',
+                'chrono.week.21.question.1': 'Ogummaa Solomoon addaa kan godhe maali?',
+                'chrono.week.21.question.2': 'Barbaachisummaan mana qulqullummaa maal ture?',
+                'chrono.week.21.question.3': 'Haadhotiin manaa alagaa akkamitti karaa irraa isa jallisan?',
+                'chrono.week.22.focus': 'Qoqqoodama Mootummaa',
+                'chrono.week.22.keyThemes': 'Qoqqoodama, Raajota, Waaqa Tolfamaa Waaqeffachuu',
+                'chrono.week.22.practicalApplication': 'Waaqa tolfamaa garaa kee Waaqayyo irraa hatu balleessi.',
+                'chrono.week.22.question.1': 'Mootummaan maaliif qoodame?',
+                'chrono.week.22.question.2': 'Raajonni waaqeffannaa waaqa tolfamaa akkamitti mormani?',
+                'chrono.week.22.question.3': 'Ahaab fi Elzaabel irraa maal barachuu dandeenya?',
+                'chrono.week.23.focus': 'Elsaa fi Gadi Bu\'uu',
+                'chrono.week.23.keyThemes': 'Dinqiiwwan, Amanamummaa, Murtii',
+                'chrono.week.23.practicalApplication': 'Gorsa namoota Waaqayyoon sodaatanii dhaggeeffadhu.',
+                'chrono.week.23.question.1': 'Tajaajilli Elsaa maaliin adda ta\'e?',
+                'chrono.week.23.question.2': 'Israa\'eel maaliif booji\'amte?',
+                'chrono.week.23.question.3': 'Hisqiyaas haaromsa maalii hojiirra oolche?',
+                'chrono.week.24.focus': 'Kufaatii Yihudaa',
+                'chrono.week.24.keyThemes': 'Haaromsa, Murtii, Abdii',
+                'chrono.week.24.practicalApplication': 'Nama haaromsa hafuuraa fidu ta\'i.',
+                'chrono.week.24.question.1': 'Haaromsa Iyyosiyaas guddaa kan godhe maali?',
+                'chrono.week.24.question.2': 'Yihudaan maaliif boojuutti geeffame?',
+                'chrono.week.24.question.3': 'Abdiin hafe maal ture?',
+                'chrono.week.25.focus': 'Boojuu irraa Deebi\'uu',
+                'chrono.week.25.keyThemes': 'Haaromsa, Waaqeffannaa, Mormii',
+                'chrono.week.25.practicalApplication': 'Waaqayyo garaa hoggantootaa sochoosuu akka danda\'u amani.',
+                'chrono.week.25.question.1': 'Waaqayyo Qiiroosin akkamitti kakaase?',
+                'chrono.week.25.question.2': 'Warri boojuu irraa deebi\'an rakkoo maalii qunnaman?',
+                'chrono.week.25.question.3': 'Nahimiyaan hojii deebisanii ijaaruu akkamitti geggeesse?',
+                'chrono.week.26.focus': 'Haaromsa Hafuuraa',
+                'chrono.week.26.keyThemes': 'Dubbii Waaqayyoo, Kakuu, Eegumsa Waaqayyoo',
+                'chrono.week.26.practicalApplication': 'Dubbii Waaqayyoo caalaatti hubachuuf of kenni.',
+                'chrono.week.26.question.1': 'Seera dubbisuun saba irratti dhiibbaa akkamii fide?',
+                'chrono.week.26.question.2': 'Haaromsi kakuu maaliif barbaachisaa ture?',
+                'chrono.week.26.question.3': 'Waaqayyo Asteeritti akkamitti fayyadame?',
+                'chrono.week.27.focus': 'Iyyoob: Dhiphina fi Olaantummaa',
+                'chrono.week.27.keyThemes': 'Dhiphina, Haqa, Iccitii',
+                'chrono.week.27.practicalApplication': 'Haala ulfaataa keessatti Waaqayyoon galateeffadhu.',
+                'chrono.week.27.question.1': 'Waa\'ee waraana hafuuraa maal barachuu dandeenya?',
+                'chrono.week.27.question.2': 'Michoonni isaa Iyyoobin akkamitti dogoggoraan hubatan?',
+                'chrono.week.27.question.3': 'Iyyoob gaaffilee maalii kaase?',
+                'chrono.week.28.focus': 'Waaqayyo Iyyoobiif Deebise',
+                'chrono.week.28.keyThemes': 'Ogummaa, Qalbii Jijjiirrachuu, Haaromsa',
+                'chrono.week.28.practicalApplication': 'Ogummaa Waaqayyoo duratti of gadi qabi.',
+                'chrono.week.28.question.1': 'Waaqayyo Iyyoobiif akkamitti deebise?',
+                'chrono.week.28.question.2': 'Yaadni ijoon Waaqayyoo maal ture?',
+                'chrono.week.28.question.3': 'Ilaalchi Iyyoob akkamitti jijjiirame?',
+                'chrono.week.29.focus': 'Faarfannaa Daawit',
+                'chrono.week.29.keyThemes': 'Waaqeffannaa, Boo\'icha, Amanamummaa',
+                'chrono.week.29.practicalApplication': 'Faarfannaa akka fakkeenya kadhannaa keetiitti fayyadami.',
+                'chrono.week.29.question.1': 'Faarfannaa addaa kan godhu maali?',
+                'chrono.week.29.question.2': 'Miira dhugaa akkamitti ibsu?',
+                'chrono.week.29.question.3': 'Waa\'ee amala Waaqayyoo maal barachuu dandeenya?',
+                'chrono.week.30.focus': 'Waaqeffannaa fi Ogummaa',
+                'chrono.week.30.keyThemes': 'Kooluu, Ogummaa, Waaqayyoon Sodaachuu',
+                'chrono.week.30.practicalApplication': 'Yeroo rakkinaatiif faarfannaa tokko qalbiin qabadhu.',
+                'chrono.week.30.question.1': 'Faarfannaan Waaqayyoon akka kooluutti akkamitti ibsa?',
+                'chrono.week.30.question.2': 'Jalqabni ogummaa maali?',
+                'chrono.week.30.question.3': 'Ogummaan akkamitti nu eegdi?',
+                'chrono.week.31.focus': 'Faarfannaa Ol Ba\'uu',
+                'chrono.week.31.keyThemes': 'Imala Qulqulluu, Galata, Ogummaa Hojii',
+                'chrono.week.31.practicalApplication': 'Guyyaa guyyaan galataan fuula Waaqayyoo dura seeni.',
+                'chrono.week.31.question.1': 'Faarfannaan ol ba\'uu maaliif faarfatamaa ture?',
+                'chrono.week.31.question.2': 'Faarfannaan kunneen galata akkamitti ibsu?',
+                'chrono.week.31.question.3': 'Ogummaa hojii maalii kennu?',
+                'chrono.week.32.focus': 'Galata fi Xumura Ogummaa',
+                'chrono.week.32.keyThemes': 'Dubbii Waaqayyoo, Galata, Ogummaa Dhumaa',
+                'chrono.week.32.practicalApplication': 'Dubbiin Waaqayyoo guyyaa guyyaan murtee kee haa qajeelchu.',
+                'chrono.week.32.question.1': 'Faarfannaan 119 waa\'ee Dubbii Waaqayyoo maal barsiisa?',
+                'chrono.week.32.question.2': 'Faarfannaan dhumaa gara galataatti akkamitti nu waamu?',
+                'chrono.week.32.question.3': 'Haati manaa gaariin ogummaa akkamii agarsiifti?',
+                'chrono.week.33.focus': 'Lallaba fi Weedduu Weedduuwwanii',
+                'chrono.week.33.keyThemes': 'Hiika Jireenyaa, Jaalala, Gammachuu',
+                'chrono.week.33.practicalApplication': 'Quufa waan lafaa keessatti utuu hin taane Waaqayyo keessatti barbaadi.',
+                'chrono.week.33.question.1': 'Hiikni jireenyaa maali?',
+                'chrono.week.33.question.2': 'Weedduun Weedduuwwanii jaalala Waaqayyoon gammachiisu akkamitti ibsa?',
+                'chrono.week.33.question.3': 'Gammachuu fi hojiin jireenya keessatti iddoo akkamii qabu?',
+                'chrono.week.34.focus': 'Isaayyaas: Murtii fi Abdii',
+                'chrono.week.34.keyThemes': 'Cubbuu, Murtii, Qulqullummaa',
+                'chrono.week.34.practicalApplication': 'Qulqullummaa isaatiif Waaqayyoon waaqeffadhu.',
+                'chrono.week.34.question.1': 'Yihudaan cubbuu maalii hojjechaa ture?',
+                'chrono.week.34.question.2': 'Isaayyaas qulqullummaa akkamitti ibsa?',
+                'chrono.week.34.question.3': 'Saboota irratti murtii maaltu dubbatame?',
+                'chrono.week.35.focus': 'Isaayyaas: Amanamummaa fi Masiihii',
+                'chrono.week.35.keyThemes': 'Amanamummaa, Fayyina, Hisqiyaas',
+                'chrono.week.35.practicalApplication': 'Waaqayyoon guutummaatti amani.',
+                'chrono.week.35.question.1': 'Tumsa namootaa maaliif amanuu hin qabnu?',
+                'chrono.week.35.question.2': 'Waa\'ee Masiihii raajiin maaltu dubbatame?',
+                'chrono.week.35.question.3': 'Hisqiyaas amantii isaa fi dadhabbii isaa akkamitti agarsiise?',
+                'chrono.week.36.focus': 'Isaayyaas: Jajjabina fi Haaromsa',
+                'chrono.week.36.keyThemes': 'Jajjabina, Garbicha, Uumama Haaraa',
+                'chrono.week.36.practicalApplication': 'Humna argachuuf Gooftaa eegi.',
+                'chrono.week.36.question.1': 'Isaayyaas 40 akkamitti jajjabeessa?',
+                'chrono.week.36.question.2': 'Weedduun Garbichaa waa\'ee Yesuus maal mul\'isa?',
+                'chrono.week.36.question.3': 'Uumamni haaraan akkamitti ibsame?',
+                'chrono.week.37.focus': 'Waamicha Ermiyaas',
+                'chrono.week.37.keyThemes': 'Waamicha, Mormii, Boo\'icha',
+                'chrono.week.37.practicalApplication': 'Yeroo ulfaataa ta\'ettillee ajajamaa ta\'i.',
+                'chrono.week.37.question.1': 'Ermiyaas akkamitti waamame?',
+                'chrono.week.37.question.2': 'Maaliif raajicha boo\'u jedhame?',
+                'chrono.week.37.question.3': 'Sabni deebii akkamii kenne?',
+                'chrono.week.38.focus': 'Raajiiwwan fi Raajota Sobaa',
+                'chrono.week.38.keyThemes': 'Dhugaa fi Soba, Kakuu, Abdii',
+                'chrono.week.38.practicalApplication': 'Karoora gaarii Waaqayyoo amani.',
+                'chrono.week.38.question.1': 'Raajii dhugaa raajii sobaa irraa akkamitti addaan baafna?',
+                'chrono.week.38.question.2': 'Kakuun haaraan maal ture?',
+                'chrono.week.38.question.3': 'Ermiyaas abdii akkamitti agarsiise?',
+                'chrono.week.39.focus': 'Kufaatii Yerusaalem',
+                'chrono.week.39.keyThemes': 'Badiisa, Gadda, Amanamummaa',
+                'chrono.week.39.practicalApplication': 'Ganama ganama amanamummaa Waaqayyoo yaadadhu.',
+                'chrono.week.39.question.1': 'Yerusaalem akkamitti kufte?',
+                'chrono.week.39.question.2': 'Waa\'ee gaddaa maal barachuu dandeenya?',
+                'chrono.week.39.question.3': 'Waaqayyo akkamitti amanamaa ta\'ee itti fufe?',
+                'chrono.week.40.focus': 'Irra Deebii fi Yaada',
+                'chrono.nehase.reading': 'Raajota Xixiqqoo fi Wangeelota',
+                'chrono.week.40.readings': 'Kutaalee Ermiyaas irra deebi\'uu',
+                'chrono.week.40.keyThemes': 'Amanamummaa Waaqayyoo',
+                'chrono.week.40.practicalApplication': 'Jaalala bara baraa Waaqayyoo irratti xiinxali.',
+                'chrono.week.40.question.1': 'Waa\'ee amala Waaqayyoo maal baratte?',
+                'chrono.week.40.question.2': 'Waaqayyo murtii keessatti araara akkamitti agarsiisa?',
+                'chrono.week.40.question.3': 'Akeekkachiisni har\'a hojjetu kamfaa dha?',
+                'chrono.week.41.focus': 'Hisqi\'eel: Mul\'ata',
+                'chrono.week.41.keyThemes': 'Ulfina, Itti Gaafatamummaa, Abdii',
+                'chrono.week.41.practicalApplication': 'Waaqayyoon garaa laafaa kadhadhu.',
+                'chrono.week.41.question.1': 'Hiikni mul\'atoota sanaa maal ture?',
+                'chrono.week.41.question.2': 'Eegduu ta\'uun maal jechuudha?',
+                'chrono.week.41.question.3': 'Hisqi\'eel ergaa isaa gochaan akkamitti dabarse?',
+                'chrono.week.42.focus': 'Hisqi\'eel: Haaromsa',
+                'chrono.week.42.keyThemes': 'Murtii, Mana Qulqullummaa Haaraa, Laga Jireenyaa',
+                'chrono.week.42.practicalApplication': 'Waaqayyo kutaa jireenya kee du\'e jireenya akka kennu amani.',
+                'chrono.week.42.question.1': 'Saboota naannoo jiran irratti maaliif murtiin dubbatame?',
+                'chrono.week.42.question.2': 'Mul\'anni sulula lafee gogaa maal ture?',
+                'chrono.week.42.question.3': 'Manni qulqullummaa haaraan maal bakka bu\'a?',
+                'chrono.week.43.focus': 'Daani\'eel: Amantii Boojuu Keessatti',
+                'chrono.week.43.keyThemes': 'Amanamummaa, Olaantummaa, Bilisummaa',
+                'chrono.week.43.practicalApplication': 'Bu\'aan isaa maal iyyuu yoo ta\'e amanamaa ta\'i.',
+                'chrono.week.43.question.1': 'Daani\'eel amantii isaa akkamitti eeggate?',
+                'chrono.week.43.question.2': 'Boolla ibiddaa irraa maal barachuu dandeenya?',
+                'chrono.week.43.question.3': 'Waaqayyo olaantummaa isaa akkamitti agarsiise?',
+                'chrono.week.44.focus': 'Daani\'eel: Mul\'ata',
+                'chrono.week.44.keyThemes': 'Raajii, Mootummaa, Bara Dhumaa',
+                'chrono.week.44.practicalApplication': 'Injifannoo Waaqayyootti amanamuudhaan jiraadhu.',
+                'chrono.week.44.question.1': 'Mul\'atoonni mootummoota kamfaa bakka bu\'u?',
+                'chrono.week.44.question.2': 'Xuraa\'ummaan badiisa fidu maali?',
+                'chrono.week.44.question.3': 'Daani\'eel gara mootummaa bara baraatti akkamitti agarsiisa?',
+                'chrono.week.45.focus': 'Raajota Xixiqqoo I',
+                'chrono.week.45.keyThemes': 'Jaalala, Haqa, Araara, Ergama',
+                'chrono.week.45.practicalApplication': 'Haqa, araaraa fi gad of qabuu shaakali.',
+                'chrono.week.45.question.1': 'Gaa\'elli Hoose\'aa jaalala Waaqayyoo akkamitti agarsiisa?',
+                'chrono.week.45.question.2': 'Yoonaas maal barsiisa?',
+                'chrono.week.45.question.3': 'Miikiyaas waan Waaqayyo barbaadu akkamitti cuunfe?',
+                'chrono.week.46.focus': 'Raajota Xixiqqoo II',
+                'chrono.week.46.keyThemes': 'Amanamummaa, Haaromsa, Qophii',
+                'chrono.week.46.practicalApplication': 'Haalli maal iyyuu yoo ta\'e gammachuu filadhu.',
+                'chrono.week.46.question.1': 'Anbaaqoom amanachuu akkamitti barate?',
+                'chrono.week.46.question.2': 'Ergaan abdii maaltu dubbatame?',
+                'chrono.week.46.question.3': 'Milkiyaas dhufaatii Masiihiitiif akkamitti qopheessa?',
+                'chrono.week.47.focus': 'Wangeelota: Dhalachuu fi Tajaajila',
+                'chrono.week.47.keyThemes': 'Foon Ta\'uu, Mootummaa, Bartummaa',
+                'chrono.week.47.practicalApplication': 'Yesuusin kutaa jireenya kee hunda keessatti simadhu.',
+                'chrono.week.47.question.1': 'Wangeelonni Yesuusin akkamitti beeksisu?',
+                'chrono.week.47.question.2': 'Mootummaan Waaqayyoo maal jechuudha?',
+                'chrono.week.47.question.3': 'Yesuus barattoota isaa akkamitti leenjise?',
+                'chrono.week.48.focus': 'Tajaajila Yesuus',
+                'chrono.week.48.keyThemes': 'Fakkeenyota, Dinqiiwwan, Fannoo, Du\'aa Ka\'uu',
+                'chrono.week.48.practicalApplication': 'Yesuus karaa tokkicha gara Abbaatti geessu hordofi.',
+                'chrono.week.48.question.1': 'Fakkeenyonni maal barsiisu?',
+                'chrono.week.48.question.2': 'Yesuus aangoo isaa akkamitti agarsiise?',
+                'chrono.week.48.question.3': 'Du\'aa ka\'uun nuuf maal jechuudha?',
+                'chrono.week.49.focus': 'Dhalachuu fi Ergama Waldaa',
+                'chrono.week.49.keyThemes': 'Hafuura Qulqulluu, Ergama, Abdii, Uumama Haaraa',
+                'chrono.week.49.practicalApplication': 'Humna du\'aa ka\'uu isaa fi abdii deebii Kiristoosiin jiraadhu.',
+                'chrono.week.49.question.1': 'Hafuurri Qulqulluun waldaa akkamitti humneesse?',
+                'chrono.week.49.question.2': 'Ergamni keenya maali?',
+                'chrono.week.49.question.3': 'Mul\'anni abdii maalii kenna?',
+                'chrono.week.49.question.4': 'Deebii Kiristoos yaadachuudhaan akkamitti jiraachuu qabna?',
+                'nt90.0.focus': 'Yesuus Mootii',
+                'nt90.1.focus': 'Yesuus Garbicha',
+                'nt90.2.focus': 'Yesuus Fayyisaa',
+                'nt90.3.focus': 'Yesuus Waaqa',
+                'nt90.4.focus': 'Waldaa Jalqabaa',
+                'nt90.5.focus': 'Barsiisa Phaawuloos',
+                'nt90.5.reading': 'Roomaa fi Qorontoos',
+                'nt90.6.focus': 'Jireenya Waldaa',
+                'nt90.6.reading': 'Xalayaa Phaawuloos',
+                'nt90.7.focus': 'Amantii fi Abdii',
+                'nt90.7.reading': 'Xalayaawwan Waliigalaa fi Mul\'ata',
+                'nt90.day.1.focus': 'Dhalachuu fi Qophii',
+                'nt90.day.2.focus': 'Lallaba Gaara Irraa',
+                'nt90.day.3.focus': 'Dinqiiwwan fi Ergama',
+                'nt90.day.4.focus': 'Fakkeenyota Mootummaa',
+                'nt90.day.5.focus': 'Eenyummaa fi Hawaasa',
+                'nt90.day.6.focus': 'Barsiisa fi Falmii',
+                'nt90.day.7.focus': 'Wayyoo fi Bara Dhumaa',
+                'nt90.day.8.focus': 'Dhiphina fi Du\'aa Ka\'uu',
+                'nt90.day.9.focus': 'Xiinxala fi Hojiirra Oolmaa',
+                'nt90.day.9.reading': 'Maatewos irra deebi\'uu',
+                'nt90.day.10.focus': 'Jalqaba Tajaajilaa Ariifataa',
+                'nt90.day.11.focus': 'Dinqiiwwan fi Humna',
+                'nt90.day.12.focus': 'Barsiisa fi Fakkii Jijjiirachuu',
+                'nt90.day.13.focus': 'Hoggansa Garbummaa',
+                'nt90.day.14.focus': 'Raajii fi Dabarfamee Kennamuu',
+                'nt90.day.15.focus': 'Aarsaa fi Injifannoo',
+                'nt90.day.16.focus': 'Dhalachuu fi Hidda Dhalootaa',
+                'nt90.day.17.focus': 'Jalqaba Tajaajilaa',
+                'nt90.day.18.focus': 'Dinqiiwwan fi Barattoota',
+                'nt90.day.19.focus': 'Barsiisa fi Fakkeenyota',
+                'nt90.day.20.focus': 'Fakkeenyota Mootummaa',
+                'nt90.day.21.focus': 'Qabeenya fi Kadhannaa',
+                'nt90.day.22.focus': 'Yerusaalem Seenuu',
+                'nt90.day.23.focus': 'Dhiphina fi Du\'aa Ka\'uu',
+                'nt90.day.24.focus': 'Eenyummaa Waaqummaa',
+                'nt90.day.25.focus': 'Bishaan Jireenyaa fi Buddeena',
+                'nt90.day.26.focus': 'Ifa Addunyaa',
+                'nt90.day.27.focus': 'Tiksee Gaarii',
+                'nt90.day.28.focus': 'Irbaata Dhumaa',
+                'nt90.day.29.focus': 'Hafuura Qulqulluu fi Qabamuu',
+                'nt90.day.30.focus': 'Fannifamuu fi Ergama',
+                'nt90.day.31.focus': 'Phenxeqosxee fi Humna',
+                'nt90.day.32.focus': 'Guddina Waldaa',
+                'nt90.day.33.focus': 'Isxifaanos fi Ari\'atama',
+                'nt90.day.34.focus': 'Jijjiirama Phaawuloos',
+                'nt90.day.35.focus': 'Ormoota Hammachuu',
+                'nt90.day.36.focus': 'Imala Ergamaa Jalqabaa',
+                'nt90.day.37.focus': 'Imala Lammaffaa',
+                'nt90.day.38.focus': 'Imala Sadaffaa fi Qabamuu',
+                'nt90.day.39.focus': 'Murtii fi Ittisa',
+                'nt90.day.40.focus': 'Qeesaariin Ol Iyyachuu',
+                'nt90.day.46.focus': 'Cubbuu fi Qajeelummaa',
+                'nt90.day.47.focus': 'Amantii fi Ayyaana',
+                'nt90.day.48.focus': 'Hafuura fi Bilisummaa',
+                'nt90.day.49.focus': 'Israa\'eel fi Araara',
+                'nt90.day.50.focus': 'Jireenya Hojii',
+                'nt90.day.51.focus': 'Qoqqoodama Waldaa',
+                'nt90.day.52.focus': 'Naamusa fi Bilisummaa',
+                'nt90.day.53.focus': 'Mirga fi Waaqeffannaa',
+                'nt90.day.54.focus': 'Kennaawwan Hafuuraa',
+                'nt90.day.55.focus': 'Du\'aa Ka\'uu',
+                'nt90.day.56.focus': 'Jajjabina fi Tajaajila',
+                'nt90.day.57.focus': 'Araara fi Kennuu',
+                'nt90.day.58.focus': 'Arjummaa fi Aangoo',
+                'nt90.day.61.focus': 'Ayyaana fi Seera',
+                'nt90.day.62.focus': 'Bilisummaa fi Hafuura',
+                'nt90.day.63.focus': 'Eebba Hafuuraa',
+                'nt90.day.64.focus': 'Tokkummaa fi Meeshaa Lolaa',
+                'nt90.day.65.focus': 'Gammachuu fi Gad of Qabuu',
+                'nt90.day.66.focus': 'Qajeelummaa fi Nagaa',
+                'nt90.day.67.focus': 'Olaantummaa Kiristoos',
+                'nt90.day.68.focus': 'Jireenya Haaraa',
+                'nt90.day.69.focus': 'Amantii fi Jaalala',
+                'nt90.day.70.focus': 'Dhufaatii fi Jireenya',
+                'nt90.day.71.focus': 'Bara Dhumaa fi Hojii',
+                'nt90.day.72.focus': 'Sirna Waldaa',
+                'nt90.day.73.focus': 'Waaqayyoon Sodaachuu fi Quufa',
+                'nt90.day.74.focus': 'Wangeela Eeguu',
+                'nt90.day.75.focus': 'Katabbii fi Fiigicha Xumuruu',
+                'nt90.day.76.focus': 'Barsiisa Fayyaa',
+                'nt90.day.77.focus': 'Dhiifama',
+                'nt90.day.78.focus': 'Caalmaa Kiristoos',
+                'nt90.day.79.focus': 'Luba Ta\'uu',
+                'nt90.day.80.focus': 'Kakuu Haaraa',
+                'nt90.day.81.focus': 'Amantii fi Obsa',
+                'nt90.day.82.focus': 'Amantii fi Hojii',
+                'nt90.day.83.focus': 'Ogummaa fi Kadhannaa',
+                'nt90.day.84.focus': 'Abdii Jiraataa',
+                'nt90.day.85.focus': 'Dhiphina fi Hoggansa',
+                'nt90.day.86.focus': 'Beekumsa fi Deebi\'uu Isaa',
+                'nt90.day.87.focus': 'Ifa fi Jaalala',
+                'nt90.day.88.focus': 'Waaqayyo Jaalala',
+                'nt90.day.89.focus': 'Dhugaa fi Amantiif Qabsaa\'uu',
+                'nt90.day.90.focus': 'Injifannoo fi Uumama Haaraa',
+                'disc.1.objective.1': 'Ergaa wangeelaa ifatti hubachuu',
+                'disc.1.objective.2': 'Irra deebi\'anii dhalachuun maal akka ta\'e ibsuu',
+                'disc.1.objective.3': 'Dhugaa ba\'umsa dhuunfaa bu\'a qabeessaan qooduu',
+                'disc.1.activity.1': 'Seenaa fayyina kee dhuunfaa barreessi',
+                'disc.1.activity.2': 'Wangeela daqiiqaa 3 keessatti qooduu shaakali',
+                'disc.1.activity.3': 'Luqqisiiwwan ijoo waa\'ee fayyinaa qalbiin qabadhu',
+                'disc.1.question.1': 'Kiristaana ta\'uu kee dura waa\'ee Yesuus maal hubatta turte?',
+                'disc.1.question.2': 'Erga Kiristoosin hordofuu jalqabdee jireenyi kee akkamitti jijjiirame?',
+                'disc.1.question.3': 'Uumama haaraa ta\'uun maal jechuudha?',
+                'disc.2.objective.1': 'Aangoo fi kaayyoo Macaafa Qulqulluu hubachuu',
+                'disc.2.objective.2': 'Amala Macaafa Qulqulluu itti fufiinsaan dubbisuu horachuu',
+                'disc.2.objective.3': 'Mala qorannoo Macaafa Qulqulluu bu\'uuraa barachuu',
+                'disc.2.activity.1': 'Karoora dubbisa Macaafa Qulqulluu guyyaa guyyaa qopheessi',
+                'disc.2.activity.2': 'Mala SOAP shaakali (Katabbii, Hubannoo, Hojiirra Oolmaa, Kadhannaa)',
+                'disc.2.activity.3': 'Dhugaa tokko Dubbii Waaqayyoo irraa baratte qoodi',
+                'disc.2.question.1': 'Macaafni Qulqulluun guddina Kiristaanaaf maaliif barbaachisaa ta\'a?',
+                'disc.2.question.2': 'Karaa Dubbii isaatiin sagalee Waaqayyoo akkamitti dhaga\'uu dandeenya?',
+                'disc.2.question.3': 'Macaafa Qulqulluu yeroo hunda dubbisuu kan nu dhorku maali?',
+                'disc.3.objective.1': 'Kaayyoo fi humna kadhannaa hubachuu',
+                'disc.3.objective.2': 'Gosoota kadhannaa adda addaa barachuu',
+                'disc.3.objective.3': 'Jireenya kadhannaa itti fufiinsa qabu horachuu',
+                'disc.3.activity.1': 'Galmee kadhannaa qopheessi',
+                'disc.3.activity.2': 'Fakkeenya kadhannaa ACTS shaakali (Waaqeffannaa, Cubbuu Himachuu, Galata, Kadhannaa)',
+                'disc.3.activity.3': 'Torban kana hiriyaa kadhannaa wajjin kadhadhu',
+                'disc.3.question.1': 'Yeroo hunda kadhachuu kan si dhorku maali?',
+                'disc.3.question.2': 'Kana dura Waaqayyo kadhannaa keetiif akkamitti deebise?',
+                'disc.3.question.3': '"Maqaa Yesuusiin" kadhachuun maal jechuudha?',
+                'disc.4.objective.1': 'Gahee Hafuura Qulqulluu Sadeessummaa keessatti qabu hubachuu',
+                'disc.4.objective.2': 'Waa\'ee kennaawwan Hafuuraa barachuu',
+                'disc.4.objective.3': 'Hafuuraan guutamuun akkamitti akka danda\'amu hubachuu',
+                'disc.4.activity.1': 'Kennaawwan hafuuraa ofii keetii fi warra kaan keessatti adda baasi',
+                'disc.4.activity.2': 'Qajeelfama Hafuura Qulqulluu dhaggeeffachuu shaakali',
+                'disc.4.activity.3': 'Ija Hafuuraa qalbiin qabadhu',
+                'disc.4.question.1': 'Hojii Hafuura Qulqulluu jireenya kee keessatti akkamitti argite?',
+                'disc.4.question.2': 'Garaagarummaan kennaawwan Hafuuraa fi ija Hafuuraa gidduu jiru maali?',
+                'disc.4.question.3': 'Hojii Hafuura Qulqulluu wajjin akkamitti hojjechuu dandeenya?',
+                'disc.5.objective.1': 'Kaayyoo waldaa kan Macaafa Qulqulluu hubachuu',
+                'disc.5.objective.2': 'Waa\'ee kennaawwan hafuuraa hawaasa keessatti barachuu',
+                'disc.5.objective.3': 'Waldaa naannoo keessaniif of kennuu horachuu',
+                'disc.5.activity.1': 'Gahee kee qaama waldaa keessatti adda baasi',
+                'disc.5.activity.2': 'Torban kana kutaa tajaajilaa tokko keessatti tajaajili',
+                'disc.5.activity.3': 'Amanaa biraa wajjin hariiroo ijaari',
+                'disc.5.question.1': '"Qaama Kiristoos" ta\'uun maal jechuudha?',
+                'disc.5.question.2': 'Waldaa keessatti tokkummaa akkamitti eeguu dandeenya?',
+                'disc.5.question.3': 'Itti gaafatamummaan kee amantoota biroof qabdu maali?',
+                'disc.6.objective.1': 'Dhugummaa waraana hafuuraa hubachuu',
+                'disc.6.objective.2': 'Meeshaa lolaa Waaqayyootti fayyadamuu barachuu',
+                'disc.6.objective.3': 'Tooftaa injifannoo hafuuraa horachuu',
+                'disc.6.activity.1': 'Meeshaa lolaa Waaqayyoo qalbiin qabadhu',
+                'disc.6.activity.2': 'Bakka jireenya kee keessatti haleellaan hafuuraa itti si mudatu adda baasi',
+                'disc.6.activity.3': 'Kadhannaa waraana hafuuraa shaakali',
+                'disc.6.question.1': 'Haleellaa hafuuraa akkamitti adda baafna?',
+                'disc.6.question.2': 'Aangoon humnoota hamoo irratti Kiristoos keessatti qabnu maali?',
+                'disc.6.question.3': 'Waraana hafuuraa keessatti akkamitti jabaannee dhaabachuu dandeenya?',
+                'disc.7.objective.1': 'Sodaa amantii qooduu mo\'achuu',
+                'disc.7.objective.2': 'Mala wangeela lallabuu salphaa barachuu',
+                'disc.7.objective.3': 'Warra badaniif garaa gara laafu horachuu',
+                'disc.7.activity.1': 'Dhugaa ba\'umsa kee nama tokkoof qoodi',
+                'disc.7.activity.2': 'Namoota hin amanne 3f maqaa isaaniitiin kadhadhu',
+                'disc.7.activity.3': 'Gaaffilee waa\'ee amantii yeroo baay\'ee ka\'aniif deebii kennuu shaakali',
+                'disc.7.question.1': 'Sodaan amantii keenya qooduu irraa nu dhorku maali?',
+                'disc.7.question.2': 'Namoota hin amanne wajjin hariiroo akkamitti ijaaruu dandeenya?',
+                'disc.7.question.3': 'Wangeela lallabuu keessatti gaheen Hafuura Qulqulluu maali?',
+                'disc.8.objective.1': 'Ilaalcha Macaafa Qulqulluu waa\'ee maallaqaa fi qabeenyaa hubachuu',
+                'disc.8.objective.2': 'Qajeelfama arjummaan kennuu barachuu',
+                'disc.8.objective.3': 'Amala bulchiinsa qabeenyaa gaarii horachuu',
+                'disc.8.activity.1': 'Baajata salphaa qopheessi',
+                'disc.8.activity.2': 'Torban kana hojii Waaqayyootiif arjummaan kenni',
+                'disc.8.activity.3': 'Akkaataa yeroo, dandeettii fi qabeenya keetti itti fayyadamtu madaali',
+                'disc.8.question.1': 'Waaqayyo waan hunda qaba jechuun maal jechuudha?',
+                'disc.8.question.2': 'Waan qabnutti quufuu akkamitti horachuu dandeenya?',
+                'disc.8.question.3': 'Hariiroon amantii fi bulchiinsa maallaqaa gidduu jiru maali?',
+                'disc.9.objective.1': 'Fedha Waaqayyoo akkamitti addaan baasuun akka danda\'amu hubachuu',
+                'disc.9.objective.2': 'Qajeelfama murtee kennuu Macaafa Qulqulluu barachuu',
+                'disc.9.objective.3': 'Waan bu\'aan isaa hin beekamne keessatti Waaqayyoon amanachuu',
+                'disc.9.activity.1': 'Torban kana qajeelfama Macaafa Qulqulluutti fayyadamuun murtee tokko kenni',
+                'disc.9.activity.2': 'Qajeelfama Waaqayyoo dhaggeeffachuu shaakali',
+                'disc.9.activity.3': 'Kutaa jireenya kee tokko fedha Waaqayyootiif kenni',
+                'disc.9.question.1': 'Murteen tokko Waaqayyoon akka kabaju akkamitti beekna?',
+                'disc.9.question.2': 'Murtee kennuu keessatti nagaan gahee akkamii qaba?',
+                'disc.9.question.3': 'Yeroo Waaqayyo callise fakkaatu murtee akkamitti kennina?',
+                'disc.10.objective.1': 'Qajeelfama hariiroo Macaafa Qulqulluu hubachuu',
+                'disc.10.objective.2': 'Wal dhabdee karaa Waaqayyoon gammachiisuun furuu barachuu',
+                'disc.10.objective.3': 'Haala hariiroo fayyaa qabu horachuu',
+                'disc.10.activity.1': 'Hariiroo kee tokko keessatti dhiifama shaakali',
+                'disc.10.activity.2': 'Namoota jireenya kee keessatti barbaachisoo ta\'aniif galata kee ibsi',
+                'disc.10.activity.3': '1 Qorontoos 13 qalbiin qabadhu',
+                'disc.10.question.1': 'Hariiroon akka Waaqayyoon kabaju kan godhu maali?',
+                'disc.10.question.2': 'Daangaa fayyaa qabu akkamitti kaa\'anna?',
+                'disc.10.question.3': 'Jaalalli Macaafa Qulqulluu jaalala addunyaa irraa maaliin adda?',
+                'disc.11.objective.1': 'Qajeelfama ijoollee guddisuu Macaafa Qulqulluu hubachuu',
+                'disc.11.objective.2': 'Haala mana Waaqayyoon gammachiisu uumuu barachuu',
+                'disc.11.objective.3': 'Amala waaqeffannaa maatii horachuu',
+                'disc.11.activity.1': 'Yeroo kadhannaa fi dubbii maatii jalqabi ykn fooyyessi',
+                'disc.11.activity.2': 'Miseensa maatii tokko tokkoof addatti kadhadhu',
+                'disc.11.activity.3': 'Ibsa ergama maatii qopheessi',
+                'disc.11.question.1': 'Maatii keenya hafuuraan akkamitti hogganuu dandeenya?',
+                'disc.11.question.2': 'Daa\'ima karaa inni irra deemuu qabu irratti leenjisuun maal jechuudha?',
+                'disc.11.question.3': 'Ayyaanaa fi adabbii akkamitti madaalla?',
+                'disc.12.objective.1': 'Ilaalcha Macaafa Qulqulluu waa\'ee hojii hubachuu',
+                'disc.12.objective.2': 'Bakka hojiitti dhugaa ba\'aa Kiristaanaa ta\'uu barachuu',
+                'disc.12.objective.3': 'Hojii gaarummaan hojjechuu akka waaqeffannaatti horachuu',
+                'disc.12.activity.1': 'Hiriyoota hojii fi bakka hojii keetiif kadhadhu',
+                'disc.12.activity.2': 'Bakka hojiitti carraa tajaajiluu barbaadi',
+                'disc.12.activity.3': 'Naamusa hojii kee ilaalcha Macaafa Qulqulluutiin madaali',
+                'disc.12.question.1': 'Hojii keenya guyyaa guyyaatiin Waaqayyoon akkamitti kabajuu dandeenya?',
+                'disc.12.question.2': '"Akka Gooftaaf hojjetuutti" hojjechuun maal jechuudha?',
+                'disc.12.question.3': 'Wal dhabdee bakka hojii karaa Macaafa Qulqulluutiin akkamitti furra?',
+                'disc.13.objective.1': 'Kaayyoo Waaqayyo dhiphina keessatti qabu hubachuu',
+                'disc.13.objective.2': 'Yeroo ulfaataa keessatti Waaqayyoon amanachuu barachuu',
+                'disc.13.objective.3': 'Obsaa fi amala horachuu',
+                'disc.13.activity.1': 'Waa\'ee qormaata amma si mudatee fi waan Waaqayyo si barsiisaa jiraachuu danda\'u barreessi',
+                'disc.13.activity.2': 'Luqqisiiwwan jajjabeessan qalbiin qabadhu',
+                'disc.13.activity.3': 'Nama biraa dhiphachaa jiru jajjabeessi',
+                'disc.13.question.1': 'Waaqayyo dhiphina maaliif hayyama?',
+                'disc.13.question.2': 'Qormaanni guddina hafuuraa akkamitti fida?',
+                'disc.13.question.3': 'Warra dhukkubbii keessa jiraniif jajjabina akkamii kennuu dandeenya?',
+                'disc.14.objective.1': 'Abboommii Macaafa Qulqulluu dhiifama gochuu hubachuu',
+                'disc.14.objective.2': 'Tarkaanfii araaraa barachuu',
+                'disc.14.objective.3': 'Gufuu dhiifama gochuu mo\'achuu',
+                'disc.14.activity.1': 'Nama si miidhe dhiifama godhi',
+                'disc.14.activity.2': 'Yoo barbaachise dhiifama gaafadhu',
+                'disc.14.activity.3': 'Xalayaa dhiifamaa barreessi (yoo hin ergitu illee)',
+                'disc.14.question.1': 'Garaagarummaan dhiifamaa fi araaraa gidduu jiru maali?',
+                'disc.14.question.2': 'Yeroo dhiifama gochuun nutti ulfaatu akkamitti dhiifama goona?',
+                'disc.14.question.3': 'Namni kaan dhiifama yoo hin gaafannehoo?',
+                'disc.15.objective.1': 'Garaagarummaa beekumsaa fi ogummaa hubachuu',
+                'disc.15.objective.2': 'Murtee ogummaa qabu kennuu barachuu',
+                'disc.15.objective.3': 'Haala walxaxaa keessatti hubannoo horachuu',
+                'disc.15.activity.1': 'Murtee addaa tokkoof ogummaa barbaadi',
+                'disc.15.activity.2': 'Ogummaa hojiitiif Fakkeenya qo\'adhu',
+                'disc.15.activity.3': 'Nama ogeessa gorsa gaafadhu',
+                'disc.15.question.1': 'Akka Katabbiitti ogummaa akkamitti arganna?',
+                'disc.15.question.2': 'Hubannoo keessatti gaheen Hafuura Qulqulluu maali?',
+                'disc.15.question.3': 'Murtee gowwummaa akkamitti irraa fagaachuu dandeenya?',
+                'disc.16.objective.1': 'Yaada samii horachuu',
+                'disc.16.objective.2': 'Barsiisa Macaafa Qulqulluu waa\'ee bara baraa hubachuu',
+                'disc.16.objective.3': 'Kaayyoo fi dhiibbaa bara baraa qabuun jiraachuu',
+                'disc.16.activity.1': 'Dursa kee ilaalcha bara baraatiin madaali',
+                'disc.16.activity.2': 'Torban kana wangeela nama tokkoof qoodi',
+                'disc.16.activity.3': 'Ibsa ergama dhuunfaa barreessi',
+                'disc.16.question.1': 'Ilaalchi bara baraa akkaataa har\'a itti jiraannu akkamitti jijjiira?',
+                'disc.16.question.2': 'Samii keessatti qabeenya kuusuun maal jechuudha?',
+                'disc.16.question.3': 'Waan yeroof jiruun liqimfamuu irraa akkamitti of eeguu dandeenya?',
+                'holyDay.enkutatash.name': 'Bara Haaraa Itoophiyaa (Inkuxaaxaash)',
+                'holyDay.enkutatash.description': 'Ayyaana Bara Haaraa',
+                'holyDay.meskel.name': 'Argamuu Fannoo Dhugaa (Masqala)',
+                'holyDay.meskel.description': 'Ayyaana Masqalaa',
+                'holyDay.genna.name': 'Qillee Itoophiyaa (Gannaa/Lidata)',
+                'holyDay.genna.description': 'Dhalachuu Kiristoos',
+                'holyDay.timkat.name': 'Cuuphaa (Xiimqaata)',
+                'holyDay.timkat.description': 'Cuuphamuu Yesuus',
+                'holyDay.nineveh.name': 'Soomana Nanawwee',
+                'holyDay.nineveh.description': 'Soomana guyyaa sadii kan qalbii jijjiirrannaa',
+                'holyDay.abiy-tsom.name': 'Jalqaba Soomana Guddaa',
+                'holyDay.abiy-tsom.description': 'Jalqaba soomana guyyaa 55 kan Fasikaa dura',
+                'holyDay.debre-zeit.name': 'Dabra Zayit',
+                'holyDay.debre-zeit.description': 'Walakkaa soomanaa, barsiisa Gaara Ejersaa',
+                'holyDay.hosanna.name': 'Hosaa\'inaa',
+                'holyDay.hosanna.description': 'Yerusaalem ulfinaan seenuu',
+                'holyDay.siklet.name': 'Sikilata (Jimaata Gaarii)',
+                'holyDay.siklet.description': 'Fannifamuu Kiristoos',
+                'holyDay.fasika.name': 'Fasikaa Itoophiyaa',
+                'holyDay.fasika.description': 'Du\'aa ka\'uu Kiristoos',
+                'holyDay.erget.name': 'Ol Fudhatamuu (Irgata)',
+                'holyDay.erget.description': 'Ol fudhatamuu Kiristoos, Fasikaa booda guyyaa 40',
+                'holyDay.paraclete.name': 'Phenxeqosxee (Paraqliixos)',
+                'holyDay.paraclete.description': 'Bu\'uu Hafuura Qulqulluu, Fasikaa booda guyyaa 50',
+                'holyDay.filseta.name': 'Ol Fudhatamuu Maariyaam (Filsataa)',
+                'holyDay.filseta.description': 'Ayyaana Filsataa',
+                'event.establishment.name': 'Hundeeffama Tajaajilaa',
+                'event.establishment.description': 'Bu\'uura hojii tajaajilaa',
+                'event.phase1-launch.name': 'Jalqaba Sadarkaa 1ffaa (Arsii fi Baalee)',
+                'event.phase1-launch.description': 'Naannoo Arsii fi Baalee keessatti hojii wangeelaa jalqabuu',
+                'event.mid-year-evaluation.name': 'Madaallii Walakkaa Waggaa',
+                'event.mid-year-evaluation.description': 'Guddina madaaluu fi tooftaa sirreessuu',
+                'event.phase1-completion.name': 'Xumura Sadarkaa 1ffaa',
+                'event.phase1-completion.description': 'Milkaa\'ina waggaa jalqabaa kabajuu',
+                'eventType.milestone': 'Ka\'umsa',
+                'eventType.launch': 'Jalqaba',
+                'eventType.evaluation': 'Madaallii'
+            }
+        };
+
+        this.bookNames = {
+            am: {
+                'Genesis': 'ዘፍጥረት', 'Exodus': 'ዘጸአት', 'Leviticus': 'ዘሌዋውያን', 'Numbers': 'ዘኍልቍ',
+                'Deuteronomy': 'ዘዳግም', 'Joshua': 'ኢያሱ', 'Judges': 'መሳፍንት', 'Ruth': 'ሩት',
+                'Samuel': 'ሳሙኤል', 'Kings': 'ነገሥት', 'Chronicles': 'ዜና መዋዕል', 'Ezra': 'ዕዝራ',
+                'Nehemiah': 'ነህምያ', 'Esther': 'አስቴር', 'Job': 'ኢዮብ', 'Psalms': 'መዝሙረ ዳዊት',
+                'Psalm': 'መዝሙር', 'Proverbs': 'ምሳሌ', 'Ecclesiastes': 'መክብብ', 'Song of Songs': 'መኃልየ መኃልይ',
+                'Isaiah': 'ኢሳይያስ', 'Jeremiah': 'ኤርምያስ', 'Lamentations': 'ሰቆቃው ኤርምያስ', 'Ezekiel': 'ሕዝቅኤል',
+                'Daniel': 'ዳንኤል', 'Hosea': 'ሆሴዕ', 'Joel': 'ኢዩኤል', 'Amos': 'አሞጽ', 'Obadiah': 'አብድዩ',
+                'Jonah': 'ዮናስ', 'Micah': 'ሚክያስ', 'Nahum': 'ናሆም', 'Habakkuk': 'ዕንባቆም',
+                'Zephaniah': 'ሶፎንያስ', 'Haggai': 'ሐጌ', 'Zechariah': 'ዘካርያስ', 'Malachi': 'ሚልክያስ',
+                'Matthew': 'ማቴዎስ', 'Mark': 'ማርቆስ', 'Luke': 'ሉቃስ', 'John': 'ዮሐንስ',
+                'Acts': 'የሐዋርያት ሥራ', 'Romans': 'ሮሜ', 'Corinthians': 'ቆሮንቶስ', 'Galatians': 'ገላትያ',
+                'Ephesians': 'ኤፌሶን', 'Philippians': 'ፊልጵስዩስ', 'Colossians': 'ቆላስይስ',
+                'Thessalonians': 'ተሰሎንቄ', 'Timothy': 'ጢሞቴዎስ', 'Titus': 'ቲቶ', 'Philemon': 'ፊልሞና',
+                'Hebrews': 'ዕብራውያን', 'James': 'ያዕቆብ', 'Peter': 'ጴጥሮስ', 'Jude': 'ይሁዳ', 'Revelation': 'ራእይ'
             },
-            pagume: { 
-                weeks: 1, 
-                reading: 'Acts & Revelation', 
-                theme: 'Church & Eternity',
-                weeklyBreakdown: [
-                    {
-                        week: 49,
-                        focus: 'Church Birth & Mission',
-                        readings: 'Acts 1-28; Revelation 1-22',
-                        keyThemes: 'Holy Spirit, Mission, Hope, New Creation',
-                        studyQuestions: [
-                            'How did the Holy Spirit empower the church?',
-                            'What is our mission?',
-                            'What hope does Revelation give?',
-                            'How should we live in light of Christ\'s return?'
-                        ],
-                        memoryVerse: 'Revelation 21:5 - "I am making everything new!"',
-                        practicalApplication: 'Live in the power of the resurrection and hope of Christ\'s return.'
-                    }
-                ]
+            om: {
+                'Genesis': 'Uumama', 'Exodus': 'Ba\'uu', 'Leviticus': 'Lewwota', 'Numbers': 'Lakkoobsa',
+                'Deuteronomy': 'Keessa Deebii', 'Joshua': 'Iyyaasuu', 'Judges': 'Abbootii Murtii', 'Ruth': 'Ruut',
+                'Samuel': 'Saamu\'eel', 'Kings': 'Mootota', 'Chronicles': 'Seenaa', 'Ezra': 'Izraa',
+                'Nehemiah': 'Nahimiyaa', 'Esther': 'Asteer', 'Job': 'Iyyoob', 'Psalms': 'Faarfannaa',
+                'Psalm': 'Faarfannaa', 'Proverbs': 'Fakkeenya', 'Ecclesiastes': 'Lallaba', 'Song of Songs': 'Weedduu Weedduuwwanii',
+                'Isaiah': 'Isaayyaas', 'Jeremiah': 'Ermiyaas', 'Lamentations': 'Faaruu Ermiyaas', 'Ezekiel': 'Hisqi\'eel',
+                'Daniel': 'Daani\'eel', 'Hosea': 'Hoose\'aa', 'Joel': 'Yo\'eel', 'Amos': 'Amoos', 'Obadiah': 'Obaadiyaa',
+                'Jonah': 'Yoonaas', 'Micah': 'Miikiyaas', 'Nahum': 'Naahoom', 'Habakkuk': 'Anbaaqoom',
+                'Zephaniah': 'Sofoniyaas', 'Haggai': 'Haggee', 'Zechariah': 'Zakaariyaas', 'Malachi': 'Milkiyaas',
+                'Matthew': 'Maatewos', 'Mark': 'Maarqos', 'Luke': 'Luqaas', 'John': 'Yohannis',
+                'Acts': 'Hojii Ergamootaa', 'Romans': 'Roomaa', 'Corinthians': 'Qorontoos', 'Galatians': 'Galaatiyaa',
+                'Ephesians': 'Efesoon', 'Philippians': 'Filiphisiyuus', 'Colossians': 'Qolosaayis',
+                'Thessalonians': 'Tasaloniiqee', 'Timothy': 'Ximotewos', 'Titus': 'Tiitoo', 'Philemon': 'Filemoona',
+                'Hebrews': 'Ibroota', 'James': 'Yaaqoob', 'Peter': 'Pheexiros', 'Jude': 'Yihudaa', 'Revelation': 'Mul\'ata'
             }
         };
+
+        // Longest names first so "Song of Songs" wins over shorter matches
+        const englishBooks = Object.keys(this.bookNames.am).sort((a, b) => b.length - a.length);
+        this.bookPattern = new RegExp(`\\b(${englishBooks.join('|')})\\b`, 'g');
+
+        this.language = 'en';
+        this.setLanguage(language);
     }
 
-    initializeNT90Plan() {
-        this.ntIntensive = [
-            { 
-                days: '1-9', 
-                reading: 'Matthew 1-28', 
-                focus: 'Jesus as King',
-                dailyBreakdown: [
-                    { day: 1, reading: 'Matthew 1-4', focus: 'Birth & Preparation', chapters: 4 },
-                    { day: 2, reading: 'Matthew 5-7', focus: 'Sermon on the Mount', chapters: 3 },
-                    { day: 3, reading: 'Matthew 8-10', focus: 'Miracles & Mission', chapters: 3 },
-                    { day: 4, reading: 'Matthew 11-13', focus: 'Parables of Kingdom', chapters: 3 },
-                    { day: 5, reading: 'Matthew 14-18', focus: 'Identity & Community', chapters: 5 },
-                    { day: 6, reading: 'Matthew 19-22', focus: 'Teaching & Conflict', chapters: 4 },
-                    { day: 7, reading: 'Matthew 23-25', focus: 'Woes & End Times', chapters: 3 },
-                    { day: 8, reading: 'Matthew 26-28', focus: 'Passion & Resurrection', chapters: 3 },
-                    { day: 9, reading: 'Review Matthew', focus: 'Reflection & Application', chapters: 0 }
-                ]
-            },
-            { 
-                days: '10-15', 
-                reading: 'Mark 1-16', 
-                focus: 'Jesus as Servant',
-                dailyBreakdown: [
-                    { day: 10, reading: 'Mark 1-3', focus: 'Rapid Ministry Start', chapters: 3 },
-                    { day: 11, reading: 'Mark 4-6', focus: 'Miracles & Power', chapters: 3 },
-                    { day: 12, reading: 'Mark 7-9', focus: 'Teaching & Transfiguration', chapters: 3 },
-                    { day: 13, reading: 'Mark 10-12', focus: 'Servant Leadership', chapters: 3 },
-                    { day: 14, reading: 'Mark 13-14', focus: 'Prophecy & Betrayal', chapters: 2 },
-                    { day: 15, reading: 'Mark 15-16', focus: 'Sacrifice & Victory', chapters: 2 }
-                ]
-            },
-            { 
-                days: '16-23', 
-                reading: 'Luke 1-24', 
-                focus: 'Jesus as Savior',
-                dailyBreakdown: [
-                    { day: 16, reading: 'Luke 1-3', focus: 'Birth & Genealogy', chapters: 3 },
-                    { day: 17, reading: 'Luke 4-6', focus: 'Ministry Begins', chapters: 3 },
-                    { day: 18, reading: 'Luke 7-9', focus: 'Miracles & Disciples', chapters: 3 },
-                    { day: 19, reading: 'Luke 10-12', focus: 'Teaching & Parables', chapters: 3 },
-                    { day: 20, reading: 'Luke 13-15', focus: 'Kingdom Parables', chapters: 3 },
-                    { day: 21, reading: 'Luke 16-18', focus: 'Wealth & Prayer', chapters: 3 },
-                    { day: 22, reading: 'Luke 19-21', focus: 'Jerusalem Entry', chapters: 3 },
-                    { day: 23, reading: 'Luke 22-24', focus: 'Passion & Resurrection', chapters: 3 }
-                ]
-            },
-            { 
-                days: '24-30', 
-                reading: 'John 1-21', 
-                focus: 'Jesus as God',
-                dailyBreakdown: [
-                    { day: 24, reading: 'John 1-3', focus: 'Divine Identity', chapters: 3 },
-                    { day: 25, reading: 'John 4-6', focus: 'Living Water & Bread', chapters: 3 },
-                    { day: 26, reading: 'John 7-9', focus: 'Light of the World', chapters: 3 },
-                    { day: 27, reading: 'John 10-12', focus: 'Good Shepherd', chapters: 3 },
-                    { day: 28, reading: 'John 13-15', focus: 'Last Supper', chapters: 3 },
-                    { day: 29, reading: 'John 16-18', focus: 'Holy Spirit & Arrest', chapters: 3 },
-                    { day: 30, reading: 'John 19-21', focus: 'Crucifixion & Commission', chapters: 3 }
-                ]
-            },
-            { 
-                days: '31-45', 
-                reading: 'Acts 1-28', 
-                focus: 'Early Church',
-                dailyBreakdown: [
-                    { day: 31, reading: 'Acts 1-3', focus: 'Pentecost & Power', chapters: 3 },
-                    { day: 32, reading: 'Acts 4-6', focus: 'Church Growth', chapters: 3 },
-                    { day: 33, reading: 'Acts 7-8', focus: 'Stephen & Persecution', chapters: 2 },
-                    { day: 34, reading: 'Acts 9-10', focus: 'Paul\'s Conversion', chapters: 2 },
-                    { day: 35, reading: 'Acts 11-13', focus: 'Gentile Inclusion', chapters: 3 },
-                    { day: 36, reading: 'Acts 14-16', focus: 'First Mission Journey', chapters: 3 },
-                    { day: 37, reading: 'Acts 17-19', focus: 'Second Journey', chapters: 3 },
-                    { day: 38, reading: 'Acts 20-22', focus: 'Third Journey & Arrest', chapters: 3 },
-                    { day: 39, reading: 'Acts 23-25', focus: 'Trials & Defense', chapters: 3 },
-                    { day: 40, reading: 'Acts 26-28', focus: 'Appeal to Caesar', chapters: 3 }
-                ]
-            },
-            { 
-                days: '46-60', 
-                reading: 'Romans & Corinthians', 
-                focus: 'Paul\'s Theology',
-                dailyBreakdown: [
-                    { day: 46, reading: 'Romans 1-3', focus: 'Sin & Righteousness', chapters: 3 },
-                    { day: 47, reading: 'Romans 4-6', focus: 'Faith & Grace', chapters: 3 },
-                    { day: 48, reading: 'Romans 7-8', focus: 'Spirit & Freedom', chapters: 2 },
-                    { day: 49, reading: 'Romans 9-11', focus: 'Israel & Mercy', chapters: 3 },
-                    { day: 50, reading: 'Romans 12-16', focus: 'Practical Living', chapters: 5 },
-                    { day: 51, reading: '1 Corinthians 1-4', focus: 'Church Divisions', chapters: 4 },
-                    { day: 52, reading: '1 Corinthians 5-8', focus: 'Morality & Freedom', chapters: 4 },
-                    { day: 53, reading: '1 Corinthians 9-11', focus: 'Rights & Worship', chapters: 3 },
-                    { day: 54, reading: '1 Corinthians 12-14', focus: 'Spiritual Gifts', chapters: 3 },
-                    { day: 55, reading: '1 Corinthians 15-16', focus: 'Resurrection', chapters: 2 },
-                    { day: 56, reading: '2 Corinthians 1-4', focus: 'Comfort & Ministry', chapters: 4 },
-                    { day: 57, reading: '2 Corinthians 5-8', focus: 'Reconciliation & Giving', chapters: 4 },
-                    { day: 58, reading: '2 Corinthians 9-13', focus: 'Generosity & Authority', chapters: 5 }
-                ]
-            },
-            { 
-                days: '61-75', 
-                reading: 'Paul\'s Letters', 
-                focus: 'Church Life',
-                dailyBreakdown: [
-                    { day: 61, reading: 'Galatians 1-3', focus: 'Grace vs Law', chapters: 3 },
-                    { day: 62, reading: 'Galatians 4-6', focus: 'Freedom & Spirit', chapters: 3 },
-                    { day: 63, reading: 'Ephesians 1-3', focus: 'Spiritual Blessings', chapters: 3 },
-                    { day: 64, reading: 'Ephesians 4-6', focus: 'Unity & Armor', chapters: 3 },
-                    { day: 65, reading: 'Philippians 1-2', focus: 'Joy & Humility', chapters: 2 },
-                    { day: 66, reading: 'Philippians 3-4', focus: 'Righteousness & Peace', chapters: 2 },
-                    { day: 67, reading: 'Colossians 1-2', focus: 'Supremacy of Christ', chapters: 2 },
-                    { day: 68, reading: 'Colossians 3-4', focus: 'New Life', chapters: 2 },
-                    { day: 69, reading: '1 Thessalonians 1-3', focus: 'Faith & Love', chapters: 3 },
-                    { day: 70, reading: '1 Thessalonians 4-5', focus: 'Coming & Living', chapters: 2 },
-                    { day: 71, reading: '2 Thessalonians 1-3', focus: 'End Times & Work', chapters: 3 },
-                    { day: 72, reading: '1 Timothy 1-3', focus: 'Church Order', chapters: 3 },
-                    { day: 73, reading: '1 Timothy 4-6', focus: 'Godliness & Contentment', chapters: 3 },
-                    { day: 74, reading: '2 Timothy 1-2', focus: 'Guard the Gospel', chapters: 2 },
-                    { day: 75, reading: '2 Timothy 3-4', focus: 'Scripture & Finish', chapters: 2 }
-                ]
-            },
-            { 
-                days: '76-90', 
-                reading: 'General Letters & Revelation', 
-                focus: 'Faith & Hope',
-                dailyBreakdown: [
-                    { day: 76, reading: 'Titus 1-3', focus: 'Sound Doctrine', chapters: 3 },
-                    { day: 77, reading: 'Philemon', focus: 'Forgiveness', chapters: 1 },
-                    { day: 78, reading: 'Hebrews 1-4', focus: 'Superiority of Christ', chapters: 4 },
-                    { day: 79, reading: 'Hebrews 5-7', focus: 'Priesthood', chapters: 3 },
-                    { day: 80, reading: 'Hebrews 8-10', focus: 'New Covenant', chapters: 3 },
-                    { day: 81, reading: 'Hebrews 11-13', focus: 'Faith & Endurance', chapters: 3 },
-                    { day: 82, reading: 'James 1-3', focus: 'Faith & Works', chapters: 3 },
-                    { day: 83, reading: 'James 4-5', focus: 'Wisdom & Prayer', chapters: 2 },
-                    { day: 84, reading: '1 Peter 1-3', focus: 'Living Hope', chapters: 3 },
-                    { day: 85, reading: '1 Peter 4-5', focus: 'Suffering & Leadership', chapters: 2 },
-                    { day: 86, reading: '2 Peter 1-3', focus: 'Knowledge & Return', chapters: 3 },
-                    { day: 87, reading: '1 John 1-3', focus: 'Light & Love', chapters: 3 },
-                    { day: 88, reading: '1 John 4-5', focus: 'God is Love', chapters: 2 },
-                    { day: 89, reading: '2 John, 3 John, Jude', focus: 'Truth & Contend', chapters: 3 },
-                    { day: 90, reading: 'Revelation 1-22', focus: 'Victory & New Creation', chapters: 22 }
-                ]
+    setLanguage(language) {
+        this.language = this.languages[language] ? language : 'en';
+        return this.language;
+    }
+
+    getHtmlLang() {
+        return this.languages[this.language].htmlLang;
+    }
+
+    interpolate(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    t(key, params = {}) {
+        const template = this.strings[this.language][key] || this.strings.en[key] || key;
+        return this.interpolate(template, params);
+    }
+
+    /**
+     * @param {string} key - Content key such as "chrono.meskerem.theme"
+     * @param {string} fallback - English text used when no translation exists
+     */
+    translateContent(key, fallback) {
+        const translations = this.content[this.language];
+        return (translations && translations[key]) || fallback;
+    }
+
+    reference(text) {
+        const names = this.bookNames[this.language];
+        if (!names || !text) return text;
+        return text.replace(this.bookPattern, book => names[book] || book);
+    }
+}
+
+// ===================================
+// REMINDER MANAGER MODULE
+// ===================================
+/**
+ * Daily reading reminders through the Notifications API. The service worker
+ * (sw.js) shows the notification; periodic background sync wakes it where
+ * supported, and a page timer covers the time while the planner is open.
+ */
+class ReminderManager {
+    constructor() {
+        this.registration = null;
+        this.reminderTimer = null;
+        this.syncTag = 'daily-reading-reminder';
+    }
+
+    isSupported() {
+        return 'Notification' in window && 'serviceWorker' in navigator;
+    }
+
+    getPermission() {
+        return this.isSupported() ? Notification.permission : 'unsupported';
+    }
+
+    async getRegistration() {
+        if (!this.registration) {
+            await navigator.serviceWorker.register('/sw.js');
+            this.registration = await navigator.serviceWorker.ready;
+        }
+        return this.registration;
+    }
+
+    async requestPermission() {
+        if (!this.isSupported()) return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+        return Notification.requestPermission();
+    }
+
+    getNextOccurrence(time, from = new Date()) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const next = new Date(from);
+        next.setHours(hours, minutes, 0, 0);
+        if (next <= from) {
+            next.setDate(next.getDate() + 1);
+        }
+        return next;
+    }
+
+    /**
+     * @param {string} time - HH:MM in local time
+     * @param {Object<string, {title: string, passage: string}>} readings - Readings keyed by YYYY-MM-DD
+     * @param {{title: string, body: string}} notification - translated title, and the
+     *   body for days with no reading
+     */
+    async schedule(time, readings, notification) {
+        const registration = await this.getRegistration();
+        registration.active.postMessage({
+            type: 'reminder:update',
+            config: { enabled: true, time, readings, title: notification.title, fallbackBody: notification.body }
+        });
+
+        if ('periodicSync' in registration) {
+            try {
+                await registration.periodicSync.register(this.syncTag, { minInterval: 12 * 60 * 60 * 1000 });
+            } catch (error) {
+                console.debug('Periodic background sync unavailable:', error);
+            }
+        }
+
+        this.startPageTimer(time);
+    }
+
+    startPageTimer(time) {
+        clearTimeout(this.reminderTimer);
+        const delay = this.getNextOccurrence(time).getTime() - Date.now();
+
+        this.reminderTimer = setTimeout(async () => {
+            const registration = await this.getRegistration();
+            registration.active.postMessage({ type: 'reminder:due' });
+            this.startPageTimer(time);
+        }, delay);
+    }
+
+    async cancel() {
+        clearTimeout(this.reminderTimer);
+        this.reminderTimer = null;
+        if (!this.isSupported()) return;
+
+        // Only tell a worker that already exists; turning reminders off
+        // shouldn't install one
+        const registration = this.registration || await navigator.serviceWorker.getRegistration();
+        if (!registration || !registration.active) return;
+
+        registration.active.postMessage({
+            type: 'reminder:update',
+            config: { enabled: false, time: null, readings: {} }
+        });
+
+        if ('periodicSync' in registration) {
+            await registration.periodicSync.unregister(this.syncTag).catch(() => {});
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.reminderTimer);
+        this.reminderTimer = null;
+    }
+}
+
+// ===================================
+// ICALENDAR BUILDER MODULE
+// ===================================
+/**
+ * Minimal RFC 5545 writer for all-day events.
+ */
+class ICalendarBuilder {
+    constructor(calendarName) {
+        this.calendarName = calendarName;
+        this.events = [];
+        this.uidDomain = 'besorayeshuaministry.netlify.app';
+    }
+
+    formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}${month}${day}`;
+    }
+
+    formatTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Folds content lines longer than 75 octets, as required by RFC 5545.
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+
+        for (const char of line) {
+            const limit = parts.length === 0 ? 75 : 74;
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = char;
+            } else {
+                current += char;
             }
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * @param {{id: string, start: Date, days?: number, summary: string, description?: string, category?: string}} event
+     */
+    addAllDayEvent(event) {
+        this.events.push(event);
+        return this;
+    }
+
+    toString() {
+        const stamp = this.formatTimestamp(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Besorah Yeshua International Ministry//Bible Planner//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(this.calendarName)}`
         ];
+
+        this.events.forEach(event => {
+            const end = new Date(event.start);
+            end.setDate(end.getDate() + (event.days || 1));
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.id}@${this.uidDomain}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${this.formatDate(event.start)}`,
+                `DTEND;VALUE=DATE:${this.formatDate(end)}`,
+                `SUMMARY:${this.escapeText(event.summary)}`
+            );
+            if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            if (event.category) lines.push(`CATEGORIES:${this.escapeText(event.category)}`);
+            lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
     }
+}
 
-    initializeDiscipleshipWeeks() {
-        this.discipleshipWeeks = [
-            { 
-                week: 1, 
-                topic: 'Salvation & New Life', 
-                key: 'Romans 3:21-26; Ephesians 2:1-10',
-                objectives: [
-                    'Understand the gospel message clearly',
-                    'Explain what it means to be born again',
-                    'Share personal testimony effectively'
-                ],
-                activities: [
-                    'Write out personal salvation story',
-                    'Practice sharing gospel in 3 minutes',
-                    'Memorize key salvation verses'
-                ],
-                discussionQuestions: [
-                    'What did you understand about Jesus before becoming a Christian?',
-                    'How has your life changed since following Christ?',
-                    'What does it mean to be a new creation?'
-                ],
-                memoryVerse: '2 Corinthians 5:17 - "Therefore, if anyone is in Christ, the new creation has come: The old has gone, the new is here!"'
-            },
-            { 
-                week: 2, 
-                topic: 'The Word of God', 
-                key: '2 Timothy 3:16-17; Hebrews 4:12',
-                objectives: [
-                    'Understand the Bible\'s authority and purpose',
-                    'Develop a consistent Bible reading habit',
-                    'Learn basic Bible study methods'
-                ],
-                activities: [
-                    'Set up a daily Bible reading plan',
-                    'Practice the SOAP method (Scripture, Observation, Application, Prayer)',
-                    'Share one truth learned from Scripture'
-                ],
-                discussionQuestions: [
-                    'Why is the Bible important for Christian growth?',
-                    'How can we hear God\'s voice through Scripture?',
-                    'What obstacles prevent regular Bible reading?'
-                ],
-                memoryVerse: '2 Timothy 3:16 - "All Scripture is God-breathed and is useful for teaching, rebuking, correcting and training in righteousness."'
-            },
-            { 
-                week: 3, 
-                topic: 'Prayer & Communion with God', 
-                key: 'Matthew 6:5-15; Philippians 4:6-7',
-                objectives: [
-                    'Understand the purpose and power of prayer',
-                    'Learn different types of prayer',
-                    'Develop a consistent prayer life'
+// ===================================
+// LEADER GUIDE MODULE
+// ===================================
+/**
+ * Builds a standalone, printable HTML leader guide for discipleship weeks.
+ * Each week starts on a new page; the embedded stylesheet is tuned for
+ * print, so the same document works for downloading or saving as PDF.
+ */
+class LeaderGuideBuilder {
+    /**
+     * @param {string} title
+     * @param {Object<string, string>} labels - translated section headings
+     * @param {string} [lang]
+     */
+    constructor(title, labels, lang = 'en') {
+        this.title = title;
+        this.labels = labels;
+        this.lang = lang;
+        this.weeks = [];
+        this.notesLines = 8;
+    }
+
+    /**
+     * @param {{label: string, topic: string, passages: string, objectives: string[], activities: string[], questions: string[], memoryVerse: {reference: string, text: string}}} week
+     */
+    addWeek(week) {
+        this.weeks.push(week);
+        return this;
+    }
+
+    renderList(items, tag = 'ul') {
+        return `<${tag}>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</${tag}>`;
+    }
+
+    renderLines(count) {
+        return `<div class="lines">${'<div class="line"></div>'.repeat(count)}</div>`;
+    }
+
+    renderWeek(week) {
+        const { labels } = this;
+        return `
+<section class="week">
+    <header>
+        <p class="eyebrow">${escapeHtml(week.label)}</p>
+        <h2>${escapeHtml(week.topic)}</h2>
+        <p class="passages">${escapeHtml(week.passages)}</p>
+    </header>
+    <h3>${escapeHtml(labels.objectives)}</h3>
+    ${this.renderList(week.objectives)}
+    <h3>${escapeHtml(labels.activities)}</h3>
+    ${this.renderList(week.activities)}
+    <h3>${escapeHtml(labels.questions)}</h3>
+    <ol class="questions">
+        ${week.questions.map(question => `<li>${escapeHtml(question)}${this.renderLines(2)}</li>`).join('')}
+    </ol>
+    <h3>${escapeHtml(labels.memoryVerse)}</h3>
+    <blockquote>
+        <p>&ldquo;${escapeHtml(week.memoryVerse.text)}&rdquo;</p>
+        <cite>${escapeHtml(week.memoryVerse.reference)}</cite>
+    </blockquote>
+    <h3>${escapeHtml(labels.notes)}</h3>
+    ${this.renderLines(this.notesLines)}
+</section>`;
+    }
+
+    toString() {
+        return `<!DOCTYPE html>
+<html lang="${escapeHtml(this.lang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(this.title)}</title>
+<style>
+    @page { size: A4; margin: 18mm 16mm; }
+    body { margin: 0 auto; max-width: 760px; padding: 24px; font: 11pt/1.5 Georgia, 'Noto Serif Ethiopic', serif; color: #111; background: #fff; }
+    .cover { margin-bottom: 24px; border-bottom: 3px solid #205782; }
+    .cover h1 { margin: 0 0 4px; color: #205782; font-size: 22pt; }
+    .cover p { margin: 0 0 12px; color: #555; }
+    .week { break-after: page; page-break-after: always; }
+    .week:last-child { break-after: auto; page-break-after: auto; }
+    .eyebrow { margin: 0; color: #f2842f; font-weight: bold; text-transform: uppercase; letter-spacing: 0.05em; font-size: 9pt; }
+    h2 { margin: 2px 0; color: #205782; font-size: 18pt; }
+    h3 { margin: 18px 0 6px; padding-bottom: 2px; border-bottom: 1px solid #ccc; color: #205782; font-size: 12pt; break-after: avoid; page-break-after: avoid; }
+    .passages { margin: 0; color: #555; font-style: italic; }
+    ul, ol { margin: 0; padding-left: 22px; }
+    li { margin: 4px 0; break-inside: avoid; page-break-inside: avoid; }
+    blockquote { margin: 0; padding: 10px 14px; border-left: 4px solid #f2842f; background: #fdf3ea; break-inside: avoid; page-break-inside: avoid; }
+    blockquote p { margin: 0 0 4px; font-style: italic; }
+    cite { font-weight: bold; font-style: normal; }
+    .line { height: 26px; border-bottom: 1px solid #bbb; }
+    .questions .lines { margin-bottom: 8px; }
+    @media print {
+        body { max-width: none; padding: 0; }
+        .cover { break-after: avoid; page-break-after: avoid; }
+    }
+</style>
+</head>
+<body>
+<div class="cover">
+    <h1>${escapeHtml(this.title)}</h1>
+    <p>${escapeHtml(this.labels.subtitle)}</p>
+</div>
+${this.weeks.map(week => this.renderWeek(week)).join('\n')}
+</body>
+</html>
+`;
+    }
+}
+
+// ===================================
+// PROGRESS FILE MODULE
+// ===================================
+/**
+ * Error raised while reading a progress export. `code` is one of
+ * 'invalid-json', 'invalid-schema', 'unsupported-version',
+ * 'checksum-mismatch' or 'crypto-unavailable'. The message is for the
+ * console; the planner shows a translation chosen by `code` and `params`.
+ */
+class ProgressFileError extends Error {
+    /**
+     * @param {string} code
+     * @param {string} message
+     * @param {{version?: number, field?: string}} [params] - schema version
+     *   and, for 'invalid-schema', the field that failed
+     */
+    constructor(code, message, params = {}) {
+        super(message);
+        this.name = 'ProgressFileError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+/**
+ * @typedef {Object} ProgressData
+ * @property {Object<string, boolean>} completedReadings - readingId → done
+ * @property {Object<string, string>} completionLog - readingId → ISO completion time
+ * @property {Array<CustomPlan>} customPlans - plans created with ReadingPlanBuilder
+ * @property {string} selectedMonth
+ * @property {string} selectedPlan
+ * @property {Object<string, boolean>} expandedWeeks
+ * @property {string} [memberName] - shown to small-group leaders
+ * @property {Object<string, JournalEntry>} [journal] - readingId → SOAP entry;
+ *     absent when the reader chose not to include their journal
+ */
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} scripture
+ * @property {string} observation
+ * @property {string} application
+ * @property {string} prayer
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} CustomPlan
+ * @property {string} id - lowercase letters and digits; part of reading ids
+ * @property {string} name
+ * @property {'daily'|'weekly'} frequency
+ * @property {string} startDate - YYYY-MM-DD
+ * @property {Array<{book: string, from?: number, to?: number}>} selections
+ * @property {number} totalChapters
+ * @property {string} createdAt - ISO timestamp
+ * @property {Array<{index: number, date: string, reading: string, chapters: number}>} readings
+ */
+
+/**
+ * @typedef {Object} ProgressFile - schema version 4
+ * @property {'bible-planner-progress'} format
+ * @property {4} schemaVersion
+ * @property {string|null} exportedAt - ISO timestamp; null for version 3
+ *   files saved without one
+ * @property {ProgressData} data
+ * @property {{algorithm: 'SHA-256', value: string}} checksum - hex digest of
+ *     `data` serialized with sorted object keys
+ */
+
+/**
+ * Reads and writes bible-progress-*.json exports.
+ *
+ * Schema history:
+ *   3 - planner 3.0: flat object with `version: '3.0'` and a base64 prefix
+ *       of completedReadings as its checksum
+ *   4 - `data` envelope hashed with SHA-256; adds customPlans, and the
+ *       optional memberName and journal fields
+ *
+ * Older files are upgraded one version at a time through `migrations`, so a
+ * new schema only needs a step from the previous one.
+ */
+class ProgressFileFormat {
+    constructor() {
+        this.format = 'bible-planner-progress';
+        this.currentVersion = 4;
+        this.oldestVersion = 3;
+        // chrono-<month>-<week>, nt90-<section>-day-<day>, disc-<week> and
+        // custom-<planId>-<index>; journal entries are keyed by these
+        this.readingIdPattern = /^(chrono-[a-z]+-\d+|nt90-\d+-day-\d+|disc-\d+|custom-[a-z0-9]+-\d+)$/;
+        this.journalFields = ['scripture', 'observation', 'application', 'prayer'];
+        this.migrations = {
+            3: (file, { verifyChecksum }) => {
+                if (verifyChecksum && file.checksum !== this.legacyChecksum(file.completedReadings)) {
+                    throw new ProgressFileError('checksum-mismatch', 'This file does not match its checksum.');
+                }
+
+                return {
+                    format: this.format,
+                    schemaVersion: 4,
+                    exportedAt: file.timestamp || null,
+                    data: {
+                        completedReadings: file.completedReadings,
+                        completionLog: file.completionLog || {},
+                        customPlans: [],
+                        selectedMonth: file.selectedMonth,
+                        selectedPlan: file.selectedPlan,
+                        expandedWeeks: file.expandedWeeks || {}
+                    }
+                };
+            }
+        };
+    }
+
+    legacyChecksum(data) {
+        return btoa(JSON.stringify(data)).slice(0, 32);
+    }
+
+    /**
+     * JSON with object keys sorted at every level, so the digest does not
+     * depend on property insertion order.
+     */
+    canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJson(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    async sha256(text) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new ProgressFileError('crypto-unavailable', 'This browser cannot verify backup files. Open the planner over HTTPS and try again.');
+        }
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @param {ProgressData} data
+     * @returns {Promise<ProgressFile>}
+     */
+    async create(data) {
+        return {
+            format: this.format,
+            schemaVersion: this.currentVersion,
+            exportedAt: new Date().toISOString(),
+            data,
+            checksum: {
+                algorithm: 'SHA-256',
+                value: await this.sha256(this.canonicalJson(data))
+            }
+        };
+    }
+
+    getSchemaVersion(file) {
+        if (file.format === this.format && Number.isInteger(file.schemaVersion)) {
+            return file.schemaVersion;
+        }
+        // Planner 3.0 files only carried the app version
+        if (typeof file.version === 'string' && /^\d+(\.\d+)*$/.test(file.version)) {
+            return parseInt(file.version, 10);
+        }
+        throw new ProgressFileError('invalid-schema', 'This is not a Bible planner progress file.');
+    }
+
+    /**
+     * Parses an export of any supported schema version and returns its data
+     * upgraded to the current version.
+     * @param {string} text
+     * @param {{verifyChecksum?: boolean}} [options]
+     * @returns {Promise<ProgressData>}
+     */
+    async parse(text, options) {
+        return (await this.parseFile(text, options)).data;
+    }
+
+    /**
+     * Like parse(), but returns the whole upgraded file including exportedAt.
+     * @returns {Promise<ProgressFile>}
+     */
+    async parseFile(text, { verifyChecksum = true } = {}) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new ProgressFileError('invalid-json', 'This file is not valid JSON.');
+        }
+        if (!file || typeof file !== 'object' || Array.isArray(file)) {
+            throw new ProgressFileError('invalid-schema', 'This is not a Bible planner progress file.');
+        }
+
+        let version = this.getSchemaVersion(file);
+        if (version > this.currentVersion) {
+            throw new ProgressFileError('unsupported-version', `This file was exported by a newer version of the planner (schema ${version}). Update the planner and try again.`, { version });
+        }
+        if (version < this.oldestVersion) {
+            throw new ProgressFileError('unsupported-version', `This file is from an old planner version (schema ${version}) that can no longer be imported.`, { version });
+        }
+
+        if (version >= 4) {
+            await this.verify(file, verifyChecksum);
+        }
+
+        while (version < this.currentVersion) {
+            this.validate(file, version);
+            file = this.migrations[version](file, { verifyChecksum });
+            version = file.schemaVersion;
+        }
+
+        this.validate(file, version);
+        return file;
+    }
+
+    async verify(file, verifyChecksum) {
+        const checksum = file.checksum;
+        if (!checksum || checksum.algorithm !== 'SHA-256' || typeof checksum.value !== 'string') {
+            throw new ProgressFileError('invalid-schema', 'This file is missing its SHA-256 checksum.', { version: file.schemaVersion, field: 'checksum' });
+        }
+        if (!file.data || typeof file.data !== 'object') {
+            throw new ProgressFileError('invalid-schema', 'This file has no progress data.', { version: file.schemaVersion, field: 'data' });
+        }
+        if (verifyChecksum && await this.sha256(this.canonicalJson(file.data)) !== checksum.value.toLowerCase()) {
+            throw new ProgressFileError('checksum-mismatch', 'This file does not match its checksum.');
+        }
+    }
+
+    validate(file, version) {
+        const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const fail = field => {
+            throw new ProgressFileError('invalid-schema', `This file has an invalid "${field}" field (schema ${version}).`, { version, field });
+        };
+
+        const data = version === 3 ? file : file.data;
+        if (!isObject(data)) fail('data');
+        if (!isObject(data.completedReadings)) fail('completedReadings');
+        if (data.completionLog !== undefined && !isObject(data.completionLog)) fail('completionLog');
+        if (data.expandedWeeks !== undefined && !isObject(data.expandedWeeks)) fail('expandedWeeks');
+        if (data.selectedMonth !== undefined && typeof data.selectedMonth !== 'string') fail('selectedMonth');
+        if (data.selectedPlan !== undefined && typeof data.selectedPlan !== 'string') fail('selectedPlan');
+        if (data.memberName !== undefined && typeof data.memberName !== 'string') fail('memberName');
+        if (version >= 4) {
+            if (!Array.isArray(data.customPlans)) fail('customPlans');
+            if (!data.customPlans.every(plan => this.isValidCustomPlan(plan))) fail('customPlans');
+            if (data.journal !== undefined && (!isObject(data.journal)
+                || !Object.entries(data.journal).every(([readingId, entry]) => this.isValidJournalEntry(readingId, entry)))) fail('journal');
+        }
+    }
+
+    /** A full ISO 8601 timestamp such as Date#toISOString() writes. */
+    isTimestamp(value) {
+        return typeof value === 'string'
+            && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value)
+            && !Number.isNaN(Date.parse(value));
+    }
+
+    /**
+     * Reading ids are used in markup and selectors, so only the planner's own
+     * formats are accepted.
+     * @returns {boolean} whether `entry` matches {@link JournalEntry}
+     */
+    isValidJournalEntry(readingId, entry) {
+        return this.readingIdPattern.test(readingId)
+            && Boolean(entry) && typeof entry === 'object' && !Array.isArray(entry)
+            && this.journalFields.every(field => typeof entry[field] === 'string')
+            && this.isTimestamp(entry.createdAt)
+            && this.isTimestamp(entry.updatedAt);
+    }
+
+    /** A real calendar day written as YYYY-MM-DD. */
+    isDayKey(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    }
+
+    /**
+     * Plan ids and readings end up in reading ids, routes and markup, so
+     * every field is checked rather than trusting the file.
+     * @returns {boolean} whether `plan` matches {@link CustomPlan}
+     */
+    isValidCustomPlan(plan) {
+        const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const isCount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+        const isChapter = value => value === undefined || Number.isInteger(Number(value));
+
+        return isObject(plan)
+            && typeof plan.id === 'string' && /^[a-z0-9]+$/.test(plan.id)
+            && typeof plan.name === 'string'
+            && (plan.frequency === 'daily' || plan.frequency === 'weekly')
+            && this.isDayKey(plan.startDate)
+            && Array.isArray(plan.selections)
+            && plan.selections.every(selection => isObject(selection) && typeof selection.book === 'string'
+                && isChapter(selection.from) && isChapter(selection.to))
+            && isCount(plan.totalChapters)
+            && (plan.createdAt === undefined || (typeof plan.createdAt === 'string' && !Number.isNaN(Date.parse(plan.createdAt))))
+            && Array.isArray(plan.readings)
+            && plan.readings.every(reading => isObject(reading)
+                && Number.isInteger(reading.index)
+                && this.isDayKey(reading.date)
+                && typeof reading.reading === 'string'
+                && (reading.chapters === undefined || isCount(reading.chapters)));
+    }
+}
+
+// ===================================
+// QR CODE MODULE
+// ===================================
+/**
+ * QR code encoder (ISO/IEC 18004) for byte-mode text, so progress can move
+ * between phones without a network or third-party library.
+ */
+class QrCodeEncoder {
+    constructor() {
+        // Indexed by [error correction level][version]; index 0 is unused
+        this.eccCodewordsPerBlock = {
+            L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        };
+        this.errorCorrectionBlocks = {
+            L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        };
+        this.formatBits = { L: 1, M: 0, Q: 3, H: 2 };
+    }
+
+    /**
+     * @param {string} text
+     * @param {'L'|'M'|'Q'|'H'} [ecLevel]
+     * @returns {{version: number, size: number, modules: boolean[][]}}
+     */
+    encode(text, ecLevel = 'M') {
+        const bytes = new TextEncoder().encode(text);
+        let version = 1;
+        while (version <= 40 && this.getDataCapacityBits(version, ecLevel) < 4 + (version < 10 ? 8 : 16) + bytes.length * 8) {
+            version++;
+        }
+        if (version > 40) {
+            throw new RangeError('Text is too long for a QR code.');
+        }
+
+        const codewords = this.addErrorCorrection(this.encodeData(bytes, version, ecLevel), version, ecLevel);
+        const qr = this.createMatrix(version);
+        this.drawFunctionPatterns(qr, ecLevel);
+        this.drawCodewords(qr, codewords);
+
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(qr, mask);
+            this.drawFormatBits(qr, ecLevel, mask);
+            const penalty = this.getPenaltyScore(qr);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(qr, mask);
+        }
+        this.applyMask(qr, bestMask);
+        this.drawFormatBits(qr, ecLevel, bestMask);
+
+        return { version, size: qr.size, modules: qr.modules };
+    }
+
+    /**
+     * @returns {string} SVG markup with a white quiet zone
+     */
+    toSvg({ size, modules }, margin = 4) {
+        const path = [];
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+        }));
+        const dimension = size + margin * 2;
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img"><rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+    }
+
+    getRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            result -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    getDataCodewords(version, ecLevel) {
+        return Math.floor(this.getRawDataModules(version) / 8) -
+            this.eccCodewordsPerBlock[ecLevel][version] * this.errorCorrectionBlocks[ecLevel][version];
+    }
+
+    getDataCapacityBits(version, ecLevel) {
+        return this.getDataCodewords(version, ecLevel) * 8;
+    }
+
+    encodeData(bytes, version, ecLevel) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = this.getDataCapacityBits(version, ecLevel);
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return data;
+    }
+
+    /**
+     * Splits data into blocks, appends Reed-Solomon codewords to each and
+     * interleaves them in the order they are placed in the symbol.
+     */
+    addErrorCorrection(data, version, ecLevel) {
+        const blockCount = this.errorCorrectionBlocks[ecLevel][version];
+        const eccLength = this.eccCodewordsPerBlock[ecLevel][version];
+        const rawCodewords = Math.floor(this.getRawDataModules(version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortBlockDataLength = Math.floor(rawCodewords / blockCount) - eccLength;
+        const divisor = this.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const length = shortBlockDataLength + (i < shortBlocks ? 0 : 1);
+            const blockData = data.slice(offset, offset + length);
+            blocks.push({ data: blockData, ecc: this.reedSolomonRemainder(blockData, divisor) });
+            offset += length;
+        }
+
+        const result = [];
+        for (let i = 0; i <= shortBlockDataLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < eccLength; i++) {
+            blocks.forEach(block => result.push(block.ecc[i]));
+        }
+        return result;
+    }
+
+    gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = this.gfMultiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = this.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    createMatrix(version) {
+        const size = version * 4 + 17;
+        const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+        return { version, size, modules: grid(), isFunction: grid() };
+    }
+
+    setFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    }
+
+    getAlignmentPositions(version) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let position = version * 4 + 10; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    drawFunctionPatterns(qr, ecLevel) {
+        const { size } = qr;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(qr, 6, i, i % 2 === 0);
+            this.setFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const alignments = this.getAlignmentPositions(qr.version);
+        const last = alignments.length - 1;
+        alignments.forEach((cx, i) => alignments.forEach((cy, j) => {
+            // Skip the three corners occupied by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        // Reserve the format areas; real bits are drawn once the mask is chosen
+        this.drawFormatBits(qr, ecLevel, 0);
+
+        if (qr.version >= 7) {
+            let remainder = qr.version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (qr.version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(qr, a, b, dark);
+                this.setFunctionModule(qr, b, a, dark);
+            }
+        }
+    }
+
+    drawFormatBits(qr, ecLevel, mask) {
+        const data = (this.formatBits[ecLevel] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        const { size } = qr;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(qr, 8, i, bit(i));
+        this.setFunctionModule(qr, 8, 7, bit(6));
+        this.setFunctionModule(qr, 8, 8, bit(7));
+        this.setFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(qr, 14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+        this.setFunctionModule(qr, 8, size - 8, true);
+    }
+
+    /**
+     * Places codeword bits in the two-column zigzag from the bottom right,
+     * skipping function modules and the vertical timing column.
+     */
+    drawCodewords(qr, codewords) {
+        const { size } = qr;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                        qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * XORs the data modules with a mask pattern; applying it twice undoes it.
+     */
+    applyMask(qr, mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        const invert = patterns[mask];
+
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && invert(x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
+        }
+    }
+
+    getPenaltyScore({ size, modules }) {
+        const columns = modules[0].map((_, x) => modules.map(row => row[x]));
+        const finderLike = /10111010000|00001011101/g;
+        let penalty = 0;
+        let dark = 0;
+
+        [...modules, ...columns].forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+            const bits = line.map(module => (module ? '1' : '0')).join('');
+            penalty += (bits.match(finderLike) || []).length * 40;
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+}
+
+// ===================================
+// PROGRESS TRANSFER MODULE
+// ===================================
+/**
+ * Packs a progress export into short text chunks, one per QR code:
+ *
+ *   BP1:<encoding>:<set id>:<index>/<total>:<base64url data>
+ *
+ * The encoding is "z" for deflate-compressed JSON or "j" for plain JSON when
+ * the browser has no CompressionStream. Chunks can be read in any order.
+ */
+class ProgressTransferCodec {
+    constructor(chunkSize = 600) {
+        this.chunkSize = chunkSize;
+        this.prefix = 'BP1';
+    }
+
+    get canCompress() {
+        return typeof CompressionStream !== 'undefined';
+    }
+
+    async compress(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async decompress(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+
+    toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    /**
+     * @param {string} json - a progress export
+     * @returns {Promise<string[]>}
+     */
+    async encode(json) {
+        const encoding = this.canCompress ? 'z' : 'j';
+        const bytes = encoding === 'z' ? await this.compress(json) : new TextEncoder().encode(json);
+        const data = this.toBase64Url(bytes);
+        const setId = Date.now().toString(36).slice(-6);
+        const total = Math.max(1, Math.ceil(data.length / this.chunkSize));
+
+        return Array.from({ length: total }, (_, i) =>
+            `${this.prefix}:${encoding}:${setId}:${i + 1}/${total}:${data.slice(i * this.chunkSize, (i + 1) * this.chunkSize)}`);
+    }
+
+    /**
+     * @returns {{encoding: string, setId: string, index: number, total: number, data: string}|null}
+     */
+    parseChunk(text) {
+        const match = String(text).trim().match(/^BP1:([zj]):([0-9a-z]+):(\d+)\/(\d+):([A-Za-z0-9_-]*)$/);
+        if (!match) return null;
+
+        const [, encoding, setId, index, total, data] = match;
+        if (Number(index) < 1 || Number(index) > Number(total)) return null;
+        return { encoding, setId, index: Number(index), total: Number(total), data };
+    }
+
+    /**
+     * @param {Array<{encoding: string, index: number, total: number, data: string}>} chunks - one complete set
+     * @returns {Promise<string>} the progress export JSON
+     */
+    async decode(chunks) {
+        const { encoding, total } = chunks[0];
+        const ordered = [...chunks].sort((a, b) => a.index - b.index);
+        if (ordered.length !== total || ordered.some((chunk, i) => chunk.index !== i + 1)) {
+            throw new RangeError(`Expected ${total} codes but found ${ordered.length}.`);
+        }
+
+        const bytes = this.fromBase64Url(ordered.map(chunk => chunk.data).join(''));
+        if (encoding === 'j') return new TextDecoder().decode(bytes);
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed transfer codes.');
+        }
+        return this.decompress(bytes);
+    }
+}
+
+// ===================================
+// JOURNAL MODULE
+// ===================================
+/**
+ * SOAP (Scripture, Observation, Application, Prayer) journal entries keyed
+ * by readingId. Entries are saved under their own storage key rather than in
+ * planner state, so long journals don't slow down every progress save.
+ */
+class JournalStore {
+    constructor(storage, key = 'bible-planner-journal') {
+        this.storage = storage;
+        this.key = key;
+        this.fields = ['scripture', 'observation', 'application', 'prayer'];
+        this.entries = {};
+    }
+
+    async load() {
+        const saved = await this.storage.get(this.key, {});
+        this.entries = saved && typeof saved === 'object' ? saved : {};
+        return this.entries;
+    }
+
+    async persist() {
+        if (!(await this.storage.set(this.key, this.entries))) {
+            throw new Error('Failed to save journal');
+        }
+    }
+
+    get(readingId) {
+        return this.entries[readingId] || null;
+    }
+
+    has(readingId) {
+        return Boolean(this.entries[readingId]);
+    }
+
+    getAll() {
+        return this.entries;
+    }
+
+    /**
+     * Saves an entry, or deletes it when every field is blank.
+     * @param {string} readingId
+     * @param {{scripture?: string, observation?: string, application?: string, prayer?: string}} fields
+     */
+    async save(readingId, fields) {
+        const entry = {};
+        this.fields.forEach(field => {
+            entry[field] = String(fields[field] || '').trim();
+        });
+
+        if (this.fields.every(field => !entry[field])) {
+            return this.remove(readingId);
+        }
+
+        const now = new Date().toISOString();
+        const existing = this.entries[readingId];
+        this.entries = {
+            ...this.entries,
+            [readingId]: { ...entry, createdAt: existing ? existing.createdAt : now, updatedAt: now }
+        };
+        await this.persist();
+    }
+
+    async remove(readingId) {
+        if (!this.entries[readingId]) return;
+        const { [readingId]: removed, ...rest } = this.entries;
+        this.entries = rest;
+        await this.persist();
+    }
+
+    async replaceAll(entries) {
+        this.entries = { ...entries };
+        await this.persist();
+    }
+
+    /**
+     * Case-insensitive search over every field and the reading's label,
+     * newest entries first.
+     * @param {string} query
+     * @param {function(string): string} getLabel - readingId → display label
+     * @returns {Array<{readingId: string, entry: Object}>}
+     */
+    search(query, getLabel) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return Object.entries(this.entries)
+            .filter(([readingId, entry]) => {
+                const text = [getLabel(readingId), ...this.fields.map(field => entry[field])].join('\n').toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .sort(([, a], [, b]) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+            .map(([readingId, entry]) => ({ readingId, entry }));
+    }
+}
+
+// ===================================
+// RESTORE POINTS MODULE
+// ===================================
+/**
+ * Rolling, timestamped copies of planner state and journal, saved under
+ * their own storage key. Only the newest `limit` are kept, newest first.
+ */
+class SnapshotStore {
+    constructor(storage, key = 'bible-planner-snapshots', limit = 10) {
+        this.storage = storage;
+        this.key = key;
+        this.limit = limit;
+        // Automatic snapshots are taken at most this often while editing
+        this.autoInterval = 60 * 60 * 1000;
+        this.snapshots = [];
+    }
+
+    async load() {
+        const saved = await this.storage.get(this.key, []);
+        this.snapshots = Array.isArray(saved) ? saved.filter(snapshot => snapshot && snapshot.id && snapshot.state) : [];
+        return this.snapshots;
+    }
+
+    list() {
+        return this.snapshots;
+    }
+
+    get(id) {
+        return this.snapshots.find(snapshot => snapshot.id === id) || null;
+    }
+
+    /**
+     * @param {string} [reason] - only consider snapshots taken for this reason
+     */
+    latest(reason) {
+        return this.snapshots.find(snapshot => !reason || snapshot.reason === reason) || null;
+    }
+
+    isAutoDue(now = new Date()) {
+        const latest = this.latest();
+        return !latest || now - new Date(latest.createdAt) >= this.autoInterval;
+    }
+
+    /**
+     * Saves a copy of state and journal, unless they match the newest snapshot.
+     * @param {{state: Object, journal: Object}} data
+     * @param {'startup'|'auto'|'manual'|'before-import'|'before-restore'} reason
+     * @returns {Promise<Object>} the new snapshot, or the newest one when nothing changed
+     */
+    async take({ state, journal = {} }, reason, now = new Date()) {
+        const json = JSON.stringify({ state, journal });
+        const latest = this.latest();
+        if (latest && JSON.stringify({ state: latest.state, journal: latest.journal }) === json) {
+            return latest;
+        }
+
+        const snapshot = { id: String(now.getTime()), createdAt: now.toISOString(), reason, ...JSON.parse(json) };
+        this.snapshots = [snapshot, ...this.snapshots.filter(existing => existing.id !== snapshot.id)].slice(0, this.limit);
+        if (!(await this.storage.set(this.key, this.snapshots))) {
+            throw new Error('Failed to save restore point');
+        }
+        return snapshot;
+    }
+}
+
+// ===================================
+// UNDO HISTORY MODULE
+// ===================================
+/**
+ * Undo and redo stacks of { before, after } state changes. Recording a new
+ * change drops anything that could have been redone.
+ */
+class UndoHistory {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    push(entry) {
+        this.undoStack = [...this.undoStack, entry].slice(-this.limit);
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * @returns {Object|null} the entry to revert, which moves to the redo stack
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * @returns {Object|null} the entry to reapply, which moves back to the undo stack
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// ===================================
+// MEMORY VERSE MODULE
+// ===================================
+/**
+ * SM-2 spaced repetition for memory verses, plus progressive word hiding.
+ * Cards are plain objects so they can live in planner state:
+ * { ease, interval, repetitions, due: 'YYYY-MM-DD', lastReviewed, hideLevel }.
+ */
+class MemoryVerseScheduler {
+    constructor(analytics) {
+        this.analytics = analytics;
+        this.hideLevels = [0, 0.25, 0.5, 0.75, 1];
+        this.masteredInterval = 21;
+    }
+
+    /**
+     * Splits 'John 3:16 - "For God so loved..."' into reference and text.
+     */
+    parseVerse(memoryVerse) {
+        const match = memoryVerse.match(/^(.+?)\s+-\s+"(.*)"$/);
+        return match
+            ? { reference: match[1], text: match[2] }
+            : { reference: memoryVerse, text: '' };
+    }
+
+    isDue(card, date = new Date()) {
+        return !card || !card.due || card.due <= this.analytics.toDayKey(date);
+    }
+
+    /**
+     * @returns {'new'|'learning'|'reviewing'|'mastered'}
+     */
+    getMastery(card) {
+        if (!card || !card.lastReviewed) return 'new';
+        if (card.interval >= this.masteredInterval) return 'mastered';
+        return card.repetitions >= 2 ? 'reviewing' : 'learning';
+    }
+
+    /**
+     * Schedules the next review.
+     * @param {Object} [card] - undefined for a verse never reviewed
+     * @param {number} grade - 0 (forgot) to 5 (perfect recall)
+     * @param {Date} [date]
+     */
+    review(card = {}, grade, date = new Date()) {
+        let { ease = 2.5, interval = 0, repetitions = 0, hideLevel = 0 } = card;
+
+        if (grade < 3) {
+            repetitions = 0;
+            interval = 1;
+            hideLevel = Math.max(0, hideLevel - 1);
+        } else {
+            repetitions++;
+            interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * ease);
+            if (grade >= 4) hideLevel = Math.min(this.hideLevels.length - 1, hideLevel + 1);
+        }
+        ease = Math.max(1.3, ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+
+        const due = new Date(date);
+        due.setDate(due.getDate() + interval);
+
+        return {
+            ease: Math.round(ease * 100) / 100,
+            interval,
+            repetitions,
+            due: this.analytics.toDayKey(due),
+            lastReviewed: this.analytics.toDayKey(date),
+            hideLevel
+        };
+    }
+
+    /**
+     * Words of the verse with a growing share hidden. The hiding order is
+     * fixed per verse, so words hidden at one level stay hidden at the next.
+     * @param {string} text
+     * @param {number} level - index into hideLevels
+     * @param {string} seed - e.g. the verse's readingId
+     * @returns {Array<{word: string, hidden: boolean}>}
+     */
+    maskWords(text, level, seed) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const hiddenCount = Math.round(words.length * this.hideLevels[level]);
+
+        let state = [...seed].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+        const random = () => {
+            state = (state * 1664525 + 1013904223) >>> 0;
+            return state / 2 ** 32;
+        };
+        const order = words.map((_, i) => ({ i, key: random() })).sort((a, b) => a.key - b.key);
+        const hidden = new Set(order.slice(0, hiddenCount).map(item => item.i));
+
+        return words.map((word, i) => ({ word, hidden: hidden.has(i) }));
+    }
+}
+
+// ===================================
+// ROUTER MODULE
+// ===================================
+/**
+ * Converts between planner locations and shareable URL hashes:
+ *   #/calendar/tikimt
+ *   #/reading/chronological/tikimt/5   (the "Week 5" card under Tikimt)
+ *   #/reading/nt90/45                  (NT90 day 45)
+ *   #/reading/custom/<plan id>
+ *   #/discipleship/5
+ *   #/group
+ * Parsing only checks the shape; the planner decides whether a month,
+ * week or plan actually exists.
+ */
+class PlannerRouter {
+    constructor() {
+        this.tabs = ['calendar', 'reading', 'discipleship', 'group'];
+        this.plans = ['chronological', 'nt90', 'custom'];
+    }
+
+    toNumber(value) {
+        return /^\d+$/.test(value || '') ? Number(value) : undefined;
+    }
+
+    /**
+     * @param {string} hash - location.hash
+     * @returns {{tab: string, plan?: string, month?: string, week?: number, day?: number, planId?: string}|null}
+     *   null when the hash isn't a planner route
+     */
+    parse(hash) {
+        let parts;
+        try {
+            parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            return null;
+        }
+
+        const [tab, ...rest] = parts;
+        if (!this.tabs.includes(tab)) return null;
+
+        const route = { tab };
+        if (tab === 'calendar') {
+            route.month = rest[0];
+        } else if (tab === 'discipleship') {
+            route.week = this.toNumber(rest[0]);
+        } else if (tab === 'reading' && this.plans.includes(rest[0])) {
+            route.plan = rest[0];
+            if (route.plan === 'chronological') {
+                route.month = rest[1];
+                route.week = this.toNumber(rest[2]);
+            } else if (route.plan === 'nt90') {
+                route.day = this.toNumber(rest[1]);
+            } else {
+                route.planId = rest[1];
+            }
+        }
+        return route;
+    }
+
+    /**
+     * @param {{tab: string, plan?: string, month?: string, week?: number, day?: number, planId?: string}} route
+     * @returns {string}
+     */
+    format(route) {
+        const parts = [route.tab];
+        if (route.tab === 'calendar') {
+            parts.push(route.month);
+        } else if (route.tab === 'discipleship') {
+            parts.push(route.week);
+        } else if (route.tab === 'reading' && route.plan) {
+            parts.push(route.plan);
+            if (route.plan === 'chronological' && route.week) {
+                parts.push(route.month, route.week);
+            } else if (route.plan === 'nt90') {
+                parts.push(route.day);
+            } else if (route.plan === 'custom') {
+                parts.push(route.planId);
+            }
+        }
+
+        return `#/${parts.filter(part => part !== undefined && part !== null && part !== '').map(part => encodeURIComponent(part)).join('/')}`;
+    }
+}
+
+// ===================================
+// ERROR BOUNDARY
+// ===================================
+class ErrorBoundary {
+    constructor(rootElement) {
+        this.rootElement = rootElement;
+        this.recovery = null;
+        this.i18n = new I18nManager();
+        this.setupErrorHandling();
+    }
+
+    /**
+     * Shows the error screen in the planner's language. Until the saved
+     * preference has been read, that is English.
+     * @param {I18nManager} i18n
+     */
+    useTranslations(i18n) {
+        this.i18n = i18n;
+    }
+
+    /**
+     * Adds a button to the error screen that restores a saved snapshot.
+     * @param {{createdAt: string, restore: function(): Promise}} recovery
+     */
+    offerRecovery(recovery) {
+        this.recovery = recovery;
+    }
+    
+    setupErrorHandling() {
+        window.addEventListener('error', (event) => {
+            console.error('Global error:', event.error);
+            this.handleError(event.error);
+        });
+        
+        window.addEventListener('unhandledrejection', (event) => {
+            console.error('Unhandled promise rejection:', event.reason);
+            this.handleError(event.reason);
+        });
+    }
+    
+    handleError(error) {
+        console.error('Application error:', error);
+        
+        if (this.rootElement) {
+            this.rootElement.innerHTML = `
+                <div style="display: flex; align-items: center; justify-content: center; min-height: 50vh; padding: 2rem;">
+                    <div style="text-align: center; max-width: 500px; background: white; padding: 2rem; border-radius: 1rem; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">
+                        <div style="font-size: 4rem; margin-bottom: 1rem;">⚠️</div>
+                        <h2 style="color: #dc2626; margin-bottom: 1rem; font-size: 1.5rem; font-weight: 700;">${this.i18n.t('errorTitle')}</h2>
+                        <p style="color: #64748b; margin-bottom: 1.5rem; line-height: 1.6;">${this.i18n.t('errorMessage')}</p>
+                        <details style="text-align: left; margin-bottom: 1.5rem; padding: 1rem; background: #f9fafb; border-radius: 0.5rem;">
+                            <summary style="cursor: pointer; font-weight: 600; color: #374151;">${this.i18n.t('errorDetails')}</summary>
+                            <pre style="margin-top: 0.5rem; font-size: 0.875rem; overflow-x: auto; color: #dc2626;">${escapeHtml(error.message || this.i18n.t('errorUnknown'))}${error.stack ? '\n' + escapeHtml(error.stack) : ''}</pre>
+                        </details>
+                        ${this.recovery ? `
+                            <p style="color: #64748b; margin-bottom: 1rem; line-height: 1.6;">${this.i18n.t('errorRestoreHint', { date: new Date(this.recovery.createdAt).toLocaleString(this.i18n.getHtmlLang()) })}</p>
+                            <button data-restore-snapshot style="background: white; color: #205782; padding: 0.75rem 2rem; border-radius: 50px; border: 2px solid #205782; font-weight: 600; cursor: pointer; font-size: 1rem; margin: 0 0.5rem 0.75rem; transition: all 0.3s ease;">
+                                ${this.i18n.t('errorRestoreButton')}
+                            </button>
+                        ` : ''}
+                        <button onclick="location.reload()" style="background: linear-gradient(135deg, #205782, #f2842f); color: white; padding: 0.75rem 2rem; border-radius: 50px; border: none; font-weight: 600; cursor: pointer; font-size: 1rem; box-shadow: 0 4px 12px rgba(242, 132, 47, 0.3); transition: all 0.3s ease;">
+                            ${this.i18n.t('errorRefresh')}
+                        </button>
+                    </div>
+                </div>
+            `;
+
+            const restoreButton = this.rootElement.querySelector('[data-restore-snapshot]');
+            if (restoreButton) {
+                restoreButton.addEventListener('click', () => this.restore(restoreButton));
+            }
+        }
+    }
+
+    async restore(button) {
+        button.disabled = true;
+        button.textContent = this.i18n.t('errorRestoring');
+        try {
+            await this.recovery.restore();
+            location.reload();
+        } catch (error) {
+            console.error('Restore failed:', error);
+            button.disabled = false;
+            button.textContent = this.i18n.t('errorRestoreFailed');
+        }
+    }
+}
+
+// ===================================
+// MAIN BIBLE PLANNER CLASS
+// ===================================
+class EthiopianBiblePlanner {
+    constructor() {
+        this.storage = new StorageManager();
+        this.ui = new UIManager();
+        this.keyedRenderer = new KeyedRenderer();
+        this.calendar = new EthiopianCalendar();
+        this.analytics = new AnalyticsManager(this.calendar);
+        this.reminders = new ReminderManager();
+        this.i18n = new I18nManager();
+        this.scripture = new ScriptureParser();
+        this.progressFile = new ProgressFileFormat();
+        this.planBuilder = new ReadingPlanBuilder(this.scripture, this.analytics, this.progressFile);
+        this.bibleText = new BibleTextStore(this.scripture);
+        this.journalStore = new JournalStore(this.storage);
+        this.snapshots = new SnapshotStore(this.storage);
+        this.history = new UndoHistory();
+        this.router = new PlannerRouter();
+        this.memoryVerses = new MemoryVerseScheduler(this.analytics);
+        this.catchUp = new CatchUpScheduler(this.analytics);
+        this.calendarYear = this.calendar.getCurrentYear();
+        
+        this.state = {
+            activeTab: 'calendar',
+            selectedMonth: 'meskerem',
+            selectedPlan: 'chronological',
+            expandedWeeks: {},
+            completedReadings: {},
+            completionLog: {},
+            customPlans: [],
+            showStats: false,
+            darkMode: null,
+            reminderTime: '07:00',
+            remindersEnabled: false,
+            language: 'en',
+            memberName: '',
+            memoryVerses: {},
+            catchUpSchedule: null
+        };
+
+        // CSS variable references so inline styles follow the active theme
+        this.brandColors = {
+            primary: 'var(--primary-color)',
+            secondary: 'var(--secondary-color)',
+            accent: 'var(--accent)',
+            light: 'var(--brand-light)',
+            warm: 'var(--brand-warm)',
+            success: 'var(--success)',
+            completed: 'var(--completed-bg)'
+        };
+        this.colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+        this.ethiopianMonths = [];
+        this.holyDays = [];
+        this.ministryEvents = [];
+        this.chronologicalPlan = {};
+        this.ntIntensive = [];
+        this.discipleshipWeeks = [];
+        this.customPlanSelections = [];
+        this.pendingImport = null;
+        this.pendingCatchUp = null;
+        this.qrEncoder = new QrCodeEncoder();
+        this.transferCodec = new ProgressTransferCodec();
+        this.qrCodes = [];
+        this.qrCodeIndex = 0;
+        this.scannedChunks = new Map();
+        this.qrScan = null;
+        this.groupMembers = [];
+        this.journalEntryId = null;
+        this.memoryPractice = { readingId: null, revealed: false, peeked: new Set() };
+        // The week, section or day the URL points at, once opened
+        this.routeFocus = null;
+        this.routeSync = false;
+        this.replaceRoute = false;
+
+        this.saveDebounceTimer = null;
+        this.touchStartX = 0;
+        this.touchEndX = 0;
+        
+        this.initializeAllData();
+    }
+
+    // ===================================
+    // DATA INITIALIZATION
+    // ===================================
+    initializeAllData() {
+        try {
+            this.initializeMonthsAndEvents();
+            this.initializeChronologicalPlan();
+            this.initializeNT90Plan();
+            this.initializeDiscipleshipWeeks();
+            console.log('✓ All data initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize data:', error);
+            throw error;
+        }
+    }
+
+    initializeMonthsAndEvents() {
+        const year = this.calendarYear;
+
+        this.ethiopianMonths = [
+            { id: 'meskerem', name: 'Meskerem (መስከረም)', season: 'Spring' },
+            { id: 'tikimt', name: 'Tikimt (ጥቅምት)', season: 'Spring' },
+            { id: 'hidar', name: 'Hidar (ኅዳር)', season: 'Spring' },
+            { id: 'tahsas', name: 'Tahsas (ታኅሣሥ)', season: 'Winter' },
+            { id: 'tir', name: 'Tir (ጥር)', season: 'Winter' },
+            { id: 'yekatit', name: 'Yekatit (የካቲት)', season: 'Winter' },
+            { id: 'megabit', name: 'Megabit (መጋቢት)', season: 'Summer' },
+            { id: 'miazia', name: 'Miazia (ሚያዝያ)', season: 'Summer' },
+            { id: 'ginbot', name: 'Ginbot (ግንቦት)', season: 'Summer' },
+            { id: 'sene', name: 'Sene (ሰኔ)', season: 'Rainy' },
+            { id: 'hamle', name: 'Hamle (ሐምሌ)', season: 'Rainy' },
+            { id: 'nehase', name: 'Nehase (ነሐሴ)', season: 'Rainy' },
+            { id: 'pagume', name: 'Pagume (ጳጉሜን)', season: 'Special' }
+        ].map(month => {
+            const range = this.calendar.getMonthRange(year, month.id);
+            return {
+                ...month,
+                days: this.calendar.getMonthLength(year, this.calendar.getMonthNumber(month.id)),
+                start: range.start,
+                end: range.end,
+                gregorian: this.calendar.formatRange(range.start, range.end)
+            };
+        });
+
+        // Genna stays on Jan 7, which falls on Tahsas 28 in the year after a leap year
+        const gennaDay = year % 4 === 0 ? 28 : 29;
+
+        const fixedHolyDays = [
+            { key: 'enkutatash', month: 'meskerem', day: 1, type: 'feast', name: 'Ethiopian New Year (እንቁጣጣሽ)', description: 'New Year celebration' },
+            { key: 'meskel', month: 'meskerem', day: 17, type: 'feast', name: 'Finding of True Cross (መስቀል)', description: 'Meskel festival' },
+            { key: 'genna', month: 'tahsas', day: gennaDay, type: 'feast', name: 'Ethiopian Christmas (ገና/ልደት)', description: 'Birth of Christ' },
+            { key: 'timkat', month: 'tir', day: 11, type: 'feast', name: 'Epiphany/Timkat (ጥምቀት)', description: 'Baptism of Jesus' },
+            { key: 'filseta', month: 'nehase', day: 16, type: 'feast', name: 'Assumption of Mary (ፍልሰታ)', description: 'Filseta celebration' }
+        ].map(holyDay => ({ ...holyDay, year, movable: false }));
+
+        const movableHolyDays = this.calendar.getMovableFeasts(year)
+            .map(holyDay => ({ ...holyDay, movable: true }));
+
+        this.holyDays = [...fixedHolyDays, ...movableHolyDays]
+            .map(holyDay => this.withGregorianDate(holyDay))
+            .sort((a, b) => a.gregorianDate - b.gregorianDate);
+
+        this.ministryEvents = [
+            { key: 'establishment', year: 2017, month: 'tir', day: 4, name: 'Ministry Establishment', type: 'milestone', description: 'Foundation of ministry work' },
+            { key: 'phase1-launch', year: 2018, month: 'meskerem', day: 1, name: 'Phase 1 Launch (Arsi & Bale)', type: 'launch', description: 'Beginning outreach in Arsi and Bale regions' },
+            { key: 'mid-year-evaluation', year: 2018, month: 'megabit', day: 1, name: 'Mid-Year Evaluation', type: 'evaluation', description: 'Review progress and adjust strategies' },
+            { key: 'phase1-completion', year: 2018, month: 'nehase', day: 30, name: 'Phase 1 Completion', type: 'milestone', description: 'Celebrate first year achievements' }
+        ].map(event => this.withGregorianDate(event));
+    }
+
+    withGregorianDate(entry) {
+        const gregorianDate = this.calendar.toGregorian(entry.year, entry.month, entry.day);
+        return { ...entry, gregorianDate, date: this.calendar.formatDate(gregorianDate) };
+    }
+
+    changeCalendarYear(step) {
+        this.calendarYear += step;
+        this.initializeMonthsAndEvents();
+        this.renderYearLabels();
+        this.renderMonthSelector();
+        this.renderMonthDetails();
+    }
+
+    initializeChronologicalPlan() {
+        this.chronologicalPlan = {
+            meskerem: { 
+                weeks: 4, 
+                reading: 'Genesis 1-50; Exodus 1-14', 
+                theme: 'Creation to Exodus',
+                weeklyBreakdown: [
+                    {
+                        week: 1,
+                        focus: 'Creation & Fall',
+                        readings: 'Genesis 1-11',
+                        keyThemes: 'God as Creator, Human Sin, Covenant Beginnings',
+                        studyQuestions: [
+                            'What does Creation teach us about God\'s character?',
+                            'How does the Fall affect our relationship with God?',
+                            'What promises do we see in the early covenants?'
+                        ],
+                        memoryVerse: 'Genesis 1:1 - "In the beginning God created the heavens and the earth."',
+                        practicalApplication: 'Reflect on God as Creator in your daily life. Take time each day to notice His creation around you.'
+                    },
+                    {
+                        week: 2,
+                        focus: 'Patriarchs: Abraham',
+                        readings: 'Genesis 12-25',
+                        keyThemes: 'Faith, Promise, Testing, Provision',
+                        studyQuestions: [
+                            'How did Abraham demonstrate faith?',
+                            'What can we learn from Abraham\'s mistakes?',
+                            'How does God fulfill His promises?'
+                        ],
+                        memoryVerse: 'Genesis 15:6 - "Abram believed the LORD, and he credited it to him as righteousness."',
+                        practicalApplication: 'Step out in faith in one area this week. Trust God with something that seems impossible.'
+                    },
+                    {
+                        week: 3,
+                        focus: 'Patriarchs: Jacob & Joseph',
+                        readings: 'Genesis 26-50',
+                        keyThemes: 'Transformation, Forgiveness, Sovereignty',
+                        studyQuestions: [
+                            'How did God transform Jacob\'s character?',
+                            'What does Joseph\'s story teach about forgiveness?',
+                            'How does God work through difficult circumstances?'
+                        ],
+                        memoryVerse: 'Genesis 50:20 - "You intended to harm me, but God intended it for good."',
+                        practicalApplication: 'Practice forgiveness in a relationship. Choose to see God\'s purpose in difficulties.'
+                    },
+                    {
+                        week: 4,
+                        focus: 'Exodus Begins',
+                        readings: 'Exodus 1-14',
+                        keyThemes: 'Deliverance, Passover, Faith in Crisis',
+                        studyQuestions: [
+                            'How does God hear the cries of His people?',
+                            'What does the Passover teach us about redemption?',
+                            'How can we trust God in impossible situations?'
+                        ],
+                        memoryVerse: 'Exodus 14:14 - "The LORD will fight for you; you need only to be still."',
+                        practicalApplication: 'Trust God with an impossible situation. Stand still and watch Him work.'
+                    }
+                ]
+            },
+            tikimt: { 
+                weeks: 4, 
+                reading: 'Exodus 15-40; Leviticus 1-27', 
+                theme: 'Wilderness & Law',
+                weeklyBreakdown: [
+                    {
+                        week: 5,
+                        focus: 'Wilderness Journey',
+                        readings: 'Exodus 15-18',
+                        keyThemes: 'Provision, Testing, Leadership',
+                        studyQuestions: [
+                            'How does God provide in the wilderness?',
+                            'What can we learn from Israel\'s complaining?',
+                            'How does God raise up leaders?'
+                        ],
+                        memoryVerse: 'Exodus 15:2 - "The LORD is my strength and my defense."',
+                        practicalApplication: 'Thank God for His daily provision. List three ways He has provided for you this week.'
+                    },
+                    {
+                        week: 6,
+                        focus: 'The Ten Commandments',
+                        readings: 'Exodus 19-24',
+                        keyThemes: 'Law, Covenant, Holiness',
+                        studyQuestions: [
+                            'What is the purpose of the Ten Commandments?',
+                            'How does the law reveal God\'s character?',
+                            'What does it mean to be a holy nation?'
+                        ],
+                        memoryVerse: 'Exodus 20:1-3 - "I am the LORD your God... You shall have no other gods before me."',
+                        practicalApplication: 'Apply one commandment specifically this week. Choose one and live it intentionally.'
+                    },
+                    {
+                        week: 7,
+                        focus: 'Tabernacle & Worship',
+                        readings: 'Exodus 25-40',
+                        keyThemes: 'Worship, Presence, Obedience',
+                        studyQuestions: [
+                            'What does the tabernacle teach about God\'s presence?',
+                            'Why is detailed obedience important in worship?',
+                            'How does God respond to disobedience?'
+                        ],
+                        memoryVerse: 'Exodus 25:8 - "Have them make a sanctuary for me, and I will dwell among them."',
+                        practicalApplication: 'Create a dedicated space for prayer in your home. Make worship a priority.'
+                    },
+                    {
+                        week: 8,
+                        focus: 'Laws of Holiness',
+                        readings: 'Leviticus 1-27',
+                        keyThemes: 'Sacrifice, Purity, Atonement',
+                        studyQuestions: [
+                            'What do the sacrifices teach about sin and forgiveness?',
+                            'How does holiness affect everyday life?',
+                            'What principles of purity apply today?'
+                        ],
+                        memoryVerse: 'Leviticus 19:2 - "Be holy because I, the LORD your God, am holy."',
+                        practicalApplication: 'Practice holiness in your thoughts. Guard your mind against impurity.'
+                    }
+                ]
+            },
+            hidar: { 
+                weeks: 4, 
+                reading: 'Numbers 1-36; Deuteronomy 1-34', 
+                theme: 'Wilderness Wanderings',
+                weeklyBreakdown: [
+                    { week: 9, focus: 'Census & Organization', readings: 'Numbers 1-10', keyThemes: 'Order, Preparation, Guidance', studyQuestions: ['Why was numbering important?', 'How did God organize His people?', 'What can we learn about guidance?'], memoryVerse: 'Numbers 9:17 - "Whenever the cloud lifted..."', practicalApplication: 'Seek God\'s guidance this week.' },
+                    { week: 10, focus: 'Rebellion & Consequences', readings: 'Numbers 11-21', keyThemes: 'Complaining, Judgment, Faithfulness', studyQuestions: ['What were the consequences?', 'How did Moses handle rebellion?', 'What does the bronze snake teach?'], memoryVerse: 'Numbers 14:18 - "The LORD is slow to anger..."', practicalApplication: 'Guard against complaining.' },
+                    { week: 11, focus: 'Balaam & Preparation', readings: 'Numbers 22-36', keyThemes: 'Obedience, Blessing, Inheritance', studyQuestions: ['What can we learn from Balaam?', 'How did God turn curses into blessings?', 'What governs inheritance?'], memoryVerse: 'Numbers 23:19 - "God is not human..."', practicalApplication: 'Trust God turns difficulties to blessings.' },
+                    { week: 12, focus: 'Moses Final Sermons', readings: 'Deuteronomy 1-34', keyThemes: 'Covenant Renewal, Obedience, Choice', studyQuestions: ['What was Moses main message?', 'How does Deuteronomy summarize the relationship?', 'What does it mean to love God with all your heart?'], memoryVerse: 'Deuteronomy 6:4-5 - "Hear, O Israel..."', practicalApplication: 'Choose to love God wholeheartedly.' }
+                ]
+            },
+            tahsas: { 
+                weeks: 4, 
+                reading: 'Joshua 1-24; Judges 1-21; Ruth 1-4', 
+                theme: 'Conquest & Judges',
+                weeklyBreakdown: [
+                    { week: 13, focus: 'Conquest of Canaan', readings: 'Joshua 1-12', keyThemes: 'Courage, Obedience, Victory', studyQuestions: ['What was Joshua\'s key to success?', 'How did God demonstrate power at Jericho?', 'What consequences came from Achan\'s sin?'], memoryVerse: 'Joshua 1:9 - "Be strong and courageous..."', practicalApplication: 'Face a fear with courage.' },
+                    { week: 14, focus: 'Land Division & Covenant', readings: 'Joshua 13-24', keyThemes: 'Inheritance, Faithfulness, Service', studyQuestions: ['How was land divided?', 'What was Joshua\'s final challenge?', 'What does serving the LORD mean practically?'], memoryVerse: 'Joshua 24:15 - "As for me and my household..."', practicalApplication: 'Decide to serve God in your family.' },
+                    { week: 15, focus: 'Cycle of Judges', readings: 'Judges 1-16', keyThemes: 'Disobedience, Oppression, Deliverance', studyQuestions: ['What pattern repeats?', 'How did God use flawed leaders?', 'What can we learn from Samson?'], memoryVerse: 'Judges 21:25 - "Everyone did as they saw fit."', practicalApplication: 'Examine areas where you do what\'s right in your own eyes.' },
+                    { week: 16, focus: 'Ruth & Hope', readings: 'Judges 17-21; Ruth 1-4', keyThemes: 'Loyalty, Redemption, Providence', studyQuestions: ['How does Ruth demonstrate faithful love?', 'What does Boaz as redeemer teach about Christ?', 'How does God work through ordinary people?'], memoryVerse: 'Ruth 1:16 - "Where you go I will go..."', practicalApplication: 'Show loyal love to someone in need.' }
+                ]
+            },
+            tir: { 
+                weeks: 4, 
+                reading: '1 Samuel 1-31; 2 Samuel 1-24', 
+                theme: 'United Kingdom',
+                weeklyBreakdown: [
+                    { week: 17, focus: 'Samuel & Saul', readings: '1 Samuel 1-15', keyThemes: 'Prayer, Leadership, Obedience', studyQuestions: ['What can we learn from Hannah\'s prayer?', 'Why did people want a king?', 'What was Saul\'s fatal mistake?'], memoryVerse: '1 Samuel 15:22 - "To obey is better than sacrifice..."', practicalApplication: 'Choose obedience over outward religion.' },
+                    { week: 18, focus: 'David\'s Rise', readings: '1 Samuel 16-31', keyThemes: 'Anointing, Friendship, Patience', studyQuestions: ['Why was David chosen?', 'What made David and Jonathan\'s friendship special?', 'How did David handle opportunities to kill Saul?'], memoryVerse: '1 Samuel 16:7 - "The LORD looks at the heart."', practicalApplication: 'Value people for their heart character.' },
+                    { week: 19, focus: 'David\'s Reign', readings: '2 Samuel 1-12', keyThemes: 'Kingship, Covenant, Sin', studyQuestions: ['How did David establish his kingdom?', 'What was God\'s covenant with David?', 'What were the consequences of David\'s sin?'], memoryVerse: '2 Samuel 7:16 - "Your throne will be established forever."', practicalApplication: 'Remember actions have consequences.' },
+                    { week: 20, focus: 'Family Troubles', readings: '2 Samuel 13-24', keyThemes: 'Consequences, Repentance, Grace', studyQuestions: ['How did David\'s sin affect his family?', 'What can we learn from Absalom\'s rebellion?', 'How did David respond to discipline?'], memoryVerse: '2 Samuel 22:2-3 - "The LORD is my rock..."', practicalApplication: 'Run to God as refuge in consequences.' }
+                ]
+            },
+            yekatit: { 
+                weeks: 4, 
+                reading: '1 Kings 1-22; 2 Kings 1-25; 1 Chronicles 1-29', 
+                theme: 'Divided Kingdom',
+                weeklyBreakdown: [
+                    { week: 21, focus: 'Solomon\'s Reign', readings: '1 Kings 1-11; 1 Chronicles 1-9', keyThemes: 'Wisdom, Temple, Compromise', studyQuestions: ['What made Solomon\'s wisdom unique?', 'What was significant about the temple?', 'How did foreign wives lead him astray?'], memoryVerse: '1 Kings 3:9 - "Give your servant a discerning heart..."', practicalApplication: 'Ask God for wisdom.' },
+                    { week: 22, focus: 'Kingdom Divides', readings: '1 Kings 12-22; 1 Chronicles 10-21', keyThemes: 'Division, Prophets, Idolatry', studyQuestions: ['Why did the kingdom split?', 'How did prophets confront idolatry?', 'What can we learn from Ahab and Jezebel?'], memoryVerse: '1 Kings 18:21 - "How long will you waver..."', practicalApplication: 'Eliminate idols competing for your devotion.' },
+                    { week: 23, focus: 'Elisha & Decline', readings: '2 Kings 1-17; 1 Chronicles 22-29', keyThemes: 'Miracles, Faithfulness, Judgment', studyQuestions: ['How did Elisha\'s ministry differ?', 'Why was Israel taken captive?', 'What reforms did Hezekiah implement?'], memoryVerse: '2 Kings 17:13-14 - "The LORD warned... But they would not listen."', practicalApplication: 'Listen to godly counsel.' },
+                    { week: 24, focus: 'Judah\'s Fall', readings: '2 Kings 18-25; 2 Chronicles 1-36', keyThemes: 'Reform, Judgment, Hope', studyQuestions: ['What made Josiah\'s reforms significant?', 'Why did Judah go into exile?', 'What hope remained?'], memoryVerse: '2 Kings 23:25 - "Neither before nor after Josiah..."', practicalApplication: 'Be a person of spiritual reform.' }
+                ]
+            },
+            megabit: { 
+                weeks: 4, 
+                reading: 'Ezra 1-10; Nehemiah 1-13; Esther 1-10; Job 1-42', 
+                theme: 'Return & Restoration',
+                weeklyBreakdown: [
+                    { week: 25, focus: 'Return from Exile', readings: 'Ezra 1-10; Nehemiah 1-7', keyThemes: 'Restoration, Worship, Opposition', studyQuestions: ['How did God move Cyrus?', 'What challenges did exiles face?', 'How did Nehemiah lead rebuilding?'], memoryVerse: 'Ezra 1:1 - "The LORD moved the heart of Cyrus..."', practicalApplication: 'Trust God can move leaders\' hearts.' },
+                    { week: 26, focus: 'Spiritual Renewal', readings: 'Nehemiah 8-13; Esther 1-10', keyThemes: 'Word of God, Covenant, Providence', studyQuestions: ['How did reading the Law impact people?', 'What was significant about covenant renewal?', 'How did God use Esther?'], memoryVerse: 'Nehemiah 8:8 - "They read from the Book of the Law..."', practicalApplication: 'Commit to understanding God\'s Word better.' },
+                    { week: 27, focus: 'Job: Suffering & Sovereignty', readings: 'Job 1-21', keyThemes: 'Suffering, Justice, Mystery', studyQuestions: ['What do we learn about spiritual warfare?', 'How did friends misunderstand?', 'What questions did Job raise?'], memoryVerse: 'Job 1:21 - "The LORD gave and the LORD has taken away..."', practicalApplication: 'Praise God in difficult circumstances.' },
+                    { week: 28, focus: 'God Answers Job', readings: 'Job 22-42', keyThemes: 'Wisdom, Repentance, Restoration', studyQuestions: ['How did God answer Job?', 'What was God\'s main point?', 'How did Job\'s perspective change?'], memoryVerse: 'Job 42:5-6 - "My ears had heard... but now my eyes have seen..."', practicalApplication: 'Humble yourself before God\'s wisdom.' }
+                ]
+            },
+            miazia: { 
+                weeks: 4, 
+                reading: 'Psalms 1-150; Proverbs 1-31', 
+                theme: 'Wisdom & Worship',
+                weeklyBreakdown: [
+                    { week: 29, focus: 'Psalms of David', readings: 'Psalms 1-41', keyThemes: 'Worship, Lament, Trust', studyQuestions: ['What makes Psalms unique?', 'How do they express honest emotions?', 'What do we learn about God\'s character?'], memoryVerse: 'Psalm 1:1-2 - "Blessed is the one..."', practicalApplication: 'Use Psalms as model for prayers.' },
+                    { week: 30, focus: 'Worship & Wisdom', readings: 'Psalms 42-89; Proverbs 1-9', keyThemes: 'Refuge, Wisdom, Fear of God', studyQuestions: ['How do Psalms portray God as refuge?', 'What is the beginning of wisdom?', 'How does wisdom protect us?'], memoryVerse: 'Psalm 46:1 - "God is our refuge and strength..."', practicalApplication: 'Memorize one Psalm for times of trouble.' },
+                    { week: 31, focus: 'Songs of Ascent', readings: 'Psalms 90-118; Proverbs 10-20', keyThemes: 'Pilgrimage, Thanksgiving, Practical Wisdom', studyQuestions: ['What were Songs of Ascent for?', 'How do these express thanksgiving?', 'What practical wisdom offered?'], memoryVerse: 'Psalm 100:4-5 - "Enter his gates with thanksgiving..."', practicalApplication: 'Enter God\'s presence with thanksgiving daily.' },
+                    { week: 32, focus: 'Praise & Wisdom Conclusion', readings: 'Psalms 119-150; Proverbs 21-31', keyThemes: 'Word of God, Praise, Final Wisdom', studyQuestions: ['What does Psalm 119 teach about God\'s Word?', 'How do final psalms call us to praise?', 'What wisdom does the noble wife exemplify?'], memoryVerse: 'Psalm 119:105 - "Your word is a lamp..."', practicalApplication: 'Let God\'s Word guide decisions daily.' }
+                ]
+            },
+            ginbot: { 
+                weeks: 4, 
+                reading: 'Ecclesiastes 1-12; Song of Songs 1-8; Isaiah 1-66', 
+                theme: 'Prophets Begin',
+                weeklyBreakdown: [
+                    { week: 33, focus: 'Ecclesiastes & Song', readings: 'Ecclesiastes 1-12; Song of Songs 1-8', keyThemes: 'Meaning, Love, Joy', studyQuestions: ['What is meaning of life?', 'How does Song portray godly love?', 'What place do pleasure and work have?'], memoryVerse: 'Ecclesiastes 12:13 - "Fear God and keep his commandments..."', practicalApplication: 'Find satisfaction in God not earthly pursuits.' },
+                    { week: 34, focus: 'Isaiah: Judgment & Hope', readings: 'Isaiah 1-23', keyThemes: 'Sin, Judgment, Holiness', studyQuestions: ['What sins was Judah committing?', 'How does Isaiah describe holiness?', 'What judgments on nations?'], memoryVerse: 'Isaiah 6:3 - "Holy, holy, holy is the LORD..."', practicalApplication: 'Worship God for His holiness.' },
+                    { week: 35, focus: 'Isaiah: Trust & Messiah', readings: 'Isaiah 24-39', keyThemes: 'Trust, Salvation, Hezekiah', studyQuestions: ['Why not trust in alliances?', 'What messianic prophecies?', 'How did Hezekiah show faith and weakness?'], memoryVerse: 'Isaiah 26:3 - "You will keep in perfect peace..."', practicalApplication: 'Trust God completely.' },
+                    { week: 36, focus: 'Isaiah: Comfort & Restoration', readings: 'Isaiah 40-66', keyThemes: 'Comfort, Servant, New Creation', studyQuestions: ['How does Isaiah 40 comfort?', 'What do Servant Songs reveal about Jesus?', 'How is new creation described?'], memoryVerse: 'Isaiah 40:31 - "Those who hope in the LORD will renew..."', practicalApplication: 'Wait on the Lord for strength.' }
+                ]
+            },
+            sene: { 
+                weeks: 4, 
+                reading: 'Jeremiah 1-52; Lamentations 1-5', 
+                theme: 'Weeping Prophet',
+                weeklyBreakdown: [
+                    { week: 37, focus: 'Jeremiah\'s Call', readings: 'Jeremiah 1-20', keyThemes: 'Calling, Opposition, Lament', studyQuestions: ['How was Jeremiah called?', 'Why the weeping prophet?', 'How did people respond?'], memoryVerse: 'Jeremiah 1:7-8 - "Do not say I am too young..."', practicalApplication: 'Be obedient even when difficult.' },
+                    { week: 38, focus: 'Prophecies & False Prophets', readings: 'Jeremiah 21-36', keyThemes: 'True vs False, Covenant, Hope', studyQuestions: ['How distinguish true from false prophecy?', 'What was the new covenant?', 'How did Jeremiah show hope?'], memoryVerse: 'Jeremiah 29:11 - "I know the plans I have for you..."', practicalApplication: 'Trust God\'s good plans.' },
+                    { week: 39, focus: 'Fall of Jerusalem', readings: 'Jeremiah 37-52; Lamentations 1-5', keyThemes: 'Destruction, Grief, Faithfulness', studyQuestions: ['How did Jerusalem fall?', 'What can we learn about grief?', 'How did God remain faithful?'], memoryVerse: 'Lamentations 3:22-23 - "Because of the LORD\'s great love..."', practicalApplication: 'Remember God\'s faithfulness each morning.' },
+                    { week: 40, focus: 'Review & Reflection', readings: 'Review Jeremiah passages', keyThemes: 'God\'s Faithfulness', studyQuestions: ['What have you learned about God\'s character?', 'How does God show mercy in judgment?', 'What warnings apply today?'], memoryVerse: 'Jeremiah 31:3 - "I have loved you with an everlasting love..."', practicalApplication: 'Reflect on God\'s everlasting love.' }
+                ]
+            },
+            hamle: { 
+                weeks: 4, 
+                reading: 'Ezekiel 1-48; Daniel 1-12', 
+                theme: 'Exile Prophets',
+                weeklyBreakdown: [
+                    { week: 41, focus: 'Ezekiel: Visions', readings: 'Ezekiel 1-24', keyThemes: 'Glory, Responsibility, Hope', studyQuestions: ['What was significant about visions?', 'What does watchman mean?', 'How did Ezekiel communicate dramatically?'], memoryVerse: 'Ezekiel 36:26 - "I will give you a new heart..."', practicalApplication: 'Ask God for a soft heart.' },
+                    { week: 42, focus: 'Ezekiel: Restoration', readings: 'Ezekiel 25-48', keyThemes: 'Judgment, New Temple, River of Life', studyQuestions: ['Why judge surrounding nations?', 'What was valley of dry bones vision?', 'What does new temple represent?'], memoryVerse: 'Ezekiel 37:5 - "I will make breath enter you..."', practicalApplication: 'Believe God brings life to dead areas.' },
+                    { week: 43, focus: 'Daniel: Faith in Exile', readings: 'Daniel 1-6', keyThemes: 'Faithfulness, Sovereignty, Deliverance', studyQuestions: ['How did Daniel maintain faith?', 'What can we learn from fiery furnace?', 'How did God demonstrate sovereignty?'], memoryVerse: 'Daniel 3:17-18 - "The God we serve is able..."', practicalApplication: 'Be faithful regardless of consequences.' },
+                    { week: 44, focus: 'Daniel: Visions', readings: 'Daniel 7-12', keyThemes: 'Prophecy, Kingdom, End Times', studyQuestions: ['What kingdoms do visions represent?', 'What is abomination that causes desolation?', 'How does Daniel point to ultimate kingdom?'], memoryVerse: 'Daniel 2:44 - "The God of heaven will set up a kingdom..."', practicalApplication: 'Live with confidence in God\'s victory.' }
+                ]
+            },
+            nehase: { 
+                weeks: 4, 
+                reading: 'Minor Prophets & Gospels', 
+                theme: 'Prophecy Fulfilled',
+                weeklyBreakdown: [
+                    { week: 45, focus: 'Minor Prophets I', readings: 'Hosea, Joel, Amos, Obadiah, Jonah, Micah', keyThemes: 'Love, Justice, Mercy, Mission', studyQuestions: ['How did Hosea\'s marriage illustrate God\'s love?', 'What does Jonah teach?', 'How did Micah summarize requirements?'], memoryVerse: 'Micah 6:8 - "To act justly and love mercy..."', practicalApplication: 'Practice justice, mercy, humility.' },
+                    { week: 46, focus: 'Minor Prophets II', readings: 'Nahum, Habakkuk, Zephaniah, Haggai, Zechariah, Malachi', keyThemes: 'Trust, Restoration, Preparation', studyQuestions: ['How did Habakkuk learn to trust?', 'What messages of hope?', 'How does Malachi prepare for Messiah?'], memoryVerse: 'Habakkuk 3:17-18 - "Yet I will rejoice in the LORD..."', practicalApplication: 'Choose joy regardless of circumstances.' },
+                    { week: 47, focus: 'Gospels: Birth & Ministry', readings: 'Matthew 1-12; Mark 1-6; Luke 1-8; John 1-8', keyThemes: 'Incarnation, Kingdom, Discipleship', studyQuestions: ['How do Gospels introduce Jesus?', 'What does kingdom mean?', 'How did Jesus train disciples?'], memoryVerse: 'John 1:14 - "The Word became flesh..."', practicalApplication: 'Welcome Jesus in every area.' },
+                    { week: 48, focus: 'Jesus\' Ministry', readings: 'Matthew 13-28; Mark 7-16; Luke 9-24; John 9-21', keyThemes: 'Parables, Miracles, Cross, Resurrection', studyQuestions: ['What do parables teach?', 'How did Jesus demonstrate authority?', 'What does resurrection mean for us?'], memoryVerse: 'John 14:6 - "I am the way and the truth..."', practicalApplication: 'Follow Jesus as only way to Father.' }
+                ]
+            },
+            pagume: { 
+                weeks: 1, 
+                reading: 'Acts & Revelation', 
+                theme: 'Church & Eternity',
+                weeklyBreakdown: [
+                    {
+                        week: 49,
+                        focus: 'Church Birth & Mission',
+                        readings: 'Acts 1-28; Revelation 1-22',
+                        keyThemes: 'Holy Spirit, Mission, Hope, New Creation',
+                        studyQuestions: [
+                            'How did the Holy Spirit empower the church?',
+                            'What is our mission?',
+                            'What hope does Revelation give?',
+                            'How should we live in light of Christ\'s return?'
+                        ],
+                        memoryVerse: 'Revelation 21:5 - "I am making everything new!"',
+                        practicalApplication: 'Live in the power of the resurrection and hope of Christ\'s return.'
+                    }
+                ]
+            }
+        };
+
+        this.validateReferences('chronological', Object.entries(this.chronologicalPlan).flatMap(([monthId, plan]) => [
+            { path: `${monthId}.reading`, text: plan.reading },
+            ...plan.weeklyBreakdown.flatMap(week => [
+                { path: `${monthId}.week${week.week}.readings`, text: week.readings },
+                { path: `${monthId}.week${week.week}.memoryVerse`, text: week.memoryVerse.split(' - ')[0] }
+            ])
+        ]));
+    }
+
+    initializeNT90Plan() {
+        this.ntIntensive = [
+            { 
+                days: '1-9', 
+                reading: 'Matthew 1-28', 
+                focus: 'Jesus as King',
+                dailyBreakdown: [
+                    { day: 1, reading: 'Matthew 1-4', focus: 'Birth & Preparation', chapters: 4 },
+                    { day: 2, reading: 'Matthew 5-7', focus: 'Sermon on the Mount', chapters: 3 },
+                    { day: 3, reading: 'Matthew 8-10', focus: 'Miracles & Mission', chapters: 3 },
+                    { day: 4, reading: 'Matthew 11-13', focus: 'Parables of Kingdom', chapters: 3 },
+                    { day: 5, reading: 'Matthew 14-18', focus: 'Identity & Community', chapters: 5 },
+                    { day: 6, reading: 'Matthew 19-22', focus: 'Teaching & Conflict', chapters: 4 },
+                    { day: 7, reading: 'Matthew 23-25', focus: 'Woes & End Times', chapters: 3 },
+                    { day: 8, reading: 'Matthew 26-28', focus: 'Passion & Resurrection', chapters: 3 },
+                    { day: 9, reading: 'Review Matthew', focus: 'Reflection & Application', chapters: 0 }
+                ]
+            },
+            { 
+                days: '10-15', 
+                reading: 'Mark 1-16', 
+                focus: 'Jesus as Servant',
+                dailyBreakdown: [
+                    { day: 10, reading: 'Mark 1-3', focus: 'Rapid Ministry Start', chapters: 3 },
+                    { day: 11, reading: 'Mark 4-6', focus: 'Miracles & Power', chapters: 3 },
+                    { day: 12, reading: 'Mark 7-9', focus: 'Teaching & Transfiguration', chapters: 3 },
+                    { day: 13, reading: 'Mark 10-12', focus: 'Servant Leadership', chapters: 3 },
+                    { day: 14, reading: 'Mark 13-14', focus: 'Prophecy & Betrayal', chapters: 2 },
+                    { day: 15, reading: 'Mark 15-16', focus: 'Sacrifice & Victory', chapters: 2 }
+                ]
+            },
+            { 
+                days: '16-23', 
+                reading: 'Luke 1-24', 
+                focus: 'Jesus as Savior',
+                dailyBreakdown: [
+                    { day: 16, reading: 'Luke 1-3', focus: 'Birth & Genealogy', chapters: 3 },
+                    { day: 17, reading: 'Luke 4-6', focus: 'Ministry Begins', chapters: 3 },
+                    { day: 18, reading: 'Luke 7-9', focus: 'Miracles & Disciples', chapters: 3 },
+                    { day: 19, reading: 'Luke 10-12', focus: 'Teaching & Parables', chapters: 3 },
+                    { day: 20, reading: 'Luke 13-15', focus: 'Kingdom Parables', chapters: 3 },
+                    { day: 21, reading: 'Luke 16-18', focus: 'Wealth & Prayer', chapters: 3 },
+                    { day: 22, reading: 'Luke 19-21', focus: 'Jerusalem Entry', chapters: 3 },
+                    { day: 23, reading: 'Luke 22-24', focus: 'Passion & Resurrection', chapters: 3 }
+                ]
+            },
+            { 
+                days: '24-30', 
+                reading: 'John 1-21', 
+                focus: 'Jesus as God',
+                dailyBreakdown: [
+                    { day: 24, reading: 'John 1-3', focus: 'Divine Identity', chapters: 3 },
+                    { day: 25, reading: 'John 4-6', focus: 'Living Water & Bread', chapters: 3 },
+                    { day: 26, reading: 'John 7-9', focus: 'Light of the World', chapters: 3 },
+                    { day: 27, reading: 'John 10-12', focus: 'Good Shepherd', chapters: 3 },
+                    { day: 28, reading: 'John 13-15', focus: 'Last Supper', chapters: 3 },
+                    { day: 29, reading: 'John 16-18', focus: 'Holy Spirit & Arrest', chapters: 3 },
+                    { day: 30, reading: 'John 19-21', focus: 'Crucifixion & Commission', chapters: 3 }
+                ]
+            },
+            { 
+                days: '31-45', 
+                reading: 'Acts 1-28', 
+                focus: 'Early Church',
+                dailyBreakdown: [
+                    { day: 31, reading: 'Acts 1-3', focus: 'Pentecost & Power', chapters: 3 },
+                    { day: 32, reading: 'Acts 4-6', focus: 'Church Growth', chapters: 3 },
+                    { day: 33, reading: 'Acts 7-8', focus: 'Stephen & Persecution', chapters: 2 },
+                    { day: 34, reading: 'Acts 9-10', focus: 'Paul\'s Conversion', chapters: 2 },
+                    { day: 35, reading: 'Acts 11-13', focus: 'Gentile Inclusion', chapters: 3 },
+                    { day: 36, reading: 'Acts 14-16', focus: 'First Mission Journey', chapters: 3 },
+                    { day: 37, reading: 'Acts 17-19', focus: 'Second Journey', chapters: 3 },
+                    { day: 38, reading: 'Acts 20-22', focus: 'Third Journey & Arrest', chapters: 3 },
+                    { day: 39, reading: 'Acts 23-25', focus: 'Trials & Defense', chapters: 3 },
+                    { day: 40, reading: 'Acts 26-28', focus: 'Appeal to Caesar', chapters: 3 }
+                ]
+            },
+            { 
+                days: '46-60', 
+                reading: 'Romans & Corinthians', 
+                focus: 'Paul\'s Theology',
+                dailyBreakdown: [
+                    { day: 46, reading: 'Romans 1-3', focus: 'Sin & Righteousness', chapters: 3 },
+                    { day: 47, reading: 'Romans 4-6', focus: 'Faith & Grace', chapters: 3 },
+                    { day: 48, reading: 'Romans 7-8', focus: 'Spirit & Freedom', chapters: 2 },
+                    { day: 49, reading: 'Romans 9-11', focus: 'Israel & Mercy', chapters: 3 },
+                    { day: 50, reading: 'Romans 12-16', focus: 'Practical Living', chapters: 5 },
+                    { day: 51, reading: '1 Corinthians 1-4', focus: 'Church Divisions', chapters: 4 },
+                    { day: 52, reading: '1 Corinthians 5-8', focus: 'Morality & Freedom', chapters: 4 },
+                    { day: 53, reading: '1 Corinthians 9-11', focus: 'Rights & Worship', chapters: 3 },
+                    { day: 54, reading: '1 Corinthians 12-14', focus: 'Spiritual Gifts', chapters: 3 },
+                    { day: 55, reading: '1 Corinthians 15-16', focus: 'Resurrection', chapters: 2 },
+                    { day: 56, reading: '2 Corinthians 1-4', focus: 'Comfort & Ministry', chapters: 4 },
+                    { day: 57, reading: '2 Corinthians 5-8', focus: 'Reconciliation & Giving', chapters: 4 },
+                    { day: 58, reading: '2 Corinthians 9-13', focus: 'Generosity & Authority', chapters: 5 }
+                ]
+            },
+            { 
+                days: '61-75', 
+                reading: 'Paul\'s Letters', 
+                focus: 'Church Life',
+                dailyBreakdown: [
+                    { day: 61, reading: 'Galatians 1-3', focus: 'Grace vs Law', chapters: 3 },
+                    { day: 62, reading: 'Galatians 4-6', focus: 'Freedom & Spirit', chapters: 3 },
+                    { day: 63, reading: 'Ephesians 1-3', focus: 'Spiritual Blessings', chapters: 3 },
+                    { day: 64, reading: 'Ephesians 4-6', focus: 'Unity & Armor', chapters: 3 },
+                    { day: 65, reading: 'Philippians 1-2', focus: 'Joy & Humility', chapters: 2 },
+                    { day: 66, reading: 'Philippians 3-4', focus: 'Righteousness & Peace', chapters: 2 },
+                    { day: 67, reading: 'Colossians 1-2', focus: 'Supremacy of Christ', chapters: 2 },
+                    { day: 68, reading: 'Colossians 3-4', focus: 'New Life', chapters: 2 },
+                    { day: 69, reading: '1 Thessalonians 1-3', focus: 'Faith & Love', chapters: 3 },
+                    { day: 70, reading: '1 Thessalonians 4-5', focus: 'Coming & Living', chapters: 2 },
+                    { day: 71, reading: '2 Thessalonians 1-3', focus: 'End Times & Work', chapters: 3 },
+                    { day: 72, reading: '1 Timothy 1-3', focus: 'Church Order', chapters: 3 },
+                    { day: 73, reading: '1 Timothy 4-6', focus: 'Godliness & Contentment', chapters: 3 },
+                    { day: 74, reading: '2 Timothy 1-2', focus: 'Guard the Gospel', chapters: 2 },
+                    { day: 75, reading: '2 Timothy 3-4', focus: 'Scripture & Finish', chapters: 2 }
+                ]
+            },
+            { 
+                days: '76-90', 
+                reading: 'General Letters & Revelation', 
+                focus: 'Faith & Hope',
+                dailyBreakdown: [
+                    { day: 76, reading: 'Titus 1-3', focus: 'Sound Doctrine', chapters: 3 },
+                    { day: 77, reading: 'Philemon', focus: 'Forgiveness', chapters: 1 },
+                    { day: 78, reading: 'Hebrews 1-4', focus: 'Superiority of Christ', chapters: 4 },
+                    { day: 79, reading: 'Hebrews 5-7', focus: 'Priesthood', chapters: 3 },
+                    { day: 80, reading: 'Hebrews 8-10', focus: 'New Covenant', chapters: 3 },
+                    { day: 81, reading: 'Hebrews 11-13', focus: 'Faith & Endurance', chapters: 3 },
+                    { day: 82, reading: 'James 1-3', focus: 'Faith & Works', chapters: 3 },
+                    { day: 83, reading: 'James 4-5', focus: 'Wisdom & Prayer', chapters: 2 },
+                    { day: 84, reading: '1 Peter 1-3', focus: 'Living Hope', chapters: 3 },
+                    { day: 85, reading: '1 Peter 4-5', focus: 'Suffering & Leadership', chapters: 2 },
+                    { day: 86, reading: '2 Peter 1-3', focus: 'Knowledge & Return', chapters: 3 },
+                    { day: 87, reading: '1 John 1-3', focus: 'Light & Love', chapters: 3 },
+                    { day: 88, reading: '1 John 4-5', focus: 'God is Love', chapters: 2 },
+                    { day: 89, reading: '2 John, 3 John, Jude', focus: 'Truth & Contend', chapters: 3 },
+                    { day: 90, reading: 'Revelation 1-22', focus: 'Victory & New Creation', chapters: 22 }
+                ]
+            }
+        ];
+
+        this.validateReferences('nt90', this.ntIntensive.flatMap((section, idx) => [
+            { path: `section${idx}.reading`, text: section.reading },
+            ...section.dailyBreakdown.map(day => ({ path: `day${day.day}.reading`, text: day.reading, chapters: day.chapters }))
+        ]));
+    }
+
+    initializeDiscipleshipWeeks() {
+        this.discipleshipWeeks = [
+            { 
+                week: 1, 
+                topic: 'Salvation & New Life', 
+                key: 'Romans 3:21-26; Ephesians 2:1-10',
+                objectives: [
+                    'Understand the gospel message clearly',
+                    'Explain what it means to be born again',
+                    'Share personal testimony effectively'
+                ],
+                activities: [
+                    'Write out personal salvation story',
+                    'Practice sharing gospel in 3 minutes',
+                    'Memorize key salvation verses'
+                ],
+                discussionQuestions: [
+                    'What did you understand about Jesus before becoming a Christian?',
+                    'How has your life changed since following Christ?',
+                    'What does it mean to be a new creation?'
+                ],
+                memoryVerse: '2 Corinthians 5:17 - "Therefore, if anyone is in Christ, the new creation has come: The old has gone, the new is here!"'
+            },
+            { 
+                week: 2, 
+                topic: 'The Word of God', 
+                key: '2 Timothy 3:16-17; Hebrews 4:12',
+                objectives: [
+                    'Understand the Bible\'s authority and purpose',
+                    'Develop a consistent Bible reading habit',
+                    'Learn basic Bible study methods'
+                ],
+                activities: [
+                    'Set up a daily Bible reading plan',
+                    'Practice the SOAP method (Scripture, Observation, Application, Prayer)',
+                    'Share one truth learned from Scripture'
+                ],
+                discussionQuestions: [
+                    'Why is the Bible important for Christian growth?',
+                    'How can we hear God\'s voice through Scripture?',
+                    'What obstacles prevent regular Bible reading?'
+                ],
+                memoryVerse: '2 Timothy 3:16 - "All Scripture is God-breathed and is useful for teaching, rebuking, correcting and training in righteousness."'
+            },
+            { 
+                week: 3, 
+                topic: 'Prayer & Communion with God', 
+                key: 'Matthew 6:5-15; Philippians 4:6-7',
+                objectives: [
+                    'Understand the purpose and power of prayer',
+                    'Learn different types of prayer',
+                    'Develop a consistent prayer life'
                 ],
                 activities: [
                     'Create a prayer journal',
@@ -1059,540 +6331,3096 @@ class EthiopianBiblePlanner {
                 ],
                 memoryVerse: 'Romans 8:28 - "And we know that in all things God works for the good of those who love him, who have been called according to his purpose."'
             },
-            { 
-                week: 14, 
-                topic: 'Forgiveness & Reconciliation', 
-                key: 'Matthew 18:21-35; Colossians 3:12-14',
-                objectives: [
-                    'Understand biblical command to forgive',
-                    'Learn steps to reconciliation',
-                    'Overcome barriers to forgiveness'
-                ],
-                activities: [
-                    'Forgive someone who has hurt you',
-                    'Seek forgiveness if needed',
-                    'Write a letter of forgiveness (even if not sent)'
-                ],
-                discussionQuestions: [
-                    'What is the difference between forgiveness and reconciliation?',
-                    'How do we forgive when it\'s difficult?',
-                    'What if the other person doesn\'t apologize?'
-                ],
-                memoryVerse: 'Colossians 3:13 - "Bear with each other and forgive one another if any of you has a grievance against someone. Forgive as the Lord forgave you."'
+            { 
+                week: 14, 
+                topic: 'Forgiveness & Reconciliation', 
+                key: 'Matthew 18:21-35; Colossians 3:12-14',
+                objectives: [
+                    'Understand biblical command to forgive',
+                    'Learn steps to reconciliation',
+                    'Overcome barriers to forgiveness'
+                ],
+                activities: [
+                    'Forgive someone who has hurt you',
+                    'Seek forgiveness if needed',
+                    'Write a letter of forgiveness (even if not sent)'
+                ],
+                discussionQuestions: [
+                    'What is the difference between forgiveness and reconciliation?',
+                    'How do we forgive when it\'s difficult?',
+                    'What if the other person doesn\'t apologize?'
+                ],
+                memoryVerse: 'Colossians 3:13 - "Bear with each other and forgive one another if any of you has a grievance against someone. Forgive as the Lord forgave you."'
+            },
+            { 
+                week: 15, 
+                topic: 'Wisdom & Discernment', 
+                key: 'Proverbs 2:1-11; James 1:5-8',
+                objectives: [
+                    'Understand difference between knowledge and wisdom',
+                    'Learn to make wise decisions',
+                    'Develop discernment in complex situations'
+                ],
+                activities: [
+                    'Seek wisdom for a specific decision',
+                    'Study Proverbs for practical wisdom',
+                    'Ask a wise person for counsel'
+                ],
+                discussionQuestions: [
+                    'How do we acquire wisdom according to Scripture?',
+                    'What is the role of the Holy Spirit in discernment?',
+                    'How can we avoid foolish decisions?'
+                ],
+                memoryVerse: 'James 1:5 - "If any of you lacks wisdom, you should ask God, who gives generously to all without finding fault, and it will be given to you."'
+            },
+            { 
+                week: 16, 
+                topic: 'Eternal Perspective', 
+                key: 'Matthew 6:19-21; 2 Corinthians 4:16-18',
+                objectives: [
+                    'Develop heavenly mindset',
+                    'Understand biblical teaching on eternity',
+                    'Live with purpose and eternal impact'
+                ],
+                activities: [
+                    'Evaluate your priorities from eternal perspective',
+                    'Share the gospel with someone this week',
+                    'Write a personal mission statement'
+                ],
+                discussionQuestions: [
+                    'How does eternal perspective change how we live today?',
+                    'What does it mean to store up treasures in heaven?',
+                    'How can we keep from being consumed by temporary things?'
+                ],
+                memoryVerse: 'Matthew 6:33 - "But seek first his kingdom and his righteousness, and all these things will be given to you as well."'
+            }
+        ];
+
+        this.validateReferences('discipleship', this.discipleshipWeeks.flatMap(week => [
+            { path: `week${week.week}.key`, text: week.key },
+            { path: `week${week.week}.memoryVerse`, text: week.memoryVerse.split(' - ')[0] }
+        ]));
+    }
+
+    /**
+     * Parses every scripture reference in a plan and warns about the ones
+     * that don't resolve. Labels such as "Review Matthew" are skipped, and
+     * an entry's `chapters` count, when given, must match the reference.
+     * @returns {Array<{path: string, text: string, message: string}>} problems found
+     */
+    validateReferences(planName, entries) {
+        const issues = [];
+
+        entries.forEach(({ path, text, chapters }) => {
+            if (!this.scripture.isReference(text)) return;
+
+            try {
+                const passages = this.scripture.parse(text);
+                const counted = this.scripture.countChapters(passages);
+                if (chapters !== undefined && counted !== chapters) {
+                    issues.push({ path, text, message: `declares ${chapters} chapters but covers ${counted}` });
+                }
+            } catch (error) {
+                issues.push({ path, text, message: error.message });
+            }
+        });
+
+        issues.forEach(issue => {
+            console.warn(`Invalid reference in ${planName} plan at ${issue.path} ("${issue.text}"): ${issue.message}`);
+        });
+        return issues;
+    }
+
+
+    // ===================================
+    // INITIALIZATION
+    // ===================================
+    async init() {
+        try {
+            console.log('🚀 Initializing Ethiopian Bible Planner...');
+            
+            this.ui.showLoading();
+            
+            this.storage.onUpgradeBlocked = () => this.ui.showErrorMessage(this.i18n.t('storageBlocked'));
+            this.storage.onVersionChange = () => this.ui.showErrorMessage(this.i18n.t('storageVersionChange'));
+            await this.storage.open();
+            await this.setupStorageWarnings();
+            console.log(`✓ Storage ready (${this.storage.backend.name})`);
+            
+            await this.snapshots.load();
+            console.log('✓ Restore points loaded');
+            
+            await this.loadState();
+            console.log('✓ State loaded');
+            
+            await this.journalStore.load();
+            console.log('✓ Journal loaded');
+            
+            this.applyTheme();
+            console.log('✓ Theme applied');
+            
+            this.applyStaticTranslations();
+            console.log('✓ Translations applied');
+            
+            this.initializeLucideIcons();
+            console.log('✓ Icons initialized');
+            
+            this.setupMobileMenu();
+            console.log('✓ Mobile menu setup');
+            
+            await this.renderInitialView();
+            console.log('✓ Initial view rendered');
+            
+            this.setupEventListeners();
+            console.log('✓ Event listeners setup');
+            
+            this.setupReminderSettings();
+            console.log('✓ Reminder settings setup');
+            
+            this.setupCatchUp();
+            console.log('✓ Catch-up scheduling setup');
+            
+            this.setupCalendarExport();
+            console.log('✓ Calendar export setup');
+            
+            this.setupProgressBackup();
+            console.log('✓ Progress backup setup');
+            
+            this.setupQrTransfer();
+            console.log('✓ QR transfer setup');
+            
+            this.setupRestorePoints();
+            console.log('✓ Restore points setup');
+            
+            this.setupGroupDashboard();
+            console.log('✓ Group dashboard setup');
+            
+            this.setupJournal();
+            console.log('✓ Journal setup');
+            
+            this.setupMemoryVerses();
+            console.log('✓ Memory verse practice setup');
+            
+            this.setupLeaderGuide();
+            console.log('✓ Leader guide setup');
+            
+            this.setupPlanBuilder();
+            console.log('✓ Plan builder setup');
+            
+            this.setupPassageReader();
+            console.log('✓ Passage reader setup');
+            
+            this.registerOfflineSupport();
+            console.log('✓ Offline support registering');
+            
+            this.setupLanguageSwitcher();
+            console.log('✓ Language switcher setup');
+            
+            this.setupThemeToggle();
+            console.log('✓ Theme toggle setup');
+            
+            this.setupKeyboardShortcuts();
+            console.log('✓ Keyboard shortcuts setup');
+            
+            this.setupTouchGestures();
+            console.log('✓ Touch gestures setup');
+            
+            this.setupRouting();
+            console.log('✓ Routing setup');
+            
+            this.updateProgress();
+            console.log('✓ Progress updated');
+            
+            // Startup succeeded, so this state is safe to come back to
+            await this.takeSnapshot('startup');
+            console.log('✓ Restore point saved');
+            
+            this.ui.hideLoading();
+            console.log('✅ Initialization complete!');
+            
+        } catch (error) {
+            console.error('❌ Initialization error:', error);
+            this.ui.showErrorMessage(this.i18n.t('initFailed'));
+            this.ui.hideLoading();
+            throw error;
+        }
+    }
+
+    async loadState() {
+        let savedState;
+        try {
+            savedState = await this.storage.loadState();
+        } catch (error) {
+            console.warn('Could not load saved state, using defaults:', error);
+            return;
+        }
+
+        if (!savedState) {
+            console.log('No saved state found, using defaults');
+            return;
+        }
+
+        // Set before validating so the error screen speaks the saved language
+        this.i18n.setLanguage(savedState.language);
+
+        if (!this.isValidState(savedState)) {
+            // Stop startup so the error screen can offer a restore point
+            if (this.snapshots.latest()) {
+                throw new Error('Saved progress is damaged');
+            }
+            console.warn('Saved state is damaged and there is no restore point, using defaults');
+            return;
+        }
+
+        this.state = { ...this.state, ...savedState };
+        console.log('State loaded from storage');
+    }
+
+    /**
+     * Checks that saved fields the planner iterates over have the right
+     * shape. Unknown or missing fields are fine.
+     */
+    isValidState(state) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const objectFields = ['completedReadings', 'completionLog', 'expandedWeeks', 'memoryVerses'];
+
+        return isObject(state)
+            && objectFields.every(field => state[field] === undefined || isObject(state[field]))
+            && (state.customPlans === undefined || (Array.isArray(state.customPlans)
+                && state.customPlans.every(plan => this.progressFile.isValidCustomPlan(plan))))
+            && (state.catchUpSchedule === undefined || state.catchUpSchedule === null || isObject(state.catchUpSchedule));
+    }
+
+    async renderInitialView() {
+        if ('requestIdleCallback' in window) {
+            requestIdleCallback(() => {
+                this.renderYearLabels();
+                this.renderMonthSelector();
+                this.renderMonthDetails();
+                this.renderChronologicalPlan();
+                this.renderNT90Plan();
+                this.renderDiscipleship();
+            });
+        } else {
+            setTimeout(() => {
+                this.renderYearLabels();
+                this.renderMonthSelector();
+                this.renderMonthDetails();
+                this.renderChronologicalPlan();
+                this.renderNT90Plan();
+                this.renderDiscipleship();
+            }, 0);
+        }
+    }
+
+    // ===================================
+    // STATE MANAGEMENT
+    // ===================================
+    /**
+     * @param {Object} newState
+     * @param {{recordHistory?: boolean}} [options] - recordHistory: false
+     *   for changes made by undo/redo themselves
+     */
+    async setState(newState, { recordHistory = true } = {}) {
+        if (recordHistory) this.recordHistory(newState);
+        this.state = { ...this.state, ...newState };
+        await this.saveStateDebounced();
+        this.updateUI();
+    }
+
+    /**
+     * Remembers the previous value of progress and plan fields (the same
+     * ones restore points bring back). Navigation and preferences are not
+     * undoable.
+     * @param {Object} newState
+     * @param {Object} [journal] - journal entries about to replace the
+     *   current ones, for imports and restores
+     */
+    recordHistory(newState, journal) {
+        const before = {};
+        const after = {};
+        if (journal && journal !== this.journalStore.getAll()) {
+            before.journal = this.journalStore.getAll();
+            after.journal = journal;
+        }
+        Object.values(this.storage.statePartitions).flat().forEach(field => {
+            if (field in newState && newState[field] !== this.state[field]) {
+                before[field] = this.state[field];
+                after[field] = newState[field];
+            }
+        });
+
+        if (Object.keys(after).length) {
+            this.history.push({ before, after });
+        }
+    }
+
+    async undo() {
+        const entry = this.history.undo();
+        if (!entry) return;
+
+        await this.applyHistoryChange(entry.before);
+        this.ui.showSuccessMessage(this.i18n.t('changeUndone'), { label: this.i18n.t('redo'), onClick: () => this.redo() });
+    }
+
+    async redo() {
+        const entry = this.history.redo();
+        if (!entry) return;
+
+        await this.applyHistoryChange(entry.after);
+        this.ui.showSuccessMessage(this.i18n.t('changeRedone'), this.getUndoAction());
+    }
+
+    async applyHistoryChange({ journal, ...changes }) {
+        if (journal) {
+            await this.journalStore.replaceAll(journal);
+            this.renderJournalResults();
+        }
+        await this.setState(changes, { recordHistory: false });
+
+        // The catch-up schedule also drives its panel and reminder texts
+        if ('catchUpSchedule' in changes) {
+            this.renderCatchUpStatus();
+            if (this.state.remindersEnabled) await this.updateReminders();
+        }
+    }
+
+    getUndoAction() {
+        return { label: this.i18n.t('undo'), onClick: () => this.undo() };
+    }
+
+    /**
+     * Warns when a save fails for lack of space, and at startup when the
+     * browser reports storage nearly full.
+     */
+    async setupStorageWarnings() {
+        this.storage.onQuotaExceeded = () => {
+            this.ui.showErrorMessage(this.i18n.t('storageFull'));
+        };
+
+        if (this.storage.backend instanceof MemoryBackend) {
+            this.ui.showErrorMessage(this.i18n.t('storageMemoryOnly'));
+        }
+
+        const estimate = await this.storage.estimateUsage();
+        if (estimate && estimate.usage / estimate.quota > 0.9) {
+            this.ui.showErrorMessage(this.i18n.t('storageAlmostFull', { percent: Math.round((estimate.usage / estimate.quota) * 100) }));
+        }
+    }
+
+    async saveStateDebounced() {
+        if (this.saveDebounceTimer) {
+            clearTimeout(this.saveDebounceTimer);
+        }
+        
+        this.saveDebounceTimer = setTimeout(async () => {
+            try {
+                const success = await this.storage.saveState(this.state);
+                if (!success && !this.storage.lastErrorWasQuota) {
+                    this.ui.showErrorMessage(this.i18n.t('saveFailed'));
+                }
+                if (success && this.snapshots.isAutoDue()) {
+                    await this.takeSnapshot('auto');
+                }
+            } catch (error) {
+                console.error('Save failed:', error);
+            }
+        }, 500);
+    }
+
+    // ===================================
+    // UI UPDATE & RENDERING
+    // ===================================
+    updateUI() {
+        this.updateTabView();
+        this.updateMonthButtons();
+        this.updatePlanButtons();
+        this.renderMonthDetails();
+        this.updateProgress();
+        this.updateStatsPanel();
+        
+        if (this.state.activeTab === 'reading') {
+            if (this.state.selectedPlan === 'chronological') {
+                this.renderChronologicalPlan();
+            } else if (this.state.selectedPlan === 'custom') {
+                this.renderCustomPlans();
+            } else {
+                this.renderNT90Plan();
+            }
+        } else if (this.state.activeTab === 'discipleship') {
+            this.renderDiscipleship();
+        } else if (this.state.activeTab === 'group') {
+            this.renderGroupDashboard();
+        }
+
+        this.updateRoute();
+    }
+
+    updateTabView() {
+        const calendarView = document.getElementById('calendar-view');
+        const readingView = document.getElementById('reading-view');
+        const discipleshipView = document.getElementById('discipleship-view');
+        const groupView = document.getElementById('group-view');
+
+        if (calendarView) calendarView.classList.toggle('hidden', this.state.activeTab !== 'calendar');
+        if (readingView) readingView.classList.toggle('hidden', this.state.activeTab !== 'reading');
+        if (discipleshipView) discipleshipView.classList.toggle('hidden', this.state.activeTab !== 'discipleship');
+        if (groupView) groupView.classList.toggle('hidden', this.state.activeTab !== 'group');
+
+        document.querySelectorAll('.tab-button').forEach(button => {
+            const isActive = button.dataset.tab === this.state.activeTab;
+            button.classList.toggle('text-white', isActive);
+            button.classList.toggle('shadow-md', isActive);
+            button.classList.toggle('scale-105', isActive);
+            button.classList.toggle('text-gray-600', !isActive);
+            button.classList.toggle('hover:bg-gray-50', !isActive);
+            
+            if (isActive) {
+                button.style.backgroundColor = this.getTabColor(button.dataset.tab);
+            } else {
+                button.style.backgroundColor = '';
+            }
+        });
+    }
+
+    getTabColor(tabId) {
+        const colors = {
+            calendar: this.brandColors.primary,
+            reading: this.brandColors.secondary,
+            discipleship: this.brandColors.accent,
+            group: this.brandColors.success
+        };
+        return colors[tabId] || this.brandColors.primary;
+    }
+
+    updateMonthButtons() {
+        document.querySelectorAll('.month-card, .month-button').forEach(button => {
+            const isActive = button.dataset.month === this.state.selectedMonth;
+            button.classList.toggle('active', isActive);
+            
+            if (isActive) {
+                button.style.backgroundColor = '';
+                button.style.color = '';
+            }
+        });
+    }
+
+    updatePlanButtons() {
+        document.querySelectorAll('.plan-button').forEach(button => {
+            const isActive = button.dataset.plan === this.state.selectedPlan;
+            button.classList.toggle('active', isActive);
+        });
+
+        const chronoPlan = document.getElementById('chronological-plan');
+        const nt90Plan = document.getElementById('nt90-plan');
+        const customPlan = document.getElementById('custom-plan');
+        
+        if (chronoPlan) chronoPlan.classList.toggle('hidden', this.state.selectedPlan !== 'chronological');
+        if (nt90Plan) nt90Plan.classList.toggle('hidden', this.state.selectedPlan !== 'nt90');
+        if (customPlan) customPlan.classList.toggle('hidden', this.state.selectedPlan !== 'custom');
+    }
+
+    // ===================================
+    // PROGRESS TRACKING
+    // ===================================
+    updateProgress() {
+        const plans = this.getPlanProgress();
+        const overall = this.getOverallProgress();
+
+        const progressText = document.getElementById('progress-text');
+        const progressCount = document.getElementById('progress-count');
+        const progressBar = document.getElementById('progress-bar');
+
+        if (progressText) progressText.textContent = this.i18n.t('progress', { percent: overall.percentComplete });
+        if (progressCount) progressCount.textContent = this.i18n.t('progressCount', { completed: overall.readingsCompleted, total: overall.totalReadings });
+        if (progressBar) {
+            progressBar.style.width = `${overall.percentComplete}%`;
+            progressBar.style.backgroundColor = this.brandColors.success;
+        }
+
+        document.querySelectorAll('[data-plan-progress]').forEach(element => {
+            const group = plans.filter(plan => plan.group === element.dataset.planProgress);
+            const insights = this.analytics.getProgressInsights(this.state.completedReadings, group.flatMap(plan => plan.readingIds));
+            element.textContent = insights.totalReadings
+                ? `${this.i18n.t('customPlanProgress', { completed: insights.readingsCompleted, total: insights.totalReadings })} · ${insights.percentComplete}%`
+                : '';
+        });
+
+        this.renderPlanProgress(plans);
+    }
+
+    /**
+     * Every plan with the reading ids that belong to it. Ids are namespaced
+     * per plan (chrono-<month>-<week>, nt90-<section>-day-<day>,
+     * disc-<week>, custom-<planId>-<index>); NT90 section rows and expanded
+     * card keys are not readings and are never counted.
+     * @returns {Array<{id: string, group: string, label: string, readingIds: string[]}>}
+     */
+    getPlans(customPlans = this.state.customPlans) {
+        return [
+            {
+                id: 'chronological',
+                group: 'chronological',
+                label: this.i18n.t('chronoTitle'),
+                readingIds: this.getChronologicalReadingIds()
+            },
+            {
+                id: 'nt90',
+                group: 'nt90',
+                label: this.i18n.t('nt90Title'),
+                readingIds: this.ntIntensive.flatMap((section, idx) =>
+                    (section.dailyBreakdown || []).map(day => `nt90-${idx}-day-${day.day}`))
             },
-            { 
-                week: 15, 
-                topic: 'Wisdom & Discernment', 
-                key: 'Proverbs 2:1-11; James 1:5-8',
-                objectives: [
-                    'Understand difference between knowledge and wisdom',
-                    'Learn to make wise decisions',
-                    'Develop discernment in complex situations'
-                ],
-                activities: [
-                    'Seek wisdom for a specific decision',
-                    'Study Proverbs for practical wisdom',
-                    'Ask a wise person for counsel'
-                ],
-                discussionQuestions: [
-                    'How do we acquire wisdom according to Scripture?',
-                    'What is the role of the Holy Spirit in discernment?',
-                    'How can we avoid foolish decisions?'
-                ],
-                memoryVerse: 'James 1:5 - "If any of you lacks wisdom, you should ask God, who gives generously to all without finding fault, and it will be given to you."'
+            {
+                id: 'discipleship',
+                group: 'discipleship',
+                label: this.i18n.t('discipleshipTitle'),
+                readingIds: this.discipleshipWeeks.map(week => `disc-${week.week}`)
             },
-            { 
-                week: 16, 
-                topic: 'Eternal Perspective', 
-                key: 'Matthew 6:19-21; 2 Corinthians 4:16-18',
-                objectives: [
-                    'Develop heavenly mindset',
-                    'Understand biblical teaching on eternity',
-                    'Live with purpose and eternal impact'
-                ],
-                activities: [
-                    'Evaluate your priorities from eternal perspective',
-                    'Share the gospel with someone this week',
-                    'Write a personal mission statement'
-                ],
-                discussionQuestions: [
-                    'How does eternal perspective change how we live today?',
-                    'What does it mean to store up treasures in heaven?',
-                    'How can we keep from being consumed by temporary things?'
-                ],
-                memoryVerse: 'Matthew 6:33 - "But seek first his kingdom and his righteousness, and all these things will be given to you as well."'
+            ...customPlans.map(plan => ({
+                id: `custom-${plan.id}`,
+                group: 'custom',
+                label: plan.name,
+                readingIds: plan.readings.map(reading => `custom-${plan.id}-${reading.index}`)
+            }))
+        ];
+    }
+
+    /**
+     * @returns {Array<Object>} each plan from getPlans() with its progress
+     *   insights and a status of 'notStarted', 'inProgress' or 'completed'
+     */
+    getPlanProgress(completedReadings = this.state.completedReadings) {
+        return this.getPlans().map(plan => {
+            const insights = this.analytics.getProgressInsights(completedReadings, plan.readingIds);
+            let status = 'inProgress';
+            if (insights.readingsCompleted === 0) status = 'notStarted';
+            else if (insights.readingsRemaining === 0) status = 'completed';
+
+            return { ...plan, ...insights, status };
+        });
+    }
+
+    getOverallProgress(completedReadings = this.state.completedReadings) {
+        const readingIds = this.getPlans().flatMap(plan => plan.readingIds);
+        return this.analytics.getProgressInsights(completedReadings, readingIds, this.state.completionLog);
+    }
+
+    renderPlanProgress(plans) {
+        const container = document.getElementById('plan-progress');
+        if (!container) return;
+
+        const badges = { notStarted: 'badge-primary', inProgress: 'badge-secondary', completed: 'badge-success' };
+        this.keyedRenderer.render(container, plans.map(plan => ({ key: plan.id, html: `
+            <div class="plan-progress-row">
+                <div class="flex flex-wrap items-center justify-between gap-2 mb-1 text-sm">
+                    <span class="font-medium">${escapeHtml(plan.label)}</span>
+                    <span class="flex items-center gap-2">
+                        <span class="badge ${badges[plan.status]}">${this.i18n.t(plan.status === 'completed' ? 'completed' : plan.status === 'inProgress' ? 'planInProgress' : 'planNotStarted')}</span>
+                        <span class="font-bold">${plan.readingsCompleted} / ${plan.totalReadings}</span>
+                    </span>
+                </div>
+                <div class="w-full bg-white bg-opacity-20 rounded-full h-2 overflow-hidden" role="progressbar" aria-label="${escapeHtml(plan.label)}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${plan.percentComplete}">
+                    <div class="h-2 rounded-full transition-all duration-500" style="width: ${plan.percentComplete}%; background-color: ${this.brandColors.success}"></div>
+                </div>
+            </div>
+        ` })));
+    }
+
+    async toggleReading(readingId) {
+        const newCompletedReadings = { ...this.state.completedReadings };
+        const newCompletionLog = { ...this.state.completionLog };
+        newCompletedReadings[readingId] = !newCompletedReadings[readingId];
+
+        if (newCompletedReadings[readingId]) {
+            newCompletionLog[readingId] = new Date().toISOString();
+        } else {
+            delete newCompletionLog[readingId];
+        }
+        
+        try {
+            await this.setState({ completedReadings: newCompletedReadings, completionLog: newCompletionLog });
+            
+            if (newCompletedReadings[readingId]) {
+                this.ui.showSuccessMessage(this.i18n.t('progressSaved'), this.getUndoAction());
+                this.celebrateCompletion();
+            } else {
+                this.ui.showSuccessMessage(this.i18n.t('readingUnmarked'), this.getUndoAction());
+            }
+        } catch (error) {
+            this.ui.showErrorMessage(this.i18n.t('saveFailed'));
+        }
+    }
+
+    celebrateCompletion() {
+        const streak = this.analytics.calculateStreak(this.state.completionLog);
+        const firstToday = this.analytics.countCompletedOn(this.state.completionLog, new Date()) === 1;
+        if (firstToday && streak > 0 && streak % 7 === 0) {
+            this.ui.showSuccessMessage(this.i18n.t('streakCelebration', { count: streak }));
+        }
+    }
+
+    /**
+     * Chronological weeks only, the unit the plan pace and group dashboard
+     * measure; getPlanProgress() covers every plan.
+     */
+    getTotalReadings() {
+        return Object.values(this.chronologicalPlan).reduce((sum, plan) => sum + plan.weeks, 0);
+    }
+
+    // ===================================
+    // DAILY REMINDERS
+    // ===================================
+    getReadingForDate(date) {
+        if (this.state.catchUpSchedule) {
+            const dayKey = this.analytics.toDayKey(date);
+            const entries = this.getChronologicalSchedule().filter(entry => entry.id in this.state.catchUpSchedule.dates);
+            const entry = entries.filter(item => item.date <= dayKey).pop() || entries[0];
+            if (entry) {
+                return this.getWeekReminder(entry.week);
+            }
+        }
+
+        const { monthId, day } = this.calendar.fromGregorian(date);
+        const plan = this.chronologicalPlan[monthId];
+        const weekIndex = Math.min(Math.ceil(day / 7), plan.weeklyBreakdown.length) - 1;
+        const week = plan.weeklyBreakdown[weekIndex];
+
+        return this.getWeekReminder(week);
+    }
+
+    getWeekReminder(week) {
+        return {
+            title: this.i18n.t('weekTitle', { week: week.week, focus: this.i18n.translateContent(`chrono.week.${week.week}.focus`, week.focus) }),
+            passage: this.getWeekReadings(week)
+        };
+    }
+
+    /**
+     * Readings for the next few days, keyed by YYYY-MM-DD, for the service
+     * worker to show without the page open. The NT90 plan has no start date,
+     * so its days follow on from the first uncompleted day.
+     */
+    getUpcomingReadings(days = 14) {
+        const readings = {};
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+
+        const pendingNTDays = this.ntIntensive.flatMap((section, idx) =>
+            section.dailyBreakdown
+                .filter(day => !this.state.completedReadings[`nt90-${idx}-day-${day.day}`])
+                .map(day => ({
+                    title: `${this.i18n.t('dayLabel', { day: day.day })}: ${this.i18n.translateContent(`nt90.day.${day.day}.focus`, day.focus)}`,
+                    passage: this.getNTDayReading(day)
+                }))
+        );
+
+        for (let i = 0; i < days; i++) {
+            let reading;
+            if (this.state.selectedPlan === 'nt90') {
+                reading = pendingNTDays[i];
+            } else if (this.state.selectedPlan === 'custom') {
+                reading = this.getCustomReadingForDate(date);
+            } else {
+                reading = this.getReadingForDate(date);
+            }
+            if (reading) {
+                readings[this.analytics.toDayKey(date)] = reading;
+            }
+            date.setDate(date.getDate() + 1);
+        }
+
+        return readings;
+    }
+
+    setupReminderSettings() {
+        const toggle = document.getElementById('reminder-toggle');
+        const panel = document.getElementById('reminder-settings');
+        const enabledInput = document.getElementById('reminder-enabled');
+        const timeInput = document.getElementById('reminder-time');
+        if (!toggle || !panel || !enabledInput || !timeInput) return;
+
+        enabledInput.checked = this.state.remindersEnabled;
+        timeInput.value = this.state.reminderTime;
+        this.renderReminderStatus();
+
+        toggle.addEventListener('click', () => {
+            panel.classList.toggle('hidden');
+        });
+
+        enabledInput.addEventListener('change', async () => {
+            if (enabledInput.checked) {
+                const permission = await this.reminders.requestPermission();
+                if (permission !== 'granted') {
+                    enabledInput.checked = false;
+                    this.ui.showErrorMessage(permission === 'unsupported'
+                        ? this.i18n.t('reminderUnsupported')
+                        : this.i18n.t('reminderPermission'));
+                    this.renderReminderStatus();
+                    return;
+                }
+            }
+            await this.setState({ remindersEnabled: enabledInput.checked });
+            await this.updateReminders();
+        });
+
+        timeInput.addEventListener('change', async () => {
+            if (!timeInput.value) return;
+            await this.setState({ reminderTime: timeInput.value });
+            await this.updateReminders();
+        });
+
+        if (this.state.remindersEnabled) {
+            this.updateReminders();
+        }
+    }
+
+    async updateReminders() {
+        try {
+            if (this.state.remindersEnabled && this.reminders.getPermission() === 'granted') {
+                await this.reminders.schedule(this.state.reminderTime, this.getUpcomingReadings(), {
+                    title: this.i18n.t('reminderNotificationTitle'),
+                    body: this.i18n.t('reminderNotificationBody')
+                });
+            } else {
+                await this.reminders.cancel();
+            }
+        } catch (error) {
+            console.error('Failed to update reminders:', error);
+            this.ui.showErrorMessage(this.i18n.t('reminderScheduleFailed'));
+        }
+        this.renderReminderStatus();
+    }
+
+    renderReminderStatus() {
+        const status = document.getElementById('reminder-status');
+        if (!status) return;
+
+        const permission = this.reminders.getPermission();
+        if (permission === 'unsupported') {
+            status.textContent = this.i18n.t('reminderUnsupported');
+        } else if (permission === 'denied') {
+            status.textContent = this.i18n.t('reminderBlocked');
+        } else if (this.state.remindersEnabled) {
+            const today = this.getReadingForDate(new Date());
+            status.textContent = this.i18n.t('reminderSet', { time: this.state.reminderTime, passage: today.passage });
+        } else {
+            status.textContent = this.i18n.t('remindersOff');
+        }
+    }
+
+    // ===================================
+    // CATCH-UP SCHEDULE
+    // ===================================
+    /**
+     * Chronological readings in plan order with the day each is due: the
+     * catch-up date when one is set, otherwise the first day of its week in
+     * the current Ethiopian year.
+     */
+    getChronologicalSchedule(schedule = this.state.catchUpSchedule) {
+        const year = this.calendar.getCurrentYear();
+        return this.ethiopianMonths.flatMap(month => {
+            const monthNumber = this.calendar.getMonthNumber(month.id);
+            return this.chronologicalPlan[month.id].weeklyBreakdown.map((week, idx) => {
+                const id = `chrono-${month.id}-${week.week}`;
+                const date = schedule && schedule.dates[id]
+                    ? schedule.dates[id]
+                    : this.analytics.toDayKey(this.calendar.toGregorian(year, monthNumber, idx * 7 + 1));
+                return { id, date, week, monthId: month.id };
+            });
+        });
+    }
+
+    getMissedReadings(date = new Date()) {
+        return this.catchUp.findMissed(this.getChronologicalSchedule(), this.state.completedReadings, date);
+    }
+
+    setupCatchUp() {
+        const toggle = document.getElementById('catch-up-toggle');
+        const panel = document.getElementById('catch-up-panel');
+        const endInput = document.getElementById('catch-up-end');
+        const previewButton = document.getElementById('catch-up-preview-button');
+        const clearButton = document.getElementById('catch-up-clear');
+        if (!toggle || !panel || !endInput || !previewButton) return;
+
+        const planEnd = this.getChronologicalSchedule(null).pop().date;
+        const today = new Date();
+        endInput.min = this.analytics.toDayKey(today);
+        endInput.value = planEnd > endInput.min ? planEnd : this.analytics.toDayKey(this.catchUp.addDays(today, 28));
+
+        toggle.addEventListener('click', () => {
+            panel.classList.toggle('hidden');
+            if (!panel.classList.contains('hidden')) this.renderCatchUpStatus();
+        });
+
+        panel.querySelectorAll('input[name="catch-up-mode"]').forEach(input => {
+            input.addEventListener('change', () => {
+                endInput.disabled = input.value === 'extend' && input.checked;
+                this.clearPendingCatchUp();
+            });
+        });
+
+        endInput.addEventListener('change', () => this.clearPendingCatchUp());
+        previewButton.addEventListener('click', () => this.previewCatchUp());
+        if (clearButton) clearButton.addEventListener('click', () => this.clearCatchUpSchedule());
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-open-catch-up]')) {
+                panel.classList.remove('hidden');
+                this.renderCatchUpStatus();
+                panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            } else if (e.target.closest('[data-catch-up-apply]')) {
+                this.applyCatchUp();
+            } else if (e.target.closest('[data-catch-up-cancel]')) {
+                this.clearPendingCatchUp();
+            }
+        });
+    }
+
+    renderCatchUpStatus() {
+        const status = document.getElementById('catch-up-status');
+        const clearButton = document.getElementById('catch-up-clear');
+        const schedule = this.state.catchUpSchedule;
+
+        if (clearButton) clearButton.classList.toggle('hidden', !schedule);
+        if (!status) return;
+
+        const missed = this.getMissedReadings();
+        const messages = [];
+        if (schedule) {
+            messages.push(this.i18n.t('catchUpActive', { date: this.formatScheduleDate(schedule.endDate) }));
+        }
+        messages.push(missed.length
+            ? this.i18n.t('catchUpMissed', { count: missed.length })
+            : this.i18n.t('catchUpOnTrack'));
+        status.textContent = messages.join(' ');
+    }
+
+    renderCatchUpNotice() {
+        const missed = this.getMissedReadings();
+        if (!missed.length) return '';
+
+        return `
+            <div class="study-questions flex flex-wrap items-center justify-between gap-3 mt-4">
+                <p class="font-medium">${this.i18n.t('catchUpMissed', { count: missed.length })}</p>
+                <button type="button" data-open-catch-up class="read-passage-button touch-target">
+                    <i data-lucide="calendar-clock" class="w-4 h-4"></i>
+                    <span>${this.i18n.t('catchUpReschedule')}</span>
+                </button>
+            </div>
+        `;
+    }
+
+    formatScheduleDate(dayKey) {
+        return this.formatEthiopianDate(new Date(`${dayKey}T00:00:00`));
+    }
+
+    previewCatchUp() {
+        const panel = document.getElementById('catch-up-panel');
+        const endInput = document.getElementById('catch-up-end');
+        const modeInput = panel.querySelector('input[name="catch-up-mode"]:checked');
+        const mode = modeInput ? modeInput.value : 'endDate';
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const entries = this.getChronologicalSchedule();
+        const pending = entries.filter(entry => !this.state.completedReadings[entry.id]);
+
+        if (!pending.length) {
+            this.ui.showErrorMessage(this.i18n.t('catchUpNothing'));
+            return;
+        }
+
+        let dates;
+        try {
+            if (mode === 'extend') {
+                dates = this.catchUp.extend(pending.map(entry => entry.id), today);
+            } else {
+                const [year, month, day] = endInput.value.split('-').map(Number);
+                const endDate = new Date(year, month - 1, day);
+                if (!year || !month || !day || endDate < today) throw new Error(this.i18n.t('catchUpInvalidEnd'));
+                dates = this.catchUp.spreadUntil(pending.map(entry => entry.id), today, endDate);
+            }
+        } catch (error) {
+            this.ui.showErrorMessage(error.message);
+            return;
+        }
+
+        const previous = Object.fromEntries(entries.map(entry => [entry.id, entry.date]));
+        this.pendingCatchUp = {
+            mode,
+            dates,
+            changes: pending
+                .filter(entry => dates[entry.id] !== previous[entry.id])
+                .map(entry => ({ id: entry.id, from: previous[entry.id], to: dates[entry.id] })),
+            endDate: Object.values(dates).sort().pop()
+        };
+        this.renderCatchUpPreview();
+    }
+
+    renderCatchUpPreview() {
+        const preview = document.getElementById('catch-up-preview');
+        if (!preview || !this.pendingCatchUp) return;
+
+        const { dates, changes, endDate } = this.pendingCatchUp;
+        const count = Object.keys(dates).length;
+        const startDate = Object.values(dates).sort()[0];
+        const days = Math.round((new Date(`${endDate}T00:00:00`) - new Date(`${startDate}T00:00:00`)) / 86400000) + 1;
+        const pace = (count / Math.max(days / 7, 1)).toFixed(1);
+
+        const shown = changes.slice(0, 8).map(change => `
+            <li>${escapeHtml(this.getReadingLabel(change.id))}: ${this.formatScheduleDate(change.from)} → ${this.formatScheduleDate(change.to)}</li>
+        `);
+        if (changes.length > shown.length) {
+            shown.push(`<li>${this.i18n.t('catchUpMore', { count: changes.length - shown.length })}</li>`);
+        }
+
+        preview.innerHTML = `
+            <p class="font-bold mb-2">${this.i18n.t('catchUpSummary', { count, start: this.formatScheduleDate(startDate), end: this.formatScheduleDate(endDate) })}</p>
+            <p class="mb-2">${this.i18n.t('catchUpPace', { pace })}</p>
+            ${shown.length ? `<ul>${shown.join('')}</ul>` : ''}
+            <div class="flex flex-wrap gap-3 mt-2">
+                <button data-catch-up-apply class="flex items-center gap-2 bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1.5 rounded-full transition-all badge touch-target">
+                    <i data-lucide="check" class="w-4 h-4"></i>
+                    <span>${this.i18n.t('catchUpApply')}</span>
+                </button>
+                <button data-catch-up-cancel class="flex items-center gap-2 bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1.5 rounded-full transition-all badge touch-target">
+                    <i data-lucide="x" class="w-4 h-4"></i>
+                    <span>${this.i18n.t('catchUpCancel')}</span>
+                </button>
+            </div>
+        `;
+        preview.classList.remove('hidden');
+        this.initializeLucideIcons();
+    }
+
+    clearPendingCatchUp() {
+        this.pendingCatchUp = null;
+        const preview = document.getElementById('catch-up-preview');
+        if (preview) {
+            preview.innerHTML = '';
+            preview.classList.add('hidden');
+        }
+    }
+
+    async applyCatchUp() {
+        if (!this.pendingCatchUp) return;
+        const { mode, dates, endDate } = this.pendingCatchUp;
+        this.clearPendingCatchUp();
+
+        await this.setState({
+            catchUpSchedule: { mode, dates, endDate, createdAt: new Date().toISOString() }
+        });
+        this.renderCatchUpStatus();
+        if (this.state.remindersEnabled) await this.updateReminders();
+        this.ui.showSuccessMessage(this.i18n.t('catchUpApplied'), this.getUndoAction());
+    }
+
+    async clearCatchUpSchedule() {
+        this.clearPendingCatchUp();
+        await this.setState({ catchUpSchedule: null });
+        this.renderCatchUpStatus();
+        if (this.state.remindersEnabled) await this.updateReminders();
+        this.ui.showSuccessMessage(this.i18n.t('catchUpCleared'), this.getUndoAction());
+    }
+
+    // ===================================
+    // EXPORT/IMPORT FUNCTIONALITY
+    // ===================================
+    /**
+     * @returns {Promise<ProgressFile>} the current progress as an export file
+     */
+    createProgressFile() {
+        const includeJournal = document.getElementById('export-include-journal');
+        return this.progressFile.create({
+            completedReadings: this.state.completedReadings,
+            completionLog: this.state.completionLog,
+            customPlans: this.state.customPlans,
+            selectedMonth: this.state.selectedMonth,
+            selectedPlan: this.state.selectedPlan,
+            expandedWeeks: this.state.expandedWeeks,
+            memberName: this.state.memberName,
+            journal: !includeJournal || includeJournal.checked ? this.journalStore.getAll() : undefined
+        });
+    }
+
+    async exportProgress() {
+        try {
+            const file = await this.createProgressFile();
+            
+            this.downloadFile(
+                JSON.stringify(file, null, 2),
+                `bible-progress-${new Date().toISOString().split('T')[0]}.json`,
+                'application/json'
+            );
+            
+            this.ui.showSuccessMessage(this.i18n.t('progressExported'));
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.ui.showErrorMessage(error instanceof ProgressFileError
+                ? this.describeProgressError(error)
+                : this.i18n.t('exportProgressFailed'));
+        }
+    }
+
+    /**
+     * Translated explanation of a ProgressFileError, chosen by its code.
+     */
+    describeProgressError(error) {
+        const { version, field } = error.params || {};
+        const keys = {
+            'invalid-json': 'progressErrorInvalidJson',
+            'invalid-schema': field ? 'progressErrorInvalidField' : 'progressErrorInvalidSchema',
+            'unsupported-version': version > this.progressFile.currentVersion ? 'progressErrorTooNew' : 'progressErrorTooOld',
+            'checksum-mismatch': 'progressErrorChecksum',
+            'crypto-unavailable': 'progressErrorCrypto'
+        };
+        return keys[error.code] ? this.i18n.t(keys[error.code], { version, field }) : error.message;
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Builds an .ics calendar of the selected plan readings and events.
+     * Reading plans are laid out from `startDate`: one 7-day event per
+     * chronological week and one event per NT90 day.
+     * @param {{startDate: Date, include: {chronological: boolean, nt90: boolean, holyDays: boolean, ministryEvents: boolean}}} options
+     * @returns {string}
+     */
+    buildCalendarExport({ startDate, include }) {
+        const ics = new ICalendarBuilder('Ethiopian Bible Planner');
+        const offsetDate = days => {
+            const date = new Date(startDate);
+            date.setDate(date.getDate() + days);
+            return date;
+        };
+
+        if (include.chronological) {
+            Object.values(this.chronologicalPlan)
+                .flatMap(plan => plan.weeklyBreakdown)
+                .forEach((week, index) => ics.addAllDayEvent({
+                    id: `chrono-week-${week.week}`,
+                    start: offsetDate(index * 7),
+                    days: 7,
+                    summary: `${this.i18n.t('weekLabel', { week: week.week })}: ${this.getWeekReadings(week)}`,
+                    description: [
+                        this.i18n.translateContent(`chrono.week.${week.week}.focus`, week.focus),
+                        `${this.i18n.t('keyThemes')}: ${this.i18n.translateContent(`chrono.week.${week.week}.keyThemes`, week.keyThemes)}`,
+                        `${this.i18n.t('memoryVerse')}: ${week.memoryVerse}`
+                    ].join('\n'),
+                    category: this.i18n.t('chronoTitle')
+                }));
+        }
+
+        if (include.nt90) {
+            this.ntIntensive
+                .flatMap(section => section.dailyBreakdown)
+                .forEach(day => ics.addAllDayEvent({
+                    id: `nt90-day-${day.day}`,
+                    start: offsetDate(day.day - 1),
+                    summary: `${this.i18n.t('planNt90Title')} • ${this.i18n.t('dayLabel', { day: day.day })}: ${this.getNTDayReading(day)}`,
+                    description: this.i18n.translateContent(`nt90.day.${day.day}.focus`, day.focus),
+                    category: this.i18n.t('planNt90Title')
+                }));
+        }
+
+        if (include.holyDays) {
+            this.holyDays.forEach(holyDay => ics.addAllDayEvent({
+                id: `holy-${holyDay.key}-${holyDay.year}`,
+                start: holyDay.gregorianDate,
+                summary: this.getEventText(holyDay, 'holyDay').name,
+                description: `${this.getEventText(holyDay, 'holyDay').description}\n${this.getMonthName(this.ethiopianMonths.find(m => m.id === holyDay.month))} ${holyDay.day}, ${this.i18n.t('yearEc', { year: holyDay.year })}`,
+                category: this.i18n.t('holyDays')
+            }));
+        }
+
+        if (include.ministryEvents) {
+            this.ministryEvents.forEach(event => ics.addAllDayEvent({
+                id: `ministry-${event.year}-${event.month}-${event.day}`,
+                start: event.gregorianDate,
+                summary: this.getEventText(event, 'event').name,
+                description: this.getEventText(event, 'event').description,
+                category: this.i18n.t('ministryEvents')
+            }));
+        }
+
+        return ics.toString();
+    }
+
+    exportCalendar(options) {
+        try {
+            const include = options.include;
+            if (!Object.values(include).some(Boolean)) {
+                this.ui.showErrorMessage(this.i18n.t('exportNothing'));
+                return;
+            }
+
+            this.downloadFile(
+                this.buildCalendarExport(options),
+                `bible-plan-${this.calendarYear}.ics`,
+                'text/calendar'
+            );
+
+            this.ui.showSuccessMessage(this.i18n.t('exportDone'));
+        } catch (error) {
+            console.error('Calendar export failed:', error);
+            this.ui.showErrorMessage(this.i18n.t('exportFailed'));
+        }
+    }
+
+    setupCalendarExport() {
+        const toggle = document.getElementById('calendar-export-toggle');
+        const panel = document.getElementById('calendar-export');
+        const startInput = document.getElementById('calendar-export-start');
+        const downloadButton = document.getElementById('calendar-export-download');
+        if (!toggle || !panel || !startInput || !downloadButton) return;
+
+        const meskerem = this.ethiopianMonths[0].start;
+        startInput.value = `${meskerem.getFullYear()}-${String(meskerem.getMonth() + 1).padStart(2, '0')}-${String(meskerem.getDate()).padStart(2, '0')}`;
+
+        toggle.addEventListener('click', () => {
+            panel.classList.toggle('hidden');
+        });
+
+        downloadButton.addEventListener('click', () => {
+            const [year, month, day] = startInput.value.split('-').map(Number);
+            if (!year || !month || !day) {
+                this.ui.showErrorMessage(this.i18n.t('exportNeedsStart'));
+                return;
+            }
+
+            const include = {};
+            panel.querySelectorAll('input[data-export-set]').forEach(input => {
+                include[input.dataset.exportSet] = input.checked;
+            });
+
+            this.exportCalendar({ startDate: new Date(year, month - 1, day), include });
+        });
+    }
+
+    setupProgressBackup() {
+        const toggle = document.getElementById('progress-backup-toggle');
+        const panel = document.getElementById('progress-backup');
+        const exportButton = document.getElementById('progress-export');
+        const fileInput = document.getElementById('progress-import-file');
+        const nameInput = document.getElementById('member-name');
+        if (!toggle || !panel || !exportButton || !fileInput) return;
+
+        if (nameInput) {
+            nameInput.value = this.state.memberName;
+            nameInput.addEventListener('change', () => {
+                this.setState({ memberName: nameInput.value.trim() });
+            });
+        }
+
+        toggle.addEventListener('click', () => {
+            panel.classList.toggle('hidden');
+        });
+
+        exportButton.addEventListener('click', () => this.exportProgress());
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            const mode = panel.querySelector('input[name="import-mode"]:checked');
+            if (file) this.importProgress(file, mode ? mode.value : 'merge');
+            fileInput.value = '';
+        });
+
+        panel.addEventListener('click', (e) => {
+            if (e.target.closest('[data-import-apply]')) {
+                this.applyPendingImport();
+            } else if (e.target.closest('[data-import-cancel]')) {
+                this.clearPendingImport();
+            }
+        });
+    }
+
+    /**
+     * Reads an export file and previews what importing it would change.
+     * Nothing is saved until the preview is applied.
+     * @param {File} file
+     * @param {'merge'|'replace'} mode - merge keeps this device's progress too
+     */
+    async importProgress(file, mode = 'merge') {
+        try {
+            await this.previewImport(await file.text(), mode);
+        } catch (error) {
+            this.ui.showErrorMessage(this.i18n.t('importFailedFile'));
+        }
+    }
+
+    /**
+     * @param {string} text - contents of a progress export
+     * @param {'merge'|'replace'} mode
+     */
+    async previewImport(text, mode = 'merge') {
+        try {
+            let data;
+            try {
+                data = await this.progressFile.parse(text);
+            } catch (error) {
+                if (error.code !== 'checksum-mismatch') throw error;
+                if (!confirm(this.i18n.t('importCorrupted'))) return;
+                data = await this.progressFile.parse(text, { verifyChecksum: false });
+            }
+
+            const current = { ...this.state, journal: this.journalStore.getAll() };
+            const changes = mode === 'merge'
+                ? this.mergeProgress(current, data)
+                : {
+                    completedReadings: data.completedReadings,
+                    completionLog: data.completionLog || {},
+                    customPlans: data.customPlans,
+                    selectedMonth: data.selectedMonth || 'meskerem',
+                    selectedPlan: data.selectedPlan || 'chronological',
+                    expandedWeeks: data.expandedWeeks || {},
+                    // Files saved without a journal leave this device's journal alone
+                    journal: data.journal || current.journal
+                };
+
+            this.pendingImport = { mode, changes, diff: this.diffProgress(current, changes) };
+            this.renderImportPreview();
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.ui.showErrorMessage(error instanceof ProgressFileError
+                ? this.i18n.t('importFailedReason', { reason: this.describeProgressError(error) })
+                : this.i18n.t('importFailedFile'));
+        }
+    }
+
+    /**
+     * Unions completed readings from both sides. When both completed the
+     * same reading, the earlier completion time wins; when both journaled
+     * on it, the more recently edited entry wins.
+     * @returns {Object} state changes for setState(), plus `journal`
+     */
+    mergeProgress(current, incoming) {
+        const completedReadings = { ...current.completedReadings };
+        const completionLog = { ...current.completionLog };
+        const isEarlier = (time, than) => !than || new Date(time) < new Date(than);
+
+        Object.keys(incoming.completedReadings)
+            .filter(readingId => incoming.completedReadings[readingId])
+            .forEach(readingId => {
+                const time = (incoming.completionLog || {})[readingId];
+                const wasCompleted = completedReadings[readingId];
+                completedReadings[readingId] = true;
+
+                if (time && !isNaN(Date.parse(time)) && (!wasCompleted || isEarlier(time, completionLog[readingId]))) {
+                    completionLog[readingId] = time;
+                }
+            });
+
+        const planIds = new Set(current.customPlans.map(plan => plan.id));
+        const customPlans = [
+            ...current.customPlans,
+            ...incoming.customPlans.filter(plan => !planIds.has(plan.id))
+        ];
+
+        const journal = { ...current.journal };
+        Object.entries(incoming.journal || {}).forEach(([readingId, entry]) => {
+            const existing = journal[readingId];
+            if (!existing || String(entry.updatedAt) > String(existing.updatedAt)) {
+                journal[readingId] = entry;
+            }
+        });
+
+        return {
+            completedReadings,
+            completionLog,
+            customPlans,
+            expandedWeeks: { ...incoming.expandedWeeks, ...current.expandedWeeks },
+            journal
+        };
+    }
+
+    diffProgress(current, next) {
+        const readingIds = new Set([
+            ...Object.keys(current.completedReadings),
+            ...Object.keys(next.completedReadings)
+        ]);
+        const diff = {
+            completed: [], uncompleted: [], redated: [],
+            plansAdded: [], plansRemoved: [],
+            journalAdded: [], journalUpdated: [], journalRemoved: []
+        };
+
+        readingIds.forEach(readingId => {
+            const before = Boolean(current.completedReadings[readingId]);
+            const after = Boolean(next.completedReadings[readingId]);
+            if (after && !before) {
+                diff.completed.push(readingId);
+            } else if (before && !after) {
+                diff.uncompleted.push(readingId);
+            } else if (after && current.completionLog[readingId] !== next.completionLog[readingId]) {
+                diff.redated.push(readingId);
+            }
+        });
+
+        const currentPlanIds = new Set(current.customPlans.map(plan => plan.id));
+        const nextPlanIds = new Set(next.customPlans.map(plan => plan.id));
+        diff.plansAdded = next.customPlans.filter(plan => !currentPlanIds.has(plan.id));
+        diff.plansRemoved = current.customPlans.filter(plan => !nextPlanIds.has(plan.id));
+
+        Object.entries(next.journal).forEach(([readingId, entry]) => {
+            const existing = current.journal[readingId];
+            if (!existing) {
+                diff.journalAdded.push(readingId);
+            } else if (existing.updatedAt !== entry.updatedAt) {
+                diff.journalUpdated.push(readingId);
+            }
+        });
+        diff.journalRemoved = Object.keys(current.journal).filter(readingId => !next.journal[readingId]);
+
+        return diff;
+    }
+
+    /**
+     * Human-readable name for a completedReadings key.
+     */
+    getReadingLabel(readingId, customPlans = this.state.customPlans) {
+        const [plan, ...parts] = readingId.split('-');
+
+        if (plan === 'chrono') {
+            const month = this.ethiopianMonths.find(m => m.id === parts[0]);
+            const monthPlan = this.chronologicalPlan[parts[0]];
+            const week = monthPlan && monthPlan.weeklyBreakdown.find(w => w.week === Number(parts[1]));
+            if (month && week) {
+                return this.i18n.t('readingLabelChrono', { month: this.getMonthName(month), week: week.week, reading: this.getWeekReadings(week) });
+            }
+        } else if (plan === 'nt90') {
+            const section = this.ntIntensive[Number(parts[0])];
+            const day = section && parts[1] === 'day'
+                ? section.dailyBreakdown.find(d => d.day === Number(parts[2]))
+                : null;
+            if (day) return this.i18n.t('readingLabelNt90Day', { day: day.day, reading: this.getNTDayReading(day) });
+            if (section && parts.length === 1) {
+                return this.i18n.t('readingLabelNt90Days', {
+                    days: section.days,
+                    reading: this.i18n.translateContent(`nt90.${parts[0]}.reading`, this.i18n.reference(section.reading))
+                });
+            }
+        } else if (plan === 'disc') {
+            const week = this.discipleshipWeeks.find(w => w.week === Number(parts[0]));
+            if (week) {
+                return this.i18n.t('readingLabelDiscipleship', { week: week.week, topic: this.i18n.translateContent(`disc.${week.week}.topic`, week.topic) });
+            }
+        } else if (plan === 'custom') {
+            const customPlan = customPlans.find(p => p.id === parts[0]);
+            const reading = customPlan && customPlan.readings.find(r => r.index === Number(parts[1]));
+            if (reading) return `${customPlan.name}: ${this.i18n.reference(reading.reading)}`;
+        }
+
+        return readingId;
+    }
+
+    renderImportPreview() {
+        const preview = document.getElementById('import-preview');
+        if (!preview || !this.pendingImport) return;
+
+        const { mode, changes, diff } = this.pendingImport;
+        const customPlans = [...this.state.customPlans, ...changes.customPlans];
+        const renderList = (readingIds) => {
+            const shown = readingIds.slice(0, 8).map(id => `<li>${escapeHtml(this.getReadingLabel(id, customPlans))}</li>`);
+            if (readingIds.length > shown.length) shown.push(`<li>${this.i18n.t('importMore', { count: readingIds.length - shown.length })}</li>`);
+            return `<ul>${shown.join('')}</ul>`;
+        };
+        const renderPlans = plans => `<ul>${plans.map(plan => `<li>${escapeHtml(plan.name)}</li>`).join('')}</ul>`;
+
+        const heading = (key, items) => `<p class="font-medium">${this.i18n.t(key, { count: items.length })}</p>`;
+
+        const sections = [];
+        if (diff.completed.length) sections.push(`${heading('importWillComplete', diff.completed)}${renderList(diff.completed)}`);
+        if (diff.uncompleted.length) sections.push(`${heading('importWillUncomplete', diff.uncompleted)}${renderList(diff.uncompleted)}`);
+        if (diff.redated.length) sections.push(`${heading('importWillRedate', diff.redated)}${renderList(diff.redated)}`);
+        if (diff.plansAdded.length) sections.push(`${heading('importPlansAdded', diff.plansAdded)}${renderPlans(diff.plansAdded)}`);
+        if (diff.plansRemoved.length) sections.push(`${heading('importPlansRemoved', diff.plansRemoved)}${renderPlans(diff.plansRemoved)}`);
+        if (diff.journalAdded.length) sections.push(`${heading('importJournalAdded', diff.journalAdded)}${renderList(diff.journalAdded)}`);
+        if (diff.journalUpdated.length) sections.push(`${heading('importJournalUpdated', diff.journalUpdated)}${renderList(diff.journalUpdated)}`);
+        if (diff.journalRemoved.length) sections.push(`${heading('importJournalRemoved', diff.journalRemoved)}${renderList(diff.journalRemoved)}`);
+
+        const hasChanges = sections.length > 0 || mode === 'replace';
+        preview.innerHTML = `
+            <p class="font-bold mb-2">${this.i18n.t(mode === 'merge' ? 'importPreviewMerge' : 'importPreviewReplace')}</p>
+            ${sections.length ? sections.join('') : `<p class="mb-2">${this.i18n.t('importNoChanges')}</p>`}
+            <div class="flex flex-wrap gap-3 mt-2">
+                ${hasChanges ? `
+                    <button data-import-apply class="flex items-center gap-2 bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1.5 rounded-full transition-all badge touch-target">
+                        <i data-lucide="check" class="w-4 h-4"></i>
+                        <span>${this.i18n.t(mode === 'merge' ? 'importApplyMerge' : 'importApplyReplace')}</span>
+                    </button>
+                ` : ''}
+                <button data-import-cancel class="flex items-center gap-2 bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1.5 rounded-full transition-all badge touch-target">
+                    <i data-lucide="x" class="w-4 h-4"></i>
+                    <span>${this.i18n.t(hasChanges ? 'importCancel' : 'importClose')}</span>
+                </button>
+            </div>
+        `;
+        preview.classList.remove('hidden');
+        this.initializeLucideIcons();
+    }
+
+    async applyPendingImport() {
+        if (!this.pendingImport) return;
+        const { journal, ...changes } = this.pendingImport.changes;
+        this.clearPendingImport();
+
+        try {
+            await this.takeSnapshot('before-import');
+            this.recordHistory(changes, journal);
+            await this.journalStore.replaceAll(journal);
+            await this.setState(changes, { recordHistory: false });
+            this.ui.showSuccessMessage(this.i18n.t('progressImported'));
+        } catch (error) {
+            this.ui.showErrorMessage(this.i18n.t('importFailed'));
+        }
+    }
+
+    clearPendingImport() {
+        this.pendingImport = null;
+        const preview = document.getElementById('import-preview');
+        if (preview) {
+            preview.innerHTML = '';
+            preview.classList.add('hidden');
+        }
+    }
+
+    // ===================================
+    // QR TRANSFER
+    // ===================================
+    setupQrTransfer() {
+        const showButton = document.getElementById('progress-qr-show');
+        const scanButton = document.getElementById('progress-qr-scan');
+        const restoreButton = document.getElementById('progress-qr-restore');
+        const display = document.getElementById('progress-qr');
+        const textInput = document.getElementById('progress-qr-text');
+        if (!showButton || !scanButton || !restoreButton || !display || !textInput) return;
+
+        showButton.addEventListener('click', () => this.showTransferCodes());
+
+        scanButton.addEventListener('click', () => {
+            if (this.qrScan) {
+                this.stopQrScan();
+            } else {
+                this.startQrScan();
+            }
+        });
+
+        restoreButton.addEventListener('click', () => {
+            this.addTransferChunks(textInput.value);
+        });
+
+        display.addEventListener('click', (e) => {
+            const step = e.target.closest('[data-qr-step]');
+            if (step) {
+                this.qrCodeIndex = (this.qrCodeIndex + Number(step.dataset.qrStep) + this.qrCodes.length) % this.qrCodes.length;
+                this.renderTransferCode();
+            } else if (e.target.closest('[data-qr-copy]')) {
+                this.copyTransferText();
+            }
+        });
+    }
+
+    getImportMode() {
+        const mode = document.querySelector('#progress-backup input[name="import-mode"]:checked');
+        return mode ? mode.value : 'merge';
+    }
+
+    async showTransferCodes() {
+        try {
+            const file = await this.createProgressFile();
+            this.qrCodes = await this.transferCodec.encode(JSON.stringify(file));
+            this.qrCodeIndex = 0;
+            this.renderTransferCode();
+        } catch (error) {
+            console.error('QR code generation failed:', error);
+            this.ui.showErrorMessage(this.i18n.t('qrCreateFailed'));
+        }
+    }
+
+    renderTransferCode() {
+        const display = document.getElementById('progress-qr');
+        if (!display || !this.qrCodes.length) return;
+
+        const total = this.qrCodes.length;
+        const svg = this.qrEncoder.toSvg(this.qrEncoder.encode(this.qrCodes[this.qrCodeIndex]));
+        display.innerHTML = `
+            <div class="qr-code-card">
+                ${svg}
+                <p class="font-medium">${this.i18n.t('qrCodeCount', { index: this.qrCodeIndex + 1, total })}</p>
+                <div class="flex flex-wrap items-center justify-center gap-3">
+                    ${total > 1 ? `
+                        <button data-qr-step="-1" class="flex items-center gap-2 bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1.5 rounded-full transition-all badge touch-target" aria-label="${this.i18n.t('qrPrevious')}">
+                            <i data-lucide="chevron-left" class="w-4 h-4"></i>
+                        </button>
+                        <button data-qr-step="1" class="flex items-center gap-2 bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1.5 rounded-full transition-all badge touch-target" aria-label="${this.i18n.t('qrNext')}">
+                            <i data-lucide="chevron-right" class="w-4 h-4"></i>
+                        </button>
+                    ` : ''}
+                    <button data-qr-copy class="flex items-center gap-2 bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1.5 rounded-full transition-all badge touch-target">
+                        <i data-lucide="copy" class="w-4 h-4"></i>
+                        <span>${this.i18n.t('qrCopy')}</span>
+                    </button>
+                </div>
+                <p class="text-sm opacity-90">${escapeHtml(this.i18n.t('qrInstructions', { backup: this.i18n.t('backupRestore'), scan: this.i18n.t('qrScan') }))}</p>
+            </div>
+        `;
+        display.classList.remove('hidden');
+        this.initializeLucideIcons();
+    }
+
+    async copyTransferText() {
+        try {
+            await navigator.clipboard.writeText(this.qrCodes.join('\n'));
+            this.ui.showSuccessMessage(this.i18n.t('qrCopied'));
+        } catch (error) {
+            this.ui.showErrorMessage(this.i18n.t('qrCopyFailed'));
+        }
+    }
+
+    /**
+     * Collects transfer chunks from scanned or pasted text and restores the
+     * progress once every code of a set has been read.
+     * @param {string} text - one or more chunks separated by whitespace
+     */
+    async addTransferChunks(text) {
+        const status = document.getElementById('progress-qr-status');
+        const chunks = String(text).split(/\s+/).map(token => this.transferCodec.parseChunk(token)).filter(Boolean);
+        if (!chunks.length) {
+            if (!this.qrScan) this.ui.showErrorMessage(this.i18n.t('qrNoCodes'));
+            return;
+        }
+
+        chunks.forEach(chunk => {
+            const [first] = this.scannedChunks.values();
+            // A code from a different transfer starts over
+            if (first && first.setId !== chunk.setId) this.scannedChunks.clear();
+            this.scannedChunks.set(chunk.index, chunk);
+        });
+
+        const total = chunks[chunks.length - 1].total;
+        if (status) status.textContent = this.i18n.t('qrProgress', { count: this.scannedChunks.size, total });
+        if (this.scannedChunks.size < total) return;
+
+        const complete = [...this.scannedChunks.values()];
+        this.scannedChunks.clear();
+        this.stopQrScan();
+
+        try {
+            const json = await this.transferCodec.decode(complete);
+            if (status) status.textContent = '';
+            await this.previewImport(json, this.getImportMode());
+        } catch (error) {
+            console.error('QR transfer failed:', error);
+            this.ui.showErrorMessage(this.i18n.t('qrReadFailed'));
+        }
+    }
+
+    async startQrScan() {
+        const video = document.getElementById('progress-qr-video');
+        if (!video) return;
+        if (typeof BarcodeDetector === 'undefined' || !navigator.mediaDevices) {
+            this.ui.showErrorMessage(this.i18n.t('qrUnsupported'));
+            return;
+        }
+
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            const detector = new BarcodeDetector({ formats: ['qr_code'] });
+            this.qrScan = { stream, timer: null };
+
+            video.srcObject = stream;
+            video.classList.remove('hidden');
+            await video.play();
+
+            const scanFrame = async () => {
+                if (!this.qrScan) return;
+                try {
+                    const codes = await detector.detect(video);
+                    for (const code of codes) await this.addTransferChunks(code.rawValue);
+                } catch (error) {
+                    console.warn('QR detection failed:', error);
+                }
+                if (this.qrScan) this.qrScan.timer = setTimeout(scanFrame, 300);
+            };
+            scanFrame();
+        } catch (error) {
+            console.error('Camera unavailable:', error);
+            this.stopQrScan();
+            this.ui.showErrorMessage(this.i18n.t('qrCameraFailed'));
+        }
+    }
+
+    stopQrScan() {
+        if (!this.qrScan) return;
+        clearTimeout(this.qrScan.timer);
+        this.qrScan.stream.getTracks().forEach(track => track.stop());
+        this.qrScan = null;
+
+        const video = document.getElementById('progress-qr-video');
+        if (video) {
+            video.srcObject = null;
+            video.classList.add('hidden');
+        }
+    }
+
+    // ===================================
+    // RESTORE POINTS
+    // ===================================
+    getSnapshotData() {
+        return { state: this.state, journal: this.journalStore.getAll() };
+    }
+
+    /**
+     * Saves a restore point. Failures are logged rather than thrown so they
+     * never block the change that prompted the snapshot.
+     * @returns {Promise<Object|null>}
+     */
+    async takeSnapshot(reason) {
+        try {
+            const snapshot = await this.snapshots.take(this.getSnapshotData(), reason);
+            this.renderRestorePoints();
+            return snapshot;
+        } catch (error) {
+            console.warn('Could not save restore point:', error);
+            return null;
+        }
+    }
+
+    setupRestorePoints() {
+        const toggle = document.getElementById('progress-backup-toggle');
+        const createButton = document.getElementById('restore-point-create');
+        const list = document.getElementById('restore-point-list');
+        if (!list) return;
+
+        if (toggle) {
+            toggle.addEventListener('click', () => this.renderRestorePoints());
+        }
+
+        if (createButton) {
+            createButton.addEventListener('click', async () => {
+                if (await this.takeSnapshot('manual')) {
+                    this.ui.showSuccessMessage(this.i18n.t('restorePointSaved'));
+                } else {
+                    this.ui.showErrorMessage(this.i18n.t('restorePointFailed'));
+                }
+            });
+        }
+
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-restore-point]');
+            if (button) this.restoreSnapshot(button.dataset.restorePoint);
+        });
+
+        this.renderRestorePoints();
+    }
+
+    renderRestorePoints() {
+        const list = document.getElementById('restore-point-list');
+        if (!list) return;
+
+        const snapshots = this.snapshots.list();
+        if (!snapshots.length) {
+            list.innerHTML = `<li class="text-sm opacity-90">${this.i18n.t('restorePointsEmpty')}</li>`;
+            return;
+        }
+
+        list.innerHTML = snapshots.map(snapshot => {
+            const completed = this.getOverallProgress(snapshot.state.completedReadings || {}).readingsCompleted;
+            return `
+                <li class="restore-point">
+                    <div>
+                        <p class="text-sm font-medium">${escapeHtml(this.formatSnapshotTime(snapshot))}</p>
+                        <p class="text-xs opacity-90">${this.i18n.t(this.getSnapshotReasonKey(snapshot.reason))} · ${this.i18n.t('restorePointSummary', { count: completed })}</p>
+                    </div>
+                    <button data-restore-point="${escapeHtml(snapshot.id)}" class="flex items-center gap-2 bg-white bg-opacity-20 hover:bg-opacity-30 px-3 py-1.5 rounded-full transition-all badge touch-target">
+                        <i data-lucide="rotate-ccw" class="w-4 h-4"></i>
+                        <span>${this.i18n.t('restorePointRestore')}</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+        this.initializeLucideIcons();
+    }
+
+    getSnapshotReasonKey(reason) {
+        const keys = {
+            startup: 'restorePointStartup',
+            auto: 'restorePointAuto',
+            manual: 'restorePointManual',
+            'before-import': 'restorePointBeforeImport',
+            'before-restore': 'restorePointBeforeRestore'
+        };
+        return keys[reason] || 'restorePointAuto';
+    }
+
+    formatSnapshotTime(snapshot) {
+        const date = new Date(snapshot.createdAt);
+        const time = date.toLocaleTimeString(this.i18n.getHtmlLang(), { hour: '2-digit', minute: '2-digit' });
+        return `${this.formatEthiopianDate(date)} ${time}`;
+    }
+
+    /**
+     * Brings back a snapshot's progress, plans and journal. Display
+     * preferences stay as they are, and the current data is saved as a
+     * restore point first so the restore can itself be undone.
+     */
+    async restoreSnapshot(id) {
+        const snapshot = this.snapshots.get(id);
+        if (!snapshot || !confirm(this.i18n.t('restorePointConfirm', { date: this.formatSnapshotTime(snapshot) }))) return;
+
+        try {
+            await this.takeSnapshot('before-restore');
+
+            const changes = {};
+            Object.values(this.storage.statePartitions).flat().forEach(field => {
+                if (field in snapshot.state) changes[field] = snapshot.state[field];
+            });
+
+            this.recordHistory(changes, snapshot.journal || {});
+            await this.journalStore.replaceAll(snapshot.journal || {});
+            await this.setState(changes, { recordHistory: false });
+            this.renderRestorePoints();
+            this.ui.showSuccessMessage(this.i18n.t('restorePointRestored'));
+        } catch (error) {
+            console.error('Restore failed:', error);
+            this.ui.showErrorMessage(this.i18n.t('restorePointFailed'));
+        }
+    }
+
+    /**
+     * For the error screen: the newest snapshot taken right after a
+     * successful startup. Later automatic or pre-import snapshots may already
+     * hold the state that now fails to load, so they are only used when no
+     * startup snapshot exists.
+     * @returns {Promise<Object|null>}
+     */
+    async getLastGoodSnapshot() {
+        if (!this.snapshots) return null;
+        if (!this.snapshots.latest()) await this.snapshots.load();
+        return this.snapshots.latest('startup') || this.snapshots.latest();
+    }
+
+    /**
+     * Writes a snapshot straight to storage, replacing everything saved.
+     * Used when the planner failed to start; reload the page afterwards.
+     */
+    async writeSnapshot(snapshot) {
+        if (!(await this.storage.saveState(snapshot.state))) {
+            throw new Error('Failed to save restored progress');
+        }
+        await this.journalStore.replaceAll(snapshot.journal || {});
+    }
+
+    // ===================================
+    // EVENT LISTENERS
+    // ===================================
+    setupEventListeners() {
+        document.querySelectorAll('.tab-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setState({ activeTab: button.dataset.tab });
+            });
+        });
+
+        document.addEventListener('click', (e) => {
+            const monthCard = e.target.closest('.month-card, .month-button');
+            if (monthCard) {
+                this.setState({ selectedMonth: monthCard.dataset.month });
             }
-        ];
+        });
+
+        document.addEventListener('click', (e) => {
+            const yearButton = e.target.closest('.year-nav');
+            if (yearButton) {
+                this.changeCalendarYear(Number(yearButton.dataset.yearStep));
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const planButton = e.target.closest('.plan-button');
+            if (planButton) {
+                this.setState({ selectedPlan: planButton.dataset.plan });
+            }
+        });
+
+        const statsToggle = document.getElementById('stats-toggle');
+        if (statsToggle) {
+            statsToggle.addEventListener('click', () => {
+                this.setState({ showStats: !this.state.showStats });
+            });
+        }
+
+        // Week cards hold their completion button, so their header is a
+        // role="button" div (buttons can't nest) that needs keyboard support
+        document.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.matches('div.week-toggle')) {
+                e.preventDefault();
+                e.target.click();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const weekToggle = e.target.closest('.week-toggle');
+            if (weekToggle && !e.target.closest('.complete-toggle')) {
+                e.stopPropagation();
+                const weekId = weekToggle.dataset.week;
+                const newExpandedWeeks = { ...this.state.expandedWeeks };
+                newExpandedWeeks[weekId] = !newExpandedWeeks[weekId];
+                if (newExpandedWeeks[weekId]) this.routeFocus = weekId;
+                this.setState({ expandedWeeks: newExpandedWeeks });
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const completeToggle = e.target.closest('.complete-toggle');
+            if (completeToggle) {
+                e.stopPropagation();
+                const readingId = completeToggle.dataset.reading;
+                this.toggleReading(readingId);
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const row = e.target.closest('tr.interactive');
+            if (row && !e.target.closest('.complete-toggle')) {
+                const weekId = row.dataset.week;
+                const details = document.querySelectorAll(`tr[data-parent="${weekId}"]`);
+                details.forEach(detail => detail.classList.toggle('hidden'));
+                
+                const newExpandedWeeks = { ...this.state.expandedWeeks };
+                newExpandedWeeks[weekId] = !newExpandedWeeks[weekId];
+                if (newExpandedWeeks[weekId]) this.routeFocus = weekId;
+                this.setState({ expandedWeeks: newExpandedWeeks });
+            }
+        });
+
+        let resizeTimer;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimer);
+            resizeTimer = setTimeout(() => {
+                this.initializeLucideIcons();
+            }, 250);
+        });
+    }
+
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if (e.target.matches('input, textarea')) return;
+
+            if (e.ctrlKey || e.metaKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undo();
+                } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                    e.preventDefault();
+                    this.redo();
+                }
+                return;
+            }
+            
+            switch(e.key) {
+                case '1':
+                    this.setState({ activeTab: 'calendar' });
+                    break;
+                case '2':
+                    this.setState({ activeTab: 'reading' });
+                    break;
+                case '3':
+                    this.setState({ activeTab: 'discipleship' });
+                    break;
+                case 'Escape':
+                    const hamburger = document.querySelector('.hamburger');
+                    const navMenu = document.querySelector('.nav-menu');
+                    if (hamburger && navMenu && navMenu.classList.contains('active')) {
+                        hamburger.classList.remove('active');
+                        navMenu.classList.remove('active');
+                    }
+                    break;
+            }
+        });
+    }
+
+    setupTouchGestures() {
+        const plannerApp = document.getElementById('bible-planner-app');
+        if (!plannerApp) return;
+        
+        plannerApp.addEventListener('touchstart', (e) => {
+            this.touchStartX = e.changedTouches[0].screenX;
+        }, { passive: true });
+        
+        plannerApp.addEventListener('touchend', (e) => {
+            this.touchEndX = e.changedTouches[0].screenX;
+            this.handleSwipe();
+        }, { passive: true });
+    }
+
+    handleSwipe() {
+        const swipeThreshold = 50;
+        const diff = this.touchStartX - this.touchEndX;
+        
+        if (Math.abs(diff) < swipeThreshold) return;
+        
+        const tabs = ['calendar', 'reading', 'discipleship'];
+        const currentIndex = tabs.indexOf(this.state.activeTab);
+        
+        if (diff > 0 && currentIndex < tabs.length - 1) {
+            this.setState({ activeTab: tabs[currentIndex + 1] });
+        } else if (diff < 0 && currentIndex > 0) {
+            this.setState({ activeTab: tabs[currentIndex - 1] });
+        }
+    }
+
+    // ===================================
+    // ROUTING
+    // ===================================
+    /**
+     * Keeps the URL hash in step with the open tab, month, plan and the
+     * week or day opened last, so a view can be shared as a link and the
+     * browser's back/forward buttons move between views. A hash in the
+     * opening URL wins over the saved view.
+     */
+    setupRouting() {
+        const route = this.router.parse(window.location.hash);
+        this.routeSync = true;
+
+        if (route) {
+            this.applyRoute(route);
+        } else {
+            this.updateRoute(true);
+        }
+
+        window.addEventListener('hashchange', () => {
+            const next = this.router.parse(window.location.hash);
+            if (next) this.applyRoute(next);
+        });
+    }
+
+    /**
+     * Records the current view in the URL. Views reached from the URL
+     * replace the history entry instead of adding one, so back/forward
+     * don't get stuck.
+     */
+    updateRoute(replace = this.replaceRoute) {
+        if (!this.routeSync) return;
+
+        const hash = this.router.format(this.getCurrentRoute());
+        if (hash === window.location.hash) return;
+        window.history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+    }
+
+    getCurrentRoute() {
+        const { activeTab: tab, selectedPlan: plan, selectedMonth: month, expandedWeeks } = this.state;
+        const focus = this.routeFocus && expandedWeeks[this.getRouteExpandKey(this.routeFocus)] ? this.routeFocus : '';
+        const route = { tab };
+
+        if (tab === 'calendar') {
+            route.month = month;
+        } else if (tab === 'discipleship') {
+            const week = focus.match(/^disc-(\d+)$/);
+            if (week) route.week = Number(week[1]);
+        } else if (tab === 'reading') {
+            route.plan = plan;
+            const chrono = focus.match(/^chrono-(.+)-(\d+)$/);
+            const nt90 = focus.match(/^nt90-(\d+)(?:-day-(\d+))?$/);
+
+            if (plan === 'chronological' && chrono) {
+                route.month = chrono[1];
+                route.week = Number(chrono[2]);
+            } else if (plan === 'nt90' && nt90) {
+                // An opened section links to its first day
+                route.day = nt90[2] ? Number(nt90[2]) : this.ntIntensive[Number(nt90[1])].dailyBreakdown[0].day;
+            } else if (plan === 'custom' && focus.startsWith('custom-')) {
+                route.planId = focus.slice('custom-'.length);
+            }
+        }
+        return route;
+    }
+
+    /**
+     * NT90 days open with their section; everything else is its own key.
+     */
+    getRouteExpandKey(readingId) {
+        return readingId.replace(/-day-\d+$/, '');
+    }
+
+    /**
+     * The tab and plan a reading is shown in, e.g. 'reading/nt90'.
+     */
+    getRouteView(readingId) {
+        const views = { chrono: 'reading/chronological', nt90: 'reading/nt90', custom: 'reading/custom', disc: 'discipleship' };
+        return views[readingId.split('-')[0]];
+    }
+
+    /**
+     * @returns {string|null} the readingId a route points at, if it exists
+     */
+    resolveRouteFocus(route) {
+        if (route.tab === 'discipleship' && route.week) {
+            return this.discipleshipWeeks.some(week => week.week === route.week) ? `disc-${route.week}` : null;
+        }
+        if (route.tab !== 'reading') return null;
+
+        if (route.plan === 'chronological' && route.week) {
+            const plan = this.chronologicalPlan[route.month];
+            return plan && plan.weeklyBreakdown.some(week => week.week === route.week) ? `chrono-${route.month}-${route.week}` : null;
+        }
+        if (route.plan === 'nt90' && route.day) {
+            const idx = this.ntIntensive.findIndex(section => (section.dailyBreakdown || []).some(day => day.day === route.day));
+            if (idx >= 0) return `nt90-${idx}-day-${route.day}`;
+
+            // Some sections only list part of their days; open the section instead
+            const sectionIdx = this.ntIntensive.findIndex(section => {
+                const [first, last = first] = section.days.split('-').map(Number);
+                return route.day >= first && route.day <= last;
+            });
+            return sectionIdx >= 0 ? `nt90-${sectionIdx}` : null;
+        }
+        if (route.plan === 'custom' && route.planId) {
+            return this.state.customPlans.some(plan => plan.id === route.planId) ? `custom-${route.planId}` : null;
+        }
+        return null;
+    }
+
+    async applyRoute(route) {
+        const changes = { activeTab: route.tab };
+        if (route.plan) changes.selectedPlan = route.plan;
+        if (this.ethiopianMonths.some(month => month.id === route.month)) changes.selectedMonth = route.month;
+
+        // Going back to the same view without a week closes the one the
+        // previous route opened; other tabs leave it open for later
+        const focus = this.resolveRouteFocus(route);
+        const view = route.tab === 'reading' ? `reading/${route.plan}` : route.tab;
+        const expandedWeeks = { ...this.state.expandedWeeks };
+        if (this.routeFocus && this.routeFocus !== focus && this.getRouteView(this.routeFocus) === view) {
+            expandedWeeks[this.getRouteExpandKey(this.routeFocus)] = false;
+            this.routeFocus = null;
+        }
+        if (focus) {
+            expandedWeeks[this.getRouteExpandKey(focus)] = true;
+            this.routeFocus = focus;
+        }
+        changes.expandedWeeks = expandedWeeks;
+
+        this.replaceRoute = true;
+        try {
+            await this.setState(changes);
+        } finally {
+            this.replaceRoute = false;
+        }
+
+        if (focus) this.scrollToReading(focus);
+    }
+
+    /**
+     * Plans render on idle, so the linked week or day may appear a moment
+     * after the route is applied.
+     */
+    scrollToReading(readingId, attempts = 10) {
+        const target = document.querySelector(`[data-week="${readingId}"]`) || document.querySelector(`[data-reading="${readingId}"]`);
+        if (!target) {
+            if (attempts > 0) setTimeout(() => this.scrollToReading(readingId, attempts - 1), 100);
+            return;
+        }
+
+        const card = target.closest('.card, tr') || target;
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // ===================================
+    // MOBILE MENU
+    // ===================================
+    setupMobileMenu() {
+        const hamburger = document.querySelector('.hamburger');
+        const navMenu = document.querySelector('.nav-menu');
+
+        if (hamburger && navMenu) {
+            hamburger.addEventListener('click', () => {
+                const isActive = hamburger.classList.toggle('active');
+                navMenu.classList.toggle('active');
+                hamburger.setAttribute('aria-expanded', isActive);
+            });
+
+            document.querySelectorAll('.nav-link').forEach(link => {
+                link.addEventListener('click', () => {
+                    hamburger.classList.remove('active');
+                    navMenu.classList.remove('active');
+                    hamburger.setAttribute('aria-expanded', 'false');
+                });
+            });
+
+            document.addEventListener('click', (e) => {
+                if (!hamburger.contains(e.target) && !navMenu.contains(e.target)) {
+                    hamburger.classList.remove('active');
+                    navMenu.classList.remove('active');
+                    hamburger.setAttribute('aria-expanded', 'false');
+                }
+            });
+        }
     }
 
     // ===================================
-    // INITIALIZATION
+    // CUSTOM READING PLANS
     // ===================================
-    async init() {
+    setupPlanBuilder() {
+        const form = document.getElementById('custom-plan-form');
+        const bookSelect = document.getElementById('builder-book');
+        const fromInput = document.getElementById('builder-from');
+        const toInput = document.getElementById('builder-to');
+        const addButton = document.getElementById('builder-add');
+        const startInput = document.getElementById('builder-start');
+        if (!form || !bookSelect || !fromInput || !toInput || !addButton) return;
+
+        const resetChapters = () => {
+            const book = this.planBuilder.getBook(bookSelect.value);
+            if (!book) return;
+            fromInput.max = toInput.max = book.chapters;
+            fromInput.value = 1;
+            toInput.value = book.chapters;
+        };
+
+        this.renderBuilderBooks();
+        resetChapters();
+        if (startInput && !startInput.value) {
+            startInput.value = this.analytics.toDayKey(new Date());
+        }
+
+        bookSelect.addEventListener('change', resetChapters);
+
+        addButton.addEventListener('click', () => {
+            const selection = {
+                book: bookSelect.value,
+                from: Number(fromInput.value),
+                to: Number(toInput.value)
+            };
+            try {
+                this.planBuilder.expandSelection(selection);
+                this.customPlanSelections.push(selection);
+                this.renderBuilderSelections();
+            } catch (error) {
+                this.ui.showErrorMessage(this.describePlanBuilderError(error));
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-remove-selection]');
+            if (removeButton) {
+                this.customPlanSelections.splice(Number(removeButton.dataset.removeSelection), 1);
+                this.renderBuilderSelections();
+                return;
+            }
+
+            const deleteButton = e.target.closest('[data-delete-plan]');
+            if (deleteButton) {
+                this.deleteCustomPlan(deleteButton.dataset.deletePlan);
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createCustomPlan({
+                name: document.getElementById('builder-name').value,
+                startDate: startInput.value,
+                duration: Number(document.getElementById('builder-duration').value),
+                frequency: document.getElementById('builder-frequency').value
+            });
+        });
+
+        this.renderBuilderSelections();
+    }
+
+    renderBuilderBooks() {
+        const bookSelect = document.getElementById('builder-book');
+        if (!bookSelect) return;
+
+        const selected = bookSelect.value;
+        bookSelect.innerHTML = ['OT', 'NT'].map(testament => `
+            <optgroup label="${this.i18n.t(testament === 'OT' ? 'oldTestament' : 'newTestament')}">
+                ${this.planBuilder.books.filter(book => book.testament === testament).map(book => `
+                    <option value="${book.name}">${this.i18n.reference(book.name)}</option>
+                `).join('')}
+            </optgroup>
+        `).join('');
+        if (selected) bookSelect.value = selected;
+    }
+
+    renderBuilderSelections() {
+        const container = document.getElementById('builder-selections');
+        if (!container) return;
+
+        if (this.customPlanSelections.length === 0) {
+            container.innerHTML = `<p class="text-sm text-gray-500">${this.i18n.t('customPlanNeedsBooks')}</p>`;
+            return;
+        }
+
+        container.innerHTML = this.customPlanSelections.map((selection, idx) => `
+            <span class="badge badge-primary">
+                ${this.i18n.reference(this.planBuilder.describeSelection(selection))}
+                <button type="button" data-remove-selection="${idx}" aria-label="Remove">×</button>
+            </span>
+        `).join('');
+    }
+
+    async createCustomPlan(options) {
         try {
-            console.log('🚀 Initializing Ethiopian Bible Planner...');
-            
-            this.ui.showLoading();
-            
-            await this.loadState();
-            console.log('✓ State loaded');
-            
-            this.initializeLucideIcons();
-            console.log('✓ Icons initialized');
-            
-            this.setupMobileMenu();
-            console.log('✓ Mobile menu setup');
-            
-            await this.renderInitialView();
-            console.log('✓ Initial view rendered');
-            
-            this.setupEventListeners();
-            console.log('✓ Event listeners setup');
-            
-            this.setupKeyboardShortcuts();
-            console.log('✓ Keyboard shortcuts setup');
-            
-            this.setupTouchGestures();
-            console.log('✓ Touch gestures setup');
-            
-            this.updateProgress();
-            console.log('✓ Progress updated');
-            
-            this.ui.hideLoading();
-            console.log('✅ Initialization complete!');
-            
+            const plan = this.planBuilder.build({ ...options, selections: this.customPlanSelections });
+            this.customPlanSelections = [];
+            this.renderBuilderSelections();
+
+            await this.setState({
+                customPlans: [...this.state.customPlans, plan],
+                expandedWeeks: { ...this.state.expandedWeeks, [`custom-${plan.id}`]: true }
+            });
+            this.ui.showSuccessMessage(this.i18n.t('customPlanCreated', { name: escapeHtml(plan.name), count: plan.readings.length }));
         } catch (error) {
-            console.error('❌ Initialization error:', error);
-            this.ui.showErrorMessage('Failed to initialize app. Please refresh the page.');
-            this.ui.hideLoading();
-            throw error;
+            this.ui.showErrorMessage(this.describePlanBuilderError(error));
         }
     }
 
-    async loadState() {
-        try {
-            const savedState = await this.storage.get('bible-planner-state', null);
-            if (savedState) {
-                this.state = { ...this.state, ...savedState };
-                console.log('State loaded from storage');
-            } else {
-                console.log('No saved state found, using defaults');
+    describePlanBuilderError(error) {
+        if (!(error instanceof PlanBuilderError)) return escapeHtml(error.message);
+        const { book, chapters, frequency } = error.params;
+        const keys = {
+            'unknown-book': 'builderUnknownBook',
+            'chapter-range': 'builderChapterRange',
+            'invalid-date': 'builderInvalidDate',
+            'no-selections': 'customPlanNeedsBooks',
+            'unknown-frequency': 'builderUnknownFrequency',
+            'invalid-length': 'builderInvalidLength'
+        };
+        return this.i18n.t(keys[error.code], {
+            book: escapeHtml(book ? this.i18n.reference(book) : ''),
+            chapters,
+            frequency: escapeHtml(frequency || '')
+        });
+    }
+
+    async deleteCustomPlan(planId) {
+        const plan = this.state.customPlans.find(p => p.id === planId);
+        if (!plan || !confirm(this.i18n.t('confirmDeletePlan', { name: plan.name }))) return;
+
+        // Drop the plan's progress too so it doesn't linger in stats
+        const prefix = `custom-${planId}-`;
+        const withoutPlan = entries => Object.fromEntries(
+            Object.entries(entries).filter(([readingId]) => !readingId.startsWith(prefix))
+        );
+
+        await this.setState({
+            customPlans: this.state.customPlans.filter(p => p.id !== planId),
+            completedReadings: withoutPlan(this.state.completedReadings),
+            completionLog: withoutPlan(this.state.completionLog)
+        });
+        this.ui.showSuccessMessage(this.i18n.t('customPlanDeleted'), this.getUndoAction());
+    }
+
+    getCustomReadingForDate(date) {
+        const dayKey = this.analytics.toDayKey(date);
+
+        for (const plan of this.state.customPlans) {
+            const reading = plan.readings.find(r => r.date === dayKey);
+            if (reading && !this.state.completedReadings[`custom-${plan.id}-${reading.index}`]) {
+                return { title: plan.name, passage: reading.reading };
             }
-        } catch (error) {
-            console.warn('Could not load saved state, using defaults:', error);
         }
+        return null;
     }
 
-    async renderInitialView() {
-        if ('requestIdleCallback' in window) {
-            requestIdleCallback(() => {
-                this.renderMonthSelector();
-                this.renderMonthDetails();
-                this.renderChronologicalPlan();
-                this.renderNT90Plan();
-                this.renderDiscipleship();
-            });
+    renderCustomPlans() {
+        const container = document.getElementById('custom-plan-list');
+        if (!container) return;
+
+        if (this.state.customPlans.length === 0) {
+            this.keyedRenderer.renderHtml(container, `
+                <div class="text-center py-8 text-gray-500">
+                    <i data-lucide="list-plus" class="w-12 h-12 mx-auto mb-3 opacity-30"></i>
+                    <p>${this.i18n.t('customPlanEmpty')}</p>
+                </div>
+            `);
         } else {
-            setTimeout(() => {
-                this.renderMonthSelector();
-                this.renderMonthDetails();
-                this.renderChronologicalPlan();
-                this.renderNT90Plan();
-                this.renderDiscipleship();
-            }, 0);
+            this.keyedRenderer.render(container, this.state.customPlans.map(plan => ({
+                key: plan.id,
+                html: this.renderCustomPlan(plan)
+            })));
         }
+
+        this.initializeLucideIcons();
     }
 
-    // ===================================
-    // STATE MANAGEMENT
-    // ===================================
-    async setState(newState) {
-        this.state = { ...this.state, ...newState };
-        await this.saveStateDebounced();
-        this.updateUI();
+    renderCustomPlan(plan) {
+        const planKey = `custom-${plan.id}`;
+        const isExpanded = this.state.expandedWeeks[planKey];
+        const completed = plan.readings.filter(r => this.state.completedReadings[`${planKey}-${r.index}`]).length;
+        const isCompleted = completed === plan.readings.length;
+
+        return `
+            <div class="card border-2 rounded-xl overflow-hidden">
+                <button data-week="${escapeHtml(planKey)}" class="week-toggle w-full p-4 text-left flex justify-between items-center hover:bg-gray-50 transition-colors touch-target" style="background-color: ${isCompleted ? this.brandColors.completed : this.brandColors.warm}">
+                    <div class="flex-1">
+                        <div class="flex items-center gap-3 mb-1 flex-wrap">
+                            <span class="font-bold text-lg text-primary">${escapeHtml(plan.name)}</span>
+                            <span class="badge ${isCompleted ? 'badge-success' : 'badge-primary'}">${this.i18n.t('customPlanProgress', { completed, total: plan.readings.length })}</span>
+                        </div>
+                        <div class="text-sm text-gray-600">${this.i18n.t('customPlanSummary', {
+                            count: plan.readings.length,
+                            frequency: this.i18n.t(plan.frequency === 'weekly' ? 'frequencyWeekly' : 'frequencyDaily'),
+                            chapters: escapeHtml(plan.totalChapters),
+                            date: this.formatEthiopianDate(this.planBuilder.parseDate(plan.startDate))
+                        })}</div>
+                    </div>
+                    <i data-lucide="${isExpanded ? 'chevron-up' : 'chevron-down'}" class="w-6 h-6 flex-shrink-0 text-primary"></i>
+                </button>
+                ${isExpanded ? `
+                    <div class="table-container">
+                        <table class="responsive-table">
+                            <thead>
+                                <tr>
+                                    <th>${this.i18n.t('columnDate')}</th>
+                                    <th>${this.i18n.t('columnReading')}</th>
+                                    <th>${this.i18n.t('columnStatus')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${plan.readings.map(reading => this.renderCustomReading(reading, planKey)).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div class="p-4 text-right">
+                        <button type="button" data-delete-plan="${escapeHtml(plan.id)}" class="text-sm text-gray-500 hover:text-red-600">${this.i18n.t('deletePlan')}</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
     }
 
-    async saveStateDebounced() {
-        if (this.saveDebounceTimer) {
-            clearTimeout(this.saveDebounceTimer);
-        }
-        
-        this.saveDebounceTimer = setTimeout(async () => {
-            try {
-                const success = await this.storage.set('bible-planner-state', this.state);
-                if (!success) {
-                    this.ui.showErrorMessage('Failed to save progress');
-                }
-            } catch (error) {
-                console.error('Save failed:', error);
-            }
-        }, 500);
+    renderCustomReading(reading, planKey) {
+        const readingId = `${planKey}-${reading.index}`;
+        const isCompleted = this.state.completedReadings[readingId];
+
+        return `
+            <tr>
+                <td class="text-sm">${this.formatEthiopianDate(this.planBuilder.parseDate(reading.date))}</td>
+                <td class="text-sm">${escapeHtml(this.i18n.reference(reading.reading))} ${this.renderReadButton(reading.reading)} ${this.renderJournalButton(readingId)}</td>
+                <td>
+                    <button data-reading="${escapeHtml(readingId)}" class="complete-toggle flex-shrink-0 w-6 h-6 rounded-full border-2 flex items-center justify-center transition-all ${
+                        isCompleted ? 'border-transparent' : 'border-gray-300 hover:border-gray-400'
+                    }" style="${isCompleted ? `background-color: ${this.brandColors.success}` : ''}">
+                        ${isCompleted ? '<i data-lucide="check" class="w-4 h-4 text-white"></i>' : ''}
+                    </button>
+                </td>
+            </tr>
+        `;
     }
 
     // ===================================
-    // UI UPDATE & RENDERING
+    // PASSAGE READER
     // ===================================
-    updateUI() {
-        this.updateTabView();
-        this.updateMonthButtons();
-        this.updatePlanButtons();
-        this.renderMonthDetails();
-        this.updateProgress();
-        
-        if (this.state.activeTab === 'reading') {
-            if (this.state.selectedPlan === 'chronological') {
-                this.renderChronologicalPlan();
-            } else {
-                this.renderNT90Plan();
+    renderReadButton(reference) {
+        if (!this.scripture.isReference(reference)) return '';
+        return `
+            <button type="button" data-read-passage="${escapeHtml(reference)}" class="read-passage-button touch-target" aria-haspopup="dialog">
+                <i data-lucide="book-open-text" class="w-4 h-4"></i>
+                <span>${this.i18n.t('readPassage')}</span>
+            </button>
+        `;
+    }
+
+    setupPassageReader() {
+        const reader = document.getElementById('passage-reader');
+        if (!reader) return;
+
+        document.addEventListener('click', (e) => {
+            const readButton = e.target.closest('[data-read-passage]');
+            if (readButton) {
+                e.stopPropagation();
+                this.openPassageReader(readButton.dataset.readPassage);
+            } else if (e.target === reader || e.target.closest('[data-close-reader]')) {
+                this.closePassageReader();
             }
-        } else if (this.state.activeTab === 'discipleship') {
-            this.renderDiscipleship();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !reader.classList.contains('hidden')) {
+                this.closePassageReader();
+            }
+        });
+
+        const downloadButton = document.getElementById('reader-download');
+        if (downloadButton) {
+            downloadButton.addEventListener('click', () => this.downloadBibleText(downloadButton));
         }
     }
 
-    updateTabView() {
-        const calendarView = document.getElementById('calendar-view');
-        const readingView = document.getElementById('reading-view');
-        const discipleshipView = document.getElementById('discipleship-view');
+    async openPassageReader(reference) {
+        const reader = document.getElementById('passage-reader');
+        const title = document.getElementById('reader-title');
+        const body = document.getElementById('reader-body');
+        const source = document.getElementById('reader-source');
+        if (!reader || !body) return;
 
-        if (calendarView) calendarView.classList.toggle('hidden', this.state.activeTab !== 'calendar');
-        if (readingView) readingView.classList.toggle('hidden', this.state.activeTab !== 'reading');
-        if (discipleshipView) discipleshipView.classList.toggle('hidden', this.state.activeTab !== 'discipleship');
+        this.readerReturnFocus = document.activeElement;
+        if (title) title.textContent = this.i18n.reference(reference);
+        reader.classList.remove('hidden');
+        document.body.classList.add('reader-open');
+        this.ui.showLoading(body);
 
-        document.querySelectorAll('.tab-button').forEach(button => {
-            const isActive = button.dataset.tab === this.state.activeTab;
-            button.classList.toggle('text-white', isActive);
-            button.classList.toggle('shadow-md', isActive);
-            button.classList.toggle('scale-105', isActive);
-            button.classList.toggle('text-gray-600', !isActive);
-            button.classList.toggle('hover:bg-gray-50', !isActive);
-            
-            if (isActive) {
-                button.style.backgroundColor = this.getTabColor(button.dataset.tab);
-            } else {
-                button.style.backgroundColor = '';
-            }
+        const closeButton = reader.querySelector('[data-close-reader]');
+        if (closeButton) closeButton.focus();
+
+        try {
+            const [passages, manifest] = await Promise.all([
+                this.bibleText.getPassages(reference),
+                this.bibleText.getManifest()
+            ]);
+            body.innerHTML = passages.map(passage => this.renderPassageText(passage)).join('');
+            if (source) source.textContent = this.i18n.t('readerSource', { name: manifest.name, license: manifest.license });
+        } catch (error) {
+            console.error('Failed to load passage:', error);
+            const message = navigator.onLine === false ? 'readerOffline' : 'readerError';
+            body.innerHTML = `<p class="text-gray-600">${this.i18n.t(message)}</p>`;
+        }
+
+        this.initializeLucideIcons();
+    }
+
+    renderPassageText(passage) {
+        if (!passage.available) {
+            return `
+                <section class="reader-passage">
+                    <h4 class="font-semibold text-primary mb-2">${this.i18n.reference(passage.reference)}</h4>
+                    <p class="text-gray-600">${this.i18n.t('readerNotBundled', { book: this.i18n.reference(passage.book) })}</p>
+                </section>
+            `;
+        }
+
+        return `
+            <section class="reader-passage">
+                <h4 class="font-semibold text-primary mb-2">${this.i18n.reference(passage.reference)}</h4>
+                ${passage.chapters.map(({ chapter, verses }) => `
+                    ${passage.chapters.length > 1 ? `<h5 class="reader-chapter">${this.i18n.reference(`${passage.book} ${chapter}`)}</h5>` : ''}
+                    <p class="reader-text">
+                        ${verses.map(({ verse, text }) => `<sup>${verse}</sup>${escapeHtml(text)}`).join(' ')}
+                    </p>
+                `).join('')}
+            </section>
+        `;
+    }
+
+    closePassageReader() {
+        const reader = document.getElementById('passage-reader');
+        if (!reader) return;
+
+        reader.classList.add('hidden');
+        document.body.classList.remove('reader-open');
+        if (this.readerReturnFocus && this.readerReturnFocus.focus) {
+            this.readerReturnFocus.focus();
+        }
+    }
+
+    async downloadBibleText(button) {
+        const label = button.querySelector('span') || button;
+        button.disabled = true;
+
+        try {
+            const count = await this.bibleText.downloadAll((done, total) => {
+                label.textContent = this.i18n.t('readerDownloading', { done, total });
+            });
+            this.ui.showSuccessMessage(this.i18n.t('readerDownloaded', { count }));
+        } catch (error) {
+            console.error('Failed to save Bible text:', error);
+            this.ui.showErrorMessage(this.i18n.t(navigator.onLine === false ? 'readerOffline' : 'readerError'));
+        } finally {
+            button.disabled = false;
+            label.textContent = this.i18n.t('readerDownload');
+        }
+    }
+
+    /**
+     * Installs the service worker so the planner shell opens offline. It
+     * isn't awaited: a failed registration only costs offline access.
+     */
+    registerOfflineSupport() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.warn('Offline support unavailable:', error);
         });
     }
 
-    getTabColor(tabId) {
-        const colors = {
-            calendar: this.brandColors.primary,
-            reading: this.brandColors.secondary,
-            discipleship: this.brandColors.accent
-        };
-        return colors[tabId] || this.brandColors.primary;
+    // ===================================
+    // JOURNAL
+    // ===================================
+    renderJournalButton(readingId) {
+        const hasEntry = this.journalStore.has(readingId);
+        return `
+            <button type="button" data-journal="${escapeHtml(readingId)}" class="read-passage-button journal-button touch-target ${hasEntry ? 'has-entry' : ''}" aria-haspopup="dialog">
+                <i data-lucide="${hasEntry ? 'notebook-text' : 'notebook-pen'}" class="w-4 h-4"></i>
+                <span>${this.i18n.t('journal')}</span>
+            </button>
+        `;
     }
 
-    updateMonthButtons() {
-        document.querySelectorAll('.month-card, .month-button').forEach(button => {
-            const isActive = button.dataset.month === this.state.selectedMonth;
-            button.classList.toggle('active', isActive);
-            
-            if (isActive) {
-                button.style.backgroundColor = '';
-                button.style.color = '';
+    setupJournal() {
+        const editor = document.getElementById('journal-editor');
+        const form = document.getElementById('journal-form');
+        const toggle = document.getElementById('journal-toggle');
+        const panel = document.getElementById('journal-panel');
+        const search = document.getElementById('journal-search');
+        if (!editor || !form) return;
+
+        document.addEventListener('click', (e) => {
+            const journalButton = e.target.closest('[data-journal]');
+            if (journalButton) {
+                e.stopPropagation();
+                this.openJournalEditor(journalButton.dataset.journal);
+            } else if (e.target === editor || e.target.closest('[data-close-journal]')) {
+                this.closeJournalEditor();
+            } else if (e.target.closest('[data-journal-delete]')) {
+                this.deleteJournalEntry();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !editor.classList.contains('hidden')) {
+                this.closeJournalEditor();
             }
         });
-    }
 
-    updatePlanButtons() {
-        document.querySelectorAll('.plan-button').forEach(button => {
-            const isActive = button.dataset.plan === this.state.selectedPlan;
-            button.classList.toggle('active', isActive);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveJournalEntry();
         });
 
-        const chronoPlan = document.getElementById('chronological-plan');
-        const nt90Plan = document.getElementById('nt90-plan');
-        
-        if (chronoPlan) chronoPlan.classList.toggle('hidden', this.state.selectedPlan !== 'chronological');
-        if (nt90Plan) nt90Plan.classList.toggle('hidden', this.state.selectedPlan !== 'nt90');
+        if (toggle && panel) {
+            toggle.addEventListener('click', () => {
+                panel.classList.toggle('hidden');
+                if (!panel.classList.contains('hidden')) this.renderJournalResults();
+            });
+        }
+
+        if (search) {
+            search.addEventListener('input', debounce(() => this.renderJournalResults(), 200));
+        }
     }
 
-    // ===================================
-    // PROGRESS TRACKING
-    // ===================================
-    updateProgress() {
-        const totalWeeks = this.getTotalReadings();
-        const insights = this.analytics.getProgressInsights(this.state.completedReadings, totalWeeks);
+    openJournalEditor(readingId) {
+        const editor = document.getElementById('journal-editor');
+        const form = document.getElementById('journal-form');
+        const title = document.getElementById('journal-title');
+        if (!editor || !form) return;
 
-        const progressText = document.getElementById('progress-text');
-        const progressCount = document.getElementById('progress-count');
-        const progressBar = document.getElementById('progress-bar');
+        const entry = this.journalStore.get(readingId) || {};
+        this.journalEntryId = readingId;
+        this.journalReturnFocus = document.activeElement;
 
-        if (progressText) progressText.textContent = `Progress: ${insights.percentComplete}%`;
-        if (progressCount) progressCount.textContent = `${insights.readingsCompleted} / ${totalWeeks} weeks`;
-        if (progressBar) {
-            progressBar.style.width = `${insights.percentComplete}%`;
-            progressBar.style.backgroundColor = this.brandColors.success;
+        if (title) title.textContent = this.getReadingLabel(readingId);
+        this.journalStore.fields.forEach(field => {
+            form.elements[field].value = entry[field] || '';
+        });
+
+        const deleteButton = form.querySelector('[data-journal-delete]');
+        if (deleteButton) deleteButton.classList.toggle('hidden', !this.journalStore.has(readingId));
+
+        editor.classList.remove('hidden');
+        document.body.classList.add('reader-open');
+        form.elements.scripture.focus();
+    }
+
+    closeJournalEditor() {
+        const editor = document.getElementById('journal-editor');
+        if (!editor) return;
+
+        this.journalEntryId = null;
+        editor.classList.add('hidden');
+        document.body.classList.remove('reader-open');
+        if (this.journalReturnFocus && this.journalReturnFocus.focus) {
+            this.journalReturnFocus.focus();
         }
     }
 
-    async toggleReading(readingId) {
-        const newCompletedReadings = { ...this.state.completedReadings };
-        newCompletedReadings[readingId] = !newCompletedReadings[readingId];
-        
+    async saveJournalEntry() {
+        const form = document.getElementById('journal-form');
+        if (!form || !this.journalEntryId) return;
+
+        const fields = {};
+        this.journalStore.fields.forEach(field => {
+            fields[field] = form.elements[field].value;
+        });
+
         try {
-            await this.setState({ completedReadings: newCompletedReadings });
-            
-            if (newCompletedReadings[readingId]) {
-                this.ui.showSuccessMessage('✓ Progress saved!');
-                this.celebrateCompletion();
-            }
-            
-            this.updateProgress();
+            await this.journalStore.save(this.journalEntryId, fields);
+            this.closeJournalEditor();
+            this.ui.showSuccessMessage(this.i18n.t('journalSaved'));
+            this.updateUI();
+            this.renderJournalResults();
         } catch (error) {
-            this.ui.showErrorMessage('Failed to save progress. Please try again.');
+            console.error('Failed to save journal entry:', error);
+            this.ui.showErrorMessage(this.i18n.t('journalSaveFailed'));
         }
     }
 
-    celebrateCompletion() {
-        const streak = this.analytics.calculateStreak(this.state.completedReadings);
-        if (streak > 0 && streak % 7 === 0) {
-            this.ui.showSuccessMessage(`🎉 ${streak} day streak! Keep it up!`);
+    async deleteJournalEntry() {
+        if (!this.journalEntryId || !confirm(this.i18n.t('confirmDeleteEntry'))) return;
+
+        try {
+            await this.journalStore.remove(this.journalEntryId);
+            this.closeJournalEditor();
+            this.ui.showSuccessMessage(this.i18n.t('journalDeleted'));
+            this.updateUI();
+            this.renderJournalResults();
+        } catch (error) {
+            console.error('Failed to delete journal entry:', error);
+            this.ui.showErrorMessage(this.i18n.t('journalDeleteFailed'));
         }
     }
 
-    getTotalReadings() {
-        return Object.values(this.chronologicalPlan).reduce((sum, plan) => sum + plan.weeks, 0);
+    renderJournalResults() {
+        const container = document.getElementById('journal-results');
+        const search = document.getElementById('journal-search');
+        if (!container) return;
+
+        const query = search ? search.value.trim() : '';
+        const results = this.journalStore.search(query, readingId => this.getReadingLabel(readingId));
+
+        if (!Object.keys(this.journalStore.getAll()).length) {
+            container.innerHTML = `<p class="text-sm opacity-90">${this.i18n.t('journalEmpty')}</p>`;
+            return;
+        }
+        if (!results.length) {
+            container.innerHTML = `<p class="text-sm opacity-90">${this.i18n.t('journalNoResults', { query: escapeHtml(query) })}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="text-xs opacity-90 mb-2">${this.i18n.t('journalEntryCount', { count: results.length })}</p>
+            <ul class="journal-results">
+                ${results.map(({ readingId, entry }) => {
+                    const snippet = this.journalStore.fields.map(field => entry[field]).find(Boolean) || '';
+                    return `
+                        <li>
+                            <button type="button" data-journal="${escapeHtml(readingId)}" class="journal-result touch-target">
+                                <span class="font-semibold">${escapeHtml(this.getReadingLabel(readingId))}</span>
+                                <span class="text-xs opacity-90">${this.formatEthiopianDate(new Date(entry.updatedAt))}</span>
+                                <span class="text-sm journal-snippet">${escapeHtml(snippet)}</span>
+                            </button>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
     }
 
     // ===================================
-    // EXPORT/IMPORT FUNCTIONALITY
+    // MEMORY VERSES
     // ===================================
-    generateChecksum(data) {
-        return btoa(JSON.stringify(data)).slice(0, 32);
+    setupMemoryVerses() {
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-memory-peek], [data-memory-reveal], [data-memory-grade], [data-memory-hide], [data-memory-verse]');
+            if (!target) return;
+
+            if (target.dataset.memoryVerse) {
+                this.practiceMemoryVerse(target.dataset.memoryVerse);
+            } else if (!this.memoryPractice.readingId) {
+                return;
+            } else if (target.dataset.memoryPeek) {
+                this.memoryPractice.peeked.add(Number(target.dataset.memoryPeek));
+                this.renderMemoryPractice();
+            } else if ('memoryReveal' in target.dataset) {
+                this.memoryPractice.revealed = true;
+                this.renderMemoryPractice();
+            } else if (target.dataset.memoryGrade) {
+                this.gradeMemoryVerse(Number(target.dataset.memoryGrade));
+            } else if (target.dataset.memoryHide) {
+                this.setMemoryHideLevel(Number(target.dataset.memoryHide));
+            }
+        });
     }
 
-    async exportProgress() {
-        try {
-            const data = {
-                completedReadings: this.state.completedReadings,
-                selectedMonth: this.state.selectedMonth,
-                selectedPlan: this.state.selectedPlan,
-                expandedWeeks: this.state.expandedWeeks,
-                timestamp: new Date().toISOString(),
-                version: '3.0',
-                checksum: this.generateChecksum(this.state.completedReadings)
-            };
-            
-            const blob = new Blob([JSON.stringify(data, null, 2)], { 
-                type: 'application/json' 
+    /**
+     * Verses from completed discipleship weeks plus the week in progress,
+     * so new verses join the deck as the course advances.
+     */
+    getMemoryDeck() {
+        const nextWeek = this.discipleshipWeeks.find(week => !this.state.completedReadings[`disc-${week.week}`]);
+        return this.discipleshipWeeks
+            .filter(week => week === nextWeek || this.state.completedReadings[`disc-${week.week}`])
+            .map(week => {
+                const { reference, text } = this.memoryVerses.parseVerse(week.memoryVerse);
+                return {
+                    readingId: `disc-${week.week}`,
+                    reference: this.i18n.reference(reference),
+                    text: this.i18n.translateContent(`disc.${week.week}.memoryVerse`, text),
+                    card: this.state.memoryVerses[`disc-${week.week}`]
+                };
             });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `bible-progress-${new Date().toISOString().split('T')[0]}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
-            
-            this.ui.showSuccessMessage('Progress exported successfully!');
-        } catch (error) {
-            this.ui.showErrorMessage('Export failed. Please try again.');
-        }
     }
 
-    async importProgress(file) {
-        try {
-            const text = await file.text();
-            const data = JSON.parse(text);
-            
-            if (!this.validateImportData(data)) {
-                throw new Error('Invalid file format');
-            }
-            
-            if (data.checksum !== this.generateChecksum(data.completedReadings)) {
-                if (!confirm('File may be corrupted. Import anyway?')) {
-                    return;
-                }
-            }
-            
-            await this.setState({
-                completedReadings: data.completedReadings || {},
-                selectedMonth: data.selectedMonth || 'meskerem',
-                selectedPlan: data.selectedPlan || 'chronological',
-                expandedWeeks: data.expandedWeeks || {}
-            });
-            
-            this.ui.showSuccessMessage('Progress imported successfully!');
-        } catch (error) {
-            this.ui.showErrorMessage('Import failed. Please check the file.');
+    /**
+     * Picks the most overdue card; verses never reviewed come after those.
+     */
+    getNextMemoryVerse(deck, date = new Date()) {
+        const dueKey = verse => (verse.card ? verse.card.due : '9999');
+        const due = deck.filter(verse => this.memoryVerses.isDue(verse.card, date));
+        due.sort((a, b) => dueKey(a).localeCompare(dueKey(b)));
+        return due[0] || null;
+    }
+
+    practiceMemoryVerse(readingId) {
+        this.memoryPractice = { readingId, revealed: false, peeked: new Set() };
+        this.renderMemoryPractice();
+    }
+
+    async gradeMemoryVerse(grade) {
+        const { readingId } = this.memoryPractice;
+        const card = this.memoryVerses.review(this.state.memoryVerses[readingId], grade);
+
+        // Grading is a review, not an edit to undo
+        this.memoryPractice = { readingId: null, revealed: false, peeked: new Set() };
+        await this.setState({ memoryVerses: { ...this.state.memoryVerses, [readingId]: card } }, { recordHistory: false });
+
+        if (this.memoryVerses.getMastery(card) === 'mastered') {
+            this.ui.showSuccessMessage(this.i18n.t('memoryMasteredMessage'));
         }
     }
 
-    validateImportData(data) {
-        return (
-            data &&
-            typeof data === 'object' &&
-            data.version &&
-            data.completedReadings &&
-            typeof data.completedReadings === 'object'
-        );
+    async setMemoryHideLevel(delta) {
+        const { readingId } = this.memoryPractice;
+        const card = this.state.memoryVerses[readingId];
+        const lastLevel = this.memoryVerses.hideLevels.length - 1;
+        const hideLevel = Math.min(lastLevel, Math.max(0, ((card && card.hideLevel) || 0) + delta));
+
+        this.memoryPractice = { readingId, revealed: false, peeked: new Set() };
+        await this.setState({ memoryVerses: { ...this.state.memoryVerses, [readingId]: { ...card, hideLevel } } });
+    }
+
+    renderMemoryPractice() {
+        const container = document.getElementById('memory-verse-practice');
+        if (!container) return;
+
+        const deck = this.getMemoryDeck();
+        const dueCount = deck.filter(verse => this.memoryVerses.isDue(verse.card)).length;
+        const masteredCount = deck.filter(verse => this.memoryVerses.getMastery(verse.card) === 'mastered').length;
+        const current = deck.find(verse => verse.readingId === this.memoryPractice.readingId) || this.getNextMemoryVerse(deck);
+        this.memoryPractice.readingId = current ? current.readingId : null;
+
+        container.innerHTML = `
+            <div class="section-header">
+                <h3 class="responsive-subheading font-bold flex items-center gap-2">
+                    <i data-lucide="brain" class="w-6 h-6"></i>
+                    ${this.i18n.t('memoryPractice')}
+                </h3>
+                <p class="text-gray-600 mt-2">${this.i18n.t('memorySummary', { due: dueCount, mastered: masteredCount, total: deck.length })}</p>
+            </div>
+            ${current ? this.renderMemoryCard(current) : `
+                <p class="study-questions mt-4">${this.i18n.t('memoryCaughtUp', { date: this.formatMemoryDue(deck) })}</p>
+            `}
+            <div class="memory-deck mt-4">
+                ${deck.map(verse => {
+                    const mastery = this.memoryVerses.getMastery(verse.card);
+                    return `
+                        <button type="button" data-memory-verse="${verse.readingId}" class="memory-chip memory-${mastery} ${current && verse.readingId === current.readingId ? 'active' : ''}">
+                            <span>${escapeHtml(verse.reference)}</span>
+                            <span class="text-xs">${this.i18n.t(`memory${mastery[0].toUpperCase()}${mastery.slice(1)}`)}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `;
+
+        this.initializeLucideIcons();
+    }
+
+    renderMemoryCard(verse) {
+        const hideLevel = (verse.card && verse.card.hideLevel) || 0;
+        const lastLevel = this.memoryVerses.hideLevels.length - 1;
+        const words = this.memoryVerses.maskWords(verse.text, hideLevel, verse.readingId);
+        const { revealed, peeked } = this.memoryPractice;
+        const recalling = !revealed && words.some(word => word.hidden);
+
+        return `
+            <div class="memory-card mt-4">
+                <p class="font-bold mb-2 text-primary">${escapeHtml(verse.reference)}</p>
+                <p class="memory-text">
+                    ${words.map(({ word, hidden }, idx) => hidden && recalling && !peeked.has(idx)
+                        ? `<button type="button" data-memory-peek="${idx}" class="memory-blank" style="min-width: ${word.length}ch" aria-label="${this.i18n.t('memoryPeek')}"></button>`
+                        : `<span${hidden ? ' class="memory-hidden-word"' : ''}>${escapeHtml(word)}</span>`
+                    ).join(' ')}
+                </p>
+                <p class="text-xs text-gray-600 mt-2">${this.i18n.t(recalling ? 'memoryRecallHint' : 'memoryGradeHint')}</p>
+                <div class="flex flex-wrap items-center gap-2 mt-4">
+                    ${recalling ? `
+                        <button type="button" data-memory-reveal class="read-passage-button touch-target">
+                            <i data-lucide="eye" class="w-4 h-4"></i>
+                            <span>${this.i18n.t('memoryReveal')}</span>
+                        </button>
+                    ` : [[1, 'memoryAgain'], [3, 'memoryHard'], [4, 'memoryGood'], [5, 'memoryEasy']].map(([grade, key]) => `
+                        <button type="button" data-memory-grade="${grade}" class="read-passage-button touch-target">${this.i18n.t(key)}</button>
+                    `).join('')}
+                    <span class="flex-1"></span>
+                    <button type="button" data-memory-hide="-1" class="read-passage-button touch-target" ${hideLevel === 0 ? 'disabled' : ''}>
+                        <i data-lucide="minus" class="w-4 h-4"></i>
+                        <span>${this.i18n.t('memoryShowMore')}</span>
+                    </button>
+                    <button type="button" data-memory-hide="1" class="read-passage-button touch-target" ${hideLevel === lastLevel ? 'disabled' : ''}>
+                        <i data-lucide="plus" class="w-4 h-4"></i>
+                        <span>${this.i18n.t('memoryHideMore')}</span>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    formatMemoryDue(deck) {
+        const next = deck.map(verse => verse.card && verse.card.due).filter(Boolean).sort()[0];
+        return next ? this.formatEthiopianDate(new Date(`${next}T00:00:00`)) : '—';
     }
 
     // ===================================
-    // EVENT LISTENERS
+    // LEADER GUIDE
     // ===================================
-    setupEventListeners() {
-        document.querySelectorAll('.tab-button').forEach(button => {
-            button.addEventListener('click', () => {
-                this.setState({ activeTab: button.dataset.tab });
-            });
-        });
+    renderLeaderGuideButtons(scope) {
+        return `
+            <button type="button" data-leader-guide="${scope}" data-guide-action="print" class="read-passage-button touch-target">
+                <i data-lucide="printer" class="w-4 h-4"></i>
+                <span>${this.i18n.t('leaderGuidePrint')}</span>
+            </button>
+            <button type="button" data-leader-guide="${scope}" data-guide-action="download" class="read-passage-button touch-target">
+                <i data-lucide="download" class="w-4 h-4"></i>
+                <span>${this.i18n.t('leaderGuideDownload')}</span>
+            </button>
+        `;
+    }
 
+    setupLeaderGuide() {
         document.addEventListener('click', (e) => {
-            const monthCard = e.target.closest('.month-card, .month-button');
-            if (monthCard) {
-                this.setState({ selectedMonth: monthCard.dataset.month });
-            }
-        });
+            const button = e.target.closest('[data-leader-guide]');
+            if (!button) return;
 
-        document.addEventListener('click', (e) => {
-            const planButton = e.target.closest('.plan-button');
-            if (planButton) {
-                this.setState({ selectedPlan: planButton.dataset.plan });
+            e.stopPropagation();
+            const scope = button.dataset.leaderGuide;
+            const weeks = scope === 'all'
+                ? this.discipleshipWeeks
+                : this.discipleshipWeeks.filter(week => String(week.week) === scope);
+
+            if (button.dataset.guideAction === 'download') {
+                this.downloadLeaderGuide(weeks, scope);
+            } else {
+                this.printLeaderGuide(weeks);
             }
         });
+    }
 
-        const statsToggle = document.getElementById('stats-toggle');
-        if (statsToggle) {
-            statsToggle.addEventListener('click', () => {
-                this.setState({ showStats: !this.state.showStats });
-                const container = document.getElementById('stats-container');
-                if (container) {
-                    container.classList.toggle('hidden', !this.state.showStats);
+    buildLeaderGuide(weeks) {
+        const t = key => this.i18n.t(key);
+        const guide = new LeaderGuideBuilder(
+            weeks.length === 1
+                ? `${t('leaderGuide')}: ${this.i18n.t('weekLabel', { week: weeks[0].week })}`
+                : `${t('leaderGuide')}: ${t('discipleshipTitle')}`,
+            {
+                subtitle: t('discipleshipSubtitle'),
+                objectives: t('learningObjectives'),
+                activities: t('practicalActivities'),
+                questions: t('discussionQuestions'),
+                memoryVerse: t('memoryVerse'),
+                notes: t('leaderGuideNotes')
+            },
+            this.i18n.getHtmlLang()
+        );
+
+        weeks.forEach(week => {
+            const content = (type, items) => items.map((item, idx) => this.i18n.translateContent(`disc.${week.week}.${type}.${idx + 1}`, item));
+            const { reference, text } = this.memoryVerses.parseVerse(week.memoryVerse);
+
+            guide.addWeek({
+                label: this.i18n.t('weekLabel', { week: week.week }),
+                topic: this.i18n.translateContent(`disc.${week.week}.topic`, week.topic),
+                passages: this.i18n.t('keyPassages', { passages: this.i18n.reference(week.key) }),
+                objectives: content('objective', week.objectives),
+                activities: content('activity', week.activities),
+                questions: content('question', week.discussionQuestions),
+                memoryVerse: {
+                    reference: this.i18n.reference(reference),
+                    text: this.i18n.translateContent(`disc.${week.week}.memoryVerse`, text)
                 }
             });
-        }
-
-        document.addEventListener('click', (e) => {
-            const weekToggle = e.target.closest('.week-toggle');
-            if (weekToggle) {
-                e.stopPropagation();
-                const weekId = weekToggle.dataset.week;
-                const newExpandedWeeks = { ...this.state.expandedWeeks };
-                newExpandedWeeks[weekId] = !newExpandedWeeks[weekId];
-                this.setState({ expandedWeeks: newExpandedWeeks });
-            }
         });
 
-        document.addEventListener('click', (e) => {
-            const completeToggle = e.target.closest('.complete-toggle');
-            if (completeToggle) {
-                e.stopPropagation();
-                const readingId = completeToggle.dataset.reading;
-                this.toggleReading(readingId);
-            }
-        });
+        return guide.toString();
+    }
 
-        document.addEventListener('click', (e) => {
-            const row = e.target.closest('tr.interactive');
-            if (row && !e.target.closest('.complete-toggle')) {
-                const weekId = row.dataset.week;
-                const details = document.querySelectorAll(`tr[data-parent="${weekId}"]`);
-                details.forEach(detail => detail.classList.toggle('hidden'));
-                
-                const newExpandedWeeks = { ...this.state.expandedWeeks };
-                newExpandedWeeks[weekId] = !newExpandedWeeks[weekId];
-                this.setState({ expandedWeeks: newExpandedWeeks });
-            }
-        });
+    downloadLeaderGuide(weeks, scope) {
+        try {
+            this.downloadFile(
+                this.buildLeaderGuide(weeks),
+                scope === 'all' ? 'leader-guide-discipleship.html' : `leader-guide-week-${scope}.html`,
+                'text/html'
+            );
+            this.ui.showSuccessMessage(this.i18n.t('leaderGuideDownloaded'));
+        } catch (error) {
+            console.error('Leader guide export failed:', error);
+            this.ui.showErrorMessage(this.i18n.t('leaderGuideFailed'));
+        }
+    }
 
-        let resizeTimer;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimer);
-            resizeTimer = setTimeout(() => {
-                this.initializeLucideIcons();
-            }, 250);
+    /**
+     * Prints from a hidden frame so the guide keeps its own stylesheet;
+     * the browser's print dialog also offers "Save as PDF".
+     */
+    printLeaderGuide(weeks) {
+        const frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+
+        frame.addEventListener('load', () => {
+            const removeFrame = () => setTimeout(() => frame.remove(), 1000);
+            frame.contentWindow.addEventListener('afterprint', removeFrame);
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
         });
+
+        frame.srcdoc = this.buildLeaderGuide(weeks);
+        document.body.appendChild(frame);
     }
 
-    setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            if (e.target.matches('input, textarea')) return;
-            
-            switch(e.key) {
-                case '1':
-                    this.setState({ activeTab: 'calendar' });
-                    break;
-                case '2':
-                    this.setState({ activeTab: 'reading' });
-                    break;
-                case '3':
-                    this.setState({ activeTab: 'discipleship' });
-                    break;
-                case 'Escape':
-                    const hamburger = document.querySelector('.hamburger');
-                    const navMenu = document.querySelector('.nav-menu');
-                    if (hamburger && navMenu && navMenu.classList.contains('active')) {
-                        hamburger.classList.remove('active');
-                        navMenu.classList.remove('active');
-                    }
-                    break;
-            }
-        });
+    // ===================================
+    // THEME
+    // ===================================
+    /**
+     * `state.darkMode` stays null until the user picks a theme; while it is
+     * null the system `prefers-color-scheme` setting decides.
+     */
+    isDarkMode() {
+        if (typeof this.state.darkMode === 'boolean') {
+            return this.state.darkMode;
+        }
+        return Boolean(this.colorSchemeQuery && this.colorSchemeQuery.matches);
     }
 
-    setupTouchGestures() {
-        const plannerApp = document.getElementById('bible-planner-app');
-        if (!plannerApp) return;
-        
-        plannerApp.addEventListener('touchstart', (e) => {
-            this.touchStartX = e.changedTouches[0].screenX;
-        }, { passive: true });
-        
-        plannerApp.addEventListener('touchend', (e) => {
-            this.touchEndX = e.changedTouches[0].screenX;
-            this.handleSwipe();
-        }, { passive: true });
+    applyTheme() {
+        const isDark = this.isDarkMode();
+        document.documentElement.dataset.theme = isDark ? 'dark' : 'light';
+
+        const toggle = document.getElementById('theme-toggle');
+        if (toggle) {
+            toggle.setAttribute('aria-pressed', String(isDark));
+            const label = toggle.querySelector('[data-theme-label]');
+            if (label) label.textContent = this.i18n.t(isDark ? 'lightMode' : 'darkMode');
+        }
     }
 
-    handleSwipe() {
-        const swipeThreshold = 50;
-        const diff = this.touchStartX - this.touchEndX;
-        
-        if (Math.abs(diff) < swipeThreshold) return;
-        
-        const tabs = ['calendar', 'reading', 'discipleship'];
-        const currentIndex = tabs.indexOf(this.state.activeTab);
-        
-        if (diff > 0 && currentIndex < tabs.length - 1) {
-            this.setState({ activeTab: tabs[currentIndex + 1] });
-        } else if (diff < 0 && currentIndex > 0) {
-            this.setState({ activeTab: tabs[currentIndex - 1] });
+    setupThemeToggle() {
+        const toggle = document.getElementById('theme-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.toggleDarkMode());
         }
+
+        if (this.colorSchemeQuery && this.colorSchemeQuery.addEventListener) {
+            this.handleColorSchemeChange = () => {
+                if (typeof this.state.darkMode !== 'boolean') this.applyTheme();
+            };
+            this.colorSchemeQuery.addEventListener('change', this.handleColorSchemeChange);
+        }
+    }
+
+    async toggleDarkMode() {
+        const darkMode = !this.isDarkMode();
+        const systemDark = Boolean(this.colorSchemeQuery && this.colorSchemeQuery.matches);
+        // Going back to the system theme resumes following it
+        await this.setState({ darkMode: darkMode === systemDark ? null : darkMode });
+        this.applyTheme();
     }
 
     // ===================================
-    // MOBILE MENU
+    // LOCALIZATION
     // ===================================
-    setupMobileMenu() {
-        const hamburger = document.querySelector('.hamburger');
-        const navMenu = document.querySelector('.nav-menu');
+    setupLanguageSwitcher() {
+        const select = document.getElementById('language-select');
+        if (!select) return;
 
-        if (hamburger && navMenu) {
-            hamburger.addEventListener('click', () => {
-                const isActive = hamburger.classList.toggle('active');
-                navMenu.classList.toggle('active');
-                hamburger.setAttribute('aria-expanded', isActive);
-            });
+        select.innerHTML = Object.entries(this.i18n.languages).map(([code, language]) => `
+            <option value="${code}" ${code === this.i18n.language ? 'selected' : ''}>${language.label}</option>
+        `).join('');
 
-            document.querySelectorAll('.nav-link').forEach(link => {
-                link.addEventListener('click', () => {
-                    hamburger.classList.remove('active');
-                    navMenu.classList.remove('active');
-                    hamburger.setAttribute('aria-expanded', 'false');
-                });
-            });
+        select.addEventListener('change', () => this.changeLanguage(select.value));
+    }
 
-            document.addEventListener('click', (e) => {
-                if (!hamburger.contains(e.target) && !navMenu.contains(e.target)) {
-                    hamburger.classList.remove('active');
-                    navMenu.classList.remove('active');
-                    hamburger.setAttribute('aria-expanded', 'false');
-                }
-            });
+    async changeLanguage(language) {
+        this.i18n.setLanguage(language);
+        this.applyStaticTranslations();
+        this.applyTheme();
+        this.renderBuilderBooks();
+        this.renderBuilderSelections();
+        this.renderMonthSelector();
+        this.renderYearLabels();
+        this.renderRestorePoints();
+        this.renderCatchUpStatus();
+        this.renderJournalResults();
+        this.renderImportPreview();
+        this.renderTransferCode();
+        await this.setState({ language: this.i18n.language });
+
+        // Reminder titles are built in the current language
+        if (this.state.remindersEnabled) {
+            await this.updateReminders();
+        } else {
+            this.renderReminderStatus();
+        }
+    }
+
+    applyStaticTranslations() {
+        document.documentElement.lang = this.i18n.getHtmlLang();
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.i18n.t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.i18n.t(element.dataset.i18nPlaceholder);
+        });
+        document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.i18n.t(element.dataset.i18nAriaLabel));
+        });
+    }
+
+    getMonthName(month, short = true) {
+        const englishName = month.name.split(' ')[0];
+        if (this.i18n.language === 'en') {
+            return short ? englishName : month.name;
         }
+        const localName = this.i18n.translateContent(`month.${month.id}`, englishName);
+        return short ? localName : `${localName} (${englishName})`;
+    }
+
+    getSeasonName(season) {
+        return this.i18n.translateContent(`season.${season}`, season);
+    }
+
+    /**
+     * Name and description of a holy day or ministry event in the current
+     * language; `kind` is the content key prefix, 'holyDay' or 'event'.
+     */
+    getEventText(entry, kind) {
+        return {
+            name: this.i18n.translateContent(`${kind}.${entry.key}.name`, entry.name),
+            description: this.i18n.translateContent(`${kind}.${entry.key}.description`, entry.description)
+        };
+    }
+
+    /**
+     * Week and day readings are book references, translated book by book;
+     * the few labels such as "Review Matthew" have their own content keys.
+     */
+    getWeekReadings(week) {
+        return this.i18n.translateContent(`chrono.week.${week.week}.readings`, this.i18n.reference(week.readings));
+    }
+
+    getNTDayReading(day) {
+        return this.i18n.translateContent(`nt90.day.${day.day}.reading`, this.i18n.reference(day.reading));
     }
 
     // ===================================
@@ -1616,6 +9444,17 @@ class EthiopianBiblePlanner {
     // ===================================
     // RENDER METHODS
     // ===================================
+    renderYearLabels() {
+        const yearLabel = document.getElementById('calendar-year-label');
+        const yearBadge = document.getElementById('ethiopian-year-badge');
+        const firstMonth = this.ethiopianMonths[0];
+        const lastMonth = this.ethiopianMonths[this.ethiopianMonths.length - 1];
+        const gregorianYears = `${firstMonth.start.getFullYear()}-${lastMonth.end.getFullYear()}`;
+
+        if (yearLabel) yearLabel.textContent = this.i18n.t('yearEc', { year: this.calendarYear });
+        if (yearBadge) yearBadge.textContent = `${this.i18n.t('yearEc', { year: this.calendarYear })} (${gregorianYears})`;
+    }
+
     renderMonthSelector() {
         const container = document.getElementById('month-selector');
         if (!container) return;
@@ -1624,8 +9463,8 @@ class EthiopianBiblePlanner {
             <button data-month="${month.id}" class="month-card ${
                 this.state.selectedMonth === month.id ? 'active' : ''
             }">
-                <h3 class="card-title">${month.name.split(' ')[0]}</h3>
-                <p>${month.days} days • ${month.season}</p>
+                <h3 class="card-title">${this.getMonthName(month)}</h3>
+                <p>${this.i18n.t('monthCardDays', { days: month.days, season: this.getSeasonName(month.season) })}</p>
             </button>
         `).join('');
         
@@ -1640,16 +9479,16 @@ class EthiopianBiblePlanner {
         if (!monthData) return;
         
         const monthHolyDays = this.holyDays.filter(h => h.month === this.state.selectedMonth);
-        const monthMinistryEvents = this.ministryEvents.filter(e => e.month === this.state.selectedMonth);
+        const monthMinistryEvents = this.ministryEvents.filter(e => e.month === this.state.selectedMonth && e.year === this.calendarYear);
 
-        container.innerHTML = `
+        const changed = this.keyedRenderer.renderHtml(container, `
             <div class="flex flex-col md:flex-row md:items-center justify-between mb-6 gap-4">
                 <div>
-                    <h3 class="responsive-subheading font-bold mb-1 text-primary">${monthData.name}</h3>
-                    <p class="text-gray-600">${monthData.season} Season</p>
+                    <h3 class="responsive-subheading font-bold mb-1 text-primary">${this.getMonthName(monthData, false)} ${this.calendarYear}</h3>
+                    <p class="text-gray-600">${this.i18n.t('seasonLabel', { season: this.getSeasonName(monthData.season) })}</p>
                 </div>
                 <div class="text-left md:text-right bg-gray-50 px-4 py-3 rounded-lg">
-                    <div class="text-sm text-gray-500 mb-1">Gregorian Equivalent</div>
+                    <div class="text-sm text-gray-500 mb-1">${this.i18n.t('gregorianEquivalent')}</div>
                     <div class="font-semibold text-gray-700">${monthData.gregorian}</div>
                 </div>
             </div>
@@ -1658,16 +9497,19 @@ class EthiopianBiblePlanner {
                 <div class="mb-6">
                     <h4 class="font-semibold mb-4 flex items-center gap-2 text-lg text-primary">
                         <i data-lucide="sun" class="w-6 h-6" style="color: ${this.brandColors.secondary}"></i>
-                        Holy Days & Festivals
+                        ${this.i18n.t('holyDays')}
                     </h4>
                     <div class="space-y-3">
                         ${monthHolyDays.map(day => `
                             <div class="theme-section hover-lift">
                                 <div class="flex items-start justify-between gap-4">
                                     <div class="flex-1">
-                                        <div class="font-bold text-lg mb-1 text-primary">${day.name}</div>
-                                        <p class="text-sm text-gray-600 mb-2">${day.description}</p>
-                                        <div class="text-sm text-gray-500">Day ${day.day} • ${day.date}</div>
+                                        <div class="font-bold text-lg mb-1 text-primary">${this.getEventText(day, 'holyDay').name}</div>
+                                        <p class="text-sm text-gray-600 mb-2">${this.getEventText(day, 'holyDay').description}</p>
+                                        <div class="flex items-center gap-3 flex-wrap">
+                                            <span class="text-sm text-gray-500">${this.i18n.t('dayDate', { day: day.day, date: day.date })}</span>
+                                            ${day.movable ? `<span class="badge badge-primary">${this.i18n.t(day.type === 'fast' ? 'movableFast' : 'movableFeast')}</span>` : ''}
+                                        </div>
                                     </div>
                                     <i data-lucide="sun" class="w-8 h-8 flex-shrink-0 opacity-30" style="color: ${this.brandColors.secondary}"></i>
                                 </div>
@@ -1681,18 +9523,18 @@ class EthiopianBiblePlanner {
                 <div>
                     <h4 class="font-semibold mb-4 flex items-center gap-2 text-lg text-primary">
                         <i data-lucide="map-pin" class="w-6 h-6" style="color: ${this.brandColors.accent}"></i>
-                        Ministry Events
+                        ${this.i18n.t('ministryEvents')}
                     </h4>
                     <div class="space-y-3">
                         ${monthMinistryEvents.map(event => `
                             <div class="theme-section hover-lift" style="border-left-color: ${this.brandColors.accent}">
                                 <div class="flex items-start justify-between gap-4">
                                     <div class="flex-1">
-                                        <div class="font-bold text-lg mb-1 text-primary">${event.name}</div>
-                                        <p class="text-sm text-gray-600 mb-2">${event.description}</p>
+                                        <div class="font-bold text-lg mb-1 text-primary">${this.getEventText(event, 'event').name}</div>
+                                        <p class="text-sm text-gray-600 mb-2">${this.getEventText(event, 'event').description}</p>
                                         <div class="flex items-center gap-3 flex-wrap">
-                                            <span class="text-sm text-gray-500">Day ${event.day} • ${event.date}</span>
-                                            <span class="badge badge-secondary">${event.type}</span>
+                                            <span class="text-sm text-gray-500">${this.i18n.t('dayDate', { day: event.day, date: event.date })}</span>
+                                            <span class="badge badge-secondary">${this.i18n.translateContent(`eventType.${event.type}`, event.type)}</span>
                                         </div>
                                     </div>
                                     <i data-lucide="map-pin" class="w-8 h-8 flex-shrink-0 opacity-30" style="color: ${this.brandColors.accent}"></i>
@@ -1706,18 +9548,24 @@ class EthiopianBiblePlanner {
             ${monthHolyDays.length === 0 && monthMinistryEvents.length === 0 ? `
                 <div class="empty-state">
                     <i data-lucide="calendar" class="empty-state-icon"></i>
-                    <p class="text-lg">No special events scheduled for this month</p>
-                    <p class="text-sm mt-1">Enjoy regular study and worship</p>
+                    <p class="text-lg">${this.i18n.t('noEvents')}</p>
+                    <p class="text-sm mt-1">${this.i18n.t('noEventsHint')}</p>
                 </div>
             ` : ''}
-        `;
+        `);
 
-        this.initializeLucideIcons();
+        if (changed) this.initializeLucideIcons();
     }
 
     renderChronologicalPlan() {
         const container = document.getElementById('chronological-plan');
         if (!container) return;
+
+        // Once the plan is on screen, updates only patch the cards that changed
+        if (container.dataset.renderedLanguage === this.i18n.language) {
+            this.renderChronologicalPlanContent(container);
+            return;
+        }
         
         this.ui.showLoading(container);
         
@@ -1729,13 +9577,35 @@ class EthiopianBiblePlanner {
     }
 
     renderChronologicalPlanContent(container) {
+        if (container.dataset.renderedLanguage !== this.i18n.language) {
+            this.renderChronologicalPlanLayout(container);
+        }
+
+        this.keyedRenderer.renderHtml(container.querySelector('[data-catch-up-notice]'), this.renderCatchUpNotice());
+        container.querySelectorAll('[data-month-weeks]').forEach(list => {
+            const monthId = list.dataset.monthWeeks;
+            this.keyedRenderer.render(list, this.chronologicalPlan[monthId].weeklyBreakdown.map(week => ({
+                key: `chrono-${monthId}-${week.week}`,
+                html: this.renderWeekCard(week, monthId)
+            })));
+        });
+
+        this.initializeLucideIcons();
+    }
+
+    /**
+     * Headings and month sections, which only change with the language.
+     * Week cards are filled in by renderChronologicalPlanContent().
+     */
+    renderChronologicalPlanLayout(container) {
         container.innerHTML = `
             <div class="section-header">
                 <h3 class="responsive-subheading font-bold flex items-center gap-2">
                     <i data-lucide="book-open" class="w-6 h-6"></i>
-                    One-Year Chronological Plan
+                    ${this.i18n.t('chronoTitle')}
                 </h3>
-                <p class="text-gray-600 mt-2">Read through the entire Bible in Ethiopian calendar year order</p>
+                <p class="text-gray-600 mt-2">${this.i18n.t('chronoSubtitle')}</p>
+                <div data-catch-up-notice></div>
             </div>
             
             <div class="reading-grid">
@@ -1748,36 +9618,34 @@ class EthiopianBiblePlanner {
                             <div class="p-5 rounded-xl mb-4 text-white shadow-lg header-gradient">
                                 <div class="flex flex-col md:flex-row md:items-center justify-between gap-3">
                                     <div>
-                                        <h4 class="font-bold text-xl mb-1">${month.name.split(' ')[0]}</h4>
-                                        <p class="opacity-90">${plan.reading}</p>
+                                        <h4 class="font-bold text-xl mb-1">${this.getMonthName(month)}</h4>
+                                        <p class="opacity-90">${this.i18n.translateContent(`chrono.${monthId}.reading`, this.i18n.reference(plan.reading))}</p>
                                     </div>
                                     <div class="flex flex-wrap gap-2">
-                                        <span class="bg-white px-4 py-2 rounded-full text-sm font-medium" style="color: ${this.brandColors.primary}">${plan.weeks} weeks</span>
-                                        <span class="bg-white bg-opacity-20 px-4 py-2 rounded-full text-sm">${plan.theme}</span>
+                                        <span class="bg-white px-4 py-2 rounded-full text-sm font-medium" style="color: ${this.brandColors.primary}">${this.i18n.t('weeksCount', { count: plan.weeks })}</span>
+                                        <span class="bg-white bg-opacity-20 px-4 py-2 rounded-full text-sm">${this.i18n.translateContent(`chrono.${monthId}.theme`, plan.theme)}</span>
                                     </div>
                                 </div>
                             </div>
 
-                            <div class="space-y-3">
-                                ${plan.weeklyBreakdown.map(week => this.renderWeekCard(week, monthId)).join('')}
-                            </div>
+                            <div class="space-y-3" data-month-weeks="${monthId}"></div>
                         </div>
                     `;
                 }).join('')}
             </div>
         `;
-
-        this.initializeLucideIcons();
+        container.dataset.renderedLanguage = this.i18n.language;
     }
 
     renderWeekCard(week, monthId) {
         const weekId = `chrono-${monthId}-${week.week}`;
         const isCompleted = this.state.completedReadings[weekId];
         const isExpanded = this.state.expandedWeeks[weekId];
+        const dueDate = !isCompleted && this.state.catchUpSchedule && this.state.catchUpSchedule.dates[weekId];
         
         return `
             <div class="card border-2 rounded-xl overflow-hidden hover-lift">
-                <button data-week="${weekId}" class="week-toggle w-full p-4 text-left flex justify-between items-center hover:bg-gray-50 transition-colors touch-target" style="background-color: ${isCompleted ? this.brandColors.light : this.brandColors.warm}">
+                <div data-week="${weekId}" role="button" tabindex="0" aria-expanded="${isExpanded ? 'true' : 'false'}" class="week-toggle w-full p-4 text-left flex justify-between items-center hover:bg-gray-50 transition-colors touch-target" style="background-color: ${isCompleted ? this.brandColors.light : this.brandColors.warm}">
                     <div class="flex items-center gap-4 flex-1">
                         <button data-reading="${weekId}" class="complete-toggle flex-shrink-0 w-8 h-8 rounded-full border-2 flex items-center justify-center transition-all ${
                             isCompleted ? 'border-transparent' : 'border-gray-300 hover:border-gray-400'
@@ -1786,62 +9654,67 @@ class EthiopianBiblePlanner {
                         </button>
                         <div class="flex-1">
                             <div class="flex items-center gap-3 mb-1 flex-wrap">
-                                <span class="font-bold text-lg text-primary">Week ${week.week}: ${week.focus}</span>
-                                ${isCompleted ? `<span class="badge badge-success">Completed</span>` : ''}
+                                <span class="font-bold text-lg text-primary">${this.i18n.t('weekTitle', { week: week.week, focus: this.i18n.translateContent(`chrono.week.${week.week}.focus`, week.focus) })}</span>
+                                ${isCompleted ? `<span class="badge badge-success">${this.i18n.t('completed')}</span>` : ''}
                             </div>
-                            <div class="text-sm text-gray-600">${week.readings}</div>
+                            <div class="text-sm text-gray-600">${this.getWeekReadings(week)}</div>
+                            ${dueDate ? `<div class="text-xs text-gray-600 mt-1">${this.i18n.t('scheduledFor', { date: this.formatScheduleDate(dueDate) })}</div>` : ''}
                         </div>
                     </div>
                     <i data-lucide="${isExpanded ? 'chevron-up' : 'chevron-down'}" class="w-6 h-6 flex-shrink-0 text-primary"></i>
-                </button>
+                </div>
                 
-                ${isExpanded ? this.renderWeekDetails(week) : ''}
+                ${isExpanded ? this.renderWeekDetails(week, weekId) : ''}
             </div>
         `;
     }
 
-    renderWeekDetails(week) {
+    renderWeekDetails(week, weekId) {
         return `
             <div class="p-6 border-t-2" style="background-color: ${this.brandColors.light}">
+                <div class="flex flex-wrap items-center gap-3 mb-4">
+                    ${this.renderReadButton(week.readings)}
+                    ${this.renderJournalButton(weekId)}
+                </div>
                 <div class="grid md:grid-cols-2 gap-6">
                     <div class="space-y-4">
                         <div class="theme-section">
                             <h5 class="font-semibold mb-3 flex items-center gap-2 text-lg text-primary">
                                 <i data-lucide="target" class="w-5 h-5"></i>
-                                Key Themes
+                                ${this.i18n.t('keyThemes')}
                             </h5>
-                            <p class="text-sm text-gray-700 bg-white p-4 rounded-lg border">${week.keyThemes}</p>
+                            <p class="text-sm text-gray-700 bg-white p-4 rounded-lg border">${this.i18n.translateContent(`chrono.week.${week.week}.keyThemes`, week.keyThemes)}</p>
                         </div>
                         
                         <div class="theme-section">
                             <h5 class="font-semibold mb-3 flex items-center gap-2 text-lg text-primary">
                                 <i data-lucide="bookmark" class="w-5 h-5"></i>
-                                Memory Verse
+                                ${this.i18n.t('memoryVerse')}
                             </h5>
                             <div class="study-questions bg-blue-50 border-blue-200 text-blue-900">
-                                <p class="font-bold mb-2">${week.memoryVerse.split(' - ')[0]}</p>
-                                <p class="italic">"${week.memoryVerse.split(' - ')[1]}"</p>
+                                <p class="font-bold mb-2">${this.i18n.reference(week.memoryVerse.split(' - ')[0])}</p>
+                                <p class="italic">"${this.i18n.translateContent(`chrono.week.${week.week}.memoryVerse`, week.memoryVerse.split(' - ')[1])}"</p>
                             </div>
                         </div>
 
                         <div class="theme-section">
                             <h5 class="font-semibold mb-3 flex items-center gap-2 text-lg text-primary">
                                 <i data-lucide="lightbulb" class="w-5 h-5"></i>
-                                Practical Application
+                                ${this.i18n.t('practicalApplication')}
                             </h5>
                             <div class="study-questions">
-                                <p class="text-sm text-gray-700">${week.practicalApplication}</p>
+                                <p class="text-sm text-gray-700">${this.i18n.translateContent(`chrono.week.${week.week}.practicalApplication`, week.practicalApplication)}</p>
                             </div>
                         </div>
                     </div>
                     
                     <div class="theme-section">
-                        <h5 class="font-semibold mb-3 text-lg text-primary">Study Questions</h5>
+                        <h5 class="font-semibold mb-3 text-lg text-primary">${this.i18n.t('studyQuestions')}</h5>
                         <div class="space-y-3">
                             ${week.studyQuestions.map((question, idx) => `
                                 <div class="flex items-start p-4 bg-white rounded-lg border-2 border-gray-200 hover:border-gray-300 transition-colors">
                                     <span class="mr-3 mt-0.5 flex-shrink-0 font-bold w-7 h-7 rounded-full flex items-center justify-center text-sm" style="background-color: ${this.brandColors.secondary}; color: white">${idx + 1}</span>
-                                    <p class="text-sm text-gray-700">${question}</p>
+                                    <p class="text-sm text-gray-700">${this.i18n.translateContent(`chrono.week.${week.week}.question.${idx + 1}`, question)}</p>
                                 </div>
                             `).join('')}
                         </div>
@@ -1854,55 +9727,76 @@ class EthiopianBiblePlanner {
     renderNT90Plan() {
         const container = document.getElementById('nt90-plan');
         if (!container) return;
-        
+
+        if (container.dataset.renderedLanguage !== this.i18n.language) {
+            this.renderNT90Layout(container);
+        }
+
+        const rows = container.querySelector('[data-nt90-rows]');
+        if (rows) {
+            this.keyedRenderer.render(rows, this.ntIntensive.flatMap((section, idx) => {
+                const sectionId = `nt90-${idx}`;
+                const isExpanded = this.state.expandedWeeks[sectionId];
+                return [
+                    { key: sectionId, html: this.renderNTSection(section, idx) },
+                    ...(section.dailyBreakdown || []).map(day => ({
+                        key: `${sectionId}-day-${day.day}`,
+                        html: this.renderNTDay(day, sectionId, isExpanded)
+                    }))
+                ];
+            }));
+        }
+
+        this.initializeLucideIcons();
+    }
+
+    renderNT90Layout(container) {
         container.innerHTML = `
             <div class="section-header">
                 <h3 class="responsive-subheading font-bold flex items-center gap-2">
                     <i data-lucide="target" class="w-6 h-6"></i>
-                    90-Day New Testament Intensive
+                    ${this.i18n.t('nt90Title')}
                 </h3>
-                <p class="text-gray-600 mt-2">Complete the New Testament in 3 months • 3 chapters per day</p>
+                <p class="text-gray-600 mt-2">${this.i18n.t('nt90Subtitle')}</p>
             </div>
             
             <div class="table-container">
                 <table class="responsive-table">
                     <thead>
                         <tr>
-                            <th>Days</th>
-                            <th>Reading</th>
-                            <th>Focus</th>
-                            <th>Status</th>
+                            <th>${this.i18n.t('columnDays')}</th>
+                            <th>${this.i18n.t('columnReading')}</th>
+                            <th>${this.i18n.t('columnFocus')}</th>
+                            <th>${this.i18n.t('columnStatus')}</th>
                         </tr>
                     </thead>
-                    <tbody>
-                        ${this.ntIntensive.map((section, idx) => this.renderNTSection(section, idx)).join('')}
-                    </tbody>
+                    <tbody data-nt90-rows></tbody>
                 </table>
             </div>
         `;
-
-        this.initializeLucideIcons();
+        container.dataset.renderedLanguage = this.i18n.language;
     }
 
+    /**
+     * The section's own row; its day rows are separate keyed rows so
+     * toggling one day doesn't re-render the rest of the section. Progress
+     * is only kept per day, so the section's status is counted from them.
+     */
     renderNTSection(section, idx) {
         const sectionId = `nt90-${idx}`;
-        const isCompleted = this.state.completedReadings[sectionId];
-        const isExpanded = this.state.expandedWeeks[sectionId];
+        const days = section.dailyBreakdown || [];
+        const completed = days.filter(day => this.state.completedReadings[`${sectionId}-day-${day.day}`]).length;
+        const isCompleted = days.length > 0 && completed === days.length;
         
         return `
             <tr class="interactive" data-week="${sectionId}">
                 <td class="font-semibold text-primary">${section.days}</td>
-                <td>${section.reading}</td>
-                <td>${section.focus}</td>
+                <td>${this.i18n.translateContent(`nt90.${idx}.reading`, this.i18n.reference(section.reading))}</td>
+                <td>${this.i18n.translateContent(`nt90.${idx}.focus`, section.focus)}</td>
                 <td>
-                    <button data-reading="${sectionId}" class="complete-toggle flex-shrink-0 w-7 h-7 rounded-full border-2 flex items-center justify-center transition-all ${
-                        isCompleted ? 'border-transparent' : 'border-gray-300 hover:border-gray-400'
-                    }" style="${isCompleted ? `background-color: ${this.brandColors.success}` : ''}">
-                        ${isCompleted ? '<i data-lucide="check" class="w-5 h-5 text-white"></i>' : ''}
-                    </button>
+                    ${days.length > 0 ? `<span class="badge ${isCompleted ? 'badge-success' : 'badge-primary'}">${this.i18n.t('customPlanProgress', { completed, total: days.length })}</span>` : ''}
                 </td>
             </tr>
-            ${section.dailyBreakdown ? section.dailyBreakdown.map(day => this.renderNTDay(day, sectionId, isExpanded)).join('') : ''}
         `;
     }
 
@@ -1912,9 +9806,9 @@ class EthiopianBiblePlanner {
         
         return `
             <tr class="week-details ${isExpanded ? '' : 'hidden'}" data-parent="${sectionId}">
-                <td class="pl-8 text-sm">Day ${day.day}</td>
-                <td class="text-sm">${day.reading}</td>
-                <td class="text-sm">${day.focus}</td>
+                <td class="pl-8 text-sm">${this.i18n.t('dayLabel', { day: day.day })}</td>
+                <td class="text-sm">${this.getNTDayReading(day)} ${this.renderReadButton(day.reading)} ${this.renderJournalButton(dayId)}</td>
+                <td class="text-sm">${this.i18n.translateContent(`nt90.day.${day.day}.focus`, day.focus)}</td>
                 <td>
                     <button data-reading="${dayId}" class="complete-toggle flex-shrink-0 w-6 h-6 rounded-full border-2 flex items-center justify-center transition-all ${
                         isDayCompleted ? 'border-transparent' : 'border-gray-300 hover:border-gray-400'
@@ -1929,22 +9823,41 @@ class EthiopianBiblePlanner {
     renderDiscipleship() {
         const container = document.getElementById('discipleship-content');
         if (!container) return;
-        
+
+        this.renderMemoryPractice();
+
+        if (container.dataset.renderedLanguage !== this.i18n.language) {
+            this.renderDiscipleshipLayout(container);
+        }
+
+        const grid = container.querySelector('[data-discipleship-weeks]');
+        if (grid) {
+            this.keyedRenderer.render(grid, this.discipleshipWeeks.map(week => ({
+                key: `disc-${week.week}`,
+                html: this.renderDiscipleshipWeek(week)
+            })));
+        }
+
+        this.initializeLucideIcons();
+    }
+
+    renderDiscipleshipLayout(container) {
         container.innerHTML = `
             <div class="section-header">
                 <h3 class="responsive-subheading font-bold flex items-center gap-2">
                     <i data-lucide="users" class="w-6 h-6"></i>
-                    16-Week Discipleship Program
+                    ${this.i18n.t('discipleshipTitle')}
                 </h3>
-                <p class="text-gray-600 mt-2">Comprehensive discipleship training for spiritual growth</p>
+                <p class="text-gray-600 mt-2">${this.i18n.t('discipleshipSubtitle')}</p>
+                <div class="flex flex-wrap items-center gap-3 mt-4">
+                    <span class="text-sm font-semibold text-gray-600">${this.i18n.t('leaderGuideCourse')}</span>
+                    ${this.renderLeaderGuideButtons('all')}
+                </div>
             </div>
             
-            <div class="card-grid mt-6">
-                ${this.discipleshipWeeks.map(week => this.renderDiscipleshipWeek(week)).join('')}
-            </div>
+            <div class="card-grid mt-6" data-discipleship-weeks></div>
         `;
-
-        this.initializeLucideIcons();
+        container.dataset.renderedLanguage = this.i18n.language;
     }
 
     renderDiscipleshipWeek(week) {
@@ -1954,7 +9867,7 @@ class EthiopianBiblePlanner {
         
         return `
             <div class="card border-2 rounded-xl overflow-hidden hover-lift">
-                <button data-week="${weekId}" class="week-toggle w-full p-5 text-left flex justify-between items-center hover:bg-gray-50 transition-colors touch-target" style="background-color: ${isCompleted ? '#f0fdf4' : this.brandColors.warm}">
+                <div data-week="${weekId}" role="button" tabindex="0" aria-expanded="${isExpanded ? 'true' : 'false'}" class="week-toggle w-full p-5 text-left flex justify-between items-center hover:bg-gray-50 transition-colors touch-target" style="background-color: ${isCompleted ? this.brandColors.completed : this.brandColors.warm}">
                     <div class="flex items-center gap-4 flex-1">
                         <button data-reading="${weekId}" class="complete-toggle flex-shrink-0 w-8 h-8 rounded-full border-2 flex items-center justify-center transition-all ${
                             isCompleted ? 'border-transparent' : 'border-gray-300 hover:border-gray-400'
@@ -1963,14 +9876,14 @@ class EthiopianBiblePlanner {
                         </button>
                         <div class="flex-1">
                             <div class="flex flex-wrap items-center gap-3 mb-2">
-                                <span class="badge font-bold text-white text-sm shadow-md" style="background-color: ${this.brandColors.accent}">Week ${week.week}</span>
-                                <span class="font-bold text-xl text-primary">${week.topic}</span>
+                                <span class="badge font-bold text-white text-sm shadow-md" style="background-color: ${this.brandColors.accent}">${this.i18n.t('weekLabel', { week: week.week })}</span>
+                                <span class="font-bold text-xl text-primary">${this.i18n.translateContent(`disc.${week.week}.topic`, week.topic)}</span>
                             </div>
-                            <div class="text-sm text-gray-600">Key Passages: ${week.key}</div>
+                            <div class="text-sm text-gray-600">${this.i18n.t('keyPassages', { passages: this.i18n.reference(week.key) })}</div>
                         </div>
                     </div>
                     <i data-lucide="${isExpanded ? 'chevron-up' : 'chevron-down'}" class="w-6 h-6 flex-shrink-0 text-primary"></i>
-                </button>
+                </div>
                 
                 ${isExpanded ? this.renderDiscipleshipDetails(week) : ''}
             </div>
@@ -1980,18 +9893,23 @@ class EthiopianBiblePlanner {
     renderDiscipleshipDetails(week) {
         return `
             <div class="p-6 border-t-2" style="background-color: ${this.brandColors.light}">
+                <div class="flex flex-wrap items-center gap-3 mb-4">
+                    ${this.renderReadButton(week.key)}
+                    ${this.renderJournalButton(`disc-${week.week}`)}
+                    ${this.renderLeaderGuideButtons(week.week)}
+                </div>
                 <div class="grid md:grid-cols-2 gap-6">
                     <div class="space-y-4">
                         <div class="theme-section">
                             <h5 class="font-semibold mb-3 flex items-center gap-2 text-lg text-primary">
                                 <i data-lucide="target" class="w-5 h-5"></i>
-                                Learning Objectives
+                                ${this.i18n.t('learningObjectives')}
                             </h5>
                             <div class="space-y-2">
-                                ${week.objectives.map(objective => `
+                                ${week.objectives.map((objective, idx) => `
                                     <div class="flex items-start p-3 bg-white rounded-lg border">
                                         <span class="mr-3 mt-0.5 flex-shrink-0 w-6 h-6 rounded-full flex items-center justify-center text-xs font-bold" style="background-color: ${this.brandColors.secondary}; color: white">✓</span>
-                                        <p class="text-sm text-gray-700">${objective}</p>
+                                        <p class="text-sm text-gray-700">${this.i18n.translateContent(`disc.${week.week}.objective.${idx + 1}`, objective)}</p>
                                     </div>
                                 `).join('')}
                             </div>
@@ -2000,11 +9918,11 @@ class EthiopianBiblePlanner {
                         <div class="theme-section">
                             <h5 class="font-semibold mb-3 flex items-center gap-2 text-lg text-primary">
                                 <i data-lucide="bookmark" class="w-5 h-5"></i>
-                                Memory Verse
+                                ${this.i18n.t('memoryVerse')}
                             </h5>
                             <div class="study-questions bg-blue-50 border-blue-200 text-blue-900">
-                                <p class="font-bold mb-2">${week.memoryVerse.split(' - ')[0]}</p>
-                                <p class="italic">"${week.memoryVerse.split(' - ')[1]}"</p>
+                                <p class="font-bold mb-2">${this.i18n.reference(week.memoryVerse.split(' - ')[0])}</p>
+                                <p class="italic">"${this.i18n.translateContent(`disc.${week.week}.memoryVerse`, week.memoryVerse.split(' - ')[1])}"</p>
                             </div>
                         </div>
                     </div>
@@ -2013,25 +9931,25 @@ class EthiopianBiblePlanner {
                         <div class="theme-section">
                             <h5 class="font-semibold mb-3 flex items-center gap-2 text-lg text-primary">
                                 <i data-lucide="clipboard-list" class="w-5 h-5"></i>
-                                Practical Activities
+                                ${this.i18n.t('practicalActivities')}
                             </h5>
                             <div class="space-y-2">
-                                ${week.activities.map(activity => `
+                                ${week.activities.map((activity, idx) => `
                                     <div class="flex items-start p-3 bg-white rounded-lg border">
                                         <span class="mr-3 mt-1 flex-shrink-0 w-2 h-2 rounded-full" style="background-color: ${this.brandColors.accent}"></span>
-                                        <p class="text-sm text-gray-700">${activity}</p>
+                                        <p class="text-sm text-gray-700">${this.i18n.translateContent(`disc.${week.week}.activity.${idx + 1}`, activity)}</p>
                                     </div>
                                 `).join('')}
                             </div>
                         </div>
 
                         <div class="theme-section">
-                            <h5 class="font-semibold mb-3 text-lg text-primary">Discussion Questions</h5>
+                            <h5 class="font-semibold mb-3 text-lg text-primary">${this.i18n.t('discussionQuestions')}</h5>
                             <div class="space-y-3">
                                 ${week.discussionQuestions.map((question, idx) => `
                                     <div class="flex items-start p-3 bg-white rounded-lg border-2 border-gray-200">
                                         <span class="mr-3 mt-0.5 flex-shrink-0 font-bold w-7 h-7 rounded-full flex items-center justify-center text-sm" style="background-color: ${this.brandColors.primary}; color: white">Q${idx + 1}</span>
-                                        <p class="text-sm text-gray-700">${question}</p>
+                                        <p class="text-sm text-gray-700">${this.i18n.translateContent(`disc.${week.week}.question.${idx + 1}`, question)}</p>
                                     </div>
                                 `).join('')}
                             </div>
@@ -2046,23 +9964,21 @@ class EthiopianBiblePlanner {
     // PROGRESS REPORTING
     // ===================================
     generateProgressReport() {
-        const completed = Object.values(this.state.completedReadings).filter(Boolean).length;
-        const total = this.getTotalReadings();
-        const percentage = (completed / total) * 100;
+        const overall = this.getOverallProgress();
+        const percentage = overall.totalReadings ? (overall.readingsCompleted / overall.totalReadings) * 100 : 0;
         
         return {
-            completed,
-            total,
+            completed: overall.readingsCompleted,
+            total: overall.totalReadings,
             percentage: percentage.toFixed(1),
-            streak: this.analytics.calculateStreak(this.state.completedReadings),
+            streak: this.analytics.calculateStreak(this.state.completionLog),
             weeklyAverage: this.calculateWeeklyAverage(),
-            strongestMonth: this.analytics.getMostActiveMonth(this.state.completedReadings)
+            strongestMonth: this.analytics.getMostActiveMonth(this.state.completionLog)
         };
     }
 
     calculateWeeklyAverage() {
-        const completed = Object.values(this.state.completedReadings).filter(Boolean).length;
-        return (completed / 4).toFixed(1);
+        return this.analytics.calculateWeeklyAverage(this.state.completionLog).toFixed(1);
     }
 
     async shareProgress() {
@@ -2081,6 +9997,391 @@ class EthiopianBiblePlanner {
         }
     }
 
+    getMonthlyCompletion(completedReadings = this.state.completedReadings) {
+        return this.ethiopianMonths.map(month => {
+            const plan = this.chronologicalPlan[month.id];
+            const completed = plan.weeklyBreakdown
+                .filter(week => completedReadings[`chrono-${month.id}-${week.week}`])
+                .length;
+            return { month, completed, total: plan.weeks };
+        });
+    }
+
+    /**
+     * Compares completed chronological weeks with the weeks scheduled up to
+     * `date`, using the same week-of-month mapping as the daily reminders.
+     * Under a catch-up schedule, readings it has not reached yet are the
+     * only ones not expected.
+     */
+    getPlanPace(date = new Date(), completedReadings = this.state.completedReadings, schedule = this.state.catchUpSchedule) {
+        const completed = this.getMonthlyCompletion(completedReadings).reduce((sum, month) => sum + month.completed, 0);
+
+        if (schedule) {
+            const dayKey = this.analytics.toDayKey(date);
+            const expected = this.getTotalReadings() - Object.values(schedule.dates).filter(due => due > dayKey).length;
+            return { expected, completed, difference: completed - expected };
+        }
+
+        const { monthId, day } = this.calendar.fromGregorian(date);
+        let expected = 0;
+
+        for (const id of this.calendar.monthIds) {
+            const plan = this.chronologicalPlan[id];
+            if (id === monthId) {
+                expected += Math.min(Math.ceil(day / 7), plan.weeks);
+                break;
+            }
+            expected += plan.weeks;
+        }
+
+        return { expected, completed, difference: completed - expected };
+    }
+
+    /**
+     * Columns of seven days (Sunday first) ending with the current week.
+     */
+    getHeatmapWeeks(weeks = 53) {
+        const counts = this.analytics.getDailyCounts(this.state.completionLog);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const day = new Date(today);
+        day.setDate(day.getDate() - day.getDay() - (weeks - 1) * 7);
+
+        const columns = [];
+        for (let w = 0; w < weeks; w++) {
+            const column = [];
+            for (let d = 0; d < 7; d++) {
+                const dayKey = this.analytics.toDayKey(day);
+                column.push({ date: new Date(day), count: counts[dayKey] || 0, future: day > today });
+                day.setDate(day.getDate() + 1);
+            }
+            columns.push(column);
+        }
+        return columns;
+    }
+
+    // ===================================
+    // STATISTICS DASHBOARD
+    // ===================================
+    updateStatsPanel() {
+        const container = document.getElementById('stats-container');
+        const toggle = document.getElementById('stats-toggle');
+
+        if (container) container.classList.toggle('hidden', !this.state.showStats);
+        if (toggle) toggle.setAttribute('aria-expanded', String(this.state.showStats));
+
+        if (this.state.showStats) {
+            this.renderStatsDashboard();
+        }
+    }
+
+    renderStatsDashboard() {
+        const container = document.getElementById('stats-dashboard');
+        if (!container) return;
+
+        const report = this.generateProgressReport();
+        const strongestMonth = this.ethiopianMonths.find(month => month.id === report.strongestMonth);
+
+        const summary = [
+            { label: this.i18n.t('statsCompleted'), value: `${report.completed} / ${report.total}`, detail: `${report.percentage}%` },
+            { label: this.i18n.t('statsStreak'), value: report.streak },
+            { label: this.i18n.t('statsWeeklyAverage'), value: report.weeklyAverage },
+            { label: this.i18n.t('statsStrongestMonth'), value: strongestMonth ? this.getMonthName(strongestMonth) : '—' }
+        ];
+
+        container.innerHTML = `
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                ${summary.map(item => `
+                    <div class="stats-card stats-summary">
+                        <div class="text-2xl">${item.value}</div>
+                        <div class="text-sm text-gray-600">${item.label}${item.detail ? ` • ${item.detail}` : ''}</div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="grid md:grid-cols-2 gap-3">
+                <div class="stats-card">
+                    <h4 class="font-semibold mb-3 text-primary">${this.i18n.t('heatmapTitle')}</h4>
+                    ${this.renderHeatmap()}
+                </div>
+                <div class="stats-card">
+                    <h4 class="font-semibold mb-3 text-primary">${this.i18n.t('monthlyCompletion')}</h4>
+                    ${this.renderMonthlyCompletion()}
+                    <h4 class="font-semibold mt-4 mb-2 text-primary">${this.i18n.t('paceTitle')}</h4>
+                    ${this.renderPlanPace()}
+                </div>
+            </div>
+        `;
+    }
+
+    renderHeatmap() {
+        const level = count => Math.min(count, 4);
+        const columns = this.getHeatmapWeeks();
+
+        return `
+            <div class="heatmap" role="img" aria-label="${this.i18n.t('heatmapTitle')}">
+                ${columns.map(column => `
+                    <div class="heatmap-week">
+                        ${column.map(cell => cell.future ? '<span class="heatmap-cell heatmap-future"></span>' : `
+                            <span class="heatmap-cell heatmap-level-${level(cell.count)}" title="${this.i18n.t('heatmapCell', { date: this.formatEthiopianDate(cell.date), count: cell.count })}"></span>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="heatmap-legend text-xs text-gray-500 mt-2">
+                <span>${this.i18n.t('heatmapLess')}</span>
+                ${[0, 1, 2, 3, 4].map(n => `<span class="heatmap-cell heatmap-level-${n}"></span>`).join('')}
+                <span>${this.i18n.t('heatmapMore')}</span>
+            </div>
+        `;
+    }
+
+    formatEthiopianDate(date) {
+        const { monthId, day } = this.calendar.fromGregorian(date);
+        const month = this.ethiopianMonths.find(m => m.id === monthId);
+        return `${this.getMonthName(month)} ${day} (${this.calendar.formatDate(date)})`;
+    }
+
+    renderMonthlyCompletion() {
+        return `
+            <div class="space-y-2">
+                ${this.getMonthlyCompletion().map(({ month, completed, total }) => `
+                    <div class="month-completion">
+                        <span class="text-sm month-completion-label">${this.getMonthName(month)}</span>
+                        <div class="month-completion-track">
+                            <div class="month-completion-fill" style="width: ${Math.round((completed / total) * 100)}%; background-color: ${this.brandColors.accent}"></div>
+                        </div>
+                        <span class="text-xs text-gray-500">${completed}/${total}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderPlanPace() {
+        const pace = this.getPlanPace();
+        let status = this.i18n.t('paceOnTrack');
+        let badge = 'badge-success';
+
+        if (pace.difference > 0) {
+            status = this.i18n.t('paceAhead', { count: pace.difference });
+        } else if (pace.difference < 0) {
+            status = this.i18n.t('paceBehind', { count: -pace.difference });
+            badge = 'badge-secondary';
+        }
+
+        return `
+            <span class="badge ${badge}">${status}</span>
+            <p class="text-sm text-gray-600 mt-2">${this.i18n.t('paceDetail', { completed: pace.completed, expected: pace.expected })}</p>
+        `;
+    }
+
+    // ===================================
+    // GROUP DASHBOARD
+    // ===================================
+    setupGroupDashboard() {
+        const fileInput = document.getElementById('group-files');
+        const csvButton = document.getElementById('group-export-csv');
+        const clearButton = document.getElementById('group-clear');
+        if (!fileInput || !csvButton || !clearButton) return;
+
+        fileInput.addEventListener('change', async () => {
+            await this.loadGroupFiles([...fileInput.files]);
+            fileInput.value = '';
+        });
+
+        csvButton.addEventListener('click', () => this.exportGroupCsv());
+
+        clearButton.addEventListener('click', () => {
+            this.groupMembers = [];
+            this.renderGroupDashboard();
+        });
+    }
+
+    /**
+     * Adds members from progress exports. A newer file from the same member
+     * replaces the older one.
+     * @param {File[]} files
+     */
+    async loadGroupFiles(files) {
+        const failures = [];
+        let loaded = 0;
+
+        for (const file of files) {
+            try {
+                const text = await file.text();
+                let verified = true;
+                let progress;
+                try {
+                    progress = await this.progressFile.parseFile(text);
+                } catch (error) {
+                    if (error.code !== 'checksum-mismatch') throw error;
+                    verified = false;
+                    progress = await this.progressFile.parseFile(text, { verifyChecksum: false });
+                }
+
+                const member = this.summarizeMember(progress, file.name, verified);
+                const existing = this.groupMembers.findIndex(m => m.name === member.name);
+                if (existing === -1) {
+                    this.groupMembers.push(member);
+                } else if (!this.groupMembers[existing].exportedAt || member.exportedAt >= this.groupMembers[existing].exportedAt) {
+                    this.groupMembers[existing] = member;
+                }
+                loaded++;
+            } catch (error) {
+                console.error(`Could not load ${file.name}:`, error);
+                failures.push(escapeHtml(`${file.name}: ${error instanceof ProgressFileError ? this.describeProgressError(error) : this.i18n.t('groupFileInvalid')}`));
+            }
+        }
+
+        this.groupMembers.sort((a, b) => a.name.localeCompare(b.name));
+        this.renderGroupDashboard();
+
+        if (failures.length) {
+            this.ui.showErrorMessage(this.i18n.t('groupLoadFailed', { files: failures.join(' ') }));
+        } else if (loaded) {
+            this.ui.showSuccessMessage(this.i18n.t('groupLoaded', { count: loaded }));
+        }
+    }
+
+    getChronologicalReadingIds() {
+        return this.ethiopianMonths.flatMap(month =>
+            this.chronologicalPlan[month.id].weeklyBreakdown.map(week => `chrono-${month.id}-${week.week}`));
+    }
+
+    /**
+     * Chronological plan progress for one member. Streaks are counted as of
+     * the export date, or today if the file has none; members two or more
+     * weeks behind today's schedule are flagged.
+     * @param {ProgressFile} progress
+     */
+    summarizeMember(progress, fileName, verified) {
+        const { completedReadings, completionLog = {}, memberName } = progress.data;
+        // Files upgraded from version 3 may not say when they were exported
+        const exportedAt = progress.exportedAt ? new Date(progress.exportedAt) : null;
+        const asOf = exportedAt && !isNaN(exportedAt) ? exportedAt : null;
+        const pace = this.getPlanPace(new Date(), completedReadings, null);
+        const total = this.getTotalReadings();
+        const times = Object.values(completionLog).map(time => new Date(time)).filter(date => !isNaN(date));
+
+        return {
+            name: (memberName || '').trim() || fileName.replace(/\.json$/i, ''),
+            completed: pace.completed,
+            total,
+            percentage: Math.round((pace.completed / total) * 100),
+            streak: this.analytics.calculateStreak(completionLog, asOf || new Date()),
+            currentWeek: this.getChronologicalReadingIds().find(id => !completedReadings[id]) || null,
+            difference: pace.difference,
+            isBehind: pace.difference <= -2,
+            lastReading: times.length ? new Date(Math.max(...times)) : null,
+            exportedAt: asOf,
+            verified
+        };
+    }
+
+    renderGroupDashboard() {
+        const container = document.getElementById('group-dashboard');
+        if (!container) return;
+
+        if (!this.groupMembers.length) {
+            container.innerHTML = `<p class="text-gray-600">${this.i18n.t('groupEmpty')}</p>`;
+            return;
+        }
+
+        const behind = this.groupMembers.filter(member => member.isBehind).length;
+        container.innerHTML = `
+            <p class="font-semibold mb-3">${this.i18n.t('groupSummary', { members: this.groupMembers.length, behind })}</p>
+            <div class="table-container">
+                <table class="responsive-table group-table">
+                    <thead>
+                        <tr>
+                            <th>${this.i18n.t('groupMember')}</th>
+                            <th>${this.i18n.t('groupCompletion')}</th>
+                            <th>${this.i18n.t('groupStreak')}</th>
+                            <th>${this.i18n.t('groupCurrentWeek')}</th>
+                            <th>${this.i18n.t('groupLastReading')}</th>
+                            <th>${this.i18n.t('groupStatus')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.groupMembers.map(member => this.renderGroupMember(member)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        this.initializeLucideIcons();
+    }
+
+    renderGroupMember(member) {
+        let status = this.i18n.t('paceOnTrack');
+        let badge = 'badge-success';
+
+        if (!member.currentWeek) {
+            status = this.i18n.t('groupFinished');
+        } else if (member.isBehind) {
+            status = this.i18n.t('paceBehind', { count: -member.difference });
+            badge = 'badge-secondary';
+        } else if (member.difference > 0) {
+            status = this.i18n.t('paceAhead', { count: member.difference });
+        }
+
+        return `
+            <tr class="${member.isBehind ? 'group-member-behind' : ''}">
+                <td class="font-semibold">
+                    ${escapeHtml(member.name)}
+                    ${member.verified ? '' : `<i data-lucide="alert-triangle" class="w-4 h-4 inline text-secondary" title="${this.i18n.t('groupUnverified')}" aria-label="${this.i18n.t('groupUnverified')}"></i>`}
+                </td>
+                <td>
+                    <div class="month-completion-track">
+                        <div class="month-completion-fill" style="width: ${member.percentage}%; background-color: ${this.brandColors.accent}"></div>
+                    </div>
+                    <span class="text-xs text-gray-500">${member.completed}/${member.total} • ${member.percentage}%</span>
+                </td>
+                <td>${this.i18n.t('groupStreakDays', { count: member.streak })}</td>
+                <td class="text-sm">${member.currentWeek ? escapeHtml(this.getReadingLabel(member.currentWeek)) : '—'}</td>
+                <td class="text-sm">${member.lastReading ? this.formatEthiopianDate(member.lastReading) : '—'}</td>
+                <td><span class="badge ${badge}">${status}</span></td>
+            </tr>
+        `;
+    }
+
+    toCsvValue(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Keep spreadsheet apps from evaluating names as formulas
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    exportGroupCsv() {
+        if (!this.groupMembers.length) {
+            this.ui.showErrorMessage(this.i18n.t('groupExportEmpty'));
+            return;
+        }
+
+        const yesNo = value => this.i18n.t(value ? 'groupCsvYes' : 'groupCsvNo');
+        const header = [
+            'groupMember', 'groupCsvCompletedWeeks', 'groupCsvTotalWeeks', 'groupCsvCompletion', 'groupCsvStreak', 'groupCurrentWeek',
+            'groupCsvWeeksBehind', 'groupCsvBehind', 'groupLastReading', 'groupCsvExported', 'groupCsvVerified'
+        ].map(key => this.i18n.t(key));
+        const rows = this.groupMembers.map(member => [
+            member.name,
+            member.completed,
+            member.total,
+            member.percentage,
+            member.streak,
+            member.currentWeek ? this.getReadingLabel(member.currentWeek) : this.i18n.t('groupFinished'),
+            Math.max(0, -member.difference),
+            yesNo(member.isBehind),
+            member.lastReading ? this.analytics.toDayKey(member.lastReading) : '',
+            member.exportedAt ? this.analytics.toDayKey(member.exportedAt) : '',
+            yesNo(member.verified)
+        ]);
+
+        // The byte order mark lets spreadsheet apps detect UTF-8 Amharic names
+        const csv = '\ufeff' + [header, ...rows].map(row => row.map(value => this.toCsvValue(value)).join(',')).join('\r\n');
+        this.downloadFile(csv, `group-progress-${this.analytics.toDayKey(new Date())}.csv`, 'text/csv');
+    }
+
     // ===================================
     // CLEANUP & DESTRUCTION
     // ===================================
@@ -2091,6 +10392,12 @@ class EthiopianBiblePlanner {
         }
         
         this.ui.destroy();
+        this.reminders.destroy();
+        this.stopQrScan();
+        
+        if (this.handleColorSchemeChange) {
+            this.colorSchemeQuery.removeEventListener('change', this.handleColorSchemeChange);
+        }
         
         this.storage = null;
         this.state = null;
@@ -2119,10 +10426,18 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('✓ Error boundary setup');
         
         window.biblePlanner = new EthiopianBiblePlanner();
+        errorBoundary.useTranslations(window.biblePlanner.i18n);
         console.log('✓ Bible planner instance created');
         
-        window.biblePlanner.init().catch(error => {
+        window.biblePlanner.init().catch(async error => {
             console.error('Initialization failed:', error);
+            const snapshot = await window.biblePlanner.getLastGoodSnapshot();
+            if (snapshot) {
+                errorBoundary.offerRecovery({
+                    createdAt: snapshot.createdAt,
+                    restore: () => window.biblePlanner.writeSnapshot(snapshot)
+                });
+            }
             errorBoundary.handleError(error);
         });
         
@@ -2149,5 +10464,5 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Export for module usage if needed
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { EthiopianBiblePlanner, StorageManager, UIManager, AnalyticsManager, ErrorBoundary };
+    module.exports = { EthiopianBiblePlanner, StorageManager, IndexedDbBackend, NativeStorageBackend, LocalStorageBackend, MemoryBackend, UIManager, AnalyticsManager, EthiopianCalendar, ScriptureParser, BibleTextStore, ReadingPlanBuilder, PlanBuilderError, CatchUpScheduler, I18nManager, ReminderManager, ICalendarBuilder, LeaderGuideBuilder, ProgressFileFormat, ProgressFileError, QrCodeEncoder, ProgressTransferCodec, JournalStore, SnapshotStore, UndoHistory, PlannerRouter, MemoryVerseScheduler, ErrorBoundary, KeyedRenderer };
 }
\ No newline at end of file
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Builds the Bible planner's bundled text from a verse-per-line (VPL) file
+ * such as eBible.org's public-domain World English Bible, where each line
+ * reads "GEN 1:1 In the beginning...". Run with Node; not loaded by the site.
+ *
+ *   node scripts/build-bible-text.js engwebp_vpl.txt [data/bible/web]
+ *
+ * Writes one <USFM code>.json per book ({ code, chapters: [[verse, ...]] })
+ * and an index.json manifest listing the books that were found.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const BOOK_CODES = [
+    'GEN', 'EXO', 'LEV', 'NUM', 'DEU', 'JOS', 'JDG', 'RUT', '1SA', '2SA', '1KI', '2KI', '1CH',
+    '2CH', 'EZR', 'NEH', 'EST', 'JOB', 'PSA', 'PRO', 'ECC', 'SNG', 'ISA', 'JER', 'LAM', 'EZK',
+    'DAN', 'HOS', 'JOL', 'AMO', 'OBA', 'JON', 'MIC', 'NAM', 'HAB', 'ZEP', 'HAG', 'ZEC', 'MAL',
+    'MAT', 'MRK', 'LUK', 'JHN', 'ACT', 'ROM', '1CO', '2CO', 'GAL', 'EPH', 'PHP', 'COL', '1TH',
+    '2TH', '1TI', '2TI', 'TIT', 'PHM', 'HEB', 'JAS', '1PE', '2PE', '1JN', '2JN', '3JN', 'JUD', 'REV'
+];
+
+const MANIFEST = {
+    id: 'web',
+    name: 'World English Bible',
+    license: 'Public Domain',
+    source: 'https://ebible.org/engwebp/'
+};
+
+function parseVpl(text) {
+    const books = new Map();
+
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^([1-3A-Z]{3})\s+(\d+):(\d+)\s+(.*)$/);
+        if (!match || !BOOK_CODES.includes(match[1])) return;
+
+        const [, code, chapter, verse, verseText] = match;
+        if (!books.has(code)) books.set(code, []);
+
+        const chapters = books.get(code);
+        const verses = chapters[chapter - 1] || (chapters[chapter - 1] = []);
+        verses[verse - 1] = verseText.trim();
+    });
+
+    // Fill gaps left by omitted verses so indexes stay verse - 1
+    books.forEach(chapters => {
+        for (let c = 0; c < chapters.length; c++) {
+            chapters[c] = Array.from(chapters[c] || [], verse => verse || '');
+        }
+    });
+
+    return books;
+}
+
+function main() {
+    const [input, outDir = path.join(__dirname, '..', 'data', 'bible', 'web')] = process.argv.slice(2);
+    if (!input) {
+        console.error('Usage: node scripts/build-bible-text.js <vpl file> [output directory]');
+        process.exit(1);
+    }
+
+    const books = parseVpl(fs.readFileSync(input, 'utf8'));
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const codes = BOOK_CODES.filter(code => books.has(code));
+    codes.forEach(code => {
+        fs.writeFileSync(path.join(outDir, `${code}.json`), JSON.stringify({ code, chapters: books.get(code) }));
+    });
+
+    fs.writeFileSync(path.join(outDir, 'index.json'), `${JSON.stringify({ ...MANIFEST, books: codes }, null, 2)}\n`);
+    console.log(`Wrote ${codes.length} books to ${outDir}`);
+}
+
+main();
@@ -0,0 +1,185 @@
+// ===================================
+// BESORAH YESHUA MINISTRY - SERVICE WORKER
+// Offline app shell and daily Bible reading reminders for the planner
+// ===================================
+
+'use strict';
+
+const REMINDER_CACHE = 'bible-planner-reminder';
+const REMINDER_CONFIG_URL = '/__bible-planner-reminder__';
+const REMINDER_SYNC_TAG = 'daily-reading-reminder';
+const PLANNER_URL = '/bible-planner.html';
+
+// Bump the version whenever a shell file changes so clients pick it up
+const SHELL_CACHE = 'bible-planner-shell-v1';
+const SHELL_FILES = [
+    PLANNER_URL,
+    '/styles/style.css',
+    '/styles/bible-planner.css',
+    '/styles/navigation.css',
+    '/scripts/bible-planner.js',
+    '/scripts/navigation.js',
+    '/scripts/main.js',
+    '/images/logo.png'
+];
+
+// ===================================
+// LIFECYCLE
+// ===================================
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop shells from earlier versions; reminder and Bible text caches stay
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('bible-planner-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ===================================
+// OFFLINE
+// ===================================
+
+/**
+ * Shell files come from the cache and are refreshed in the background so
+ * the next visit gets the update. Everything else on this origin goes to
+ * the network first and falls back to any cached copy, which covers the
+ * Bible text the planner stores in its own cache.
+ */
+async function respondFromShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        update.catch(() => {});
+        return cached;
+    }
+    return update;
+}
+
+async function respondFromNetwork(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(SHELL_FILES.includes(url.pathname)
+        ? respondFromShell(request)
+        : respondFromNetwork(request));
+});
+
+// ===================================
+// REMINDER CONFIGURATION
+// ===================================
+async function loadReminderConfig() {
+    const cache = await caches.open(REMINDER_CACHE);
+    const response = await cache.match(REMINDER_CONFIG_URL);
+    return response ? response.json() : null;
+}
+
+async function saveReminderConfig(config) {
+    const cache = await caches.open(REMINDER_CACHE);
+    await cache.put(REMINDER_CONFIG_URL, new Response(JSON.stringify(config), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+function toDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function isReminderDue(config, now) {
+    const [hours, minutes] = config.time.split(':').map(Number);
+    const reminderAt = new Date(now);
+    reminderAt.setHours(hours, minutes, 0, 0);
+    return now >= reminderAt && config.lastShown !== toDayKey(now);
+}
+
+/**
+ * Shows today's reminder once per day. Both the page timer and periodic
+ * background sync call this, so the lastShown check prevents duplicates.
+ */
+async function showReminderIfDue() {
+    const config = await loadReminderConfig();
+    if (!config || !config.enabled) return;
+
+    const now = new Date();
+    if (!isReminderDue(config, now)) return;
+
+    const todayKey = toDayKey(now);
+    const reading = config.readings[todayKey];
+
+    // The page sends translated text; configs saved before it did fall back to English
+    await self.registration.showNotification(config.title || 'Daily Bible Reading', {
+        body: reading ? `${reading.title}\n${reading.passage}` : config.fallbackBody || 'Open your planner to continue your reading plan.',
+        icon: '/images/logo.png',
+        badge: '/images/logo.png',
+        tag: 'daily-reading',
+        renotify: false,
+        data: { url: PLANNER_URL }
+    });
+
+    await saveReminderConfig({ ...config, lastShown: todayKey });
+}
+
+// ===================================
+// EVENTS
+// ===================================
+self.addEventListener('message', (event) => {
+    const { type, config } = event.data || {};
+
+    if (type === 'reminder:update') {
+        event.waitUntil(loadReminderConfig().then(previous => saveReminderConfig({
+            ...config,
+            lastShown: previous ? previous.lastShown : null
+        })));
+    } else if (type === 'reminder:due') {
+        event.waitUntil(showReminderIfDue());
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        event.waitUntil(showReminderIfDue());
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const targetUrl = (event.notification.data && event.notification.data.url) || PLANNER_URL;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windowClients => {
+            const plannerClient = windowClients.find(client => client.url.includes(targetUrl));
+            if (plannerClient) {
+                return plannerClient.focus();
+            }
+            return self.clients.openWindow(targetUrl);
+        })
+    );
+});